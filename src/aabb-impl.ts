@@ -0,0 +1,426 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { AABBArg, AABBType } from './aabb';
+import { Mat4Arg } from './mat4';
+import { Vec3Arg } from './vec3';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+export { AABBArg, AABBType };
+
+type AABBCtor<T extends AABBArg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for AABB
+ * */
+function getAPIImpl<AABBType extends AABBArg = Float32Array>(Ctor: AABBCtor<AABBType>) {
+  const vec3 = getVec3API<AABBType>(Ctor);
+
+/**
+ * Axis aligned bounding box functions.
+ *
+ * An AABB is stored as 6 values, the minimum corner followed by the maximum corner.
+ *
+ *     const box = aabb.create(-1, -1, -1, 1, 1, 1);
+ *
+ * An empty box has its minimum set to `Infinity` and its maximum set to `-Infinity`
+ * so that expanding it by a point gives a box containing only that point.
+ */
+
+/**
+ * Creates an AABB; may be called with the min and max corners to set initial values.
+ * @param minX - Initial minimum x value.
+ * @param minY - Initial minimum y value.
+ * @param minZ - Initial minimum z value.
+ * @param maxX - Initial maximum x value.
+ * @param maxY - Initial maximum y value.
+ * @param maxZ - Initial maximum z value.
+ * @returns the created AABB
+ */
+function create(
+    minX?: number, minY?: number, minZ?: number,
+    maxX?: number, maxY?: number, maxZ?: number) {
+  const newDst = new Ctor(6);
+  if (minX !== undefined) {
+    newDst[0] = minX;
+    if (minY !== undefined) {
+      newDst[1] = minY;
+      if (minZ !== undefined) {
+        newDst[2] = minZ;
+        if (maxX !== undefined) {
+          newDst[3] = maxX;
+          if (maxY !== undefined) {
+            newDst[4] = maxY;
+            if (maxZ !== undefined) {
+              newDst[5] = maxZ;
+            }
+          }
+        }
+      }
+    }
+  }
+  return newDst;
+}
+
+/**
+ * Sets the values of an AABB
+ * Also see {@link aabb.create} and {@link aabb.copy}
+ *
+ * @param minX - minimum x value.
+ * @param minY - minimum y value.
+ * @param minZ - minimum z value.
+ * @param maxX - maximum x value.
+ * @param maxY - maximum y value.
+ * @param maxZ - maximum z value.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns An AABB with its elements set.
+ */
+function set<T extends AABBArg = AABBType>(
+    minX: number, minY: number, minZ: number,
+    maxX: number, maxY: number, maxZ: number,
+    dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = minX;  newDst[1] = minY;  newDst[2] = minZ;
+  newDst[3] = maxX;  newDst[4] = maxY;  newDst[5] = maxZ;
+
+  return newDst;
+}
+
+/**
+ * Creates an AABB from its minimum and maximum corners.
+ * @param min - The minimum corner.
+ * @param max - The maximum corner.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns The AABB.
+ */
+function fromMinMax<T extends AABBArg = AABBType>(min: Vec3Arg, max: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = min[0];  newDst[1] = min[1];  newDst[2] = min[2];
+  newDst[3] = max[0];  newDst[4] = max[1];  newDst[5] = max[2];
+
+  return newDst;
+}
+
+/**
+ * Sets an AABB to empty. Its minimum is `Infinity` and its maximum is `-Infinity`.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns An empty AABB.
+ */
+function empty<T extends AABBArg = AABBType>(dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] =  Infinity;  newDst[1] =  Infinity;  newDst[2] =  Infinity;
+  newDst[3] = -Infinity;  newDst[4] = -Infinity;  newDst[5] = -Infinity;
+
+  return newDst;
+}
+
+/**
+ * Check if an AABB is empty, meaning its minimum is greater than its maximum on any axis.
+ * @param box - The AABB.
+ * @returns true if the AABB is empty
+ */
+function isEmpty(box: AABBArg): boolean {
+  return box[0] > box[3] || box[1] > box[4] || box[2] > box[5];
+}
+
+/**
+ * Computes the AABB of a list of positions.
+ *
+ * The positions can be interleaved with other data, for example
+ *
+ * ```
+ * // x, y, z, u, v
+ * const vertices = new Float32Array([...]);
+ * const box = aabb.fromPoints(vertices, 5);
+ * ```
+ *
+ * If there are no positions the result is empty.
+ *
+ * @param positions - array of positions.
+ * @param stride - number of values from one position to the next.
+ * @param offset - index of the first position.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns The AABB containing all the positions.
+ */
+function fromPoints<T extends AABBArg = AABBType>(positions: ArrayLike<number>, stride = 3, offset = 0, dst?: T) {
+  utils.checkStride(stride);
+
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let minZ = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let maxZ = -Infinity;
+
+  for (let i = offset; i + 2 < positions.length; i += stride) {
+    const x = positions[i    ];
+    const y = positions[i + 1];
+    const z = positions[i + 2];
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    minZ = Math.min(minZ, z);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+    maxZ = Math.max(maxZ, z);
+  }
+
+  newDst[0] = minX;  newDst[1] = minY;  newDst[2] = minZ;
+  newDst[3] = maxX;  newDst[4] = maxY;  newDst[5] = maxZ;
+
+  return newDst;
+}
+
+/**
+ * Copies an AABB. (same as {@link aabb.clone})
+ * Also see {@link aabb.create} and {@link aabb.set}
+ * @param box - The AABB.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns An AABB that is a copy of box
+ */
+function copy<T extends AABBArg = AABBType>(box: AABBArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = box[0];  newDst[1] = box[1];  newDst[2] = box[2];
+  newDst[3] = box[3];  newDst[4] = box[4];  newDst[5] = box[5];
+
+  return newDst;
+}
+
+/**
+ * Clones an AABB. (same as {@link aabb.copy})
+ * Also see {@link aabb.create} and {@link aabb.set}
+ * @param box - The AABB.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns An AABB that is a copy of box
+ */
+const clone = copy;
+
+/**
+ * Check if 2 AABBs are approximately equal
+ * @param a - Operand AABB.
+ * @param b - Operand AABB.
+ * @returns true if AABBs are approximately equal
+ */
+function equalsApproximately(a: AABBArg, b: AABBArg): boolean {
+  return Math.abs(a[0] - b[0]) < utils.EPSILON &&
+         Math.abs(a[1] - b[1]) < utils.EPSILON &&
+         Math.abs(a[2] - b[2]) < utils.EPSILON &&
+         Math.abs(a[3] - b[3]) < utils.EPSILON &&
+         Math.abs(a[4] - b[4]) < utils.EPSILON &&
+         Math.abs(a[5] - b[5]) < utils.EPSILON;
+}
+
+/**
+ * Check if 2 AABBs are exactly equal
+ * @param a - Operand AABB.
+ * @param b - Operand AABB.
+ * @returns true if AABBs are exactly equal
+ */
+function equals(a: AABBArg, b: AABBArg): boolean {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] &&
+         a[3] === b[3] && a[4] === b[4] && a[5] === b[5];
+}
+
+/**
+ * Expands an AABB so it contains a point.
+ * @param box - The AABB.
+ * @param p - The point.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns The expanded AABB.
+ */
+function expandByPoint<T extends AABBArg = AABBType>(box: AABBArg, p: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = Math.min(box[0], p[0]);
+  newDst[1] = Math.min(box[1], p[1]);
+  newDst[2] = Math.min(box[2], p[2]);
+  newDst[3] = Math.max(box[3], p[0]);
+  newDst[4] = Math.max(box[4], p[1]);
+  newDst[5] = Math.max(box[5], p[2]);
+
+  return newDst;
+}
+
+/**
+ * Computes the smallest AABB containing 2 AABBs.
+ * @param a - Operand AABB.
+ * @param b - Operand AABB.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns The AABB containing both a and b.
+ */
+function union<T extends AABBArg = AABBType>(a: AABBArg, b: AABBArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = Math.min(a[0], b[0]);
+  newDst[1] = Math.min(a[1], b[1]);
+  newDst[2] = Math.min(a[2], b[2]);
+  newDst[3] = Math.max(a[3], b[3]);
+  newDst[4] = Math.max(a[4], b[4]);
+  newDst[5] = Math.max(a[5], b[5]);
+
+  return newDst;
+}
+
+/**
+ * Check if 2 AABBs overlap. Boxes that only touch are considered overlapping.
+ * @param a - Operand AABB.
+ * @param b - Operand AABB.
+ * @returns true if a and b overlap
+ */
+function intersects(a: AABBArg, b: AABBArg): boolean {
+  return a[0] <= b[3] && a[3] >= b[0] &&
+         a[1] <= b[4] && a[4] >= b[1] &&
+         a[2] <= b[5] && a[5] >= b[2];
+}
+
+/**
+ * Check if a point is inside an AABB. Points on the surface are considered inside.
+ * @param box - The AABB.
+ * @param p - The point.
+ * @returns true if p is inside box
+ */
+function containsPoint(box: AABBArg, p: Vec3Arg): boolean {
+  return p[0] >= box[0] && p[0] <= box[3] &&
+         p[1] >= box[1] && p[1] <= box[4] &&
+         p[2] >= box[2] && p[2] <= box[5];
+}
+
+/**
+ * Computes the center of an AABB.
+ * @param box - The AABB.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The center of box.
+ */
+function center<T extends Vec3Arg = AABBType>(box: AABBArg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  newDst[0] = (box[0] + box[3]) * 0.5;
+  newDst[1] = (box[1] + box[4]) * 0.5;
+  newDst[2] = (box[2] + box[5]) * 0.5;
+
+  return newDst;
+}
+
+/**
+ * Computes the extents of an AABB, which are half of its size on each axis.
+ * `center - extents` is the minimum corner and `center + extents` is the maximum corner.
+ * @param box - The AABB.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The extents of box.
+ */
+function extents<T extends Vec3Arg = AABBType>(box: AABBArg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  newDst[0] = (box[3] - box[0]) * 0.5;
+  newDst[1] = (box[4] - box[1]) * 0.5;
+  newDst[2] = (box[5] - box[2]) * 0.5;
+
+  return newDst;
+}
+
+/**
+ * Computes the tight AABB of an AABB transformed by a 4x4 matrix
+ * using Arvo's method. The matrix is assumed to be affine.
+ *
+ * An empty AABB stays empty.
+ *
+ * @param box - The AABB.
+ * @param m - The matrix.
+ * @param dst - AABB to hold result. If not passed in a new one is created.
+ * @returns The AABB containing the transformed box.
+ */
+function transformMat4<T extends AABBArg = AABBType>(box: AABBArg, m: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  if (isEmpty(box)) {
+    return empty(newDst);
+  }
+
+  const minX = box[0];
+  const minY = box[1];
+  const minZ = box[2];
+  const maxX = box[3];
+  const maxY = box[4];
+  const maxZ = box[5];
+
+  for (let i = 0; i < 3; ++i) {
+    let newMin = m[12 + i];
+    let newMax = newMin;
+
+    const ax = m[i] * minX;
+    const bx = m[i] * maxX;
+    const ay = m[4 + i] * minY;
+    const by = m[4 + i] * maxY;
+    const az = m[8 + i] * minZ;
+    const bz = m[8 + i] * maxZ;
+
+    newMin += Math.min(ax, bx) + Math.min(ay, by) + Math.min(az, bz);
+    newMax += Math.max(ax, bx) + Math.max(ay, by) + Math.max(az, bz);
+
+    newDst[i] = newMin;
+    newDst[i + 3] = newMax;
+  }
+
+  return newDst;
+}
+
+return {
+  center,
+  clone,
+  containsPoint,
+  copy,
+  create,
+  empty,
+  equals,
+  equalsApproximately,
+  expandByPoint,
+  extents,
+  fromMinMax,
+  fromPoints,
+  intersects,
+  isEmpty,
+  set,
+  transformMat4,
+  union,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends AABBArg = Float32Array>(Ctor: AABBCtor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
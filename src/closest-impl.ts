@@ -0,0 +1,376 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import { PlaneArg } from './plane';
+import { getAPI as getPlaneAPI } from './plane-impl';
+import { Vec2Arg } from './vec2';
+import { Vec3Arg } from './vec3';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+type Vec3Ctor<T extends Vec3Arg = Float32Array>  = new (n: number) => T;
+
+function clamp01(v: number) {
+  return v < 0 ? 0 : v > 1 ? 1 : v;
+}
+
+/**
+ * Generates a typed API for closest point queries
+ * */
+function getAPIImpl<VecType extends Vec3Arg = Float32Array>(Ctor: Vec3Ctor<VecType>) {
+  const vec3 = getVec3API<VecType>(Ctor);
+  const plane = getPlaneAPI<VecType>(Ctor);
+
+/**
+ * Closest point and distance functions.
+ *
+ * These functions work directly on points given as vec3s so they
+ * can be used without making a {@link aabb}, {@link plane}, etc...
+ *
+ *     // find where a point touches a triangle
+ *     const p = closest.pointOnTriangle(point, a, b, c);
+ *     const distance = vec3.distance(point, p);
+ *
+ * Segments are given by their 2 end points and boxes by their
+ * minimum and maximum corners.
+ */
+
+/**
+ * Computes the point on the line segment from a to b that is closest to point.
+ * @param point - The point.
+ * @param a - The start of the segment.
+ * @param b - The end of the segment.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The point on the segment closest to point.
+ */
+function pointOnSegment<T extends Vec3Arg = VecType>(point: Vec3Arg, a: Vec3Arg, b: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  const abx = b[0] - a[0];
+  const aby = b[1] - a[1];
+  const abz = b[2] - a[2];
+  const lenSq = abx * abx + aby * aby + abz * abz;
+  const t = lenSq === 0
+    ? 0
+    : clamp01(((point[0] - a[0]) * abx + (point[1] - a[1]) * aby + (point[2] - a[2]) * abz) / lenSq);
+
+  newDst[0] = a[0] + abx * t;
+  newDst[1] = a[1] + aby * t;
+  newDst[2] = a[2] + abz * t;
+
+  return newDst;
+}
+
+/**
+ * Computes the point on the triangle a, b, c that is closest to point.
+ *
+ * The triangle is treated as solid so if point is directly above or
+ * below the triangle the result is on its face, otherwise it's on
+ * one of its edges or corners.
+ *
+ * See Real-Time Collision Detection by Christer Ericson, section 5.1.5.
+ *
+ * @param point - The point.
+ * @param a - first vertex of the triangle.
+ * @param b - second vertex of the triangle.
+ * @param c - third vertex of the triangle.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The point on the triangle closest to point.
+ */
+function pointOnTriangle<T extends Vec3Arg = VecType>(
+    point: Vec3Arg, a: Vec3Arg, b: Vec3Arg, c: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  const abx = b[0] - a[0];
+  const aby = b[1] - a[1];
+  const abz = b[2] - a[2];
+  const acx = c[0] - a[0];
+  const acy = c[1] - a[1];
+  const acz = c[2] - a[2];
+
+  // in the region of vertex a?
+  const apx = point[0] - a[0];
+  const apy = point[1] - a[1];
+  const apz = point[2] - a[2];
+  const d1 = abx * apx + aby * apy + abz * apz;
+  const d2 = acx * apx + acy * apy + acz * apz;
+  if (d1 <= 0 && d2 <= 0) {
+    return vec3.copy(a, newDst);
+  }
+
+  // in the region of vertex b?
+  const bpx = point[0] - b[0];
+  const bpy = point[1] - b[1];
+  const bpz = point[2] - b[2];
+  const d3 = abx * bpx + aby * bpy + abz * bpz;
+  const d4 = acx * bpx + acy * bpy + acz * bpz;
+  if (d3 >= 0 && d4 <= d3) {
+    return vec3.copy(b, newDst);
+  }
+
+  // in the region of edge ab?
+  const vc = d1 * d4 - d3 * d2;
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+    const v = d1 / (d1 - d3);
+    newDst[0] = a[0] + abx * v;
+    newDst[1] = a[1] + aby * v;
+    newDst[2] = a[2] + abz * v;
+    return newDst;
+  }
+
+  // in the region of vertex c?
+  const cpx = point[0] - c[0];
+  const cpy = point[1] - c[1];
+  const cpz = point[2] - c[2];
+  const d5 = abx * cpx + aby * cpy + abz * cpz;
+  const d6 = acx * cpx + acy * cpy + acz * cpz;
+  if (d6 >= 0 && d5 <= d6) {
+    return vec3.copy(c, newDst);
+  }
+
+  // in the region of edge ac?
+  const vb = d5 * d2 - d1 * d6;
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+    const w = d2 / (d2 - d6);
+    newDst[0] = a[0] + acx * w;
+    newDst[1] = a[1] + acy * w;
+    newDst[2] = a[2] + acz * w;
+    return newDst;
+  }
+
+  // in the region of edge bc?
+  const va = d3 * d6 - d5 * d4;
+  if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+    const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+    newDst[0] = b[0] + (c[0] - b[0]) * w;
+    newDst[1] = b[1] + (c[1] - b[1]) * w;
+    newDst[2] = b[2] + (c[2] - b[2]) * w;
+    return newDst;
+  }
+
+  // inside the face
+  const denom = 1 / (va + vb + vc);
+  const v = vb * denom;
+  const w = vc * denom;
+  newDst[0] = a[0] + abx * v + acx * w;
+  newDst[1] = a[1] + aby * v + acy * w;
+  newDst[2] = a[2] + abz * v + acz * w;
+
+  return newDst;
+}
+
+/**
+ * Computes the closest points between the line segment p1 to q1
+ * and the line segment p2 to q2.
+ *
+ * The closest point on each segment is written to c1 and c2 and the
+ * parameters `s` and `t`, such that `c1 = p1 + (q1 - p1) * s` and
+ * `c2 = p2 + (q2 - p2) * t`, are written to st. Nothing is allocated
+ * so any of them that are not needed can be left out.
+ *
+ *     const c1 = vec3.create();
+ *     const c2 = vec3.create();
+ *     const distSq = closest.segmentSegment(p1, q1, p2, q2, c1, c2);
+ *
+ * If the segments are parallel there is more than one pair of closest points
+ * and one of them is used.
+ *
+ * See Real-Time Collision Detection by Christer Ericson, section 5.1.9.
+ *
+ * @param p1 - The start of the first segment.
+ * @param q1 - The end of the first segment.
+ * @param p2 - The start of the second segment.
+ * @param q2 - The end of the second segment.
+ * @param c1 - vector to hold the closest point on the first segment. Optional.
+ * @param c2 - vector to hold the closest point on the second segment. Optional.
+ * @param st - vec2 to hold `[s, t]`. Optional.
+ * @returns the square of the distance between the closest points.
+ */
+function segmentSegment(
+    p1: Vec3Arg, q1: Vec3Arg, p2: Vec3Arg, q2: Vec3Arg, c1?: Vec3Arg, c2?: Vec3Arg, st?: Vec2Arg): number {
+  const d1x = q1[0] - p1[0];
+  const d1y = q1[1] - p1[1];
+  const d1z = q1[2] - p1[2];
+  const d2x = q2[0] - p2[0];
+  const d2y = q2[1] - p2[1];
+  const d2z = q2[2] - p2[2];
+  const rx = p1[0] - p2[0];
+  const ry = p1[1] - p2[1];
+  const rz = p1[2] - p2[2];
+
+  const a = d1x * d1x + d1y * d1y + d1z * d1z;
+  const e = d2x * d2x + d2y * d2y + d2z * d2z;
+  const f = d2x * rx + d2y * ry + d2z * rz;
+
+  let s = 0;
+  let t = 0;
+  if (a === 0 && e === 0) {
+    // both segments are points
+  } else if (a === 0) {
+    // the first segment is a point
+    t = clamp01(f / e);
+  } else {
+    const c = d1x * rx + d1y * ry + d1z * rz;
+    if (e === 0) {
+      // the second segment is a point
+      s = clamp01(-c / a);
+    } else {
+      const b = d1x * d2x + d1y * d2y + d1z * d2z;
+      const denom = a * e - b * b;
+      // if parallel pick any s, 0 is as good as any other
+      s = denom !== 0 ? clamp01((b * f - c * e) / denom) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = clamp01(-c / a);
+      } else if (t > 1) {
+        t = 1;
+        s = clamp01((b - c) / a);
+      }
+    }
+  }
+
+  const c1x = p1[0] + d1x * s;
+  const c1y = p1[1] + d1y * s;
+  const c1z = p1[2] + d1z * s;
+  const c2x = p2[0] + d2x * t;
+  const c2y = p2[1] + d2y * t;
+  const c2z = p2[2] + d2z * t;
+
+  if (c1) {
+    c1[0] = c1x;
+    c1[1] = c1y;
+    c1[2] = c1z;
+  }
+  if (c2) {
+    c2[0] = c2x;
+    c2[1] = c2y;
+    c2[2] = c2z;
+  }
+  if (st) {
+    st[0] = s;
+    st[1] = t;
+  }
+
+  const dx = c1x - c2x;
+  const dy = c1y - c2y;
+  const dz = c1z - c2z;
+  return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Computes the point in an axis aligned bounding box that is closest to point.
+ * If point is inside the box the result is point.
+ * @param point - The point.
+ * @param min - The minimum corner of the box.
+ * @param max - The maximum corner of the box.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The point in the box closest to point.
+ */
+function pointOnAABB<T extends Vec3Arg = VecType>(point: Vec3Arg, min: Vec3Arg, max: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  newDst[0] = Math.min(Math.max(point[0], min[0]), max[0]);
+  newDst[1] = Math.min(Math.max(point[1], min[1]), max[1]);
+  newDst[2] = Math.min(Math.max(point[2], min[2]), max[2]);
+
+  return newDst;
+}
+
+/**
+ * Computes the square of the distance from a point to an axis aligned bounding box.
+ * @param point - The point.
+ * @param min - The minimum corner of the box.
+ * @param max - The maximum corner of the box.
+ * @returns the square of the distance from point to the box. 0 if point is inside the box.
+ */
+function distanceSqToAABB(point: Vec3Arg, min: Vec3Arg, max: Vec3Arg): number {
+  let distSq = 0;
+  for (let i = 0; i < 3; ++i) {
+    const v = point[i];
+    if (v < min[i]) {
+      distSq += (min[i] - v) * (min[i] - v);
+    } else if (v > max[i]) {
+      distSq += (v - max[i]) * (v - max[i]);
+    }
+  }
+  return distSq;
+}
+
+/**
+ * Computes the distance from a point to an axis aligned bounding box.
+ * @param point - The point.
+ * @param min - The minimum corner of the box.
+ * @param max - The maximum corner of the box.
+ * @returns the distance from point to the box. 0 if point is inside the box.
+ */
+function distanceToAABB(point: Vec3Arg, min: Vec3Arg, max: Vec3Arg): number {
+  return Math.sqrt(distanceSqToAABB(point, min, max));
+}
+
+/**
+ * Computes the point on a plane that is closest to point.
+ * @param point - The point.
+ * @param p - The plane. It should be normalized.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The point on the plane closest to point.
+ */
+function pointOnPlane<T extends Vec3Arg = VecType>(point: Vec3Arg, p: PlaneArg, dst?: T) {
+  return plane.projectPoint(p, point, dst);
+}
+
+/**
+ * Computes the signed distance from a point to a plane. The distance is
+ * positive on the side the normal points toward and negative on the other side.
+ * @param point - The point.
+ * @param p - The plane. It should be normalized.
+ * @returns the signed distance from point to the plane.
+ */
+function distanceToPlane(point: Vec3Arg, p: PlaneArg): number {
+  return plane.signedDistance(p, point);
+}
+
+return {
+  distanceSqToAABB,
+  distanceToAABB,
+  distanceToPlane,
+  pointOnAABB,
+  pointOnPlane,
+  pointOnSegment,
+  pointOnTriangle,
+  segmentSegment,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends Vec3Arg = Float32Array>(Ctor: Vec3Ctor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
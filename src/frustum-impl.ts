@@ -0,0 +1,334 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { FrustumArg, FrustumType } from './frustum';
+import { AABBArg } from './aabb';
+import { Mat4Arg } from './mat4';
+import { OBBArg } from './obb';
+import { Vec3Arg } from './vec3';
+import { PlaneArg } from './plane';
+import { getAPI as getOBBAPI } from './obb-impl';
+import { getAPI as getPlaneAPI } from './plane-impl';
+import { BaseArgType } from './types';
+
+export { FrustumArg, FrustumType };
+
+type FrustumCtor<T extends FrustumArg = Float32Array>  = new (n: number) => T;
+
+/**
+ * The result of testing a shape against a frustum.
+ *
+ * * `'inside'`: the shape is completely inside the frustum.
+ * * `'outside'`: the shape is completely outside the frustum.
+ * * `'intersecting'`: the shape is partly inside the frustum.
+ */
+export type Containment = 'inside' | 'outside' | 'intersecting';
+
+/**
+ * Generates a typed API for Frustum
+ * */
+function getAPIImpl<FrustumType extends FrustumArg = Float32Array>(Ctor: FrustumCtor<FrustumType>) {
+  const obb = getOBBAPI<FrustumType>(Ctor);
+  const plane = getPlaneAPI<FrustumType>(Ctor);
+
+/**
+ * Frustum functions.
+ *
+ * A frustum is stored as 6 planes of 4 values each, `[nx, ny, nz, d]`,
+ * in the order left, right, bottom, top, near, far. A point p is on the
+ * inside of a plane when `dot(n, p) + d >= 0`.
+ *
+ *     const viewProjection = mat4.multiply(projection, view);
+ *     const f = frustum.fromMat4(viewProjection);
+ *     if (frustum.classifySphere(f, center, radius) !== 'outside') {
+ *       // draw it
+ *     }
+ */
+
+/**
+ * Creates a frustum with all planes set to 0.
+ * @returns the created frustum
+ */
+function create() {
+  const newDst = new Ctor(24);
+  for (let i = 0; i < 24; ++i) {
+    newDst[i] = 0;
+  }
+  return newDst;
+}
+
+/**
+ * Extracts the 6 planes of a frustum from a projection or view-projection matrix.
+ *
+ * The matrix is expected to produce clip space with z from 0 to 1 like
+ * {@link mat4.perspective}, {@link mat4.ortho}, and {@link mat4.frustum}.
+ * Pass `reverseZ = true` for matrices that map near to 1 and far to 0 like
+ * {@link mat4.perspectiveReverseZ} and {@link mat4.frustumReverseZ} so that
+ * the near and far planes end up in the correct slots.
+ *
+ * If the matrix is a projection matrix the planes are in view space.
+ * If it is a view-projection matrix the planes are in world space.
+ *
+ * The planes are normalized. A plane at infinity, as made by an infinite far
+ * distance, is stored as `[0, 0, 0, 1]` which every point is inside of.
+ *
+ * @param m - The projection or view-projection matrix.
+ * @param reverseZ - true if the matrix maps near to 1 and far to 0.
+ * @param dst - frustum to hold result. If not passed in a new one is created.
+ * @returns The frustum.
+ */
+function fromMat4<T extends FrustumArg = FrustumType>(m: Mat4Arg, reverseZ = false, dst?: T) {
+  const newDst = (dst ?? new Ctor(24)) as T;
+
+  const m00 = m[0];  const m01 = m[4];  const m02 = m[ 8];  const m03 = m[12];
+  const m10 = m[1];  const m11 = m[5];  const m12 = m[ 9];  const m13 = m[13];
+  const m20 = m[2];  const m21 = m[6];  const m22 = m[10];  const m23 = m[14];
+  const m30 = m[3];  const m31 = m[7];  const m32 = m[11];  const m33 = m[15];
+
+  // 0 <= z
+  const zMinNdx = reverseZ ? 5 : 4;
+  // z <= w
+  const zMaxNdx = reverseZ ? 4 : 5;
+
+  setPlane(newDst, 0, m30 + m00, m31 + m01, m32 + m02, m33 + m03);
+  setPlane(newDst, 1, m30 - m00, m31 - m01, m32 - m02, m33 - m03);
+  setPlane(newDst, 2, m30 + m10, m31 + m11, m32 + m12, m33 + m13);
+  setPlane(newDst, 3, m30 - m10, m31 - m11, m32 - m12, m33 - m13);
+  setPlane(newDst, zMinNdx, m20, m21, m22, m23);
+  setPlane(newDst, zMaxNdx, m30 - m20, m31 - m21, m32 - m22, m33 - m23);
+
+  return newDst;
+}
+
+function setPlane(dst: FrustumArg, ndx: number, x: number, y: number, z: number, w: number) {
+  const off = ndx * 4;
+  const len = Math.sqrt(x * x + y * y + z * z);
+  if (len < utils.EPSILON) {
+    dst[off + 0] = 0;
+    dst[off + 1] = 0;
+    dst[off + 2] = 0;
+    dst[off + 3] = 1;
+  } else {
+    const s = 1 / len;
+    dst[off + 0] = x * s;
+    dst[off + 1] = y * s;
+    dst[off + 2] = z * s;
+    dst[off + 3] = w * s;
+  }
+}
+
+/**
+ * Copies a frustum. (same as {@link frustum.clone})
+ * @param f - The frustum.
+ * @param dst - frustum to hold result. If not passed in a new one is created.
+ * @returns A frustum that is a copy of f
+ */
+function copy<T extends FrustumArg = FrustumType>(f: FrustumArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(24)) as T;
+
+  for (let i = 0; i < 24; ++i) {
+    newDst[i] = f[i];
+  }
+
+  return newDst;
+}
+
+/**
+ * Clones a frustum. (same as {@link frustum.copy})
+ * @param f - The frustum.
+ * @param dst - frustum to hold result. If not passed in a new one is created.
+ * @returns A frustum that is a copy of f
+ */
+const clone = copy;
+
+/**
+ * Gets one of the planes of a frustum
+ * @param f - The frustum.
+ * @param ndx - index of the plane. 0 = left, 1 = right, 2 = bottom, 3 = top, 4 = near, 5 = far
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns The plane as `[nx, ny, nz, d]`. See {@link plane}.
+ */
+function getPlane<T extends PlaneArg = FrustumType>(f: FrustumArg, ndx: number, dst?: T) {
+  const newDst = (dst ?? plane.create()) as T;
+
+  const off = ndx * 4;
+  newDst[0] = f[off + 0];
+  newDst[1] = f[off + 1];
+  newDst[2] = f[off + 2];
+  newDst[3] = f[off + 3];
+
+  return newDst;
+}
+
+/**
+ * Check if a point is inside a frustum. Points on a plane are considered inside.
+ * @param f - The frustum.
+ * @param p - The point.
+ * @returns true if p is inside f
+ */
+function containsPoint(f: FrustumArg, p: Vec3Arg): boolean {
+  const x = p[0];
+  const y = p[1];
+  const z = p[2];
+  for (let off = 0; off < 24; off += 4) {
+    if (f[off] * x + f[off + 1] * y + f[off + 2] * z + f[off + 3] < 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Tests a sphere against a frustum.
+ *
+ * Like most frustum culling tests this is conservative. A sphere near a corner
+ * of the frustum may be reported as `'intersecting'` even though it's outside.
+ *
+ * @param f - The frustum.
+ * @param center - The center of the sphere.
+ * @param radius - The radius of the sphere.
+ * @returns `'inside'`, `'outside'`, or `'intersecting'`
+ */
+function classifySphere(f: FrustumArg, center: Vec3Arg, radius: number): Containment {
+  const x = center[0];
+  const y = center[1];
+  const z = center[2];
+  let result: Containment = 'inside';
+  for (let off = 0; off < 24; off += 4) {
+    const distance = f[off] * x + f[off + 1] * y + f[off + 2] * z + f[off + 3];
+    if (distance < -radius) {
+      return 'outside';
+    }
+    if (distance < radius) {
+      result = 'intersecting';
+    }
+  }
+  return result;
+}
+
+/**
+ * Tests an axis aligned bounding box against a frustum.
+ *
+ * Like most frustum culling tests this is conservative. A box near a corner
+ * of the frustum may be reported as `'intersecting'` even though it's outside.
+ *
+ * @param f - The frustum.
+ * @param box - The AABB as `[minX, minY, minZ, maxX, maxY, maxZ]`.
+ * @returns `'inside'`, `'outside'`, or `'intersecting'`
+ */
+function classifyAABB(f: FrustumArg, box: AABBArg): Containment {
+  let result: Containment = 'inside';
+  for (let off = 0; off < 24; off += 4) {
+    const nx = f[off];
+    const ny = f[off + 1];
+    const nz = f[off + 2];
+    const d = f[off + 3];
+
+    // the corner furthest along the normal
+    const px = nx >= 0 ? box[3] : box[0];
+    const py = ny >= 0 ? box[4] : box[1];
+    const pz = nz >= 0 ? box[5] : box[2];
+    if (nx * px + ny * py + nz * pz + d < 0) {
+      return 'outside';
+    }
+
+    // the corner furthest against the normal
+    const qx = nx >= 0 ? box[0] : box[3];
+    const qy = ny >= 0 ? box[1] : box[4];
+    const qz = nz >= 0 ? box[2] : box[5];
+    if (nx * qx + ny * qy + nz * qz + d < 0) {
+      result = 'intersecting';
+    }
+  }
+  return result;
+}
+
+const obbAxisX = new Ctor(3);
+const obbAxisY = new Ctor(3);
+const obbAxisZ = new Ctor(3);
+
+/**
+ * Tests an oriented bounding box against a frustum.
+ *
+ * Like most frustum culling tests this is conservative. A box near a corner
+ * of the frustum may be reported as `'intersecting'` even though it's outside.
+ *
+ * @param f - The frustum.
+ * @param box - The OBB. See {@link obb}.
+ * @returns `'inside'`, `'outside'`, or `'intersecting'`
+ */
+function classifyOBB(f: FrustumArg, box: OBBArg): Containment {
+  obb.getAxis(box, 0, obbAxisX);
+  obb.getAxis(box, 1, obbAxisY);
+  obb.getAxis(box, 2, obbAxisZ);
+  const x = box[0];
+  const y = box[1];
+  const z = box[2];
+  let result: Containment = 'inside';
+  for (let off = 0; off < 24; off += 4) {
+    const nx = f[off];
+    const ny = f[off + 1];
+    const nz = f[off + 2];
+    const distance = nx * x + ny * y + nz * z + f[off + 3];
+
+    // the extent of the box along the normal
+    const radius =
+        box[3] * Math.abs(nx * obbAxisX[0] + ny * obbAxisX[1] + nz * obbAxisX[2]) +
+        box[4] * Math.abs(nx * obbAxisY[0] + ny * obbAxisY[1] + nz * obbAxisY[2]) +
+        box[5] * Math.abs(nx * obbAxisZ[0] + ny * obbAxisZ[1] + nz * obbAxisZ[2]);
+    if (distance < -radius) {
+      return 'outside';
+    }
+    if (distance < radius) {
+      result = 'intersecting';
+    }
+  }
+  return result;
+}
+
+return {
+  classifyAABB,
+  classifyOBB,
+  classifySphere,
+  clone,
+  containsPoint,
+  copy,
+  create,
+  fromMat4,
+  getPlane,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends FrustumArg = Float32Array>(Ctor: FrustumCtor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
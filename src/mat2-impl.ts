@@ -0,0 +1,558 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { Mat2Arg, Mat2Type } from './mat2';
+import { Mat3Arg } from './mat3';
+import { Mat4Arg } from './mat4';
+import { Vec2Arg } from './vec2';
+import { getAPI as getVec2API } from './vec2-impl';
+import { BaseArgType } from './types';
+
+export { Mat2Arg, Mat2Type };
+
+type Mat2Ctor<T extends Mat2Arg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for Mat2
+ * */
+function getAPIImpl<MatType extends Mat2Arg = Float32Array>(Ctor: Mat2Ctor<MatType>) {
+  const vec2 = getVec2API<MatType>(Ctor);
+
+/**
+ * Create a Mat2 from values
+ *
+ * Note: Since passing in a raw JavaScript array
+ * is valid in all circumstances, if you want to
+ * force a JavaScript array into a Mat2's specified type
+ * it would be faster to use
+ *
+ * ```
+ * const m = mat2.clone(someJSArray);
+ * ```
+ *
+ * @param v0 - value for element 0
+ * @param v1 - value for element 1
+ * @param v2 - value for element 2
+ * @param v3 - value for element 3
+ * @returns matrix created from values.
+ */
+function create(v0?: number, v1?: number, v2?: number, v3?: number) {
+  const newDst = new Ctor(4);
+  if (v0 !== undefined) {
+    newDst[0] = v0;
+    if (v1 !== undefined) {
+      newDst[1] = v1;
+      if (v2 !== undefined) {
+        newDst[2] = v2;
+        if (v3 !== undefined) {
+          newDst[3] = v3;
+        }
+      }
+    }
+  }
+  return newDst;
+}
+
+/**
+ * Sets the values of a Mat2
+ * Also see {@link mat2.create} and {@link mat2.copy}
+ *
+ * @param v0 - value for element 0
+ * @param v1 - value for element 1
+ * @param v2 - value for element 2
+ * @param v3 - value for element 3
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat2 set from values.
+ */
+function set<T extends Mat2Arg = MatType>(v0: number, v1: number, v2: number, v3: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = v0;  newDst[1] = v1;
+  newDst[2] = v2;  newDst[3] = v3;
+
+  return newDst;
+}
+
+/**
+ * Creates a Mat2 from the upper left 2x2 part of a Mat3
+ * @param m3 - source matrix
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat2 made from m3
+ */
+function fromMat3<T extends Mat2Arg = MatType>(m3: Mat3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = m3[0];  newDst[1] = m3[1];
+  newDst[2] = m3[4];  newDst[3] = m3[5];
+
+  return newDst;
+}
+
+/**
+ * Creates a Mat2 from the upper left 2x2 part of a Mat4
+ * @param m4 - source matrix
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat2 made from m4
+ */
+function fromMat4<T extends Mat2Arg = MatType>(m4: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = m4[0];  newDst[1] = m4[1];
+  newDst[2] = m4[4];  newDst[3] = m4[5];
+
+  return newDst;
+}
+
+/**
+ * Negates a matrix.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns -m.
+ */
+function negate<T extends Mat2Arg = MatType>(m: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = -m[0];  newDst[1] = -m[1];
+  newDst[2] = -m[2];  newDst[3] = -m[3];
+
+  return newDst;
+}
+
+/**
+ * multiply a matrix by a scalar matrix.
+ * @param m - The matrix.
+ * @param s - the scalar
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns m * s.
+ */
+function multiplyScalar<T extends Mat2Arg = MatType>(m: Mat2Arg, s: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = m[0] * s;  newDst[1] = m[1] * s;
+  newDst[2] = m[2] * s;  newDst[3] = m[3] * s;
+
+  return newDst;
+}
+
+/**
+ * multiply a matrix by a scalar matrix.
+ * @param m - The matrix.
+ * @param s - the scalar
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns m * s.
+ */
+const mulScalar = multiplyScalar;
+
+/**
+ * add 2 matrices.
+ * @param a - matrix 1.
+ * @param b - matrix 2.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns a + b.
+ */
+function add<T extends Mat2Arg = MatType>(a: Mat2Arg, b: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = a[0] + b[0];  newDst[1] = a[1] + b[1];
+  newDst[2] = a[2] + b[2];  newDst[3] = a[3] + b[3];
+
+  return newDst;
+}
+
+/**
+ * Copies a matrix. (same as {@link mat2.clone})
+ * Also see {@link mat2.create} and {@link mat2.set}
+ * @param m - The matrix.
+ * @param dst - The matrix. If not passed a new one is created.
+ * @returns A copy of m.
+ */
+function copy<T extends Mat2Arg = MatType>(m: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = m[0];  newDst[1] = m[1];
+  newDst[2] = m[2];  newDst[3] = m[3];
+
+  return newDst;
+}
+
+/**
+ * Copies a matrix (same as {@link mat2.copy})
+ * Also see {@link mat2.create} and {@link mat2.set}
+ * @param m - The matrix.
+ * @param dst - The matrix. If not passed a new one is created.
+ * @returns A copy of m.
+ */
+const clone = copy;
+
+/**
+ * Check if 2 matrices are approximately equal
+ * @param a Operand matrix.
+ * @param b Operand matrix.
+ * @returns true if matrices are approximately equal
+ */
+function equalsApproximately(a: Mat2Arg, b: Mat2Arg): boolean {
+  return Math.abs(a[0] - b[0]) < utils.EPSILON &&
+         Math.abs(a[1] - b[1]) < utils.EPSILON &&
+         Math.abs(a[2] - b[2]) < utils.EPSILON &&
+         Math.abs(a[3] - b[3]) < utils.EPSILON;
+}
+
+/**
+ * Check if 2 matrices are exactly equal
+ * @param a Operand matrix.
+ * @param b Operand matrix.
+ * @returns true if matrices are exactly equal
+ */
+function equals(a: Mat2Arg, b: Mat2Arg): boolean {
+  return a[0] === b[0] &&
+         a[1] === b[1] &&
+         a[2] === b[2] &&
+         a[3] === b[3];
+}
+
+/**
+ * Creates a 2-by-2 identity matrix.
+ *
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns A 2-by-2 identity matrix.
+ */
+function identity<T extends Mat2Arg = MatType>(dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = 1;  newDst[1] = 0;
+  newDst[2] = 0;  newDst[3] = 1;
+
+  return newDst;
+}
+
+/**
+ * Takes the transpose of a matrix.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The transpose of m.
+ */
+function transpose<T extends Mat2Arg = MatType>(m: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+  if (newDst === m) {
+    const t = m[1];
+    m[1] = m[2];
+    m[2] = t;
+    return newDst;
+  }
+
+  newDst[0] = m[0];  newDst[1] = m[2];
+  newDst[2] = m[1];  newDst[3] = m[3];
+
+  return newDst;
+}
+
+/**
+ * Computes the inverse of a 2-by-2 matrix.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The inverse of m.
+ */
+function inverse<T extends Mat2Arg = MatType>(m: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  const m00 = m[0 * 2 + 0];
+  const m01 = m[0 * 2 + 1];
+  const m10 = m[1 * 2 + 0];
+  const m11 = m[1 * 2 + 1];
+
+  const invDet = 1 / (m00 * m11 - m01 * m10);
+
+  newDst[0] =  m11 * invDet;
+  newDst[1] = -m01 * invDet;
+  newDst[2] = -m10 * invDet;
+  newDst[3] =  m00 * invDet;
+
+  return newDst;
+}
+
+/**
+ * Compute the determinant of a matrix
+ * @param m - the matrix
+ * @returns the determinant
+ */
+function determinant(m: Mat2Arg): number {
+  return m[0] * m[3] - m[1] * m[2];
+}
+
+/**
+ * Computes the inverse of a 2-by-2 matrix. (same as inverse)
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The inverse of m.
+ */
+const invert = inverse;
+
+/**
+ * Multiplies two 2-by-2 matrices with a on the left and b on the right
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+function multiply<T extends Mat2Arg = MatType>(a: Mat2Arg, b: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  const a00 = a[0];
+  const a01 = a[1];
+  const a10 = a[2];
+  const a11 = a[3];
+  const b00 = b[0];
+  const b01 = b[1];
+  const b10 = b[2];
+  const b11 = b[3];
+
+  newDst[0] = a00 * b00 + a10 * b01;
+  newDst[1] = a01 * b00 + a11 * b01;
+  newDst[2] = a00 * b10 + a10 * b11;
+  newDst[3] = a01 * b10 + a11 * b11;
+
+  return newDst;
+}
+
+/**
+ * Multiplies two 2-by-2 matrices with a on the left and b on the right (same as multiply)
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+const mul = multiply;
+
+/**
+ * Returns an axis of a 2x2 matrix as a vector with 2 entries
+ * @param m - The matrix.
+ * @param axis - The axis 0 = x, 1 = y,
+ * @returns The axis component of m.
+ */
+function getAxis<T extends Vec2Arg = MatType>(m: Mat2Arg, axis: number, dst?: T) {
+  const newDst = (dst ?? vec2.create()) as T;
+  const off = axis * 2;
+  newDst[0] = m[off + 0];
+  newDst[1] = m[off + 1];
+  return newDst;
+}
+
+/**
+ * Sets an axis of a 2x2 matrix as a vector with 2 entries
+ * @param m - The matrix.
+ * @param v - the axis vector
+ * @param axis - The axis  0 = x, 1 = y;
+ * @param dst - The matrix to set. If not passed a new one is created.
+ * @returns The matrix with axis set.
+ */
+function setAxis<T extends Mat2Arg = MatType>(m: Mat2Arg, v: Vec2Arg, axis: number, dst?: T) {
+  const newDst = (dst === m ? m : copy(m, dst)) as T;
+
+  const off = axis * 2;
+  newDst[off + 0] = v[0];
+  newDst[off + 1] = v[1];
+  return newDst;
+}
+
+/**
+ * Returns the scaling component of the matrix
+ * @param m - The Matrix
+ * @param dst - The vector to set. If not passed a new one is created.
+ */
+function getScaling<T extends Vec2Arg = MatType>(m: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? vec2.create()) as T;
+
+  const xx = m[0];
+  const xy = m[1];
+  const yx = m[2];
+  const yy = m[3];
+
+  newDst[0] = Math.sqrt(xx * xx + xy * xy);
+  newDst[1] = Math.sqrt(yx * yx + yy * yy);
+
+  return newDst;
+}
+
+/**
+ * Creates a 2-by-2 matrix which rotates by the given angle.
+ * @param angleInRadians - The angle by which to rotate (in radians).
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The rotation matrix.
+ */
+function rotation<T extends Mat2Arg = MatType>(angleInRadians: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  const c = Math.cos(angleInRadians);
+  const s = Math.sin(angleInRadians);
+
+  newDst[0] =  c;  newDst[1] = s;
+  newDst[2] = -s;  newDst[3] = c;
+
+  return newDst;
+}
+
+/**
+ * Rotates the given 2-by-2 matrix by the given angle.
+ * @param m - The matrix.
+ * @param angleInRadians - The angle by which to rotate (in radians).
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The rotated matrix.
+ */
+function rotate<T extends Mat2Arg = MatType>(m: Mat2Arg, angleInRadians: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  const m00 = m[0 * 2 + 0];
+  const m01 = m[0 * 2 + 1];
+  const m10 = m[1 * 2 + 0];
+  const m11 = m[1 * 2 + 1];
+  const c = Math.cos(angleInRadians);
+  const s = Math.sin(angleInRadians);
+
+  newDst[0] = c * m00 + s * m10;
+  newDst[1] = c * m01 + s * m11;
+  newDst[2] = c * m10 - s * m00;
+  newDst[3] = c * m11 - s * m01;
+
+  return newDst;
+}
+
+/**
+ * Creates a 2-by-2 matrix which scales in each dimension by an amount given by
+ * the corresponding entry in the given vector; assumes the vector has two
+ * entries.
+ * @param v - A vector of
+ *     2 entries specifying the factor by which to scale in each dimension.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The scaling matrix.
+ */
+function scaling<T extends Mat2Arg = MatType>(v: Vec2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = v[0];  newDst[1] = 0;
+  newDst[2] = 0;     newDst[3] = v[1];
+
+  return newDst;
+}
+
+/**
+ * Scales the given 2-by-2 matrix in each dimension by an amount
+ * given by the corresponding entry in the given vector; assumes the vector has
+ * two entries.
+ * @param m - The matrix to be modified.
+ * @param v - A vector of 2 entries specifying the
+ *     factor by which to scale in each dimension.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The scaled matrix.
+ */
+function scale<T extends Mat2Arg = MatType>(m: Mat2Arg, v: Vec2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  const v0 = v[0];
+  const v1 = v[1];
+
+  newDst[0] = v0 * m[0 * 2 + 0];
+  newDst[1] = v0 * m[0 * 2 + 1];
+
+  newDst[2] = v1 * m[1 * 2 + 0];
+  newDst[3] = v1 * m[1 * 2 + 1];
+
+  return newDst;
+}
+
+/**
+ * Creates a 2-by-2 matrix which scales uniformly in each dimension
+ * @param s - Amount to scale
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The scaling matrix.
+ */
+function uniformScaling<T extends Mat2Arg = MatType>(s: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = s;  newDst[1] = 0;
+  newDst[2] = 0;  newDst[3] = s;
+
+  return newDst;
+}
+
+/**
+ * Scales the given 2-by-2 matrix in each dimension by an amount
+ * given.
+ * @param m - The matrix to be modified.
+ * @param s - Amount to scale.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The scaled matrix.
+ */
+function uniformScale<T extends Mat2Arg = MatType>(m: Mat2Arg, s: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = s * m[0];  newDst[1] = s * m[1];
+  newDst[2] = s * m[2];  newDst[3] = s * m[3];
+
+  return newDst;
+}
+
+return {
+  add,
+  clone,
+  copy,
+  create,
+  determinant,
+  equals,
+  equalsApproximately,
+  fromMat3,
+  fromMat4,
+  getAxis,
+  getScaling,
+  identity,
+  inverse,
+  invert,
+  mul,
+  mulScalar,
+  multiply,
+  multiplyScalar,
+  negate,
+  rotate,
+  rotation,
+  scale,
+  scaling,
+  set,
+  setAxis,
+  transpose,
+  uniformScale,
+  uniformScaling,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends Mat2Arg = Float32Array>(Ctor: Mat2Ctor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
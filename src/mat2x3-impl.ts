@@ -0,0 +1,465 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { Mat2x3Arg, Mat2x3Type } from './mat2x3';
+import { Mat3x2Arg } from './mat3x2';
+import { Mat2Arg } from './mat2';
+import { Mat3Arg } from './mat3';
+import { Mat4Arg } from './mat4';
+import { Vec2Arg } from './vec2';
+import { Vec3Arg } from './vec3';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+export { Mat2x3Arg, Mat2x3Type };
+
+type Mat2x3Ctor<T extends Mat2x3Arg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for Mat2x3
+ * */
+function getAPIImpl<MatType extends Mat2x3Arg = Float32Array>(Ctor: Mat2x3Ctor<MatType>) {
+  const vec3 = getVec3API<MatType>(Ctor);
+
+/**
+ * Create a Mat2x3 from values
+ *
+ * Values are given in column order, 2 columns of 3 values each.
+ *
+ * Note: Since passing in a raw JavaScript array
+ * is valid in all circumstances, if you want to
+ * force a JavaScript array into a Mat2x3's specified type
+ * it would be faster to use
+ *
+ * ```
+ * const m = mat2x3.clone(someJSArray);
+ * ```
+ *
+ * @param v0 - value for element 0
+ * @param v1 - value for element 1
+ * @param v2 - value for element 2
+ * @param v3 - value for element 3
+ * @param v4 - value for element 4
+ * @param v5 - value for element 5
+ * @returns matrix created from values.
+ */
+function create(
+    v0?: number, v1?: number, v2?: number,
+    v3?: number, v4?: number, v5?: number) {
+  const newDst = new Ctor(8);
+  // to make the array homogenous
+  newDst[3] = 0;
+  newDst[7] = 0;
+
+  if (v0 !== undefined) {
+    newDst[0] = v0;
+    if (v1 !== undefined) {
+      newDst[1] = v1;
+      if (v2 !== undefined) {
+        newDst[2] = v2;
+        if (v3 !== undefined) {
+          newDst[4] = v3;
+          if (v4 !== undefined) {
+            newDst[5] = v4;
+            if (v5 !== undefined) {
+              newDst[6] = v5;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return newDst;
+}
+
+/**
+ * Sets the values of a Mat2x3
+ * Also see {@link mat2x3.create} and {@link mat2x3.copy}
+ *
+ * @param v0 - value for element 0
+ * @param v1 - value for element 1
+ * @param v2 - value for element 2
+ * @param v3 - value for element 3
+ * @param v4 - value for element 4
+ * @param v5 - value for element 5
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat2x3 set from values.
+ */
+function set<T extends Mat2x3Arg = MatType>(
+    v0: number, v1: number, v2: number,
+    v3: number, v4: number, v5: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  newDst[0] = v0;  newDst[1] = v1;  newDst[2] = v2;  newDst[3] = 0;
+  newDst[4] = v3;  newDst[5] = v4;  newDst[6] = v5;  newDst[7] = 0;
+
+  return newDst;
+}
+
+/**
+ * Creates a Mat2x3 from a Mat3 by dropping the last column
+ * @param m3 - source matrix
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat2x3 made from m3
+ */
+function fromMat3<T extends Mat2x3Arg = MatType>(m3: Mat3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  newDst[0] = m3[0];  newDst[1] = m3[1];  newDst[2] = m3[2];  newDst[3] = 0;
+  newDst[4] = m3[4];  newDst[5] = m3[5];  newDst[6] = m3[6];  newDst[7] = 0;
+
+  return newDst;
+}
+
+/**
+ * Creates a Mat2x3 from the upper left 2x3 part of a Mat4
+ * @param m4 - source matrix
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat2x3 made from m4
+ */
+function fromMat4<T extends Mat2x3Arg = MatType>(m4: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  newDst[0] = m4[0];  newDst[1] = m4[1];  newDst[2] = m4[2];  newDst[3] = 0;
+  newDst[4] = m4[4];  newDst[5] = m4[5];  newDst[6] = m4[6];  newDst[7] = 0;
+
+  return newDst;
+}
+
+/**
+ * Negates a matrix.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns -m.
+ */
+function negate<T extends Mat2x3Arg = MatType>(m: Mat2x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  newDst[0] = -m[0];  newDst[1] = -m[1];  newDst[2] = -m[2];
+  newDst[4] = -m[4];  newDst[5] = -m[5];  newDst[6] = -m[6];
+
+  return newDst;
+}
+
+/**
+ * multiply a matrix by a scalar matrix.
+ * @param m - The matrix.
+ * @param s - the scalar
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns m * s.
+ */
+function multiplyScalar<T extends Mat2x3Arg = MatType>(m: Mat2x3Arg, s: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  newDst[0] = m[0] * s;  newDst[1] = m[1] * s;  newDst[2] = m[2] * s;
+  newDst[4] = m[4] * s;  newDst[5] = m[5] * s;  newDst[6] = m[6] * s;
+
+  return newDst;
+}
+
+/**
+ * multiply a matrix by a scalar matrix.
+ * @param m - The matrix.
+ * @param s - the scalar
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns m * s.
+ */
+const mulScalar = multiplyScalar;
+
+/**
+ * add 2 matrices.
+ * @param a - matrix 1.
+ * @param b - matrix 2.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns a + b.
+ */
+function add<T extends Mat2x3Arg = MatType>(a: Mat2x3Arg, b: Mat2x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  newDst[0] = a[0] + b[0];  newDst[1] = a[1] + b[1];  newDst[2] = a[2] + b[2];
+  newDst[4] = a[4] + b[4];  newDst[5] = a[5] + b[5];  newDst[6] = a[6] + b[6];
+
+  return newDst;
+}
+
+/**
+ * Copies a matrix. (same as {@link mat2x3.clone})
+ * Also see {@link mat2x3.create} and {@link mat2x3.set}
+ * @param m - The matrix.
+ * @param dst - The matrix. If not passed a new one is created.
+ * @returns A copy of m.
+ */
+function copy<T extends Mat2x3Arg = MatType>(m: Mat2x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  newDst[0] = m[0];  newDst[1] = m[1];  newDst[2] = m[2];
+  newDst[4] = m[4];  newDst[5] = m[5];  newDst[6] = m[6];
+
+  return newDst;
+}
+
+/**
+ * Copies a matrix (same as {@link mat2x3.copy})
+ * Also see {@link mat2x3.create} and {@link mat2x3.set}
+ * @param m - The matrix.
+ * @param dst - The matrix. If not passed a new one is created.
+ * @returns A copy of m.
+ */
+const clone = copy;
+
+/**
+ * Check if 2 matrices are approximately equal
+ * @param a Operand matrix.
+ * @param b Operand matrix.
+ * @returns true if matrices are approximately equal
+ */
+function equalsApproximately(a: Mat2x3Arg, b: Mat2x3Arg): boolean {
+  return Math.abs(a[0] - b[0]) < utils.EPSILON &&
+         Math.abs(a[1] - b[1]) < utils.EPSILON &&
+         Math.abs(a[2] - b[2]) < utils.EPSILON &&
+         Math.abs(a[4] - b[4]) < utils.EPSILON &&
+         Math.abs(a[5] - b[5]) < utils.EPSILON &&
+         Math.abs(a[6] - b[6]) < utils.EPSILON;
+}
+
+/**
+ * Check if 2 matrices are exactly equal
+ * @param a Operand matrix.
+ * @param b Operand matrix.
+ * @returns true if matrices are exactly equal
+ */
+function equals(a: Mat2x3Arg, b: Mat2x3Arg): boolean {
+  return a[0] === b[0] &&
+         a[1] === b[1] &&
+         a[2] === b[2] &&
+         a[4] === b[4] &&
+         a[5] === b[5] &&
+         a[6] === b[6];
+}
+
+/**
+ * Creates a 2-column by 3-row matrix with ones on the diagonal
+ * and zeros everywhere else.
+ *
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns A 2x3 "identity" matrix.
+ */
+function identity<T extends Mat2x3Arg = MatType>(dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  newDst[0] = 1;  newDst[1] = 0;  newDst[2] = 0;
+  newDst[4] = 0;  newDst[5] = 1;  newDst[6] = 0;
+
+  return newDst;
+}
+
+/**
+ * Takes the transpose of a matrix, making a Mat3x2 from a Mat2x3.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The transpose of m.
+ */
+function transpose<T extends Mat3x2Arg = MatType>(m: Mat2x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  const m00 = m[0];
+  const m01 = m[1];
+  const m02 = m[2];
+  const m10 = m[4];
+  const m11 = m[5];
+  const m12 = m[6];
+
+  newDst[0] = m00;  newDst[1] = m10;
+  newDst[2] = m01;  newDst[3] = m11;
+  newDst[4] = m02;  newDst[5] = m12;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat2x3 by a Mat2 with a on the left and b on the right
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+function multiply<T extends Mat2x3Arg = MatType>(a: Mat2x3Arg, b: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  const a00 = a[0];
+  const a01 = a[1];
+  const a02 = a[2];
+  const a10 = a[4];
+  const a11 = a[5];
+  const a12 = a[6];
+  const b00 = b[0];
+  const b01 = b[1];
+  const b10 = b[2];
+  const b11 = b[3];
+
+  newDst[0] = a00 * b00 + a10 * b01;
+  newDst[1] = a01 * b00 + a11 * b01;
+  newDst[2] = a02 * b00 + a12 * b01;
+  newDst[4] = a00 * b10 + a10 * b11;
+  newDst[5] = a01 * b10 + a11 * b11;
+  newDst[6] = a02 * b10 + a12 * b11;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat2x3 by a Mat2 with a on the left and b on the right (same as multiply)
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+const mul = multiply;
+
+/**
+ * Multiplies a Mat3 by a Mat2x3 with a on the left and b on the right
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+function premultiply<T extends Mat2x3Arg = MatType>(a: Mat3Arg, b: Mat2x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  const a00 = a[0];
+  const a01 = a[1];
+  const a02 = a[2];
+  const a10 = a[4];
+  const a11 = a[5];
+  const a12 = a[6];
+  const a20 = a[8];
+  const a21 = a[9];
+  const a22 = a[10];
+  const b00 = b[0];
+  const b01 = b[1];
+  const b02 = b[2];
+  const b10 = b[4];
+  const b11 = b[5];
+  const b12 = b[6];
+
+  newDst[0] = a00 * b00 + a10 * b01 + a20 * b02;
+  newDst[1] = a01 * b00 + a11 * b01 + a21 * b02;
+  newDst[2] = a02 * b00 + a12 * b01 + a22 * b02;
+  newDst[4] = a00 * b10 + a10 * b11 + a20 * b12;
+  newDst[5] = a01 * b10 + a11 * b11 + a21 * b12;
+  newDst[6] = a02 * b10 + a12 * b11 + a22 * b12;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat2x3 by a Vec2, the same as `m * v` in WGSL
+ * @param m - The matrix.
+ * @param v - The vector with two entries.
+ * @param dst - vector to hold result. If not passed a new one is created.
+ * @returns The Vec3 product of m and v.
+ */
+function multiplyVector<T extends Vec3Arg = MatType>(m: Mat2x3Arg, v: Vec2Arg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  const v0 = v[0];
+  const v1 = v[1];
+
+  newDst[0] = m[0] * v0 + m[4] * v1;
+  newDst[1] = m[1] * v0 + m[5] * v1;
+  newDst[2] = m[2] * v0 + m[6] * v1;
+
+  return newDst;
+}
+
+/**
+ * Returns an axis (column) of a Mat2x3 as a vector with 3 entries
+ * @param m - The matrix.
+ * @param axis - The axis 0 = x, 1 = y
+ * @returns The axis component of m.
+ */
+function getAxis<T extends Vec3Arg = MatType>(m: Mat2x3Arg, axis: number, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+  const off = axis * 4;
+  newDst[0] = m[off + 0];
+  newDst[1] = m[off + 1];
+  newDst[2] = m[off + 2];
+  return newDst;
+}
+
+/**
+ * Sets an axis (column) of a Mat2x3 as a vector with 3 entries
+ * @param m - The matrix.
+ * @param v - the axis vector
+ * @param axis - The axis 0 = x, 1 = y
+ * @param dst - The matrix to set. If not passed a new one is created.
+ * @returns The matrix with axis set.
+ */
+function setAxis<T extends Mat2x3Arg = MatType>(m: Mat2x3Arg, v: Vec3Arg, axis: number, dst?: T) {
+  const newDst = (dst === m ? m : copy(m, dst)) as T;
+
+  const off = axis * 4;
+  newDst[off + 0] = v[0];
+  newDst[off + 1] = v[1];
+  newDst[off + 2] = v[2];
+  return newDst;
+}
+
+return {
+  add,
+  clone,
+  copy,
+  create,
+  equals,
+  equalsApproximately,
+  fromMat3,
+  fromMat4,
+  getAxis,
+  identity,
+  mul,
+  mulScalar,
+  multiply,
+  multiplyScalar,
+  multiplyVector,
+  negate,
+  premultiply,
+  set,
+  setAxis,
+  transpose,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends Mat2x3Arg = Float32Array>(Ctor: Mat2x3Ctor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
@@ -28,6 +28,7 @@ import { Vec2Arg } from './vec2';
 import { Vec3Arg } from './vec3';
 import { getAPI as getVec2API } from './vec2-impl';
 import { getAPI as getVec3API } from './vec3-impl';
+import { eulerFromMatrix, rotationMatrixFromEuler, RotationOrder } from './quat-impl';
 import { BaseArgType } from './types';
 
 export { Mat3Arg, Mat3Type };
@@ -177,6 +178,74 @@ function fromQuat<T extends Mat3Arg = MatType>(q: QuatArg, dst?: T) {
   return newDst;
 }
 
+/**
+ * Computes the euler angles x, y, z for the given intrinsic order such that
+ * `mat3.fromEuler(x, y, z, order)` gives back the same rotation.
+ *
+ * Any scale is removed before computing the angles. If the matrix is mirrored
+ * (its determinant is negative) its x axis is negated first, the same as
+ * {@link mat4.decompose}. When the middle rotation
+ * is at +/- 90 degrees (gimbal lock) the last angle in the order is set to 0
+ * and the entire rotation is put in the first angle.
+ *
+ * @param m - The matrix.
+ * @param order - order to apply euler angles
+ * @param dst - vector to hold the x, y, z angles in radians. If not passed a new one is created.
+ * @returns the x, y, z angles in radians
+ */
+function toEuler<T extends Vec3Arg = MatType>(m: Mat3Arg, order: RotationOrder, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+  return eulerFromMatrix(m, order, newDst);
+}
+
+/**
+ * Creates a 3-by-3 rotation matrix from the given euler angles x, y, z using
+ * the provided intrinsic order. The result represents the same rotation as
+ * `quat.fromEuler(x, y, z, order)`.
+ *
+ * @param xAngleInRadians - angle to rotate around X axis in radians.
+ * @param yAngleInRadians - angle to rotate around Y axis in radians.
+ * @param zAngleInRadians - angle to rotate around Z axis in radians.
+ * @param order - order to apply euler angles
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The rotation matrix.
+ */
+function fromEuler<T extends Mat3Arg = MatType>(
+    xAngleInRadians: number,
+    yAngleInRadians: number,
+    zAngleInRadians: number,
+    order: RotationOrder,
+    dst?: T) {
+  const newDst = (dst ?? new Ctor(12)) as T;
+  return rotationMatrixFromEuler(xAngleInRadians, yAngleInRadians, zAngleInRadians, order, newDst);
+}
+
+const rotateEulerMat = new Ctor(12);
+
+/**
+ * Rotates the given 3-by-3 matrix by the given euler angles x, y, z
+ * using the provided intrinsic order. Equivalent to
+ * `mat3.multiply(m, mat3.fromEuler(x, y, z, order))`.
+ *
+ * @param m - The matrix.
+ * @param xAngleInRadians - angle to rotate around X axis in radians.
+ * @param yAngleInRadians - angle to rotate around Y axis in radians.
+ * @param zAngleInRadians - angle to rotate around Z axis in radians.
+ * @param order - order to apply euler angles
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The rotated matrix.
+ */
+function rotateEuler<T extends Mat3Arg = MatType>(
+    m: Mat3Arg,
+    xAngleInRadians: number,
+    yAngleInRadians: number,
+    zAngleInRadians: number,
+    order: RotationOrder,
+    dst?: T) {
+  fromEuler(xAngleInRadians, yAngleInRadians, zAngleInRadians, order, rotateEulerMat);
+  return multiply(m, rotateEulerMat, dst);
+}
+
 /**
  * Negates a matrix.
  * @param m - The matrix.
@@ -420,6 +489,108 @@ function determinant(m: Mat3Arg): number {
          m20 * (m01 * m12 - m11 * m02);
 }
 
+// Row major 3x3 working copies. Plain arrays so the iteration
+// runs in double precision regardless of the matrix type.
+const eigenA = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+const eigenV = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+const eigenOrder = [0, 1, 2];
+const eigenPairs = [0, 1, 0, 2, 1, 2];
+
+/**
+ * Computes the eigenvalues and eigenvectors of a symmetric matrix using
+ * Jacobi iteration. For example, passing the covariance matrix of a set of
+ * points gives their principal axes.
+ *
+ * The eigenvalues are sorted from largest to smallest and the eigenvectors
+ * are the matching columns of `vectors`. The eigenvectors are unit length and
+ * form a rotation matrix (a negative determinant is fixed by negating the last column).
+ *
+ * Note: Only the upper triangle of m is read.
+ *
+ * @param m - The symmetric matrix.
+ * @param values - vector to hold the eigenvalues. If not passed a new one is created.
+ * @param vectors - matrix to hold the eigenvectors. If not passed a new one is created.
+ * @returns the eigenvalues and eigenvectors
+ */
+function eigenSymmetric<V extends Vec3Arg = MatType, T extends Mat3Arg = MatType>(
+    m: Mat3Arg, values?: V, vectors?: T): { values: V, vectors: T } {
+  const newValues = (values ?? vec3.create()) as V;
+  const newVectors = (vectors ?? new Ctor(12)) as T;
+
+  const a = eigenA;
+  const v = eigenV;
+  for (let r = 0; r < 3; ++r) {
+    for (let c = 0; c < 3; ++c) {
+      a[r * 3 + c] = m[Math.max(r, c) * 4 + Math.min(r, c)];
+      v[r * 3 + c] = r === c ? 1 : 0;
+    }
+  }
+
+  for (let sweep = 0; sweep < 50; ++sweep) {
+    const offDiagonal = Math.abs(a[1]) + Math.abs(a[2]) + Math.abs(a[5]);
+    const diagonal = Math.abs(a[0]) + Math.abs(a[4]) + Math.abs(a[8]);
+    if (offDiagonal <= diagonal * 1e-15) {
+      break;
+    }
+
+    for (let i = 0; i < eigenPairs.length; i += 2) {
+      const p = eigenPairs[i];
+      const q = eigenPairs[i + 1];
+      const apq = a[p * 3 + q];
+      if (apq === 0) {
+        continue;
+      }
+
+      // Rotate in the p, q plane so that a[p][q] becomes 0.
+      const theta = (a[q * 3 + q] - a[p * 3 + p]) / (2 * apq);
+      const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const s = t * c;
+
+      for (let k = 0; k < 3; ++k) {
+        const akp = a[k * 3 + p];
+        const akq = a[k * 3 + q];
+        a[k * 3 + p] = c * akp - s * akq;
+        a[k * 3 + q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; ++k) {
+        const apk = a[p * 3 + k];
+        const aqk = a[q * 3 + k];
+        a[p * 3 + k] = c * apk - s * aqk;
+        a[q * 3 + k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; ++k) {
+        const vkp = v[k * 3 + p];
+        const vkq = v[k * 3 + q];
+        v[k * 3 + p] = c * vkp - s * vkq;
+        v[k * 3 + q] = s * vkp + c * vkq;
+      }
+    }
+  }
+
+  eigenOrder[0] = 0;
+  eigenOrder[1] = 1;
+  eigenOrder[2] = 2;
+  eigenOrder.sort((i, j) => a[j * 4] - a[i * 4]);
+
+  for (let i = 0; i < 3; ++i) {
+    const ndx = eigenOrder[i];
+    newValues[i] = a[ndx * 4];
+    newVectors[i * 4 + 0] = v[0 + ndx];
+    newVectors[i * 4 + 1] = v[3 + ndx];
+    newVectors[i * 4 + 2] = v[6 + ndx];
+    newVectors[i * 4 + 3] = 0;
+  }
+
+  if (determinant(newVectors) < 0) {
+    newVectors[8] = -newVectors[8];
+    newVectors[9] = -newVectors[9];
+    newVectors[10] = -newVectors[10];
+  }
+
+  return { values: newValues, vectors: newVectors };
+}
+
 /**
  * Computes the inverse of a 3-by-3 matrix. (same as inverse)
  * @param m - The matrix.
@@ -1028,9 +1199,11 @@ return {
   copy,
   create,
   determinant,
+  eigenSymmetric,
   equals,
   equalsApproximately,
   fromMat4,
+  fromEuler,
   fromQuat,
   get3DScaling,
   getAxis,
@@ -1045,6 +1218,7 @@ return {
   multiplyScalar,
   negate,
   rotate,
+  rotateEuler,
   rotateX,
   rotateY,
   rotateZ,
@@ -1059,6 +1233,7 @@ return {
   set,
   setAxis,
   setTranslation,
+  toEuler,
   translate,
   translation,
   transpose,
@@ -0,0 +1,469 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { Mat3x2Arg, Mat3x2Type } from './mat3x2';
+import { Mat2x3Arg } from './mat2x3';
+import { Mat2Arg } from './mat2';
+import { Mat3Arg } from './mat3';
+import { Mat4Arg } from './mat4';
+import { Vec2Arg } from './vec2';
+import { Vec3Arg } from './vec3';
+import { getAPI as getVec2API } from './vec2-impl';
+import { BaseArgType } from './types';
+
+export { Mat3x2Arg, Mat3x2Type };
+
+type Mat3x2Ctor<T extends Mat3x2Arg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for Mat3x2
+ * */
+function getAPIImpl<MatType extends Mat3x2Arg = Float32Array>(Ctor: Mat3x2Ctor<MatType>) {
+  const vec2 = getVec2API<MatType>(Ctor);
+
+/**
+ * Create a Mat3x2 from values
+ *
+ * Values are given in column order, 3 columns of 2 values each.
+ *
+ * Note: Since passing in a raw JavaScript array
+ * is valid in all circumstances, if you want to
+ * force a JavaScript array into a Mat3x2's specified type
+ * it would be faster to use
+ *
+ * ```
+ * const m = mat3x2.clone(someJSArray);
+ * ```
+ *
+ * @param v0 - value for element 0
+ * @param v1 - value for element 1
+ * @param v2 - value for element 2
+ * @param v3 - value for element 3
+ * @param v4 - value for element 4
+ * @param v5 - value for element 5
+ * @returns matrix created from values.
+ */
+function create(
+    v0?: number, v1?: number,
+    v2?: number, v3?: number,
+    v4?: number, v5?: number) {
+  const newDst = new Ctor(6);
+
+  if (v0 !== undefined) {
+    newDst[0] = v0;
+    if (v1 !== undefined) {
+      newDst[1] = v1;
+      if (v2 !== undefined) {
+        newDst[2] = v2;
+        if (v3 !== undefined) {
+          newDst[3] = v3;
+          if (v4 !== undefined) {
+            newDst[4] = v4;
+            if (v5 !== undefined) {
+              newDst[5] = v5;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return newDst;
+}
+
+/**
+ * Sets the values of a Mat3x2
+ * Also see {@link mat3x2.create} and {@link mat3x2.copy}
+ *
+ * @param v0 - value for element 0
+ * @param v1 - value for element 1
+ * @param v2 - value for element 2
+ * @param v3 - value for element 3
+ * @param v4 - value for element 4
+ * @param v5 - value for element 5
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat3x2 set from values.
+ */
+function set<T extends Mat3x2Arg = MatType>(
+    v0: number, v1: number,
+    v2: number, v3: number,
+    v4: number, v5: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = v0;  newDst[1] = v1;
+  newDst[2] = v2;  newDst[3] = v3;
+  newDst[4] = v4;  newDst[5] = v5;
+
+  return newDst;
+}
+
+/**
+ * Creates a Mat3x2 from a Mat3 by dropping the last row
+ * @param m3 - source matrix
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat3x2 made from m3
+ */
+function fromMat3<T extends Mat3x2Arg = MatType>(m3: Mat3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = m3[0];  newDst[1] = m3[1];
+  newDst[2] = m3[4];  newDst[3] = m3[5];
+  newDst[4] = m3[8];  newDst[5] = m3[9];
+
+  return newDst;
+}
+
+/**
+ * Creates a Mat3x2 from the upper left 3x2 part of a Mat4
+ * @param m4 - source matrix
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat3x2 made from m4
+ */
+function fromMat4<T extends Mat3x2Arg = MatType>(m4: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = m4[0];  newDst[1] = m4[1];
+  newDst[2] = m4[4];  newDst[3] = m4[5];
+  newDst[4] = m4[8];  newDst[5] = m4[9];
+
+  return newDst;
+}
+
+/**
+ * Negates a matrix.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns -m.
+ */
+function negate<T extends Mat3x2Arg = MatType>(m: Mat3x2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = -m[0];  newDst[1] = -m[1];
+  newDst[2] = -m[2];  newDst[3] = -m[3];
+  newDst[4] = -m[4];  newDst[5] = -m[5];
+
+  return newDst;
+}
+
+/**
+ * multiply a matrix by a scalar matrix.
+ * @param m - The matrix.
+ * @param s - the scalar
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns m * s.
+ */
+function multiplyScalar<T extends Mat3x2Arg = MatType>(m: Mat3x2Arg, s: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = m[0] * s;  newDst[1] = m[1] * s;
+  newDst[2] = m[2] * s;  newDst[3] = m[3] * s;
+  newDst[4] = m[4] * s;  newDst[5] = m[5] * s;
+
+  return newDst;
+}
+
+/**
+ * multiply a matrix by a scalar matrix.
+ * @param m - The matrix.
+ * @param s - the scalar
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns m * s.
+ */
+const mulScalar = multiplyScalar;
+
+/**
+ * add 2 matrices.
+ * @param a - matrix 1.
+ * @param b - matrix 2.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns a + b.
+ */
+function add<T extends Mat3x2Arg = MatType>(a: Mat3x2Arg, b: Mat3x2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = a[0] + b[0];  newDst[1] = a[1] + b[1];
+  newDst[2] = a[2] + b[2];  newDst[3] = a[3] + b[3];
+  newDst[4] = a[4] + b[4];  newDst[5] = a[5] + b[5];
+
+  return newDst;
+}
+
+/**
+ * Copies a matrix. (same as {@link mat3x2.clone})
+ * Also see {@link mat3x2.create} and {@link mat3x2.set}
+ * @param m - The matrix.
+ * @param dst - The matrix. If not passed a new one is created.
+ * @returns A copy of m.
+ */
+function copy<T extends Mat3x2Arg = MatType>(m: Mat3x2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = m[0];  newDst[1] = m[1];
+  newDst[2] = m[2];  newDst[3] = m[3];
+  newDst[4] = m[4];  newDst[5] = m[5];
+
+  return newDst;
+}
+
+/**
+ * Copies a matrix (same as {@link mat3x2.copy})
+ * Also see {@link mat3x2.create} and {@link mat3x2.set}
+ * @param m - The matrix.
+ * @param dst - The matrix. If not passed a new one is created.
+ * @returns A copy of m.
+ */
+const clone = copy;
+
+/**
+ * Check if 2 matrices are approximately equal
+ * @param a Operand matrix.
+ * @param b Operand matrix.
+ * @returns true if matrices are approximately equal
+ */
+function equalsApproximately(a: Mat3x2Arg, b: Mat3x2Arg): boolean {
+  return Math.abs(a[0] - b[0]) < utils.EPSILON &&
+         Math.abs(a[1] - b[1]) < utils.EPSILON &&
+         Math.abs(a[2] - b[2]) < utils.EPSILON &&
+         Math.abs(a[3] - b[3]) < utils.EPSILON &&
+         Math.abs(a[4] - b[4]) < utils.EPSILON &&
+         Math.abs(a[5] - b[5]) < utils.EPSILON;
+}
+
+/**
+ * Check if 2 matrices are exactly equal
+ * @param a Operand matrix.
+ * @param b Operand matrix.
+ * @returns true if matrices are exactly equal
+ */
+function equals(a: Mat3x2Arg, b: Mat3x2Arg): boolean {
+  return a[0] === b[0] &&
+         a[1] === b[1] &&
+         a[2] === b[2] &&
+         a[3] === b[3] &&
+         a[4] === b[4] &&
+         a[5] === b[5];
+}
+
+/**
+ * Creates a 3-column by 2-row matrix with ones on the diagonal
+ * and zeros everywhere else.
+ *
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns A 3x2 "identity" matrix.
+ */
+function identity<T extends Mat3x2Arg = MatType>(dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = 1;  newDst[1] = 0;
+  newDst[2] = 0;  newDst[3] = 1;
+  newDst[4] = 0;  newDst[5] = 0;
+
+  return newDst;
+}
+
+/**
+ * Takes the transpose of a matrix, making a Mat2x3 from a Mat3x2.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The transpose of m.
+ */
+function transpose<T extends Mat2x3Arg = MatType>(m: Mat3x2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(8)) as T;
+
+  const m00 = m[0];
+  const m01 = m[1];
+  const m10 = m[2];
+  const m11 = m[3];
+  const m20 = m[4];
+  const m21 = m[5];
+
+  newDst[0] = m00;  newDst[1] = m10;  newDst[2] = m20;  newDst[3] = 0;
+  newDst[4] = m01;  newDst[5] = m11;  newDst[6] = m21;  newDst[7] = 0;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat3x2 by a Mat3 with a on the left and b on the right
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+function multiply<T extends Mat3x2Arg = MatType>(a: Mat3x2Arg, b: Mat3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  const a00 = a[0];
+  const a01 = a[1];
+  const a10 = a[2];
+  const a11 = a[3];
+  const a20 = a[4];
+  const a21 = a[5];
+  const b00 = b[0];
+  const b01 = b[1];
+  const b02 = b[2];
+  const b10 = b[4];
+  const b11 = b[5];
+  const b12 = b[6];
+  const b20 = b[8];
+  const b21 = b[9];
+  const b22 = b[10];
+
+  newDst[0] = a00 * b00 + a10 * b01 + a20 * b02;
+  newDst[1] = a01 * b00 + a11 * b01 + a21 * b02;
+  newDst[2] = a00 * b10 + a10 * b11 + a20 * b12;
+  newDst[3] = a01 * b10 + a11 * b11 + a21 * b12;
+  newDst[4] = a00 * b20 + a10 * b21 + a20 * b22;
+  newDst[5] = a01 * b20 + a11 * b21 + a21 * b22;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat3x2 by a Mat3 with a on the left and b on the right (same as multiply)
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+const mul = multiply;
+
+/**
+ * Multiplies a Mat2 by a Mat3x2 with a on the left and b on the right
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+function premultiply<T extends Mat3x2Arg = MatType>(a: Mat2Arg, b: Mat3x2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  const a00 = a[0];
+  const a01 = a[1];
+  const a10 = a[2];
+  const a11 = a[3];
+  const b00 = b[0];
+  const b01 = b[1];
+  const b10 = b[2];
+  const b11 = b[3];
+  const b20 = b[4];
+  const b21 = b[5];
+
+  newDst[0] = a00 * b00 + a10 * b01;
+  newDst[1] = a01 * b00 + a11 * b01;
+  newDst[2] = a00 * b10 + a10 * b11;
+  newDst[3] = a01 * b10 + a11 * b11;
+  newDst[4] = a00 * b20 + a10 * b21;
+  newDst[5] = a01 * b20 + a11 * b21;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat3x2 by a Vec3, the same as `m * v` in WGSL
+ * @param m - The matrix.
+ * @param v - The vector with three entries.
+ * @param dst - vector to hold result. If not passed a new one is created.
+ * @returns The Vec2 product of m and v.
+ */
+function multiplyVector<T extends Vec2Arg = MatType>(m: Mat3x2Arg, v: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? vec2.create()) as T;
+
+  const v0 = v[0];
+  const v1 = v[1];
+  const v2 = v[2];
+
+  newDst[0] = m[0] * v0 + m[2] * v1 + m[4] * v2;
+  newDst[1] = m[1] * v0 + m[3] * v1 + m[5] * v2;
+
+  return newDst;
+}
+
+/**
+ * Returns an axis (column) of a Mat3x2 as a vector with 2 entries
+ * @param m - The matrix.
+ * @param axis - The axis 0 = x, 1 = y, 2 = z
+ * @returns The axis component of m.
+ */
+function getAxis<T extends Vec2Arg = MatType>(m: Mat3x2Arg, axis: number, dst?: T) {
+  const newDst = (dst ?? vec2.create()) as T;
+  const off = axis * 2;
+  newDst[0] = m[off + 0];
+  newDst[1] = m[off + 1];
+  return newDst;
+}
+
+/**
+ * Sets an axis (column) of a Mat3x2 as a vector with 2 entries
+ * @param m - The matrix.
+ * @param v - the axis vector
+ * @param axis - The axis 0 = x, 1 = y, 2 = z
+ * @param dst - The matrix to set. If not passed a new one is created.
+ * @returns The matrix with axis set.
+ */
+function setAxis<T extends Mat3x2Arg = MatType>(m: Mat3x2Arg, v: Vec2Arg, axis: number, dst?: T) {
+  const newDst = (dst === m ? m : copy(m, dst)) as T;
+
+  const off = axis * 2;
+  newDst[off + 0] = v[0];
+  newDst[off + 1] = v[1];
+  return newDst;
+}
+
+return {
+  add,
+  clone,
+  copy,
+  create,
+  equals,
+  equalsApproximately,
+  fromMat3,
+  fromMat4,
+  getAxis,
+  identity,
+  mul,
+  mulScalar,
+  multiply,
+  multiplyScalar,
+  multiplyVector,
+  negate,
+  premultiply,
+  set,
+  setAxis,
+  transpose,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends Mat3x2Arg = Float32Array>(Ctor: Mat3x2Ctor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
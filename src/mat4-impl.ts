@@ -1,8 +1,13 @@
 import { Mat4Arg, Mat4Type } from './mat4';
 import { Mat3Arg } from './mat3';
+import { PlaneArg } from './plane';
 import { QuatArg } from './quat';
+import { RayArg } from './ray';
+import { Vec2Arg } from './vec2';
 import { Vec3Arg } from './vec3';
+import { Vec4Arg } from './vec4';
 import { getAPI as getVec3API } from './vec3-impl';
+import { getAPI as getQuatAPI, eulerFromMatrix, rotationMatrixFromEuler, RotationOrder } from './quat-impl';
 import { BaseArgType } from './types';
 import * as utils from './utils';
 
@@ -10,11 +15,20 @@ export { Mat4Arg, Mat4Type };
 
 type Mat4Ctor<T extends Mat4Arg = Float32Array>  = new (n: number) => T;
 
+/**
+ * The clip space depth range of a projection matrix.
+ *
+ * * `'zeroToOne'`: WebGPU, Vulkan, Metal, and D3D clip space depth of 0 to 1.
+ * * `'negativeOneToOne'`: WebGL and OpenGL clip space depth of -1 to 1.
+ */
+export type DepthRange = 'zeroToOne' | 'negativeOneToOne';
+
 /**
  * Generates a typed API for Mat4
  * */
 function getAPIImpl<MatType extends Mat4Arg = Float32Array>(Ctor: Mat4Ctor<MatType>) {
   const vec3 = getVec3API<MatType>(Ctor);
+  const quat = getQuatAPI<MatType>(Ctor);
 
 /**
  * 4x4 Matrix math math functions.
@@ -214,6 +228,79 @@ function fromQuat<T extends Mat4Arg = MatType>(q: QuatArg, dst?: T) {
   return newDst;
 }
 
+/**
+ * Computes the euler angles x, y, z for the given intrinsic order such that
+ * `mat4.fromEuler(x, y, z, order)` gives back the same rotation.
+ *
+ * Any scale is removed before computing the angles. If the matrix is mirrored
+ * (its determinant is negative) its x axis is negated first, the same as
+ * {@link mat4.decompose}. When the middle rotation
+ * is at +/- 90 degrees (gimbal lock) the last angle in the order is set to 0
+ * and the entire rotation is put in the first angle.
+ *
+ * @param m - The matrix.
+ * @param order - order to apply euler angles
+ * @param dst - vector to hold the x, y, z angles in radians. If not passed a new one is created.
+ * @returns the x, y, z angles in radians
+ */
+function toEuler<T extends Vec3Arg = MatType>(m: Mat4Arg, order: RotationOrder, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+  return eulerFromMatrix(m, order, newDst);
+}
+
+/**
+ * Creates a 4-by-4 rotation matrix from the given euler angles x, y, z using
+ * the provided intrinsic order. The result represents the same rotation as
+ * `quat.fromEuler(x, y, z, order)`.
+ *
+ * @param xAngleInRadians - angle to rotate around X axis in radians.
+ * @param yAngleInRadians - angle to rotate around Y axis in radians.
+ * @param zAngleInRadians - angle to rotate around Z axis in radians.
+ * @param order - order to apply euler angles
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The rotation matrix.
+ */
+function fromEuler<T extends Mat4Arg = MatType>(
+    xAngleInRadians: number,
+    yAngleInRadians: number,
+    zAngleInRadians: number,
+    order: RotationOrder,
+    dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  rotationMatrixFromEuler(xAngleInRadians, yAngleInRadians, zAngleInRadians, order, newDst);
+
+  newDst[12] = 0;  newDst[13] = 0;  newDst[14] = 0;  newDst[15] = 1;
+
+  return newDst;
+}
+
+const rotateEulerMat = new Ctor(16);
+
+/**
+ * Rotates the given 4-by-4 matrix by the given euler angles x, y, z
+ * using the provided intrinsic order. Equivalent to
+ * `mat4.multiply(m, mat4.fromEuler(x, y, z, order))`.
+ *
+ * @param m - The matrix.
+ * @param xAngleInRadians - angle to rotate around X axis in radians.
+ * @param yAngleInRadians - angle to rotate around Y axis in radians.
+ * @param zAngleInRadians - angle to rotate around Z axis in radians.
+ * @param order - order to apply euler angles
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The rotated matrix.
+ */
+function rotateEuler<T extends Mat4Arg = MatType>(
+    m: Mat4Arg,
+    xAngleInRadians: number,
+    yAngleInRadians: number,
+    zAngleInRadians: number,
+    order: RotationOrder,
+    dst?: T) {
+  fromEuler(xAngleInRadians, yAngleInRadians, zAngleInRadians, order, rotateEulerMat);
+  return multiply(m, rotateEulerMat, dst);
+}
+
 /**
  * Negates a matrix.
  * @param m - The matrix.
@@ -757,6 +844,147 @@ function getScaling<T extends Vec3Arg = MatType>(m: Mat4Arg, dst?: T) {
   return newDst;
 }
 
+/**
+ * Creates a matrix from a translation, rotation and scale.
+ * Equivalent to `translation(t) * fromQuat(r) * scaling(s)`
+ * but faster.
+ *
+ * This is the inverse of {@link mat4.decompose}.
+ *
+ * @param translation - The translation.
+ * @param rotation - The rotation as a quaternion.
+ * @param scale - The scale.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The composed matrix.
+ */
+function compose<T extends Mat4Arg = MatType>(translation: Vec3Arg, rotation: QuatArg, scale: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  const x = rotation[0]; const y = rotation[1]; const z = rotation[2]; const w = rotation[3];
+  const x2 = x + x; const y2 = y + y; const z2 = z + z;
+
+  const xx = x * x2;
+  const yx = y * x2;
+  const yy = y * y2;
+  const zx = z * x2;
+  const zy = z * y2;
+  const zz = z * z2;
+  const wx = w * x2;
+  const wy = w * y2;
+  const wz = w * z2;
+
+  const sx = scale[0];
+  const sy = scale[1];
+  const sz = scale[2];
+
+  newDst[ 0] = (1 - yy - zz) * sx;  newDst[ 1] = (yx + wz) * sx;      newDst[ 2] = (zx - wy) * sx;      newDst[ 3] = 0;
+  newDst[ 4] = (yx - wz) * sy;      newDst[ 5] = (1 - xx - zz) * sy;  newDst[ 6] = (zy + wx) * sy;      newDst[ 7] = 0;
+  newDst[ 8] = (zx + wy) * sz;      newDst[ 9] = (zy - wx) * sz;      newDst[10] = (1 - xx - yy) * sz;  newDst[11] = 0;
+  newDst[12] = translation[0];      newDst[13] = translation[1];      newDst[14] = translation[2];      newDst[15] = 1;
+
+  return newDst;
+}
+
+const rotationMat = new Ctor(16);
+
+/**
+ * Decomposes a matrix into its translation, rotation and scale.
+ *
+ * If the matrix is mirrored (its upper 3x3 has a negative determinant)
+ * the x scale is negated so that the rotation is a proper rotation.
+ * The rotation columns are normalized before extracting the rotation
+ * and the resulting quaternion is normalized so matrices with some
+ * numerical drift still decompose into a unit quaternion. If one axis
+ * has zero scale its direction is recomputed from the other 2 axes. If more
+ * than one axis has zero scale the rotation is the identity.
+ *
+ * Passing the results to {@link mat4.compose} gives back the original matrix
+ * as long as it has no perspective or shear.
+ *
+ * @param m - The matrix to decompose.
+ * @param translation - vector to hold the translation. If not passed a new one is created.
+ * @param rotation - quaternion to hold the rotation. If not passed a new one is created.
+ * @param scale - vector to hold the scale. If not passed a new one is created.
+ * @returns the translation, rotation and scale
+ */
+function decompose<V extends Vec3Arg = MatType, Q extends QuatArg = MatType>(
+    m: Mat4Arg, translation?: V, rotation?: Q, scale?: V): { translation: V, rotation: Q, scale: V } {
+  const newTranslation = (translation ?? vec3.create()) as V;
+  const newRotation = (rotation ?? quat.create()) as Q;
+  const newScale = (scale ?? vec3.create()) as V;
+
+  let xx = m[0];
+  let xy = m[1];
+  let xz = m[2];
+  let yx = m[4];
+  let yy = m[5];
+  let yz = m[6];
+  let zx = m[8];
+  let zy = m[9];
+  let zz = m[10];
+
+  let sx = Math.sqrt(xx * xx + xy * xy + xz * xz);
+  const sy = Math.sqrt(yx * yx + yy * yy + yz * yz);
+  const sz = Math.sqrt(zx * zx + zy * zy + zz * zz);
+
+  const det = xx * (yy * zz - yz * zy) -
+              yx * (xy * zz - xz * zy) +
+              zx * (xy * yz - xz * yy);
+  if (det < 0) {
+    sx = -sx;
+  }
+
+  newTranslation[0] = m[12];
+  newTranslation[1] = m[13];
+  newTranslation[2] = m[14];
+
+  newScale[0] = sx;
+  newScale[1] = sy;
+  newScale[2] = sz;
+
+  const xDegenerate = Math.abs(sx) < utils.EPSILON;
+  const yDegenerate = sy < utils.EPSILON;
+  const zDegenerate = sz < utils.EPSILON;
+
+  if (!xDegenerate) {
+    xx /= sx; xy /= sx; xz /= sx;
+  }
+  if (!yDegenerate) {
+    yx /= sy; yy /= sy; yz /= sy;
+  }
+  if (!zDegenerate) {
+    zx /= sz; zy /= sz; zz /= sz;
+  }
+
+  if (xDegenerate && !yDegenerate && !zDegenerate) {
+    xx = yy * zz - yz * zy;
+    xy = yz * zx - yx * zz;
+    xz = yx * zy - yy * zx;
+  } else if (yDegenerate && !xDegenerate && !zDegenerate) {
+    yx = zy * xz - zz * xy;
+    yy = zz * xx - zx * xz;
+    yz = zx * xy - zy * xx;
+  } else if (zDegenerate && !xDegenerate && !yDegenerate) {
+    zx = xy * yz - xz * yy;
+    zy = xz * yx - xx * yz;
+    zz = xx * yy - xy * yx;
+  }
+
+  rotationMat[ 0] = xx;  rotationMat[ 1] = xy;  rotationMat[ 2] = xz;
+  rotationMat[ 4] = yx;  rotationMat[ 5] = yy;  rotationMat[ 6] = yz;
+  rotationMat[ 8] = zx;  rotationMat[ 9] = zy;  rotationMat[10] = zz;
+
+  const numDegenerate = (xDegenerate ? 1 : 0) + (yDegenerate ? 1 : 0) + (zDegenerate ? 1 : 0);
+  if (numDegenerate > 1) {
+    quat.identity(newRotation);
+  } else {
+    quat.fromMat(rotationMat, newRotation);
+    quat.normalize(newRotation, newRotation);
+  }
+
+  return { translation: newTranslation, rotation: newRotation, scale: newScale };
+}
+
 /**
  * Computes a 4-by-4 perspective transformation matrix given the angular height
  * of the frustum, the aspect ratio, and the near and far clipping planes.  The
@@ -829,6 +1057,8 @@ function perspective<T extends Mat4Arg = MatType>(fieldOfViewYInRadians: number,
  * We assume a unit box extending from -1 to 1 in the x and y dimensions and
  * from 1 (at -zNear) to 0 (at -zFar) in the z dimension.
  *
+ * Note: zFar defaults to `Infinity` which maps -zNear to 1 and infinitely far away to 0.
+ *
  * @param fieldOfViewYInRadians - The camera angle from top to bottom (in radians).
  * @param aspect - The aspect ratio width / height.
  * @param zNear - The depth (negative z coordinate)
@@ -876,6 +1106,10 @@ function perspective<T extends Mat4Arg = MatType>(fieldOfViewYInRadians: number,
  * Computes a 4-by-4 orthogonal transformation matrix that transforms from
  * the given the left, right, bottom, and top dimensions to -1 +1 in x, and y
  * and 0 to +1 in z.
+ *
+ * Note: Unlike the perspective projections far can not be `Infinity`. The depth
+ * of an orthographic projection is linear so it would map every depth to 0.
+ *
  * @param left - Left side of the near clipping plane viewport.
  * @param right - Right side of the near clipping plane viewport.
  * @param bottom - Bottom of the near clipping plane viewport.
@@ -913,6 +1147,50 @@ function ortho<T extends Mat4Arg = MatType>(left: number, right: number, bottom:
   return newDst;
 }
 
+/**
+ * Computes a 4-by-4 reverse-z orthogonal transformation matrix that transforms from
+ * the given the left, right, bottom, and top dimensions to -1 +1 in x, and y
+ * and 1 (at -near) to 0 (at -far) in z.
+ *
+ * Note: far can not be `Infinity`. See {@link mat4.ortho}.
+ *
+ * @param left - Left side of the near clipping plane viewport.
+ * @param right - Right side of the near clipping plane viewport.
+ * @param bottom - Bottom of the near clipping plane viewport.
+ * @param top - Top of the near clipping plane viewport.
+ * @param near - The depth (negative z coordinate)
+ *     of the near clipping plane.
+ * @param far - The depth (negative z coordinate)
+ *     of the far clipping plane.
+ * @param dst - Output matrix. If not passed a new one is created.
+ * @returns The orthographic projection matrix.
+ */
+function orthoReverseZ<T extends Mat4Arg = MatType>(left: number, right: number, bottom: number, top: number, near: number, far: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  newDst[0]  = 2 / (right - left);
+  newDst[1]  = 0;
+  newDst[2]  = 0;
+  newDst[3]  = 0;
+
+  newDst[4]  = 0;
+  newDst[5]  = 2 / (top - bottom);
+  newDst[6]  = 0;
+  newDst[7]  = 0;
+
+  newDst[8]  = 0;
+  newDst[9]  = 0;
+  newDst[10] = 1 / (far - near);
+  newDst[11] = 0;
+
+  newDst[12] = (right + left) / (left - right);
+  newDst[13] = (top + bottom) / (bottom - top);
+  newDst[14] = far / (far - near);
+  newDst[15] = 1;
+
+  return newDst;
+}
+
 /**
  * Computes a 4-by-4 perspective transformation matrix given the left, right,
  * top, bottom, near and far clipping planes. The arguments define a frustum
@@ -922,6 +1200,9 @@ function ortho<T extends Mat4Arg = MatType>(left: number, right: number, bottom:
  * matrix generated sends the viewing frustum to the unit box. We assume a unit
  * box extending from -1 to 1 in the x and y dimensions and from 0 to 1 in the z
  * dimension.
+ *
+ * Note: If you pass `Infinity` for far then -near maps to 0 and infinitely far away maps to 1.
+ *
  * @param left - The x coordinate of the left plane of the box.
  * @param right - The x coordinate of the right plane of the box.
  * @param bottom - The y coordinate of the bottom plane of the box.
@@ -936,7 +1217,6 @@ function frustum<T extends Mat4Arg = MatType>(left: number, right: number, botto
 
   const dx = (right - left);
   const dy = (top - bottom);
-  const dz = (near - far);
 
   newDst[ 0] = 2 * near / dx;
   newDst[ 1] = 0;
@@ -948,13 +1228,20 @@ function frustum<T extends Mat4Arg = MatType>(left: number, right: number, botto
   newDst[ 7] = 0;
   newDst[ 8] = (left + right) / dx;
   newDst[ 9] = (top + bottom) / dy;
-  newDst[10] = far / dz;
   newDst[11] = -1;
   newDst[12] = 0;
   newDst[13] = 0;
-  newDst[14] = near * far / dz;
   newDst[15] = 0;
 
+  if (Number.isFinite(far)) {
+    const dz = (near - far);
+    newDst[10] = far / dz;
+    newDst[14] = near * far / dz;
+  } else {
+    newDst[10] = -1;
+    newDst[14] = -near;
+  }
+
   return newDst;
 }
 
@@ -967,12 +1254,15 @@ function frustum<T extends Mat4Arg = MatType>(left: number, right: number, botto
  * matrix generated sends the viewing frustum to the unit box. We assume a unit
  * box extending from -1 to 1 in the x and y dimensions and from 1 (-near) to 0 (-far) in the z
  * dimension.
+ *
+ * Note: far defaults to `Infinity` which maps -near to 1 and infinitely far away to 0.
+ *
  * @param left - The x coordinate of the left plane of the box.
  * @param right - The x coordinate of the right plane of the box.
  * @param bottom - The y coordinate of the bottom plane of the box.
  * @param top - The y coordinate of the right plane of the box.
  * @param near - The negative z coordinate of the near plane of the box.
- * @param far - The negative z coordinate of the far plane of the box.
+ * @param far - The negative z coordinate of the far plane of the box. (default = Infinity)
  * @param dst - Output matrix. If not passed a new one is created.
  * @returns The perspective projection matrix.
  */
@@ -1009,6 +1299,205 @@ function frustumReverseZ<T extends Mat4Arg = MatType>(left: number, right: numbe
   return newDst;
 }
 
+/**
+ * Converts a projection matrix from one clip space depth range to another.
+ * For example, to use a projection made by {@link mat4.perspective} in WebGL
+ *
+ * ```
+ * mat4.convertDepthRange(projection, 'zeroToOne', 'negativeOneToOne', projection);
+ * ```
+ *
+ * Note: Only the z row of the matrix changes.
+ *
+ * @param projection - The projection matrix.
+ * @param from - The depth range of projection.
+ * @param to - The depth range to convert to.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The converted projection matrix.
+ */
+function convertDepthRange<T extends Mat4Arg = MatType>(projection: Mat4Arg, from: DepthRange, to: DepthRange, dst?: T) {
+  const newDst = (dst === projection) ? dst : copy(projection, dst);
+  if (from === to) {
+    return newDst;
+  }
+
+  // z' = 2z - w converts 0..1 to -1..1, z' = (z + w) / 2 converts back.
+  const toGL = to === 'negativeOneToOne';
+  const scale = toGL ? 2 : 0.5;
+  const wScale = toGL ? -1 : 0.5;
+  for (let i = 0; i < 16; i += 4) {
+    newDst[i + 2] = newDst[i + 2] * scale + newDst[i + 3] * wScale;
+  }
+
+  return newDst;
+}
+
+/**
+ * Computes a 4-by-4 perspective transformation matrix like {@link mat4.perspective}
+ * but for a clip space depth range of -1 to 1 as used by WebGL.
+ *
+ * Note: If you pass `Infinity` for zFar then -zNear maps to -1 and infinitely far away maps to 1.
+ *
+ * @param fieldOfViewYInRadians - The camera angle from top to bottom (in radians).
+ * @param aspect - The aspect ratio width / height.
+ * @param zNear - The depth (negative z coordinate)
+ *     of the near clipping plane.
+ * @param zFar - The depth (negative z coordinate)
+ *     of the far clipping plane.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The perspective matrix.
+ */
+function perspectiveGL<T extends Mat4Arg = MatType>(fieldOfViewYInRadians: number, aspect: number, zNear: number, zFar: number, dst?: T) {
+  const newDst = perspective(fieldOfViewYInRadians, aspect, zNear, zFar, dst);
+  return convertDepthRange(newDst, 'zeroToOne', 'negativeOneToOne', newDst);
+}
+
+/**
+ * Computes a 4-by-4 orthogonal transformation matrix like {@link mat4.ortho}
+ * but for a clip space depth range of -1 to 1 as used by WebGL.
+ *
+ * @param left - Left side of the near clipping plane viewport.
+ * @param right - Right side of the near clipping plane viewport.
+ * @param bottom - Bottom of the near clipping plane viewport.
+ * @param top - Top of the near clipping plane viewport.
+ * @param near - The depth (negative z coordinate)
+ *     of the near clipping plane.
+ * @param far - The depth (negative z coordinate)
+ *     of the far clipping plane.
+ * @param dst - Output matrix. If not passed a new one is created.
+ * @returns The orthographic projection matrix.
+ */
+function orthoGL<T extends Mat4Arg = MatType>(left: number, right: number, bottom: number, top: number, near: number, far: number, dst?: T) {
+  const newDst = ortho(left, right, bottom, top, near, far, dst);
+  return convertDepthRange(newDst, 'zeroToOne', 'negativeOneToOne', newDst);
+}
+
+/**
+ * Computes a 4-by-4 perspective transformation matrix like {@link mat4.frustum}
+ * but for a clip space depth range of -1 to 1 as used by WebGL.
+ *
+ * @param left - The x coordinate of the left plane of the box.
+ * @param right - The x coordinate of the right plane of the box.
+ * @param bottom - The y coordinate of the bottom plane of the box.
+ * @param top - The y coordinate of the right plane of the box.
+ * @param near - The negative z coordinate of the near plane of the box.
+ * @param far - The negative z coordinate of the far plane of the box.
+ * @param dst - Output matrix. If not passed a new one is created.
+ * @returns The perspective projection matrix.
+ */
+function frustumGL<T extends Mat4Arg = MatType>(left: number, right: number, bottom: number, top: number, near: number, far: number, dst?: T) {
+  const newDst = frustum(left, right, bottom, top, near, far, dst);
+  return convertDepthRange(newDst, 'zeroToOne', 'negativeOneToOne', newDst);
+}
+
+/**
+ * Offsets a projection matrix by a sub-pixel amount, for example for temporal
+ * anti-aliasing. Works with matrices from {@link mat4.perspective},
+ * {@link mat4.perspectiveReverseZ}, {@link mat4.frustum}, {@link mat4.frustumReverseZ},
+ * {@link mat4.ortho}, and {@link mat4.orthoReverseZ}.
+ *
+ * The jitter is in pixels. Positive x moves the image right and positive y
+ * moves the image up, the same directions as clip space. See {@link vec2.haltonJitter}
+ * for a sequence of offsets.
+ *
+ * @param projection - The projection matrix.
+ * @param jitterX - the horizontal offset in pixels.
+ * @param jitterY - the vertical offset in pixels.
+ * @param width - the width of the render target in pixels.
+ * @param height - the height of the render target in pixels.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The jittered projection matrix.
+ */
+function jitter<T extends Mat4Arg = MatType>(
+    projection: Mat4Arg, jitterX: number, jitterY: number, width: number, height: number, dst?: T) {
+  const newDst = (dst === projection) ? dst : copy(projection, dst);
+
+  const dx = 2 * jitterX / width;
+  const dy = 2 * jitterY / height;
+
+  // Same as translation([dx, dy, 0]) * projection but only the x and y rows change.
+  // This puts the offset in m[8], m[9] for perspective matrices and m[12], m[13]
+  // for orthographic ones.
+  for (let i = 0; i < 16; i += 4) {
+    const w = newDst[i + 3];
+    newDst[i + 0] += dx * w;
+    newDst[i + 1] += dy * w;
+  }
+
+  return newDst;
+}
+
+const obliqueInverse = new Ctor(16);
+
+/**
+ * Modifies a projection matrix so its near plane is replaced with an arbitrary
+ * clip plane using Eric Lengyel's oblique near-plane clipping technique. This is
+ * useful when rendering planar reflections and portals to clip away everything
+ * behind the mirror or portal without using a clip distance in the shader.
+ *
+ * Works with matrices from {@link mat4.perspective}, {@link mat4.frustum}, and
+ * {@link mat4.ortho} with their 0 to 1 depth range. Pass `reverseZ = true` for
+ * matrices from {@link mat4.perspectiveReverseZ}, {@link mat4.frustumReverseZ}, and
+ * {@link mat4.orthoReverseZ}, including ones with an infinite far plane.
+ *
+ * The clip plane is stored as `[nx, ny, nz, d]` in view space. Its normal should point
+ * away from the camera into the part of the scene that should be kept, which means
+ * the camera, at the origin, is on its negative side (d < 0). See {@link plane}.
+ *
+ * Note: the far plane moves so that it still passes through the far corners
+ * of the original frustum. The more the clip plane tilts away from the original
+ * near plane the worse the depth precision.
+ *
+ * @param projection - The projection matrix.
+ * @param clipPlane - The clip plane in view space.
+ * @param reverseZ - true if the projection maps near to 1 and far to 0.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The projection matrix with an oblique near plane.
+ */
+function obliqueClip<T extends Mat4Arg = MatType>(projection: Mat4Arg, clipPlane: PlaneArg, reverseZ = false, dst?: T) {
+  const newDst = (dst === projection) ? dst : copy(projection, dst);
+
+  const cx = clipPlane[0];
+  const cy = clipPlane[1];
+  const cz = clipPlane[2];
+  const cw = clipPlane[3];
+
+  // The corner of the original frustum on the far plane opposite the clip plane
+  // put back into view space.
+  const inv = inverse(projection, obliqueInverse);
+  const x = Math.sign(cx);
+  const y = Math.sign(cy);
+  const z = reverseZ ? 0 : 1;
+  const qx = inv[0] * x + inv[4] * y + inv[ 8] * z + inv[12];
+  const qy = inv[1] * x + inv[5] * y + inv[ 9] * z + inv[13];
+  const qz = inv[2] * x + inv[6] * y + inv[10] * z + inv[14];
+  const qw = inv[3] * x + inv[7] * y + inv[11] * z + inv[15];
+
+  // Scale the plane so that corner stays on the far plane.
+  const r3x = newDst[ 3];
+  const r3y = newDst[ 7];
+  const r3z = newDst[11];
+  const r3w = newDst[15];
+  const a = (r3x * qx + r3y * qy + r3z * qz + r3w * qw) /
+            (cx * qx + cy * qy + cz * qz + cw * qw);
+
+  if (reverseZ) {
+    // near is z <= w so the third row becomes the fourth row minus the plane
+    newDst[ 2] = r3x - cx * a;
+    newDst[ 6] = r3y - cy * a;
+    newDst[10] = r3z - cz * a;
+    newDst[14] = r3w - cw * a;
+  } else {
+    // near is z >= 0 so the third row becomes the plane
+    newDst[ 2] = cx * a;
+    newDst[ 6] = cy * a;
+    newDst[10] = cz * a;
+    newDst[14] = cw * a;
+  }
+
+  return newDst;
+}
+
 const xAxis = vec3.create();
 const yAxis = vec3.create();
 const zAxis = vec3.create();
@@ -1102,6 +1591,415 @@ function lookAt<T extends Mat4Arg = MatType>(eye: Vec3Arg, target: Vec3Arg, up:
   return newDst;
 }
 
+// Look directions and up vectors for the cube faces in WebGPU's
+// layer order +X, -X, +Y, -Y, +Z, -Z.
+const cubeFaceDirections = [
+  [ 1,  0,  0],
+  [-1,  0,  0],
+  [ 0,  1,  0],
+  [ 0, -1,  0],
+  [ 0,  0,  1],
+  [ 0,  0, -1],
+];
+const cubeFaceUps = [
+  [0, -1,  0],
+  [0, -1,  0],
+  [0,  0,  1],
+  [0,  0, -1],
+  [0, -1,  0],
+  [0, -1,  0],
+];
+const cubeFaceTarget = vec3.create();
+
+/**
+ * Computes the view matrix for rendering one face of a cube map, for example
+ * for point light shadows or environment probes.
+ *
+ * The faces are in the same order as the array layers of a WebGPU cube texture.
+ *
+ * | faceIndex | face |
+ * |-----------|------|
+ * | 0         | +X   |
+ * | 1         | -X   |
+ * | 2         | +Y   |
+ * | 3         | -Y   |
+ * | 4         | +Z   |
+ * | 5         | -Z   |
+ *
+ * Use it with {@link mat4.cubeFacePerspective}. A texel rendered at a pixel of a face
+ * is the one WebGPU samples in that direction from `position`.
+ *
+ * Note: Cube maps are left handed so these matrices mirror the image. Triangles
+ * that are counter-clockwise in a normal view are clockwise when rendered with
+ * these matrices so use `frontFace: 'cw'` (or flip your `cullMode`) in the pipeline
+ * you render the faces with.
+ *
+ * @param faceIndex - The index of the face, 0 to 5.
+ * @param position - The center of the cube map.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The view matrix for the face.
+ */
+function cubeFaceView<T extends Mat4Arg = MatType>(faceIndex: number, position: Vec3Arg, dst?: T) {
+  const direction = cubeFaceDirections[faceIndex];
+  if (!direction) {
+    throw new Error(`faceIndex must be 0 to 5, got ${faceIndex}`);
+  }
+
+  vec3.add(position, direction, cubeFaceTarget);
+  const newDst = lookAt(position, cubeFaceTarget, cubeFaceUps[faceIndex], dst);
+
+  // flip the camera's y axis so the rendered face matches how WebGPU samples cube maps.
+  newDst[ 1] = -newDst[ 1];
+  newDst[ 5] = -newDst[ 5];
+  newDst[ 9] = -newDst[ 9];
+  newDst[13] = -newDst[13];
+
+  return newDst;
+}
+
+/**
+ * Computes the view matrices for all 6 faces of a cube map.
+ * See {@link mat4.cubeFaceView}.
+ *
+ * @param position - The center of the cube map.
+ * @param dst - array of 6 matrices to hold the result. If not passed new ones are created.
+ * @returns The 6 view matrices in the order +X, -X, +Y, -Y, +Z, -Z.
+ */
+function cubeFaceViews<T extends Mat4Arg = MatType>(position: Vec3Arg, dst?: T[]) {
+  const newDst = dst ?? [] as T[];
+  for (let i = 0; i < 6; ++i) {
+    newDst[i] = cubeFaceView(i, position, newDst[i]);
+  }
+  return newDst;
+}
+
+/**
+ * Computes the perspective matrix for rendering the faces of a cube map.
+ * This is a 90 degree field of view with an aspect of 1 so the faces meet
+ * without gaps or overlap. See {@link mat4.cubeFaceView}.
+ *
+ * @param zNear - The depth (negative z coordinate)
+ *     of the near clipping plane.
+ * @param zFar - The depth (negative z coordinate)
+ *     of the far clipping plane.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The perspective matrix.
+ */
+function cubeFacePerspective<T extends Mat4Arg = MatType>(zNear: number, zFar: number, dst?: T) {
+  return perspective(Math.PI * 0.5, 1, zNear, zFar, dst);
+}
+
+const screenPoint = vec3.create();
+const rayNear = vec3.create();
+const rayFar = vec3.create();
+
+/**
+ * Computes a world space ray from a screen position, for example the mouse position, for picking.
+ *
+ * Screen x goes right and screen y goes down with 0, 0 at the top left of the viewport.
+ * The ray starts on the near plane and its direction is normalized.
+ *
+ * @param inverseViewProjection - the inverse of the view-projection matrix.
+ * @param screenPos - the position in screen space.
+ * @param viewport - the viewport as `[x, y, width, height]`.
+ * @param reverseZ - true if the projection maps near to 1 and far to 0.
+ * @param dst - ray to hold result as `[ox, oy, oz, dx, dy, dz]`. If not passed a new one is created.
+ * @returns The ray.
+ */
+function screenRay<T extends RayArg = MatType>(
+    inverseViewProjection: Mat4Arg, screenPos: Vec2Arg, viewport: Vec4Arg, reverseZ = false, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  screenPoint[0] = screenPos[0];
+  screenPoint[1] = screenPos[1];
+
+  screenPoint[2] = reverseZ ? 1 : 0;
+  vec3.unproject(screenPoint, inverseViewProjection, viewport, rayNear);
+  // 0.5 is just a depth that is finite for both normal and reverse-z
+  // projections, including ones with an infinite far plane.
+  screenPoint[2] = 0.5;
+  vec3.unproject(screenPoint, inverseViewProjection, viewport, rayFar);
+
+  vec3.normalize(vec3.subtract(rayFar, rayNear, rayFar), rayFar);
+
+  newDst[0] = rayNear[0];  newDst[1] = rayNear[1];  newDst[2] = rayNear[2];
+  newDst[3] = rayFar[0];   newDst[4] = rayFar[1];   newDst[5] = rayFar[2];
+
+  return newDst;
+}
+
+/**
+ * Computes the 8 world space corners of the part of a view frustum between
+ * two clip space depths. For example, to get the corners of the first half
+ * of the depth range
+ *
+ * ```
+ * const corners = mat4.frustumCornersRange(inverseViewProjection, 0, 0.5);
+ * ```
+ *
+ * The corners are returned as 24 floats, 3 per corner, the corners at `nearDepth` first,
+ * each in the order (-x, -y), (+x, -y), (-x, +y), (+x, +y) in clip space.
+ *
+ * Corners that are infinitely far away, like the far corners of a projection with
+ * its far plane at infinity, have coordinates of `Infinity` or `-Infinity` in the
+ * direction the corner goes and 0 where the direction is 0.
+ *
+ * @param inverseViewProjection - The inverse of the camera's view projection matrix.
+ * @param nearDepth - The clip space depth of the first 4 corners.
+ * @param farDepth - The clip space depth of the last 4 corners.
+ * @param dst - array of 24 floats to hold result. If not passed a new one is created.
+ * @returns The corners.
+ */
+function frustumCornersRange<T extends BaseArgType = MatType>(
+    inverseViewProjection: Mat4Arg, nearDepth: number, farDepth: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(24)) as T;
+
+  for (let i = 0; i < 8; ++i) {
+    const x = (i & 1) ? 1 : -1;
+    const y = (i & 2) ? 1 : -1;
+    const z = (i & 4) ? farDepth : nearDepth;
+    const m = inverseViewProjection;
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+    for (let j = 0; j < 3; ++j) {
+      const v = m[j] * x + m[4 + j] * y + m[8 + j] * z + m[12 + j];
+      // w is 0 at infinity. Don't divide so 0 stays 0 rather than NaN.
+      newDst[i * 3 + j] = w !== 0 ? v / w : v > 0 ? Infinity : v < 0 ? -Infinity : 0;
+    }
+  }
+
+  return newDst;
+}
+
+/**
+ * Computes the 8 world space corners of a view frustum, for example for
+ * debug drawing or fitting a shadow map. See {@link mat4.frustumCornersRange}.
+ *
+ * The corners are returned as 24 floats, 3 per corner, near corners first,
+ * each in the order (-x, -y), (+x, -y), (-x, +y), (+x, +y) in clip space.
+ *
+ * Note: If the projection has a far plane at infinity the far corners are infinitely
+ * far away. See {@link mat4.frustumCornersRange}.
+ *
+ * @param inverseViewProjection - The inverse of the camera's view projection matrix.
+ * @param reverseZ - true if the projection is reverse-z, in which case the near plane is at depth 1.
+ * @param dst - array of 24 floats to hold result. If not passed a new one is created.
+ * @returns The corners.
+ */
+function frustumCorners<T extends BaseArgType = MatType>(inverseViewProjection: Mat4Arg, reverseZ = false, dst?: T) {
+  const nearDepth = reverseZ ? 1 : 0;
+  return frustumCornersRange(inverseViewProjection, nearDepth, 1 - nearDepth, dst);
+}
+
+const clusterInverse = new Ctor(16);
+const cornerPoint = vec3.create();
+const clusterCorners = new Ctor(8);
+
+/**
+ * Computes the view space bounds of every cluster of a clustered (froxel) grid
+ * for clustered lighting. The view frustum is divided into `gridX` by `gridY` tiles
+ * on screen and `gridZ` slices in depth. The slices are spaced exponentially so slice
+ * `k` covers the view distances
+ *
+ * ```
+ * zNear * (zFar / zNear) ** (k / gridZ) to zNear * (zFar / zNear) ** ((k + 1) / gridZ)
+ * ```
+ *
+ * which means a shader can find the slice for a view distance `d` with
+ *
+ * ```
+ * k = floor(log(d / zNear) / log(zFar / zNear) * gridZ)
+ * ```
+ *
+ * The result is 8 floats per cluster, the min and max of the cluster's view space
+ * AABB each followed by a 0 for padding, `minX, minY, minZ, 0, maxX, maxY, maxZ, 0`.
+ * This matches the layout of a WGSL storage buffer of
+ *
+ * ```
+ * struct Cluster { min: vec3f, max: vec3f };
+ * @group(0) @binding(0) var<storage> clusters: array<Cluster>;
+ * ```
+ *
+ * where each `vec3f` is aligned to 16 bytes. Cluster `x, y, z` starts at offset
+ * `(x + y * gridX + z * gridX * gridY) * 8` where tiles go left to right and top
+ * to bottom like framebuffer coordinates and slices go from near to far.
+ *
+ * Note: projection must be a perspective projection, for example from
+ * {@link mat4.perspective} or {@link mat4.perspectiveReverseZ}. zNear and zFar are the
+ * range to divide into slices and do not need to match the projection so a projection
+ * with zFar at infinity works.
+ *
+ * @param projection - The perspective projection matrix.
+ * @param gridX - The number of tiles across.
+ * @param gridY - The number of tiles down.
+ * @param gridZ - The number of depth slices.
+ * @param zNear - The distance of the near side of the first slice.
+ * @param zFar - The distance of the far side of the last slice.
+ * @param dst - array to hold the result. If not passed a new one is created.
+ * @returns The cluster bounds.
+ */
+function clusterBounds<T extends BaseArgType = MatType>(
+    projection: Mat4Arg, gridX: number, gridY: number, gridZ: number, zNear: number, zFar: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(gridX * gridY * gridZ * 8)) as T;
+
+  inverse(projection, clusterInverse);
+  const farOverNear = zFar / zNear;
+
+  for (let y = 0; y < gridY; ++y) {
+    for (let x = 0; x < gridX; ++x) {
+      // The x, y of each corner of the tile at a view distance of 1.
+      // A depth of 0.5 is finite for both normal and reverse-z projections
+      // even if zFar is at infinity.
+      for (let i = 0; i < 4; ++i) {
+        const ndcX = ((x + (i & 1)) / gridX) * 2 - 1;
+        const ndcY = 1 - ((y + (i >> 1)) / gridY) * 2;
+        vec3.transformMat4(vec3.set(ndcX, ndcY, 0.5, cornerPoint), clusterInverse, cornerPoint);
+        clusterCorners[i * 2 + 0] = cornerPoint[0] / -cornerPoint[2];
+        clusterCorners[i * 2 + 1] = cornerPoint[1] / -cornerPoint[2];
+      }
+
+      for (let z = 0; z < gridZ; ++z) {
+        const near = zNear * Math.pow(farOverNear, z / gridZ);
+        const far = zNear * Math.pow(farOverNear, (z + 1) / gridZ);
+        let minX = Number.POSITIVE_INFINITY;
+        let minY = Number.POSITIVE_INFINITY;
+        let maxX = Number.NEGATIVE_INFINITY;
+        let maxY = Number.NEGATIVE_INFINITY;
+        for (let i = 0; i < 8; i += 2) {
+          const cx = clusterCorners[i + 0];
+          const cy = clusterCorners[i + 1];
+          minX = Math.min(minX, cx * near, cx * far);
+          minY = Math.min(minY, cy * near, cy * far);
+          maxX = Math.max(maxX, cx * near, cx * far);
+          maxY = Math.max(maxY, cy * near, cy * far);
+        }
+
+        const offset = (x + y * gridX + z * gridX * gridY) * 8;
+        newDst[offset + 0] = minX;
+        newDst[offset + 1] = minY;
+        newDst[offset + 2] = -far;
+        newDst[offset + 3] = 0;
+        newDst[offset + 4] = maxX;
+        newDst[offset + 5] = maxY;
+        newDst[offset + 6] = -near;
+        newDst[offset + 7] = 0;
+      }
+    }
+  }
+
+  return newDst;
+}
+
+const sliceCorners = new Ctor(24);
+
+/**
+ * Computes the 8 world space corners of a slice of a view frustum, for example
+ * one cascade of a cascaded shadow map. See {@link utils.cascadeSplits}.
+ *
+ * The corners are in the same order as {@link mat4.frustumCorners}.
+ *
+ * Note: zFar must be finite.
+ *
+ * @param inverseViewProjection - The inverse of the camera's view projection matrix.
+ * @param zNear - The near distance of the camera's projection.
+ * @param zFar - The far distance of the camera's projection.
+ * @param near - The distance to the near side of the slice.
+ * @param far - The distance to the far side of the slice.
+ * @param reverseZ - true if the projection is reverse-z.
+ * @param dst - array of 24 floats to hold result. If not passed a new one is created.
+ * @returns The corners of the slice.
+ */
+function cascadeCorners<T extends BaseArgType = MatType>(
+    inverseViewProjection: Mat4Arg, zNear: number, zFar: number, near: number, far: number, reverseZ = false, dst?: T) {
+  const newDst = (dst ?? new Ctor(24)) as T;
+
+  frustumCorners(inverseViewProjection, reverseZ, sliceCorners);
+
+  const range = zFar - zNear;
+  const tNear = (near - zNear) / range;
+  const tFar = (far - zNear) / range;
+
+  // The edges of the frustum are straight lines so points along them
+  // are linear in view distance.
+  for (let i = 0; i < 12; ++i) {
+    const a = sliceCorners[i];
+    const b = sliceCorners[i + 12];
+    newDst[i] = a + (b - a) * tNear;
+    newDst[i + 12] = a + (b - a) * tFar;
+  }
+
+  return newDst;
+}
+
+const lightView = new Ctor(16);
+const lightCenter = vec3.create();
+const lightUp = vec3.create();
+const lightEye = vec3.create(0, 0, 0);
+
+/**
+ * Computes an orthographic view projection matrix for a directional light
+ * that encloses the given points, for example the corners of a cascade from
+ * {@link mat4.cascadeCorners}.
+ *
+ * The matrix is fit to a bounding sphere of the points and its position is snapped
+ * to whole texels of the shadow map so the shadows don't shimmer as the camera
+ * moves and rotates.
+ *
+ * @param corners - The points to enclose, 3 floats per point.
+ * @param lightDirection - The direction the light is shining.
+ * @param shadowMapSize - The width and height of the shadow map in texels.
+ * @param zPadding - How far to extend the near plane toward the light so that
+ *     objects outside the slice can still cast shadows into it.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The light's view projection matrix.
+ */
+function cascadeLightMatrix<T extends Mat4Arg = MatType>(
+    corners: ArrayLike<number>, lightDirection: Vec3Arg, shadowMapSize: number, zPadding = 0, dst?: T) {
+  const numPoints = Math.floor(corners.length / 3);
+
+  vec3.zero(lightCenter);
+  for (let i = 0; i < numPoints * 3; i += 3) {
+    lightCenter[0] += corners[i + 0];
+    lightCenter[1] += corners[i + 1];
+    lightCenter[2] += corners[i + 2];
+  }
+  vec3.divScalar(lightCenter, numPoints, lightCenter);
+
+  let radius = 0;
+  for (let i = 0; i < numPoints * 3; i += 3) {
+    const dx = corners[i + 0] - lightCenter[0];
+    const dy = corners[i + 1] - lightCenter[1];
+    const dz = corners[i + 2] - lightCenter[2];
+    radius = Math.max(radius, Math.sqrt(dx * dx + dy * dy + dz * dz));
+  }
+  // Round up to a 64th of the next power of 2 so small changes in the points
+  // don't change the size whatever the scale of the scene.
+  if (radius > 0) {
+    const step = Math.pow(2, Math.ceil(Math.log2(radius))) / 64;
+    radius = Math.ceil(radius / step) * step;
+  }
+
+  // The view is at the origin so it only changes when the light direction does.
+  const isVertical = Math.abs(lightDirection[1]) > 0.99 * vec3.length(lightDirection);
+  vec3.set(0, isVertical ? 0 : 1, isVertical ? 1 : 0, lightUp);
+  lookAt(lightEye, lightDirection, lightUp, lightView);
+
+  // Leave a 1 texel border so snapping never moves a point outside.
+  const halfSize = radius * shadowMapSize / (shadowMapSize - 2);
+  const texelSize = 2 * halfSize / shadowMapSize;
+
+  vec3.transformMat4(lightCenter, lightView, lightCenter);
+  const x = Math.floor(lightCenter[0] / texelSize) * texelSize;
+  const y = Math.floor(lightCenter[1] / texelSize) * texelSize;
+  const depth = -lightCenter[2];
+
+  const newDst = ortho(
+      x - halfSize, x + halfSize,
+      y - halfSize, y + halfSize,
+      depth - radius - zPadding, depth + radius,
+      dst);
+  return multiply(newDst, lightView, newDst);
+}
+
 /**
  * Creates a 4-by-4 matrix which translates by the given vector v.
  * @param v - The vector by
@@ -1623,21 +2521,103 @@ function uniformScale<T extends Mat4Arg = MatType>(m: Mat4Arg, s: number, dst?:
   return newDst;
 }
 
+/**
+ * Creates a 4-by-4 matrix which reflects across a plane, for example to render a mirror.
+ *
+ * The plane is stored as `[nx, ny, nz, d]` where every point p on the plane
+ * satisfies `dot(n, p) + d = 0`. It is expected to be normalized. See the `plane` namespace.
+ *
+ * Note: a reflection flips the winding order of triangles.
+ *
+ * @param plane - The plane to reflect across.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The reflection matrix.
+ */
+function reflection<T extends Mat4Arg = MatType>(plane: PlaneArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  const a = plane[0];
+  const b = plane[1];
+  const c = plane[2];
+  const d = plane[3];
+
+  newDst[ 0] = 1 - 2 * a * a;  newDst[ 1] =    -2 * a * b;  newDst[ 2] =    -2 * a * c;  newDst[ 3] = 0;
+  newDst[ 4] =    -2 * a * b;  newDst[ 5] = 1 - 2 * b * b;  newDst[ 6] =    -2 * b * c;  newDst[ 7] = 0;
+  newDst[ 8] =    -2 * a * c;  newDst[ 9] =    -2 * b * c;  newDst[10] = 1 - 2 * c * c;  newDst[11] = 0;
+  newDst[12] =    -2 * a * d;  newDst[13] =    -2 * b * d;  newDst[14] =    -2 * c * d;  newDst[15] = 1;
+
+  return newDst;
+}
+
+/**
+ * Creates a 4-by-4 matrix which projects points onto a plane away from a light,
+ * for drawing simple planar shadows.
+ *
+ * The light is either a position, `[x, y, z, 1]`, for a point light, or a direction
+ * toward the light, `[x, y, z, 0]`, for a directional light.
+ *
+ * The plane is stored as `[nx, ny, nz, d]` where every point p on the plane
+ * satisfies `dot(n, p) + d = 0`. See the `plane` namespace.
+ *
+ * The result has a perspective component (w is not 1) so transformed points
+ * need to be divided by w, which {@link vec3.transformMat4} and the GPU both do.
+ *
+ * @param plane - The plane to project onto.
+ * @param light - The light position (w = 1) or direction toward the light (w = 0).
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The shadow projection matrix.
+ */
+function shadowProjection<T extends Mat4Arg = MatType>(plane: PlaneArg, light: Vec4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  const a = plane[0];
+  const b = plane[1];
+  const c = plane[2];
+  const d = plane[3];
+
+  const lx = light[0];
+  const ly = light[1];
+  const lz = light[2];
+  const lw = light[3];
+
+  const dot = a * lx + b * ly + c * lz + d * lw;
+
+  newDst[ 0] = dot - lx * a;  newDst[ 1] = -ly * a;       newDst[ 2] = -lz * a;       newDst[ 3] = -lw * a;
+  newDst[ 4] = -lx * b;       newDst[ 5] = dot - ly * b;  newDst[ 6] = -lz * b;       newDst[ 7] = -lw * b;
+  newDst[ 8] = -lx * c;       newDst[ 9] = -ly * c;       newDst[10] = dot - lz * c;  newDst[11] = -lw * c;
+  newDst[12] = -lx * d;       newDst[13] = -ly * d;       newDst[14] = -lz * d;       newDst[15] = dot - lw * d;
+
+  return newDst;
+}
+
 return {
   add,
   aim,
   axisRotate,
   axisRotation,
   cameraAim,
+  cascadeCorners,
+  cascadeLightMatrix,
   clone,
+  clusterBounds,
+  compose,
+  convertDepthRange,
   copy,
   create,
+  cubeFacePerspective,
+  cubeFaceView,
+  cubeFaceViews,
+  decompose,
   determinant,
   equals,
   equalsApproximately,
   fromMat3,
+  fromEuler,
   fromQuat,
   frustum,
+  frustumCorners,
+  frustumCornersRange,
+  frustumGL,
   frustumReverseZ,
   getAxis,
   getScaling,
@@ -1645,16 +2625,23 @@ return {
   identity,
   inverse,
   invert,
+  jitter,
   lookAt,
   mul,
   mulScalar,
   multiply,
   multiplyScalar,
   negate,
+  obliqueClip,
   ortho,
+  orthoGL,
+  orthoReverseZ,
   perspective,
+  perspectiveGL,
   perspectiveReverseZ,
+  reflection,
   rotate,
+  rotateEuler,
   rotateX,
   rotateY,
   rotateZ,
@@ -1664,9 +2651,12 @@ return {
   rotationZ,
   scale,
   scaling,
+  screenRay,
   set,
   setAxis,
   setTranslation,
+  shadowProjection,
+  toEuler,
   translate,
   translation,
   transpose,
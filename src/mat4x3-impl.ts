@@ -0,0 +1,554 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { Mat4x3Arg, Mat4x3Type } from './mat4x3';
+import { Mat3x4Arg } from './mat3x4';
+import { Mat3Arg } from './mat3';
+import { Mat4Arg } from './mat4';
+import { Vec3Arg } from './vec3';
+import { Vec4Arg } from './vec4';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+export { Mat4x3Arg, Mat4x3Type };
+
+type Mat4x3Ctor<T extends Mat4x3Arg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for Mat4x3
+ * */
+function getAPIImpl<MatType extends Mat4x3Arg = Float32Array>(Ctor: Mat4x3Ctor<MatType>) {
+  const vec3 = getVec3API<MatType>(Ctor);
+
+/**
+ * Create a Mat4x3 from values
+ *
+ * Values are given in column order, 4 columns of 3 values each.
+ *
+ * Note: Since passing in a raw JavaScript array
+ * is valid in all circumstances, if you want to
+ * force a JavaScript array into a Mat4x3's specified type
+ * it would be faster to use
+ *
+ * ```
+ * const m = mat4x3.clone(someJSArray);
+ * ```
+ *
+ * @param v0 - value for element 0
+ * @param v1 - value for element 1
+ * @param v2 - value for element 2
+ * @param v3 - value for element 3
+ * @param v4 - value for element 4
+ * @param v5 - value for element 5
+ * @param v6 - value for element 6
+ * @param v7 - value for element 7
+ * @param v8 - value for element 8
+ * @param v9 - value for element 9
+ * @param v10 - value for element 10
+ * @param v11 - value for element 11
+ * @returns matrix created from values.
+ */
+function create(
+    v0?: number, v1?: number, v2?: number,
+    v3?: number, v4?: number, v5?: number,
+    v6?: number, v7?: number, v8?: number,
+    v9?: number, v10?: number, v11?: number) {
+  const newDst = new Ctor(16);
+  // to make the array homogenous
+  newDst[ 3] = 0;
+  newDst[ 7] = 0;
+  newDst[11] = 0;
+  newDst[15] = 0;
+
+  if (v0 !== undefined) {
+    newDst[ 0] = v0;
+    if (v1 !== undefined) {
+      newDst[ 1] = v1;
+      if (v2 !== undefined) {
+        newDst[ 2] = v2;
+        if (v3 !== undefined) {
+          newDst[ 4] = v3;
+          if (v4 !== undefined) {
+            newDst[ 5] = v4;
+            if (v5 !== undefined) {
+              newDst[ 6] = v5;
+              if (v6 !== undefined) {
+                newDst[ 8] = v6;
+                if (v7 !== undefined) {
+                  newDst[ 9] = v7;
+                  if (v8 !== undefined) {
+                    newDst[10] = v8;
+                    if (v9 !== undefined) {
+                      newDst[12] = v9;
+                      if (v10 !== undefined) {
+                        newDst[13] = v10;
+                        if (v11 !== undefined) {
+                          newDst[14] = v11;
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return newDst;
+}
+
+/**
+ * Sets the values of a Mat4x3
+ * Also see {@link mat4x3.create} and {@link mat4x3.copy}
+ *
+ * @param v0 - value for element 0
+ * @param v1 - value for element 1
+ * @param v2 - value for element 2
+ * @param v3 - value for element 3
+ * @param v4 - value for element 4
+ * @param v5 - value for element 5
+ * @param v6 - value for element 6
+ * @param v7 - value for element 7
+ * @param v8 - value for element 8
+ * @param v9 - value for element 9
+ * @param v10 - value for element 10
+ * @param v11 - value for element 11
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat4x3 set from values.
+ */
+function set<T extends Mat4x3Arg = MatType>(
+    v0: number, v1: number, v2: number,
+    v3: number, v4: number, v5: number,
+    v6: number, v7: number, v8: number,
+    v9: number, v10: number, v11: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  newDst[ 0] = v0;  newDst[ 1] = v1;  newDst[ 2] = v2;  newDst[ 3] = 0;
+  newDst[ 4] = v3;  newDst[ 5] = v4;  newDst[ 6] = v5;  newDst[ 7] = 0;
+  newDst[ 8] = v6;  newDst[ 9] = v7;  newDst[10] = v8;  newDst[11] = 0;
+  newDst[12] = v9;  newDst[13] = v10;  newDst[14] = v11;  newDst[15] = 0;
+
+  return newDst;
+}
+
+/**
+ * Creates a Mat4x3 from a Mat4 by dropping the last row
+ * @param m4 - source matrix
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns Mat4x3 made from m4
+ */
+function fromMat4<T extends Mat4x3Arg = MatType>(m4: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  newDst[ 0] = m4[ 0];  newDst[ 1] = m4[ 1];  newDst[ 2] = m4[ 2];  newDst[ 3] = 0;
+  newDst[ 4] = m4[ 4];  newDst[ 5] = m4[ 5];  newDst[ 6] = m4[ 6];  newDst[ 7] = 0;
+  newDst[ 8] = m4[ 8];  newDst[ 9] = m4[ 9];  newDst[10] = m4[10];  newDst[11] = 0;
+  newDst[12] = m4[12];  newDst[13] = m4[13];  newDst[14] = m4[14];  newDst[15] = 0;
+
+  return newDst;
+}
+
+/**
+ * Negates a matrix.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns -m.
+ */
+function negate<T extends Mat4x3Arg = MatType>(m: Mat4x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  newDst[ 0] = -m[ 0];  newDst[ 1] = -m[ 1];  newDst[ 2] = -m[ 2];
+  newDst[ 4] = -m[ 4];  newDst[ 5] = -m[ 5];  newDst[ 6] = -m[ 6];
+  newDst[ 8] = -m[ 8];  newDst[ 9] = -m[ 9];  newDst[10] = -m[10];
+  newDst[12] = -m[12];  newDst[13] = -m[13];  newDst[14] = -m[14];
+
+  return newDst;
+}
+
+/**
+ * multiply a matrix by a scalar matrix.
+ * @param m - The matrix.
+ * @param s - the scalar
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns m * s.
+ */
+function multiplyScalar<T extends Mat4x3Arg = MatType>(m: Mat4x3Arg, s: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  newDst[ 0] = m[ 0] * s;  newDst[ 1] = m[ 1] * s;  newDst[ 2] = m[ 2] * s;
+  newDst[ 4] = m[ 4] * s;  newDst[ 5] = m[ 5] * s;  newDst[ 6] = m[ 6] * s;
+  newDst[ 8] = m[ 8] * s;  newDst[ 9] = m[ 9] * s;  newDst[10] = m[10] * s;
+  newDst[12] = m[12] * s;  newDst[13] = m[13] * s;  newDst[14] = m[14] * s;
+
+  return newDst;
+}
+
+/**
+ * multiply a matrix by a scalar matrix.
+ * @param m - The matrix.
+ * @param s - the scalar
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns m * s.
+ */
+const mulScalar = multiplyScalar;
+
+/**
+ * add 2 matrices.
+ * @param a - matrix 1.
+ * @param b - matrix 2.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns a + b.
+ */
+function add<T extends Mat4x3Arg = MatType>(a: Mat4x3Arg, b: Mat4x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  newDst[ 0] = a[ 0] + b[ 0];  newDst[ 1] = a[ 1] + b[ 1];  newDst[ 2] = a[ 2] + b[ 2];
+  newDst[ 4] = a[ 4] + b[ 4];  newDst[ 5] = a[ 5] + b[ 5];  newDst[ 6] = a[ 6] + b[ 6];
+  newDst[ 8] = a[ 8] + b[ 8];  newDst[ 9] = a[ 9] + b[ 9];  newDst[10] = a[10] + b[10];
+  newDst[12] = a[12] + b[12];  newDst[13] = a[13] + b[13];  newDst[14] = a[14] + b[14];
+
+  return newDst;
+}
+
+/**
+ * Copies a matrix. (same as {@link mat4x3.clone})
+ * Also see {@link mat4x3.create} and {@link mat4x3.set}
+ * @param m - The matrix.
+ * @param dst - The matrix. If not passed a new one is created.
+ * @returns A copy of m.
+ */
+function copy<T extends Mat4x3Arg = MatType>(m: Mat4x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  newDst[ 0] = m[ 0];  newDst[ 1] = m[ 1];  newDst[ 2] = m[ 2];
+  newDst[ 4] = m[ 4];  newDst[ 5] = m[ 5];  newDst[ 6] = m[ 6];
+  newDst[ 8] = m[ 8];  newDst[ 9] = m[ 9];  newDst[10] = m[10];
+  newDst[12] = m[12];  newDst[13] = m[13];  newDst[14] = m[14];
+
+  return newDst;
+}
+
+/**
+ * Copies a matrix (same as {@link mat4x3.copy})
+ * Also see {@link mat4x3.create} and {@link mat4x3.set}
+ * @param m - The matrix.
+ * @param dst - The matrix. If not passed a new one is created.
+ * @returns A copy of m.
+ */
+const clone = copy;
+
+/**
+ * Check if 2 matrices are approximately equal
+ * @param a Operand matrix.
+ * @param b Operand matrix.
+ * @returns true if matrices are approximately equal
+ */
+function equalsApproximately(a: Mat4x3Arg, b: Mat4x3Arg): boolean {
+  return Math.abs(a[ 0] - b[ 0]) < utils.EPSILON &&
+         Math.abs(a[ 1] - b[ 1]) < utils.EPSILON &&
+         Math.abs(a[ 2] - b[ 2]) < utils.EPSILON &&
+         Math.abs(a[ 4] - b[ 4]) < utils.EPSILON &&
+         Math.abs(a[ 5] - b[ 5]) < utils.EPSILON &&
+         Math.abs(a[ 6] - b[ 6]) < utils.EPSILON &&
+         Math.abs(a[ 8] - b[ 8]) < utils.EPSILON &&
+         Math.abs(a[ 9] - b[ 9]) < utils.EPSILON &&
+         Math.abs(a[10] - b[10]) < utils.EPSILON &&
+         Math.abs(a[12] - b[12]) < utils.EPSILON &&
+         Math.abs(a[13] - b[13]) < utils.EPSILON &&
+         Math.abs(a[14] - b[14]) < utils.EPSILON;
+}
+
+/**
+ * Check if 2 matrices are exactly equal
+ * @param a Operand matrix.
+ * @param b Operand matrix.
+ * @returns true if matrices are exactly equal
+ */
+function equals(a: Mat4x3Arg, b: Mat4x3Arg): boolean {
+  return a[ 0] === b[ 0] &&
+         a[ 1] === b[ 1] &&
+         a[ 2] === b[ 2] &&
+         a[ 4] === b[ 4] &&
+         a[ 5] === b[ 5] &&
+         a[ 6] === b[ 6] &&
+         a[ 8] === b[ 8] &&
+         a[ 9] === b[ 9] &&
+         a[10] === b[10] &&
+         a[12] === b[12] &&
+         a[13] === b[13] &&
+         a[14] === b[14];
+}
+
+/**
+ * Creates a 4-column by 3-row matrix with ones on the diagonal
+ * and zeros everywhere else.
+ *
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns A 4x3 "identity" matrix.
+ */
+function identity<T extends Mat4x3Arg = MatType>(dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  newDst[ 0] = 1;  newDst[ 1] = 0;  newDst[ 2] = 0;
+  newDst[ 4] = 0;  newDst[ 5] = 1;  newDst[ 6] = 0;
+  newDst[ 8] = 0;  newDst[ 9] = 0;  newDst[10] = 1;
+  newDst[12] = 0;  newDst[13] = 0;  newDst[14] = 0;
+
+  return newDst;
+}
+
+/**
+ * Takes the transpose of a matrix, making a Mat3x4 from a Mat4x3.
+ * @param m - The matrix.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The transpose of m.
+ */
+function transpose<T extends Mat3x4Arg = MatType>(m: Mat4x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(12)) as T;
+
+  const m00 = m[0];
+  const m01 = m[1];
+  const m02 = m[2];
+  const m10 = m[4];
+  const m11 = m[5];
+  const m12 = m[6];
+  const m20 = m[8];
+  const m21 = m[9];
+  const m22 = m[10];
+  const m30 = m[12];
+  const m31 = m[13];
+  const m32 = m[14];
+
+  newDst[ 0] = m00;  newDst[ 1] = m10;  newDst[ 2] = m20;  newDst[ 3] = m30;
+  newDst[ 4] = m01;  newDst[ 5] = m11;  newDst[ 6] = m21;  newDst[ 7] = m31;
+  newDst[ 8] = m02;  newDst[ 9] = m12;  newDst[10] = m22;  newDst[11] = m32;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat4x3 by a Mat4 with a on the left and b on the right
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+function multiply<T extends Mat4x3Arg = MatType>(a: Mat4x3Arg, b: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  const a00 = a[0];
+  const a01 = a[1];
+  const a02 = a[2];
+  const a10 = a[4];
+  const a11 = a[5];
+  const a12 = a[6];
+  const a20 = a[8];
+  const a21 = a[9];
+  const a22 = a[10];
+  const a30 = a[12];
+  const a31 = a[13];
+  const a32 = a[14];
+  const b00 = b[0];
+  const b01 = b[1];
+  const b02 = b[2];
+  const b03 = b[3];
+  const b10 = b[4];
+  const b11 = b[5];
+  const b12 = b[6];
+  const b13 = b[7];
+  const b20 = b[8];
+  const b21 = b[9];
+  const b22 = b[10];
+  const b23 = b[11];
+  const b30 = b[12];
+  const b31 = b[13];
+  const b32 = b[14];
+  const b33 = b[15];
+
+  newDst[ 0] = a00 * b00 + a10 * b01 + a20 * b02 + a30 * b03;
+  newDst[ 1] = a01 * b00 + a11 * b01 + a21 * b02 + a31 * b03;
+  newDst[ 2] = a02 * b00 + a12 * b01 + a22 * b02 + a32 * b03;
+  newDst[ 4] = a00 * b10 + a10 * b11 + a20 * b12 + a30 * b13;
+  newDst[ 5] = a01 * b10 + a11 * b11 + a21 * b12 + a31 * b13;
+  newDst[ 6] = a02 * b10 + a12 * b11 + a22 * b12 + a32 * b13;
+  newDst[ 8] = a00 * b20 + a10 * b21 + a20 * b22 + a30 * b23;
+  newDst[ 9] = a01 * b20 + a11 * b21 + a21 * b22 + a31 * b23;
+  newDst[10] = a02 * b20 + a12 * b21 + a22 * b22 + a32 * b23;
+  newDst[12] = a00 * b30 + a10 * b31 + a20 * b32 + a30 * b33;
+  newDst[13] = a01 * b30 + a11 * b31 + a21 * b32 + a31 * b33;
+  newDst[14] = a02 * b30 + a12 * b31 + a22 * b32 + a32 * b33;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat4x3 by a Mat4 with a on the left and b on the right (same as multiply)
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+const mul = multiply;
+
+/**
+ * Multiplies a Mat3 by a Mat4x3 with a on the left and b on the right
+ * @param a - The matrix on the left.
+ * @param b - The matrix on the right.
+ * @param dst - matrix to hold result. If not passed a new one is created.
+ * @returns The matrix product of a and b.
+ */
+function premultiply<T extends Mat4x3Arg = MatType>(a: Mat3Arg, b: Mat4x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(16)) as T;
+
+  const a00 = a[0];
+  const a01 = a[1];
+  const a02 = a[2];
+  const a10 = a[4];
+  const a11 = a[5];
+  const a12 = a[6];
+  const a20 = a[8];
+  const a21 = a[9];
+  const a22 = a[10];
+  const b00 = b[0];
+  const b01 = b[1];
+  const b02 = b[2];
+  const b10 = b[4];
+  const b11 = b[5];
+  const b12 = b[6];
+  const b20 = b[8];
+  const b21 = b[9];
+  const b22 = b[10];
+  const b30 = b[12];
+  const b31 = b[13];
+  const b32 = b[14];
+
+  newDst[ 0] = a00 * b00 + a10 * b01 + a20 * b02;
+  newDst[ 1] = a01 * b00 + a11 * b01 + a21 * b02;
+  newDst[ 2] = a02 * b00 + a12 * b01 + a22 * b02;
+  newDst[ 4] = a00 * b10 + a10 * b11 + a20 * b12;
+  newDst[ 5] = a01 * b10 + a11 * b11 + a21 * b12;
+  newDst[ 6] = a02 * b10 + a12 * b11 + a22 * b12;
+  newDst[ 8] = a00 * b20 + a10 * b21 + a20 * b22;
+  newDst[ 9] = a01 * b20 + a11 * b21 + a21 * b22;
+  newDst[10] = a02 * b20 + a12 * b21 + a22 * b22;
+  newDst[12] = a00 * b30 + a10 * b31 + a20 * b32;
+  newDst[13] = a01 * b30 + a11 * b31 + a21 * b32;
+  newDst[14] = a02 * b30 + a12 * b31 + a22 * b32;
+
+  return newDst;
+}
+
+/**
+ * Multiplies a Mat4x3 by a Vec4, the same as `m * v` in WGSL
+ * @param m - The matrix.
+ * @param v - The vector with four entries.
+ * @param dst - vector to hold result. If not passed a new one is created.
+ * @returns The Vec3 product of m and v.
+ */
+function multiplyVector<T extends Vec3Arg = MatType>(m: Mat4x3Arg, v: Vec4Arg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  const v0 = v[0];
+  const v1 = v[1];
+  const v2 = v[2];
+  const v3 = v[3];
+
+  newDst[0] = m[ 0] * v0 + m[ 4] * v1 + m[ 8] * v2 + m[12] * v3;
+  newDst[1] = m[ 1] * v0 + m[ 5] * v1 + m[ 9] * v2 + m[13] * v3;
+  newDst[2] = m[ 2] * v0 + m[ 6] * v1 + m[10] * v2 + m[14] * v3;
+
+  return newDst;
+}
+
+/**
+ * Returns an axis (column) of a Mat4x3 as a vector with 3 entries
+ * @param m - The matrix.
+ * @param axis - The axis 0 = x, 1 = y, 2 = z, 3 = w
+ * @returns The axis component of m.
+ */
+function getAxis<T extends Vec3Arg = MatType>(m: Mat4x3Arg, axis: number, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+  const off = axis * 4;
+  newDst[0] = m[off + 0];
+  newDst[1] = m[off + 1];
+  newDst[2] = m[off + 2];
+  return newDst;
+}
+
+/**
+ * Sets an axis (column) of a Mat4x3 as a vector with 3 entries
+ * @param m - The matrix.
+ * @param v - the axis vector
+ * @param axis - The axis 0 = x, 1 = y, 2 = z, 3 = w
+ * @param dst - The matrix to set. If not passed a new one is created.
+ * @returns The matrix with axis set.
+ */
+function setAxis<T extends Mat4x3Arg = MatType>(m: Mat4x3Arg, v: Vec3Arg, axis: number, dst?: T) {
+  const newDst = (dst === m ? m : copy(m, dst)) as T;
+
+  const off = axis * 4;
+  newDst[off + 0] = v[0];
+  newDst[off + 1] = v[1];
+  newDst[off + 2] = v[2];
+  return newDst;
+}
+
+return {
+  add,
+  clone,
+  copy,
+  create,
+  equals,
+  equalsApproximately,
+  fromMat4,
+  getAxis,
+  identity,
+  mul,
+  mulScalar,
+  multiply,
+  multiplyScalar,
+  multiplyVector,
+  negate,
+  premultiply,
+  set,
+  setAxis,
+  transpose,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends Mat4x3Arg = Float32Array>(Ctor: Mat4x3Ctor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
@@ -0,0 +1,399 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { BaseArgType, MutableNumberArray } from './types';
+
+type ArrayCtor<T extends BaseArgType = Float32Array>  = new (n: number) => T;
+
+/**
+ * Where each vertex attribute is in its buffer, in elements (not bytes).
+ * Unspecified strides default to the size of the attribute
+ * (3 for positions and normals, 2 for uvs and 4 for tangents) and
+ * unspecified offsets default to 0.
+ *
+ * The same layout can describe one interleaved buffer. For example, for vertices
+ * of position, normal, uv, tangent
+ *
+ *     const layout = {
+ *       positionOffset: 0, positionStride: 12,
+ *       normalOffset: 3, normalStride: 12,
+ *       uvOffset: 6, uvStride: 12,
+ *       tangentOffset: 8, tangentStride: 12,
+ *     };
+ */
+export type MeshLayout = {
+  positionOffset?: number,
+  positionStride?: number,
+  normalOffset?: number,
+  normalStride?: number,
+  uvOffset?: number,
+  uvStride?: number,
+  tangentOffset?: number,
+  tangentStride?: number,
+};
+
+// Throws if an attribute's stride or offset can not be used to step through its buffer.
+function checkAttribute(name: string, stride: number, offset: number) {
+  utils.checkStride(stride, `${name}Stride`);
+  if (!(offset >= 0)) {
+    throw new Error(`${name}Offset must be 0 or greater, got ${offset}`);
+  }
+}
+
+// The number of complete vertices in a buffer.
+function vertexCount(data: ArrayLike<number>, stride: number, offset: number, size: number) {
+  const n = data.length - offset - size;
+  return n < 0 ? 0 : Math.floor(n / stride) + 1;
+}
+
+// The number of elements needed to hold count vertices.
+function attributeLength(count: number, stride: number, offset: number, size: number) {
+  return count ? offset + (count - 1) * stride + size : 0;
+}
+
+// The angle between 2 edges of a triangle.
+function cornerAngle(ax: number, ay: number, az: number, bx: number, by: number, bz: number) {
+  const lenSq = (ax * ax + ay * ay + az * az) * (bx * bx + by * by + bz * bz);
+  if (lenSq === 0) {
+    return 0;
+  }
+  const cos = (ax * bx + ay * by + az * bz) / Math.sqrt(lenSq);
+  return Math.acos(Math.min(1, Math.max(-1, cos)));
+}
+
+// The positions and vertex indices of the triangle being processed.
+const triPositions = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+const triIndices = [0, 0, 0];
+
+// The per vertex bitangents while computing tangents.
+// Kept between calls so it only grows.
+let bitangents = new Float64Array(0);
+
+function getBitangents(count: number) {
+  if (bitangents.length < count * 3) {
+    bitangents = new Float64Array(count * 3);
+  }
+  bitangents.fill(0, 0, count * 3);
+  return bitangents;
+}
+
+function readTriangle(
+    positions: ArrayLike<number>, indices: ArrayLike<number> | null | undefined,
+    triangle: number, stride: number, offset: number) {
+  for (let k = 0; k < 3; ++k) {
+    const ndx = indices ? indices[triangle * 3 + k] : triangle * 3 + k;
+    const p = ndx * stride + offset;
+    triIndices[k] = ndx;
+    triPositions[k * 3    ] = positions[p    ];
+    triPositions[k * 3 + 1] = positions[p + 1];
+    triPositions[k * 3 + 2] = positions[p + 2];
+  }
+}
+
+/**
+ * Generates a typed API for mesh functions
+ * */
+function getAPIImpl<ArrayType extends BaseArgType = Float32Array>(Ctor: ArrayCtor<ArrayType>) {
+
+/**
+ * Mesh functions.
+ *
+ * These functions work on whole buffers of vertex data, the kind you'd
+ * upload to a GPU, rather than one vector at a time. Vertex attributes
+ * may be in separate buffers or interleaved in one buffer. See {@link MeshLayout}.
+ *
+ * Triangles are given by an index buffer, for example a `Uint16Array` or
+ * `Uint32Array`, 3 indices per triangle. If there is no index buffer then
+ * every 3 vertices are a triangle.
+ *
+ *     const normals = mesh.computeNormals(positions, indices);
+ *     const tangents = mesh.computeTangents(positions, normals, uvs, indices);
+ *
+ * When a destination buffer is passed in only the elements of its attribute are
+ * written, so it can be the same interleaved buffer the other attributes are in.
+ */
+
+/**
+ * Computes smooth vertex normals.
+ *
+ * Each vertex's normal is the normalized sum of the normals of the triangles
+ * that use the vertex, weighted by their area. The normal of a triangle points
+ * toward the side from which its vertices appear counter clockwise.
+ *
+ * @param positions - The vertex positions.
+ * @param indices - The index buffer or null/undefined for non-indexed triangles.
+ * @param layout - Where positions and normals are in their buffers.
+ * @param dst - buffer to hold the normals. If not passed in a new one is created.
+ * @returns The buffer of normals.
+ */
+function computeNormals<T extends MutableNumberArray = ArrayType>(
+    positions: ArrayLike<number>, indices?: ArrayLike<number> | null, layout?: MeshLayout, dst?: T) {
+  const positionStride = layout?.positionStride ?? 3;
+  const positionOffset = layout?.positionOffset ?? 0;
+  const normalStride = layout?.normalStride ?? 3;
+  const normalOffset = layout?.normalOffset ?? 0;
+  checkAttribute('position', positionStride, positionOffset);
+  checkAttribute('normal', normalStride, normalOffset);
+
+  const count = vertexCount(positions, positionStride, positionOffset, 3);
+  const newDst = (dst ?? new Ctor(attributeLength(count, normalStride, normalOffset, 3))) as T;
+
+  for (let i = 0; i < count; ++i) {
+    const n = i * normalStride + normalOffset;
+    newDst[n    ] = 0;
+    newDst[n + 1] = 0;
+    newDst[n + 2] = 0;
+  }
+
+  const p = triPositions;
+  const numTriangles = Math.floor((indices ? indices.length : count) / 3);
+  for (let t = 0; t < numTriangles; ++t) {
+    readTriangle(positions, indices, t, positionStride, positionOffset);
+
+    const e1x = p[3] - p[0];
+    const e1y = p[4] - p[1];
+    const e1z = p[5] - p[2];
+    const e2x = p[6] - p[0];
+    const e2y = p[7] - p[1];
+    const e2z = p[8] - p[2];
+
+    // the length of the cross product is twice the area of the triangle
+    const nx = e1y * e2z - e1z * e2y;
+    const ny = e1z * e2x - e1x * e2z;
+    const nz = e1x * e2y - e1y * e2x;
+
+    for (let k = 0; k < 3; ++k) {
+      const n = triIndices[k] * normalStride + normalOffset;
+      newDst[n    ] += nx;
+      newDst[n + 1] += ny;
+      newDst[n + 2] += nz;
+    }
+  }
+
+  for (let i = 0; i < count; ++i) {
+    const n = i * normalStride + normalOffset;
+    const x = newDst[n    ];
+    const y = newDst[n + 1];
+    const z = newDst[n + 2];
+    const lenSq = x * x + y * y + z * z;
+    const scale = lenSq > 0 ? 1 / Math.sqrt(lenSq) : 1;
+    newDst[n    ] = x * scale;
+    newDst[n + 1] = y * scale;
+    newDst[n + 2] = z * scale;
+  }
+
+  return newDst;
+}
+
+/**
+ * Computes vertex tangents.
+ *
+ * Each tangent is 4 values. The first 3 are a unit vector perpendicular to
+ * the vertex's normal pointing in the direction u increases. The 4th is 1 or -1,
+ * the handedness, such that `bitangent = cross(normal, tangent.xyz) * tangent.w`.
+ *
+ * This follows the same conventions as MikkTSpace (and so glTF): the tangents of
+ * the triangles that use a vertex are projected onto the plane of the vertex's
+ * normal and summed weighted by the angle of the triangle at that vertex.
+ * The bitangents are summed the same way and the handedness is whether
+ * `cross(normal, tangent.xyz)` points the same way as the bitangent, so it
+ * does not depend on which way the triangles are wound.
+ * Unlike MikkTSpace, vertices are never split, so for results that match
+ * vertices should already be split where the uvs are mirrored.
+ *
+ * Triangles with no uv area are ignored. A vertex with no tangent is given
+ * an arbitrary one perpendicular to its normal.
+ *
+ * @param positions - The vertex positions.
+ * @param normals - The vertex normals. They should be normalized. See {@link mesh.computeNormals}.
+ * @param uvs - The vertex texture coordinates.
+ * @param indices - The index buffer or null/undefined for non-indexed triangles.
+ * @param layout - Where positions, normals, uvs and tangents are in their buffers.
+ * @param dst - buffer to hold the tangents. If not passed in a new one is created.
+ * @returns The buffer of tangents.
+ */
+function computeTangents<T extends MutableNumberArray = ArrayType>(
+    positions: ArrayLike<number>, normals: ArrayLike<number>, uvs: ArrayLike<number>,
+    indices?: ArrayLike<number> | null, layout?: MeshLayout, dst?: T) {
+  const positionStride = layout?.positionStride ?? 3;
+  const positionOffset = layout?.positionOffset ?? 0;
+  const normalStride = layout?.normalStride ?? 3;
+  const normalOffset = layout?.normalOffset ?? 0;
+  const uvStride = layout?.uvStride ?? 2;
+  const uvOffset = layout?.uvOffset ?? 0;
+  const tangentStride = layout?.tangentStride ?? 4;
+  const tangentOffset = layout?.tangentOffset ?? 0;
+  checkAttribute('position', positionStride, positionOffset);
+  checkAttribute('normal', normalStride, normalOffset);
+  checkAttribute('uv', uvStride, uvOffset);
+  checkAttribute('tangent', tangentStride, tangentOffset);
+
+  const count = vertexCount(positions, positionStride, positionOffset, 3);
+  const newDst = (dst ?? new Ctor(attributeLength(count, tangentStride, tangentOffset, 4))) as T;
+  const bt = getBitangents(count);
+
+  for (let i = 0; i < count; ++i) {
+    const t = i * tangentStride + tangentOffset;
+    newDst[t    ] = 0;
+    newDst[t + 1] = 0;
+    newDst[t + 2] = 0;
+    newDst[t + 3] = 0;
+  }
+
+  const p = triPositions;
+  const numTriangles = Math.floor((indices ? indices.length : count) / 3);
+  for (let t = 0; t < numTriangles; ++t) {
+    readTriangle(positions, indices, t, positionStride, positionOffset);
+
+    const uv0 = triIndices[0] * uvStride + uvOffset;
+    const uv1 = triIndices[1] * uvStride + uvOffset;
+    const uv2 = triIndices[2] * uvStride + uvOffset;
+    const du1 = uvs[uv1    ] - uvs[uv0    ];
+    const dv1 = uvs[uv1 + 1] - uvs[uv0 + 1];
+    const du2 = uvs[uv2    ] - uvs[uv0    ];
+    const dv2 = uvs[uv2 + 1] - uvs[uv0 + 1];
+
+    const r = du1 * dv2 - du2 * dv1;
+    if (r === 0) {
+      continue;
+    }
+    // The tangent is (e1 * dv2 - e2 * dv1) / r and the bitangent is
+    // (e2 * du1 - e1 * du2) / r. Only their directions are needed
+    // so only the sign of r matters.
+    const sign = r < 0 ? -1 : 1;
+
+    const e1x = p[3] - p[0];
+    const e1y = p[4] - p[1];
+    const e1z = p[5] - p[2];
+    const e2x = p[6] - p[0];
+    const e2y = p[7] - p[1];
+    const e2z = p[8] - p[2];
+    const sx = (e1x * dv2 - e2x * dv1) * sign;
+    const sy = (e1y * dv2 - e2y * dv1) * sign;
+    const sz = (e1z * dv2 - e2z * dv1) * sign;
+    const bx = (e2x * du1 - e1x * du2) * sign;
+    const by = (e2y * du1 - e1y * du2) * sign;
+    const bz = (e2z * du1 - e1z * du2) * sign;
+    const bLenSq = bx * bx + by * by + bz * bz;
+    const bScale = bLenSq > 0 ? 1 / Math.sqrt(bLenSq) : 0;
+
+    for (let k = 0; k < 3; ++k) {
+      const a = k * 3;
+      const b = ((k + 1) % 3) * 3;
+      const c = ((k + 2) % 3) * 3;
+      const angle = cornerAngle(
+          p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2],
+          p[c] - p[a], p[c + 1] - p[a + 1], p[c + 2] - p[a + 2]);
+
+      const n = triIndices[k] * normalStride + normalOffset;
+      const nx = normals[n    ];
+      const ny = normals[n + 1];
+      const nz = normals[n + 2];
+      const d = sx * nx + sy * ny + sz * nz;
+      const tx = sx - nx * d;
+      const ty = sy - ny * d;
+      const tz = sz - nz * d;
+      const lenSq = tx * tx + ty * ty + tz * tz;
+      if (lenSq === 0) {
+        continue;
+      }
+      const scale = angle / Math.sqrt(lenSq);
+
+      const dt = triIndices[k] * tangentStride + tangentOffset;
+      newDst[dt    ] += tx * scale;
+      newDst[dt + 1] += ty * scale;
+      newDst[dt + 2] += tz * scale;
+
+      const db = triIndices[k] * 3;
+      bt[db    ] += bx * bScale * angle;
+      bt[db + 1] += by * bScale * angle;
+      bt[db + 2] += bz * bScale * angle;
+    }
+  }
+
+  for (let i = 0; i < count; ++i) {
+    const n = i * normalStride + normalOffset;
+    const nx = normals[n    ];
+    const ny = normals[n + 1];
+    const nz = normals[n + 2];
+
+    const dt = i * tangentStride + tangentOffset;
+    let tx = newDst[dt    ];
+    let ty = newDst[dt + 1];
+    let tz = newDst[dt + 2];
+    let lenSq = tx * tx + ty * ty + tz * tz;
+    if (lenSq === 0) {
+      // pick an axis not parallel to the normal
+      const useX = Math.abs(nx) < 0.9;
+      tx = useX ? 1 : 0;
+      ty = useX ? 0 : 1;
+      tz = 0;
+    }
+
+    // make it perpendicular to the normal
+    const d = tx * nx + ty * ny + tz * nz;
+    tx -= nx * d;
+    ty -= ny * d;
+    tz -= nz * d;
+    lenSq = tx * tx + ty * ty + tz * tz;
+    const scale = lenSq > 0 ? 1 / Math.sqrt(lenSq) : 1;
+
+    tx *= scale;
+    ty *= scale;
+    tz *= scale;
+
+    // the handedness is whether cross(n, t) points the same way as the bitangent
+    const cx = ny * tz - nz * ty;
+    const cy = nz * tx - nx * tz;
+    const cz = nx * ty - ny * tx;
+    const db = i * 3;
+    const handedness = cx * bt[db] + cy * bt[db + 1] + cz * bt[db + 2];
+
+    newDst[dt    ] = tx;
+    newDst[dt + 1] = ty;
+    newDst[dt + 2] = tz;
+    newDst[dt + 3] = handedness < 0 ? -1 : 1;
+  }
+
+  return newDst;
+}
+
+return {
+  computeNormals,
+  computeTangents,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends BaseArgType = Float32Array>(Ctor: ArrayCtor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
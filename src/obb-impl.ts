@@ -0,0 +1,590 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { OBBArg, OBBType } from './obb';
+import { AABBArg } from './aabb';
+import { Mat3Arg } from './mat3';
+import { Mat4Arg } from './mat4';
+import { QuatArg } from './quat';
+import { Vec3Arg } from './vec3';
+import { getAPI as getMat3API } from './mat3-impl';
+import { getAPI as getMat4API } from './mat4-impl';
+import { getAPI as getQuatAPI } from './quat-impl';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+export { OBBArg, OBBType };
+
+type OBBCtor<T extends OBBArg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for OBB
+ * */
+function getAPIImpl<OBBType extends OBBArg = Float32Array>(Ctor: OBBCtor<OBBType>) {
+  const mat3 = getMat3API<OBBType>(Ctor);
+  const mat4 = getMat4API<OBBType>(Ctor);
+  const quat = getQuatAPI<OBBType>(Ctor);
+  const vec3 = getVec3API<OBBType>(Ctor);
+
+/**
+ * Oriented bounding box functions.
+ *
+ * An OBB is stored as 10 values, the center, the extents (half the size on
+ * each axis, see {@link aabb.extents}), and a unit quaternion for the rotation.
+ *
+ *     const box = obb.fromCenterExtents([0, 1, 0], [2, 1, 0.5], quat.fromEuler(0, 0.5, 0, 'xyz'));
+ */
+
+/**
+ * Creates an OBB with its center at the origin, zero extents, and no rotation.
+ * @returns the created OBB
+ */
+function create() {
+  const newDst = new Ctor(10);
+
+  newDst[0] = 0;  newDst[1] = 0;  newDst[2] = 0;
+  newDst[3] = 0;  newDst[4] = 0;  newDst[5] = 0;
+  newDst[6] = 0;  newDst[7] = 0;  newDst[8] = 0;  newDst[9] = 1;
+
+  return newDst;
+}
+
+/**
+ * Creates an OBB from its center, extents, and rotation.
+ * @param center - The center of the box.
+ * @param extents - Half the size of the box on each of its axes.
+ * @param rotation - The rotation of the box as a unit quaternion.
+ * @param dst - OBB to hold result. If not passed in a new one is created.
+ * @returns The OBB.
+ */
+function fromCenterExtents<T extends OBBArg = OBBType>(center: Vec3Arg, extents: Vec3Arg, rotation: QuatArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(10)) as T;
+
+  newDst[0] = center[0];    newDst[1] = center[1];    newDst[2] = center[2];
+  newDst[3] = extents[0];   newDst[4] = extents[1];   newDst[5] = extents[2];
+  newDst[6] = rotation[0];  newDst[7] = rotation[1];  newDst[8] = rotation[2];  newDst[9] = rotation[3];
+
+  return newDst;
+}
+
+/**
+ * Creates an OBB from an AABB. The OBB has no rotation.
+ * @param box - The AABB.
+ * @param dst - OBB to hold result. If not passed in a new one is created.
+ * @returns The OBB.
+ */
+function fromAABB<T extends OBBArg = OBBType>(box: AABBArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(10)) as T;
+
+  newDst[0] = (box[0] + box[3]) * 0.5;
+  newDst[1] = (box[1] + box[4]) * 0.5;
+  newDst[2] = (box[2] + box[5]) * 0.5;
+  newDst[3] = (box[3] - box[0]) * 0.5;
+  newDst[4] = (box[4] - box[1]) * 0.5;
+  newDst[5] = (box[5] - box[2]) * 0.5;
+  newDst[6] = 0;
+  newDst[7] = 0;
+  newDst[8] = 0;
+  newDst[9] = 1;
+
+  return newDst;
+}
+
+const boxCenter = vec3.create();
+const boxTranslation = vec3.create();
+const boxRotation = quat.create();
+const boxScale = vec3.create();
+
+/**
+ * Computes the OBB of an AABB transformed by a 4x4 matrix. For example, to get
+ * the world space OBB of a model from its local AABB and its world matrix.
+ *
+ * The matrix is assumed to be affine with no shear. Unlike {@link aabb.transformMat4}
+ * the result is as tight as the original box.
+ *
+ * @param box - The AABB.
+ * @param m - The matrix.
+ * @param dst - OBB to hold result. If not passed in a new one is created.
+ * @returns The OBB.
+ */
+function fromAABBAndMat4<T extends OBBArg = OBBType>(box: AABBArg, m: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(10)) as T;
+
+  mat4.decompose(m, boxTranslation, boxRotation, boxScale);
+
+  vec3.set(
+      (box[0] + box[3]) * 0.5,
+      (box[1] + box[4]) * 0.5,
+      (box[2] + box[5]) * 0.5,
+      boxCenter);
+  vec3.transformMat4(boxCenter, m, boxCenter);
+
+  newDst[0] = boxCenter[0];
+  newDst[1] = boxCenter[1];
+  newDst[2] = boxCenter[2];
+  newDst[3] = (box[3] - box[0]) * 0.5 * Math.abs(boxScale[0]);
+  newDst[4] = (box[4] - box[1]) * 0.5 * Math.abs(boxScale[1]);
+  newDst[5] = (box[5] - box[2]) * 0.5 * Math.abs(boxScale[2]);
+  newDst[6] = boxRotation[0];
+  newDst[7] = boxRotation[1];
+  newDst[8] = boxRotation[2];
+  newDst[9] = boxRotation[3];
+
+  return newDst;
+}
+
+const covariance = mat3.create();
+const eigenValues = vec3.create();
+const eigenVectors = mat3.create();
+
+/**
+ * Computes an OBB of a list of positions. The axes of the box are the principal
+ * axes of the positions (from the eigenvectors of their covariance matrix, see
+ * {@link mat3.eigenSymmetric}) which usually gives a much tighter box than an AABB
+ * but is not guaranteed to be the smallest box.
+ *
+ * The positions can be interleaved with other data, for example
+ *
+ * ```
+ * // x, y, z, u, v
+ * const vertices = new Float32Array([...]);
+ * const box = obb.fromPoints(vertices, 5);
+ * ```
+ *
+ * If there are no positions the result is the same as {@link obb.create}.
+ *
+ * @param positions - array of positions.
+ * @param stride - number of values from one position to the next.
+ * @param offset - index of the first position.
+ * @param dst - OBB to hold result. If not passed in a new one is created.
+ * @returns The OBB containing all the positions.
+ */
+function fromPoints<T extends OBBArg = OBBType>(positions: ArrayLike<number>, stride = 3, offset = 0, dst?: T) {
+  utils.checkStride(stride);
+
+  const newDst = (dst ?? new Ctor(10)) as T;
+
+  let count = 0;
+  let meanX = 0;
+  let meanY = 0;
+  let meanZ = 0;
+  for (let i = offset; i + 2 < positions.length; i += stride) {
+    meanX += positions[i    ];
+    meanY += positions[i + 1];
+    meanZ += positions[i + 2];
+    ++count;
+  }
+
+  if (count === 0) {
+    for (let i = 0; i < 9; ++i) {
+      newDst[i] = 0;
+    }
+    newDst[9] = 1;
+    return newDst;
+  }
+
+  meanX /= count;
+  meanY /= count;
+  meanZ /= count;
+
+  let xx = 0;
+  let xy = 0;
+  let xz = 0;
+  let yy = 0;
+  let yz = 0;
+  let zz = 0;
+  for (let i = offset; i + 2 < positions.length; i += stride) {
+    const x = positions[i    ] - meanX;
+    const y = positions[i + 1] - meanY;
+    const z = positions[i + 2] - meanZ;
+    xx += x * x;
+    xy += x * y;
+    xz += x * z;
+    yy += y * y;
+    yz += y * z;
+    zz += z * z;
+  }
+
+  mat3.set(
+      xx / count, xy / count, xz / count,
+      xy / count, yy / count, yz / count,
+      xz / count, yz / count, zz / count,
+      covariance);
+  mat3.eigenSymmetric(covariance, eigenValues, eigenVectors);
+
+  const a = eigenVectors;
+  let min0 = Infinity;
+  let min1 = Infinity;
+  let min2 = Infinity;
+  let max0 = -Infinity;
+  let max1 = -Infinity;
+  let max2 = -Infinity;
+  for (let i = offset; i + 2 < positions.length; i += stride) {
+    const x = positions[i    ] - meanX;
+    const y = positions[i + 1] - meanY;
+    const z = positions[i + 2] - meanZ;
+    const d0 = x * a[0] + y * a[1] + z * a[ 2];
+    const d1 = x * a[4] + y * a[5] + z * a[ 6];
+    const d2 = x * a[8] + y * a[9] + z * a[10];
+    min0 = Math.min(min0, d0);
+    min1 = Math.min(min1, d1);
+    min2 = Math.min(min2, d2);
+    max0 = Math.max(max0, d0);
+    max1 = Math.max(max1, d1);
+    max2 = Math.max(max2, d2);
+  }
+
+  const c0 = (min0 + max0) * 0.5;
+  const c1 = (min1 + max1) * 0.5;
+  const c2 = (min2 + max2) * 0.5;
+
+  quat.fromMat(eigenVectors, boxRotation);
+  quat.normalize(boxRotation, boxRotation);
+
+  newDst[0] = meanX + a[0] * c0 + a[4] * c1 + a[ 8] * c2;
+  newDst[1] = meanY + a[1] * c0 + a[5] * c1 + a[ 9] * c2;
+  newDst[2] = meanZ + a[2] * c0 + a[6] * c1 + a[10] * c2;
+  newDst[3] = (max0 - min0) * 0.5;
+  newDst[4] = (max1 - min1) * 0.5;
+  newDst[5] = (max2 - min2) * 0.5;
+  newDst[6] = boxRotation[0];
+  newDst[7] = boxRotation[1];
+  newDst[8] = boxRotation[2];
+  newDst[9] = boxRotation[3];
+
+  return newDst;
+}
+
+/**
+ * Copies an OBB. (same as {@link obb.clone})
+ * @param box - The OBB.
+ * @param dst - OBB to hold result. If not passed in a new one is created.
+ * @returns An OBB that is a copy of box
+ */
+function copy<T extends OBBArg = OBBType>(box: OBBArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(10)) as T;
+
+  for (let i = 0; i < 10; ++i) {
+    newDst[i] = box[i];
+  }
+
+  return newDst;
+}
+
+/**
+ * Clones an OBB. (same as {@link obb.copy})
+ * @param box - The OBB.
+ * @param dst - OBB to hold result. If not passed in a new one is created.
+ * @returns An OBB that is a copy of box
+ */
+const clone = copy;
+
+/**
+ * Check if 2 OBBs are approximately equal
+ * @param a - Operand OBB.
+ * @param b - Operand OBB.
+ * @returns true if OBBs are approximately equal
+ */
+function equalsApproximately(a: OBBArg, b: OBBArg): boolean {
+  for (let i = 0; i < 10; ++i) {
+    if (Math.abs(a[i] - b[i]) >= utils.EPSILON) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check if 2 OBBs are exactly equal
+ * @param a - Operand OBB.
+ * @param b - Operand OBB.
+ * @returns true if OBBs are exactly equal
+ */
+function equals(a: OBBArg, b: OBBArg): boolean {
+  for (let i = 0; i < 10; ++i) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Gets the center of an OBB.
+ * @param box - The OBB.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The center of box.
+ */
+function getCenter<T extends Vec3Arg = OBBType>(box: OBBArg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  newDst[0] = box[0];
+  newDst[1] = box[1];
+  newDst[2] = box[2];
+
+  return newDst;
+}
+
+/**
+ * Gets the extents of an OBB, which are half of its size on each of its axes.
+ * @param box - The OBB.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The extents of box.
+ */
+function getExtents<T extends Vec3Arg = OBBType>(box: OBBArg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  newDst[0] = box[3];
+  newDst[1] = box[4];
+  newDst[2] = box[5];
+
+  return newDst;
+}
+
+/**
+ * Gets the rotation of an OBB.
+ * @param box - The OBB.
+ * @param dst - quaternion to hold result. If not passed in a new one is created.
+ * @returns The rotation of box.
+ */
+function getRotation<T extends QuatArg = OBBType>(box: OBBArg, dst?: T) {
+  const newDst = (dst ?? quat.create()) as T;
+
+  newDst[0] = box[6];
+  newDst[1] = box[7];
+  newDst[2] = box[8];
+  newDst[3] = box[9];
+
+  return newDst;
+}
+
+/**
+ * Gets the rotation of an OBB as a matrix. The columns are the axes of the box.
+ * @param box - The OBB.
+ * @param dst - matrix to hold result. If not passed in a new one is created.
+ * @returns The rotation of box.
+ */
+function getRotationMatrix<T extends Mat3Arg = OBBType>(box: OBBArg, dst?: T) {
+  return mat3.fromQuat(getRotation(box, boxRotation), dst);
+}
+
+/**
+ * Gets one of the axes of an OBB.
+ * @param box - The OBB.
+ * @param axis - The axis 0 = x, 1 = y, 2 = z.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The unit length axis.
+ */
+function getAxis<T extends Vec3Arg = OBBType>(box: OBBArg, axis: number, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  const x = box[6]; const y = box[7]; const z = box[8]; const w = box[9];
+  switch (axis) {
+    case 0:
+      newDst[0] = 1 - 2 * (y * y + z * z);
+      newDst[1] = 2 * (x * y + w * z);
+      newDst[2] = 2 * (x * z - w * y);
+      break;
+    case 1:
+      newDst[0] = 2 * (x * y - w * z);
+      newDst[1] = 1 - 2 * (x * x + z * z);
+      newDst[2] = 2 * (y * z + w * x);
+      break;
+    case 2:
+      newDst[0] = 2 * (x * z + w * y);
+      newDst[1] = 2 * (y * z - w * x);
+      newDst[2] = 1 - 2 * (x * x + y * y);
+      break;
+    default:
+      throw new Error(`axis must be 0, 1, or 2, got ${axis}`);
+  }
+
+  return newDst;
+}
+
+const axesA = mat3.create();
+const axesB = mat3.create();
+
+/**
+ * Check if a point is inside an OBB. Points on the surface are considered inside.
+ * @param box - The OBB.
+ * @param p - The point.
+ * @returns true if p is inside box
+ */
+function containsPoint(box: OBBArg, p: Vec3Arg): boolean {
+  const a = getRotationMatrix(box, axesA);
+  const dx = p[0] - box[0];
+  const dy = p[1] - box[1];
+  const dz = p[2] - box[2];
+  for (let i = 0; i < 3; ++i) {
+    const d = dx * a[i * 4] + dy * a[i * 4 + 1] + dz * a[i * 4 + 2];
+    if (Math.abs(d) > box[3 + i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Computes the point in or on an OBB closest to a point.
+ * If the point is inside the box the result is the point itself.
+ * @param box - The OBB.
+ * @param p - The point.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The closest point.
+ */
+function closestPoint<T extends Vec3Arg = OBBType>(box: OBBArg, p: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  const a = getRotationMatrix(box, axesA);
+  const dx = p[0] - box[0];
+  const dy = p[1] - box[1];
+  const dz = p[2] - box[2];
+  let x = box[0];
+  let y = box[1];
+  let z = box[2];
+  for (let i = 0; i < 3; ++i) {
+    const ax = a[i * 4];
+    const ay = a[i * 4 + 1];
+    const az = a[i * 4 + 2];
+    const extent = box[3 + i];
+    const d = Math.min(extent, Math.max(-extent, dx * ax + dy * ay + dz * az));
+    x += ax * d;
+    y += ay * d;
+    z += az * d;
+  }
+
+  newDst[0] = x;
+  newDst[1] = y;
+  newDst[2] = z;
+
+  return newDst;
+}
+
+// R[i][j] = dot(axis i of a, axis j of b), row major
+const satR = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+const satAbsR = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+const satT = [0, 0, 0];
+
+/**
+ * Check if 2 OBBs overlap using the separating axis test. Boxes that
+ * only touch are considered overlapping.
+ * @param a - Operand OBB.
+ * @param b - Operand OBB.
+ * @returns true if a and b overlap
+ */
+function intersects(a: OBBArg, b: OBBArg): boolean {
+  const ma = getRotationMatrix(a, axesA);
+  const mb = getRotationMatrix(b, axesB);
+  const R = satR;
+  const absR = satAbsR;
+  const t = satT;
+
+  for (let i = 0; i < 3; ++i) {
+    for (let j = 0; j < 3; ++j) {
+      const r = ma[i * 4] * mb[j * 4] + ma[i * 4 + 1] * mb[j * 4 + 1] + ma[i * 4 + 2] * mb[j * 4 + 2];
+      R[i * 3 + j] = r;
+      // The epsilon avoids false separations from the cross products of
+      // nearly parallel edges which are near zero.
+      absR[i * 3 + j] = Math.abs(r) + utils.EPSILON;
+    }
+  }
+
+  // translation in a's space
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const dz = b[2] - a[2];
+  for (let i = 0; i < 3; ++i) {
+    t[i] = dx * ma[i * 4] + dy * ma[i * 4 + 1] + dz * ma[i * 4 + 2];
+  }
+
+  // a's axes
+  for (let i = 0; i < 3; ++i) {
+    const ra = a[3 + i];
+    const rb = b[3] * absR[i * 3] + b[4] * absR[i * 3 + 1] + b[5] * absR[i * 3 + 2];
+    if (Math.abs(t[i]) > ra + rb) {
+      return false;
+    }
+  }
+
+  // b's axes
+  for (let j = 0; j < 3; ++j) {
+    const ra = a[3] * absR[j] + a[4] * absR[3 + j] + a[5] * absR[6 + j];
+    const rb = b[3 + j];
+    if (Math.abs(t[0] * R[j] + t[1] * R[3 + j] + t[2] * R[6 + j]) > ra + rb) {
+      return false;
+    }
+  }
+
+  // the cross products of a's axes and b's axes
+  for (let i = 0; i < 3; ++i) {
+    const i1 = (i + 1) % 3;
+    const i2 = (i + 2) % 3;
+    for (let j = 0; j < 3; ++j) {
+      const j1 = (j + 1) % 3;
+      const j2 = (j + 2) % 3;
+      const ra = a[3 + i1] * absR[i2 * 3 + j] + a[3 + i2] * absR[i1 * 3 + j];
+      const rb = b[3 + j1] * absR[i * 3 + j2] + b[3 + j2] * absR[i * 3 + j1];
+      if (Math.abs(t[i2] * R[i1 * 3 + j] - t[i1] * R[i2 * 3 + j]) > ra + rb) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+return {
+  clone,
+  closestPoint,
+  containsPoint,
+  copy,
+  create,
+  equals,
+  equalsApproximately,
+  fromAABB,
+  fromAABBAndMat4,
+  fromCenterExtents,
+  fromPoints,
+  getAxis,
+  getCenter,
+  getExtents,
+  getRotation,
+  getRotationMatrix,
+  intersects,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends OBBArg = Float32Array>(Ctor: OBBCtor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
@@ -0,0 +1,367 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { PlaneArg, PlaneType } from './plane';
+import { Mat4Arg } from './mat4';
+import { Vec3Arg } from './vec3';
+import { getAPI as getMat4API } from './mat4-impl';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+export { PlaneArg, PlaneType };
+
+type PlaneCtor<T extends PlaneArg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for Plane
+ * */
+function getAPIImpl<PlaneType extends PlaneArg = Float32Array>(Ctor: PlaneCtor<PlaneType>) {
+  const vec3 = getVec3API<PlaneType>(Ctor);
+  const mat4 = getMat4API<PlaneType>(Ctor);
+
+/**
+ * Plane functions.
+ *
+ * A plane is stored as 4 values, `[nx, ny, nz, d]`, where every point p
+ * on the plane satisfies `dot(n, p) + d = 0`. This is the same layout
+ * as the planes in a {@link frustum}.
+ *
+ * Most functions expect the plane to be normalized, meaning its normal
+ * has a length of 1. All of the functions that make a plane make a normalized
+ * plane. See {@link plane.normalize}.
+ */
+
+/**
+ * Creates a plane; may be called with nx, ny, nz, d to set initial values.
+ * @param nx - Initial normal x value.
+ * @param ny - Initial normal y value.
+ * @param nz - Initial normal z value.
+ * @param d - Initial d value.
+ * @returns the created plane
+ */
+function create(nx?: number, ny?: number, nz?: number, d?: number) {
+  const newDst = new Ctor(4);
+  if (nx !== undefined) {
+    newDst[0] = nx;
+    if (ny !== undefined) {
+      newDst[1] = ny;
+      if (nz !== undefined) {
+        newDst[2] = nz;
+        if (d !== undefined) {
+          newDst[3] = d;
+        }
+      }
+    }
+  }
+  return newDst;
+}
+
+/**
+ * Sets the values of a plane
+ * Also see {@link plane.create} and {@link plane.copy}
+ *
+ * @param nx - normal x value.
+ * @param ny - normal y value.
+ * @param nz - normal z value.
+ * @param d - d value.
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns A plane with its elements set.
+ */
+function set<T extends PlaneArg = PlaneType>(nx: number, ny: number, nz: number, d: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = nx;
+  newDst[1] = ny;
+  newDst[2] = nz;
+  newDst[3] = d;
+
+  return newDst;
+}
+
+/**
+ * Creates a plane from a point on the plane and the plane's normal.
+ * @param point - A point on the plane.
+ * @param normal - The normal of the plane. It is normalized.
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns The plane.
+ */
+function fromPointNormal<T extends PlaneArg = PlaneType>(point: Vec3Arg, normal: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  vec3.normalize(normal, newDst);
+  newDst[3] = -vec3.dot(newDst, point);
+
+  return newDst;
+}
+
+const ab = vec3.create();
+const ac = vec3.create();
+
+/**
+ * Creates a plane from 3 points on the plane. When looking at the
+ * points in counter-clockwise order the normal points toward you.
+ * @param a - first point.
+ * @param b - second point.
+ * @param c - third point.
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns The plane.
+ */
+function fromPoints<T extends PlaneArg = PlaneType>(a: Vec3Arg, b: Vec3Arg, c: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  vec3.subtract(b, a, ab);
+  vec3.subtract(c, a, ac);
+  vec3.normalize(vec3.cross(ab, ac, newDst), newDst);
+  newDst[3] = -vec3.dot(newDst, a);
+
+  return newDst;
+}
+
+/**
+ * Copies a plane. (same as {@link plane.clone})
+ * Also see {@link plane.create} and {@link plane.set}
+ * @param p - The plane.
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns A plane that is a copy of p
+ */
+function copy<T extends PlaneArg = PlaneType>(p: PlaneArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = p[0];
+  newDst[1] = p[1];
+  newDst[2] = p[2];
+  newDst[3] = p[3];
+
+  return newDst;
+}
+
+/**
+ * Clones a plane. (same as {@link plane.copy})
+ * Also see {@link plane.create} and {@link plane.set}
+ * @param p - The plane.
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns A plane that is a copy of p
+ */
+const clone = copy;
+
+/**
+ * Check if 2 planes are approximately equal
+ * @param a - Operand plane.
+ * @param b - Operand plane.
+ * @returns true if planes are approximately equal
+ */
+function equalsApproximately(a: PlaneArg, b: PlaneArg): boolean {
+  return Math.abs(a[0] - b[0]) < utils.EPSILON &&
+         Math.abs(a[1] - b[1]) < utils.EPSILON &&
+         Math.abs(a[2] - b[2]) < utils.EPSILON &&
+         Math.abs(a[3] - b[3]) < utils.EPSILON;
+}
+
+/**
+ * Check if 2 planes are exactly equal
+ * @param a - Operand plane.
+ * @param b - Operand plane.
+ * @returns true if planes are exactly equal
+ */
+function equals(a: PlaneArg, b: PlaneArg): boolean {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3];
+}
+
+/**
+ * Gets the normal of a plane
+ * @param p - The plane.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The normal of p.
+ */
+function getNormal<T extends Vec3Arg = PlaneType>(p: PlaneArg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  newDst[0] = p[0];
+  newDst[1] = p[1];
+  newDst[2] = p[2];
+
+  return newDst;
+}
+
+/**
+ * Normalizes a plane so its normal has a length of 1. The plane itself does not change.
+ * @param p - The plane.
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns The normalized plane.
+ */
+function normalize<T extends PlaneArg = PlaneType>(p: PlaneArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  const len = vec3.length(p);
+  const s = len > 0.00001 ? 1 / len : 0;
+
+  newDst[0] = p[0] * s;
+  newDst[1] = p[1] * s;
+  newDst[2] = p[2] * s;
+  newDst[3] = p[3] * s;
+
+  return newDst;
+}
+
+/**
+ * Negates a plane so its normal points the other way. The plane itself does not change.
+ * @param p - The plane.
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns The negated plane.
+ */
+function negate<T extends PlaneArg = PlaneType>(p: PlaneArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = -p[0];
+  newDst[1] = -p[1];
+  newDst[2] = -p[2];
+  newDst[3] = -p[3];
+
+  return newDst;
+}
+
+/**
+ * Computes the signed distance from a plane to a point. The distance is
+ * positive on the side the normal points toward and negative on the other side.
+ * @param p - The plane. It should be normalized.
+ * @param point - The point.
+ * @returns the signed distance from p to point.
+ */
+function signedDistance(p: PlaneArg, point: Vec3Arg): number {
+  return vec3.dot(p, point) + p[3];
+}
+
+/**
+ * Projects a point onto a plane, giving the closest point on the plane.
+ * @param p - The plane. It should be normalized.
+ * @param point - The point.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The point on p closest to point.
+ */
+function projectPoint<T extends Vec3Arg = PlaneType>(p: PlaneArg, point: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  const distance = signedDistance(p, point);
+  newDst[0] = point[0] - p[0] * distance;
+  newDst[1] = point[1] - p[1] * distance;
+  newDst[2] = point[2] - p[2] * distance;
+
+  return newDst;
+}
+
+/**
+ * Computes where the line segment from start to end crosses a plane.
+ * @param p - The plane.
+ * @param start - The start of the line segment.
+ * @param end - The end of the line segment.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The point where the segment crosses p or null if it does not cross p
+ *     or is parallel to p.
+ */
+function intersectLine<T extends Vec3Arg = PlaneType>(p: PlaneArg, start: Vec3Arg, end: Vec3Arg, dst?: T): T | null {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const dz = end[2] - start[2];
+
+  const denom = p[0] * dx + p[1] * dy + p[2] * dz;
+  if (Math.abs(denom) < utils.EPSILON) {
+    return null;
+  }
+
+  const t = -(vec3.dot(p, start) + p[3]) / denom;
+  if (t < 0 || t > 1) {
+    return null;
+  }
+
+  const newDst = (dst ?? vec3.create()) as T;
+  newDst[0] = start[0] + dx * t;
+  newDst[1] = start[1] + dy * t;
+  newDst[2] = start[2] + dz * t;
+
+  return newDst;
+}
+
+const inverseMat = mat4.create();
+
+/**
+ * Transforms a plane by a 4x4 matrix.
+ *
+ * Planes transform by the inverse-transpose of the matrix, which is computed here.
+ * The result is normalized.
+ *
+ * @param p - The plane.
+ * @param m - The matrix.
+ * @param dst - plane to hold result. If not passed in a new one is created.
+ * @returns The transformed plane.
+ */
+function transformMat4<T extends PlaneArg = PlaneType>(p: PlaneArg, m: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  const im = mat4.inverse(m, inverseMat);
+
+  const x = p[0];
+  const y = p[1];
+  const z = p[2];
+  const w = p[3];
+
+  // multiply by the transpose of the inverse
+  newDst[0] = im[ 0] * x + im[ 1] * y + im[ 2] * z + im[ 3] * w;
+  newDst[1] = im[ 4] * x + im[ 5] * y + im[ 6] * z + im[ 7] * w;
+  newDst[2] = im[ 8] * x + im[ 9] * y + im[10] * z + im[11] * w;
+  newDst[3] = im[12] * x + im[13] * y + im[14] * z + im[15] * w;
+
+  return normalize(newDst, newDst);
+}
+
+return {
+  clone,
+  copy,
+  create,
+  equals,
+  equalsApproximately,
+  fromPointNormal,
+  fromPoints,
+  getNormal,
+  intersectLine,
+  negate,
+  normalize,
+  projectPoint,
+  set,
+  signedDistance,
+  transformMat4,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends PlaneArg = Float32Array>(Ctor: PlaneCtor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
@@ -33,6 +33,224 @@ type QuatCtor<T extends QuatArg = Float32Array>  = new (n: number) => T;
 
 export type RotationOrder =  'xyz' |  'xzy' |  'yxz' |  'yzx' |  'zxy' |  'zyx';
 
+/**
+ * Computes euler angles for the given intrinsic order from the upper 3x3 of a rotation
+ * matrix. Mat3 and Mat4 store their first 3 columns at the same offsets so either can
+ * be passed. The matrix is assumed to have no scale.
+ *
+ * When the middle rotation is at +/- 90 degrees (gimbal lock) the first and last
+ * axes rotate around the same axis so the last angle is set to 0 and the
+ * entire rotation is put in the first angle.
+ *
+ * @param m - rotation matrix
+ * @param order - order the euler angles are applied
+ * @param dst - vector to hold the x, y, z angles in radians.
+ * @returns dst
+ */
+export function eulerFromRotationMatrix<T extends Vec3Arg>(m: Mat3Arg | Mat4Arg, order: RotationOrder, dst: T) {
+  const m00 = m[0]; const m01 = m[4]; const m02 = m[ 8];
+  const m10 = m[1]; const m11 = m[5]; const m12 = m[ 9];
+  const m20 = m[2]; const m21 = m[6]; const m22 = m[10];
+
+  const limit = 1 - utils.EPSILON;
+  const clamp = (v: number) => Math.min(1, Math.max(-1, v));
+
+  let x = 0;
+  let y = 0;
+  let z = 0;
+
+  switch (order) {
+    case 'xyz':
+      y = Math.asin(clamp(m02));
+      if (Math.abs(m02) < limit) {
+        x = Math.atan2(-m12, m22);
+        z = Math.atan2(-m01, m00);
+      } else {
+        x = Math.atan2(m21, m11);
+      }
+      break;
+
+    case 'xzy':
+      z = Math.asin(-clamp(m01));
+      if (Math.abs(m01) < limit) {
+        x = Math.atan2(m21, m11);
+        y = Math.atan2(m02, m00);
+      } else {
+        x = Math.atan2(-m12, m22);
+      }
+      break;
+
+    case 'yxz':
+      x = Math.asin(-clamp(m12));
+      if (Math.abs(m12) < limit) {
+        y = Math.atan2(m02, m22);
+        z = Math.atan2(m10, m11);
+      } else {
+        y = Math.atan2(-m20, m00);
+      }
+      break;
+
+    case 'yzx':
+      z = Math.asin(clamp(m10));
+      if (Math.abs(m10) < limit) {
+        x = Math.atan2(-m12, m11);
+        y = Math.atan2(-m20, m00);
+      } else {
+        y = Math.atan2(m02, m22);
+      }
+      break;
+
+    case 'zxy':
+      x = Math.asin(clamp(m21));
+      if (Math.abs(m21) < limit) {
+        y = Math.atan2(-m20, m22);
+        z = Math.atan2(-m01, m11);
+      } else {
+        z = Math.atan2(m10, m00);
+      }
+      break;
+
+    case 'zyx':
+      y = Math.asin(-clamp(m20));
+      if (Math.abs(m20) < limit) {
+        x = Math.atan2(m21, m22);
+        z = Math.atan2(m10, m00);
+      } else {
+        z = Math.atan2(-m01, m11);
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown rotation order: ${order}`);
+  }
+
+  dst[0] = x;
+  dst[1] = y;
+  dst[2] = z;
+
+  return dst;
+}
+
+// The rotation part of the matrix passed to eulerFromMatrix.
+const eulerRotation = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+/**
+ * Computes euler angles for the given intrinsic order from the upper 3x3 of a matrix.
+ * Mat3 and Mat4 store their first 3 columns at the same offsets so either can be
+ * passed. Unlike `eulerFromRotationMatrix` the matrix may have scale which
+ * is removed first. If the matrix is mirrored (its determinant is negative) the
+ * x axis is negated, the same as `mat4.decompose`, so the angles are for
+ * the rotation part of the matrix.
+ *
+ * @param m - the matrix
+ * @param order - order the euler angles are applied
+ * @param dst - vector to hold the x, y, z angles in radians.
+ * @returns dst
+ */
+export function eulerFromMatrix<T extends Vec3Arg>(m: Mat3Arg | Mat4Arg, order: RotationOrder, dst: T) {
+  const xx = m[0]; const xy = m[1]; const xz = m[ 2];
+  const yx = m[4]; const yy = m[5]; const yz = m[ 6];
+  const zx = m[8]; const zy = m[9]; const zz = m[10];
+
+  const det = xx * (yy * zz - yz * zy) -
+              yx * (xy * zz - xz * zy) +
+              zx * (xy * yz - xz * yy);
+  const flip = det < 0 ? -1 : 1;
+
+  for (let axis = 0; axis < 3; ++axis) {
+    const off = axis * 4;
+    const x = m[off + 0];
+    const y = m[off + 1];
+    const z = m[off + 2];
+    const len = Math.sqrt(x * x + y * y + z * z);
+    const s = len > utils.EPSILON ? (axis === 0 ? flip : 1) / len : 0;
+    eulerRotation[off + 0] = x * s;
+    eulerRotation[off + 1] = y * s;
+    eulerRotation[off + 2] = z * s;
+  }
+
+  return eulerFromRotationMatrix(eulerRotation, order, dst);
+}
+
+/**
+ * Computes the rotation matrix for euler angles x, y, z in the given intrinsic order
+ * and writes it to the upper 3x3 of dst. Mat3 and Mat4 store their first 3 columns
+ * at the same offsets so dst can be either. Elements 3, 7 and 11 are set to 0.
+ * The rest of a Mat4 is not touched.
+ *
+ * @param xAngleInRadians - angle to rotate around X axis in radians.
+ * @param yAngleInRadians - angle to rotate around Y axis in radians.
+ * @param zAngleInRadians - angle to rotate around Z axis in radians.
+ * @param order - order to apply euler angles
+ * @param dst - matrix to hold the rotation.
+ * @returns dst
+ */
+export function rotationMatrixFromEuler<T extends Mat3Arg | Mat4Arg>(
+    xAngleInRadians: number,
+    yAngleInRadians: number,
+    zAngleInRadians: number,
+    order: RotationOrder,
+    dst: T) {
+  const cx = Math.cos(xAngleInRadians);
+  const sx = Math.sin(xAngleInRadians);
+  const cy = Math.cos(yAngleInRadians);
+  const sy = Math.sin(yAngleInRadians);
+  const cz = Math.cos(zAngleInRadians);
+  const sz = Math.sin(zAngleInRadians);
+
+  // mRC = row R, column C
+  let m00: number; let m01: number; let m02: number;
+  let m10: number; let m11: number; let m12: number;
+  let m20: number; let m21: number; let m22: number;
+
+  switch (order) {
+    case 'xyz':
+      m00 = cy * cz;                 m01 = -cy * sz;                m02 = sy;
+      m10 = cx * sz + sx * sy * cz;  m11 = cx * cz - sx * sy * sz;  m12 = -sx * cy;
+      m20 = sx * sz - cx * sy * cz;  m21 = sx * cz + cx * sy * sz;  m22 = cx * cy;
+      break;
+
+    case 'xzy':
+      m00 = cy * cz;                 m01 = -sz;      m02 = sy * cz;
+      m10 = cx * cy * sz + sx * sy;  m11 = cx * cz;  m12 = cx * sy * sz - sx * cy;
+      m20 = sx * cy * sz - cx * sy;  m21 = sx * cz;  m22 = sx * sy * sz + cx * cy;
+      break;
+
+    case 'yxz':
+      m00 = cy * cz + sx * sy * sz;  m01 = sx * sy * cz - cy * sz;  m02 = cx * sy;
+      m10 = cx * sz;                 m11 = cx * cz;                 m12 = -sx;
+      m20 = sx * cy * sz - sy * cz;  m21 = sy * sz + sx * cy * cz;  m22 = cx * cy;
+      break;
+
+    case 'yzx':
+      m00 = cy * cz;   m01 = sx * sy - cx * cy * sz;  m02 = sx * cy * sz + cx * sy;
+      m10 = sz;        m11 = cx * cz;                 m12 = -sx * cz;
+      m20 = -sy * cz;  m21 = cx * sy * sz + sx * cy;  m22 = cx * cy - sx * sy * sz;
+      break;
+
+    case 'zxy':
+      m00 = cy * cz - sx * sy * sz;  m01 = -cx * sz;  m02 = sy * cz + sx * cy * sz;
+      m10 = cy * sz + sx * sy * cz;  m11 = cx * cz;   m12 = sy * sz - sx * cy * cz;
+      m20 = -cx * sy;                m21 = sx;        m22 = cx * cy;
+      break;
+
+    case 'zyx':
+      m00 = cy * cz;  m01 = sx * sy * cz - cx * sz;  m02 = cx * sy * cz + sx * sz;
+      m10 = cy * sz;  m11 = sx * sy * sz + cx * cz;  m12 = cx * sy * sz - sx * cz;
+      m20 = -sy;      m21 = sx * cy;                 m22 = cx * cy;
+      break;
+
+    default:
+      throw new Error(`Unknown rotation order: ${order}`);
+  }
+
+  dst[ 0] = m00;  dst[ 1] = m10;  dst[ 2] = m20;  dst[ 3] = 0;
+  dst[ 4] = m01;  dst[ 5] = m11;  dst[ 6] = m21;  dst[ 7] = 0;
+  dst[ 8] = m02;  dst[ 9] = m12;  dst[10] = m22;  dst[11] = 0;
+
+  return dst;
+}
+
 /**
  * Generates am typed API for Qud
  * */
@@ -516,6 +734,46 @@ function fromEuler<T extends QuatArg = QuatType>(
   return newDst;
 }
 
+const rotationMat = new Ctor(12);
+
+/**
+ * Computes the euler angles x, y, z for the given intrinsic order such that
+ * `quat.fromEuler(x, y, z, order)` gives back the same rotation.
+ *
+ * When the middle rotation is at +/- 90 degrees (gimbal lock) there are
+ * infinitely many solutions. In that case the last angle in the order is
+ * set to 0 and the entire rotation is put in the first angle.
+ *
+ * @param q - quaternion to compute the euler angles from
+ * @param order - order to apply euler angles
+ * @param dst - vector to hold the x, y, z angles in radians. If not passed in a new one is created.
+ * @returns the x, y, z angles in radians
+ */
+function toEuler<T extends Vec3Arg = QuatType>(q: QuatArg, order: RotationOrder, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  const x = q[0]; const y = q[1]; const z = q[2]; const w = q[3];
+  const lenSq = x * x + y * y + z * z + w * w;
+  const s = lenSq > 0 ? 2 / lenSq : 0;
+  const x2 = x * s; const y2 = y * s; const z2 = z * s;
+
+  const xx = x * x2;
+  const yx = y * x2;
+  const yy = y * y2;
+  const zx = z * x2;
+  const zy = z * y2;
+  const zz = z * z2;
+  const wx = w * x2;
+  const wy = w * y2;
+  const wz = w * z2;
+
+  rotationMat[ 0] = 1 - yy - zz;  rotationMat[ 1] = yx + wz;      rotationMat[ 2] = zx - wy;
+  rotationMat[ 4] = yx - wz;      rotationMat[ 5] = 1 - xx - zz;  rotationMat[ 6] = zy + wx;
+  rotationMat[ 8] = zx + wy;      rotationMat[ 9] = zy - wx;      rotationMat[10] = 1 - xx - yy;
+
+  return eulerFromRotationMatrix(rotationMat, order, newDst);
+}
+
 /**
  * Copies a quaternion. (same as {@link quat.clone})
  * Also see {@link quat.create} and {@link quat.set}
@@ -864,6 +1122,7 @@ return {
   conjugate,
   fromMat,
   fromEuler,
+  toEuler,
   copy,
   clone,
   add,
@@ -0,0 +1,531 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { RayArg, RayType } from './ray';
+import { Mat4Arg } from './mat4';
+import { PlaneArg } from './plane';
+import { Vec3Arg } from './vec3';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+export { RayArg, RayType };
+
+type RayCtor<T extends RayArg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for Ray
+ * */
+function getAPIImpl<RayType extends RayArg = Float32Array>(Ctor: RayCtor<RayType>) {
+  const vec3 = getVec3API<RayType>(Ctor);
+
+/**
+ * Ray functions.
+ *
+ * A ray is stored as 6 values, the origin followed by the direction.
+ *
+ *     const r = ray.create(0, 0, 0, 0, 0, -1);  // origin 0,0,0 pointing down -Z
+ *
+ * Distances returned by the intersection functions are in units of the ray's
+ * direction. In other words, the hit point is `origin + direction * t`. If the
+ * direction is normalized then `t` is the distance from the origin.
+ */
+
+/**
+ * Creates a ray; may be called with the origin and direction to set initial values.
+ * @param ox - Initial origin x value.
+ * @param oy - Initial origin y value.
+ * @param oz - Initial origin z value.
+ * @param dx - Initial direction x value.
+ * @param dy - Initial direction y value.
+ * @param dz - Initial direction z value.
+ * @returns the created ray
+ */
+function create(
+    ox?: number, oy?: number, oz?: number,
+    dx?: number, dy?: number, dz?: number) {
+  const newDst = new Ctor(6);
+  if (ox !== undefined) {
+    newDst[0] = ox;
+    if (oy !== undefined) {
+      newDst[1] = oy;
+      if (oz !== undefined) {
+        newDst[2] = oz;
+        if (dx !== undefined) {
+          newDst[3] = dx;
+          if (dy !== undefined) {
+            newDst[4] = dy;
+            if (dz !== undefined) {
+              newDst[5] = dz;
+            }
+          }
+        }
+      }
+    }
+  }
+  return newDst;
+}
+
+/**
+ * Sets the values of a ray
+ * Also see {@link ray.create} and {@link ray.copy}
+ *
+ * @param ox - origin x value.
+ * @param oy - origin y value.
+ * @param oz - origin z value.
+ * @param dx - direction x value.
+ * @param dy - direction y value.
+ * @param dz - direction z value.
+ * @param dst - ray to hold result. If not passed in a new one is created.
+ * @returns A ray with its elements set.
+ */
+function set<T extends RayArg = RayType>(
+    ox: number, oy: number, oz: number,
+    dx: number, dy: number, dz: number,
+    dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = ox;  newDst[1] = oy;  newDst[2] = oz;
+  newDst[3] = dx;  newDst[4] = dy;  newDst[5] = dz;
+
+  return newDst;
+}
+
+/**
+ * Creates a ray from an origin and a direction.
+ * @param origin - The origin of the ray.
+ * @param direction - The direction of the ray.
+ * @param dst - ray to hold result. If not passed in a new one is created.
+ * @returns The ray.
+ */
+function fromOriginDirection<T extends RayArg = RayType>(origin: Vec3Arg, direction: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = origin[0];     newDst[1] = origin[1];     newDst[2] = origin[2];
+  newDst[3] = direction[0];  newDst[4] = direction[1];  newDst[5] = direction[2];
+
+  return newDst;
+}
+
+/**
+ * Creates a ray that starts at `from` and points toward `to`.
+ * The direction is normalized.
+ * @param from - The origin of the ray.
+ * @param to - A point the ray passes through.
+ * @param dst - ray to hold result. If not passed in a new one is created.
+ * @returns The ray.
+ */
+function fromPoints<T extends RayArg = RayType>(from: Vec3Arg, to: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  const dx = to[0] - from[0];
+  const dy = to[1] - from[1];
+  const dz = to[2] - from[2];
+  const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const s = len > utils.EPSILON ? 1 / len : 0;
+
+  newDst[0] = from[0];  newDst[1] = from[1];  newDst[2] = from[2];
+  newDst[3] = dx * s;   newDst[4] = dy * s;   newDst[5] = dz * s;
+
+  return newDst;
+}
+
+/**
+ * Copies a ray. (same as {@link ray.clone})
+ * Also see {@link ray.create} and {@link ray.set}
+ * @param r - The ray.
+ * @param dst - ray to hold result. If not passed in a new one is created.
+ * @returns A ray that is a copy of r
+ */
+function copy<T extends RayArg = RayType>(r: RayArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  newDst[0] = r[0];  newDst[1] = r[1];  newDst[2] = r[2];
+  newDst[3] = r[3];  newDst[4] = r[4];  newDst[5] = r[5];
+
+  return newDst;
+}
+
+/**
+ * Clones a ray. (same as {@link ray.copy})
+ * Also see {@link ray.create} and {@link ray.set}
+ * @param r - The ray.
+ * @param dst - ray to hold result. If not passed in a new one is created.
+ * @returns A ray that is a copy of r
+ */
+const clone = copy;
+
+/**
+ * Check if 2 rays are approximately equal
+ * @param a - Operand ray.
+ * @param b - Operand ray.
+ * @returns true if rays are approximately equal
+ */
+function equalsApproximately(a: RayArg, b: RayArg): boolean {
+  return Math.abs(a[0] - b[0]) < utils.EPSILON &&
+         Math.abs(a[1] - b[1]) < utils.EPSILON &&
+         Math.abs(a[2] - b[2]) < utils.EPSILON &&
+         Math.abs(a[3] - b[3]) < utils.EPSILON &&
+         Math.abs(a[4] - b[4]) < utils.EPSILON &&
+         Math.abs(a[5] - b[5]) < utils.EPSILON;
+}
+
+/**
+ * Check if 2 rays are exactly equal
+ * @param a - Operand ray.
+ * @param b - Operand ray.
+ * @returns true if rays are exactly equal
+ */
+function equals(a: RayArg, b: RayArg): boolean {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] &&
+         a[3] === b[3] && a[4] === b[4] && a[5] === b[5];
+}
+
+/**
+ * Gets the origin of a ray
+ * @param r - The ray.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The origin of r.
+ */
+function getOrigin<T extends Vec3Arg = RayType>(r: RayArg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+  newDst[0] = r[0];
+  newDst[1] = r[1];
+  newDst[2] = r[2];
+  return newDst;
+}
+
+/**
+ * Gets the direction of a ray
+ * @param r - The ray.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The direction of r.
+ */
+function getDirection<T extends Vec3Arg = RayType>(r: RayArg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+  newDst[0] = r[3];
+  newDst[1] = r[4];
+  newDst[2] = r[5];
+  return newDst;
+}
+
+/**
+ * Normalizes the direction of a ray.
+ * @param r - The ray.
+ * @param dst - ray to hold result. If not passed in a new one is created.
+ * @returns The ray with a normalized direction.
+ */
+function normalize<T extends RayArg = RayType>(r: RayArg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  const dx = r[3];
+  const dy = r[4];
+  const dz = r[5];
+  const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const s = len > utils.EPSILON ? 1 / len : 0;
+
+  newDst[0] = r[0];    newDst[1] = r[1];    newDst[2] = r[2];
+  newDst[3] = dx * s;  newDst[4] = dy * s;  newDst[5] = dz * s;
+
+  return newDst;
+}
+
+/**
+ * Computes the point along a ray at `t`, `origin + direction * t`.
+ * @param r - The ray.
+ * @param t - distance along the ray in units of the ray's direction.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The point on the ray at t.
+ */
+function at<T extends Vec3Arg = RayType>(r: RayArg, t: number, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  newDst[0] = r[0] + r[3] * t;
+  newDst[1] = r[1] + r[4] * t;
+  newDst[2] = r[2] + r[5] * t;
+
+  return newDst;
+}
+
+/**
+ * Transforms a ray by a 4x4 matrix. The origin is transformed as a point
+ * and the direction as a direction. The direction is not normalized so
+ * distances along the transformed ray match distances along the original ray.
+ * @param r - The ray.
+ * @param m - The matrix.
+ * @param dst - ray to hold result. If not passed in a new one is created.
+ * @returns The transformed ray.
+ */
+function transformMat4<T extends RayArg = RayType>(r: RayArg, m: Mat4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(6)) as T;
+
+  const ox = r[0];
+  const oy = r[1];
+  const oz = r[2];
+  const dx = r[3];
+  const dy = r[4];
+  const dz = r[5];
+
+  const w = (m[3] * ox + m[7] * oy + m[11] * oz + m[15]) || 1;
+
+  newDst[0] = (m[0] * ox + m[4] * oy + m[ 8] * oz + m[12]) / w;
+  newDst[1] = (m[1] * ox + m[5] * oy + m[ 9] * oz + m[13]) / w;
+  newDst[2] = (m[2] * ox + m[6] * oy + m[10] * oz + m[14]) / w;
+
+  newDst[3] = m[0] * dx + m[4] * dy + m[ 8] * dz;
+  newDst[4] = m[1] * dx + m[5] * dy + m[ 9] * dz;
+  newDst[5] = m[2] * dx + m[6] * dy + m[10] * dz;
+
+  return newDst;
+}
+
+/**
+ * Computes where a ray hits a plane.
+ *
+ * The plane is stored as 4 values `[nx, ny, nz, d]` where every point p on
+ * the plane satisfies `dot(n, p) + d = 0`. See the `plane` namespace.
+ *
+ * @param r - The ray.
+ * @param plane - The plane.
+ * @returns distance along the ray to the hit in units of the ray's direction
+ *     or null if the ray is parallel to the plane or points away from it.
+ */
+function intersectPlane(r: RayArg, plane: PlaneArg): number | null {
+  const nx = plane[0];
+  const ny = plane[1];
+  const nz = plane[2];
+
+  const dx = r[3];
+  const dy = r[4];
+  const dz = r[5];
+
+  // Compare against the lengths so the parallel check does not
+  // depend on the scale of the plane or the ray.
+  const denom = nx * dx + ny * dy + nz * dz;
+  const lenSq = (nx * nx + ny * ny + nz * nz) * (dx * dx + dy * dy + dz * dz);
+  if (denom === 0 || denom * denom < utils.EPSILON * utils.EPSILON * lenSq) {
+    return null;
+  }
+
+  const t = -(nx * r[0] + ny * r[1] + nz * r[2] + plane[3]) / denom;
+  return t >= 0 ? t : null;
+}
+
+/**
+ * Computes where a ray hits a sphere.
+ *
+ * If the origin of the ray is inside the sphere the distance to
+ * where the ray exits the sphere is returned.
+ *
+ * @param r - The ray.
+ * @param center - The center of the sphere.
+ * @param radius - The radius of the sphere.
+ * @returns distance along the ray to the nearest hit in units of the ray's direction
+ *     or null if the ray misses the sphere.
+ */
+function intersectSphere(r: RayArg, center: Vec3Arg, radius: number): number | null {
+  const ox = r[0] - center[0];
+  const oy = r[1] - center[1];
+  const oz = r[2] - center[2];
+  const dx = r[3];
+  const dy = r[4];
+  const dz = r[5];
+
+  const a = dx * dx + dy * dy + dz * dz;
+  if (a === 0) {
+    return null;
+  }
+  const halfB = ox * dx + oy * dy + oz * dz;
+  const c = ox * ox + oy * oy + oz * oz - radius * radius;
+  const discriminant = halfB * halfB - a * c;
+  if (discriminant < 0) {
+    return null;
+  }
+
+  const sqrtD = Math.sqrt(discriminant);
+  const t0 = (-halfB - sqrtD) / a;
+  if (t0 >= 0) {
+    return t0;
+  }
+  const t1 = (-halfB + sqrtD) / a;
+  return t1 >= 0 ? t1 : null;
+}
+
+/**
+ * Computes where a ray hits an axis aligned bounding box using the slab method.
+ *
+ * If the origin of the ray is inside the box the distance to
+ * where the ray exits the box is returned.
+ *
+ * @param r - The ray.
+ * @param min - The minimum corner of the box.
+ * @param max - The maximum corner of the box.
+ * @returns distance along the ray to the nearest hit in units of the ray's direction
+ *     or null if the ray misses the box.
+ */
+function intersectAABB(r: RayArg, min: Vec3Arg, max: Vec3Arg): number | null {
+  let tMin = -Infinity;
+  let tMax = Infinity;
+
+  for (let i = 0; i < 3; ++i) {
+    const o = r[i];
+    const d = r[i + 3];
+    if (d === 0) {
+      // parallel to this slab so it must start between the 2 planes
+      if (o < min[i] || o > max[i]) {
+        return null;
+      }
+    } else {
+      const invD = 1 / d;
+      let t0 = (min[i] - o) * invD;
+      let t1 = (max[i] - o) * invD;
+      if (t0 > t1) {
+        const tmp = t0;
+        t0 = t1;
+        t1 = tmp;
+      }
+      tMin = Math.max(tMin, t0);
+      tMax = Math.min(tMax, t1);
+      if (tMin > tMax) {
+        return null;
+      }
+    }
+  }
+
+  if (tMax < 0) {
+    return null;
+  }
+  return tMin >= 0 ? tMin : tMax;
+}
+
+/**
+ * Computes where a ray hits a triangle using the Möller–Trumbore algorithm.
+ *
+ * Both sides of the triangle are hit.
+ *
+ * The result is `[t, u, v]` where `t` is the distance along the ray in units
+ * of the ray's direction and `u`, `v` are the barycentric coordinates of the
+ * hit point such that the point is `a * (1 - u - v) + b * u + c * v`.
+ *
+ * @param r - The ray.
+ * @param a - first vertex of the triangle.
+ * @param b - second vertex of the triangle.
+ * @param c - third vertex of the triangle.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns `[t, u, v]` or null if the ray misses the triangle.
+ */
+function intersectTriangle<T extends Vec3Arg = RayType>(
+    r: RayArg, a: Vec3Arg, b: Vec3Arg, c: Vec3Arg, dst?: T): T | null {
+  const e1x = b[0] - a[0];
+  const e1y = b[1] - a[1];
+  const e1z = b[2] - a[2];
+  const e2x = c[0] - a[0];
+  const e2y = c[1] - a[1];
+  const e2z = c[2] - a[2];
+
+  const dx = r[3];
+  const dy = r[4];
+  const dz = r[5];
+
+  // p = d x e2
+  const px = dy * e2z - dz * e2y;
+  const py = dz * e2x - dx * e2z;
+  const pz = dx * e2y - dy * e2x;
+
+  // det grows with the lengths of the edges and the direction so compare
+  // against them or small triangles would be treated as parallel.
+  const det = e1x * px + e1y * py + e1z * pz;
+  const lenSq =
+      (e1x * e1x + e1y * e1y + e1z * e1z) *
+      (e2x * e2x + e2y * e2y + e2z * e2z) *
+      (dx * dx + dy * dy + dz * dz);
+  if (det === 0 || det * det < utils.EPSILON * utils.EPSILON * lenSq) {
+    return null;
+  }
+  const invDet = 1 / det;
+
+  const sx = r[0] - a[0];
+  const sy = r[1] - a[1];
+  const sz = r[2] - a[2];
+
+  const u = (sx * px + sy * py + sz * pz) * invDet;
+  if (u < 0 || u > 1) {
+    return null;
+  }
+
+  // q = s x e1
+  const qx = sy * e1z - sz * e1y;
+  const qy = sz * e1x - sx * e1z;
+  const qz = sx * e1y - sy * e1x;
+
+  const v = (dx * qx + dy * qy + dz * qz) * invDet;
+  if (v < 0 || u + v > 1) {
+    return null;
+  }
+
+  const t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+  if (t < 0) {
+    return null;
+  }
+
+  const newDst = (dst ?? vec3.create()) as T;
+  newDst[0] = t;
+  newDst[1] = u;
+  newDst[2] = v;
+
+  return newDst;
+}
+
+return {
+  at,
+  clone,
+  copy,
+  create,
+  equals,
+  equalsApproximately,
+  fromOriginDirection,
+  fromPoints,
+  getDirection,
+  getOrigin,
+  intersectAABB,
+  intersectPlane,
+  intersectSphere,
+  intersectTriangle,
+  normalize,
+  set,
+  transformMat4,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends RayArg = Float32Array>(Ctor: RayCtor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
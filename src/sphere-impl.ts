@@ -0,0 +1,611 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import * as utils from './utils.js';
+import { SphereArg, SphereType } from './sphere';
+import { Mat4Arg } from './mat4';
+import { Vec3Arg } from './vec3';
+import { getAPI as getMat4API } from './mat4-impl';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+export { SphereArg, SphereType };
+
+type SphereCtor<T extends SphereArg = Float32Array>  = new (n: number) => T;
+
+/**
+ * The method used to compute a bounding sphere from points.
+ *
+ * * `'ritter'`: Ritter's method. Fast but the sphere is usually a little larger than needed.
+ * * `'welzl'`: Welzl's method. The smallest sphere that contains the points but slower.
+ */
+export type SphereMethod = 'ritter' | 'welzl';
+
+// The sphere being built by the bounding sphere functions as
+// plain numbers so they run in double precision.
+const work = [0, 0, 0, 0];
+
+function distanceSq(p: ArrayLike<number>, a: number, b: number) {
+  const dx = p[b    ] - p[a    ];
+  const dy = p[b + 1] - p[a + 1];
+  const dz = p[b + 2] - p[a + 2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+function isInWork(p: ArrayLike<number>, a: number) {
+  const dx = p[a    ] - work[0];
+  const dy = p[a + 1] - work[1];
+  const dz = p[a + 2] - work[2];
+  const r = work[3] * (1 + 1e-9) + 1e-12;
+  return dx * dx + dy * dy + dz * dz <= r * r;
+}
+
+function setWork(x: number, y: number, z: number, r: number) {
+  work[0] = x;
+  work[1] = y;
+  work[2] = z;
+  work[3] = r;
+}
+
+function sphereFrom1(p: ArrayLike<number>, a: number) {
+  setWork(p[a], p[a + 1], p[a + 2], 0);
+}
+
+function sphereFrom2(p: ArrayLike<number>, a: number, b: number) {
+  setWork(
+      (p[a    ] + p[b    ]) * 0.5,
+      (p[a + 1] + p[b + 1]) * 0.5,
+      (p[a + 2] + p[b + 2]) * 0.5,
+      Math.sqrt(distanceSq(p, a, b)) * 0.5);
+}
+
+// The smallest sphere with a, b, and c on its surface.
+// Returns false if the points are on a line.
+function circumsphere3(p: ArrayLike<number>, a: number, b: number, c: number) {
+  const ax = p[a]; const ay = p[a + 1]; const az = p[a + 2];
+  const ux = p[b] - ax; const uy = p[b + 1] - ay; const uz = p[b + 2] - az;
+  const vx = p[c] - ax; const vy = p[c + 1] - ay; const vz = p[c + 2] - az;
+
+  // n = u x v
+  const nx = uy * vz - uz * vy;
+  const ny = uz * vx - ux * vz;
+  const nz = ux * vy - uy * vx;
+  const nSq = nx * nx + ny * ny + nz * nz;
+  const uSq = ux * ux + uy * uy + uz * uz;
+  const vSq = vx * vx + vy * vy + vz * vz;
+  if (nSq <= 1e-12 * uSq * vSq) {
+    return false;
+  }
+
+  // offset = (|v|² (n x u) + |u|² (v x n)) / 2|n|²
+  const s = 0.5 / nSq;
+  const ox = (vSq * (ny * uz - nz * uy) + uSq * (vy * nz - vz * ny)) * s;
+  const oy = (vSq * (nz * ux - nx * uz) + uSq * (vz * nx - vx * nz)) * s;
+  const oz = (vSq * (nx * uy - ny * ux) + uSq * (vx * ny - vy * nx)) * s;
+  setWork(ax + ox, ay + oy, az + oz, Math.sqrt(ox * ox + oy * oy + oz * oz));
+  return true;
+}
+
+// The smallest sphere with a, b, and c on its surface or if they
+// are on a line the sphere through the 2 furthest apart.
+function sphereFrom3(p: ArrayLike<number>, a: number, b: number, c: number) {
+  if (circumsphere3(p, a, b, c)) {
+    return;
+  }
+  const ab = distanceSq(p, a, b);
+  const ac = distanceSq(p, a, c);
+  const bc = distanceSq(p, b, c);
+  if (ab >= ac && ab >= bc) {
+    sphereFrom2(p, a, b);
+  } else if (ac >= bc) {
+    sphereFrom2(p, a, c);
+  } else {
+    sphereFrom2(p, b, c);
+  }
+}
+
+// The sphere with a, b, c, and d on its surface or if they are on
+// a plane the smallest sphere that contains them.
+function sphereFrom4(p: ArrayLike<number>, a: number, b: number, c: number, d: number) {
+  const ax = p[a]; const ay = p[a + 1]; const az = p[a + 2];
+  const ux = p[b] - ax; const uy = p[b + 1] - ay; const uz = p[b + 2] - az;
+  const vx = p[c] - ax; const vy = p[c + 1] - ay; const vz = p[c + 2] - az;
+  const wx = p[d] - ax; const wy = p[d + 1] - ay; const wz = p[d + 2] - az;
+
+  // v x w, w x u, u x v
+  const vwx = vy * wz - vz * wy; const vwy = vz * wx - vx * wz; const vwz = vx * wy - vy * wx;
+  const wux = wy * uz - wz * uy; const wuy = wz * ux - wx * uz; const wuz = wx * uy - wy * ux;
+  const uvx = uy * vz - uz * vy; const uvy = uz * vx - ux * vz; const uvz = ux * vy - uy * vx;
+
+  const det = 2 * (ux * vwx + uy * vwy + uz * vwz);
+  const uSq = ux * ux + uy * uy + uz * uz;
+  const vSq = vx * vx + vy * vy + vz * vz;
+  const wSq = wx * wx + wy * wy + wz * wz;
+  const scale = Math.sqrt(uSq * vSq * wSq);
+  if (Math.abs(det) > 1e-9 * scale) {
+    const ox = (uSq * vwx + vSq * wux + wSq * uvx) / det;
+    const oy = (uSq * vwy + vSq * wuy + wSq * uvy) / det;
+    const oz = (uSq * vwz + vSq * wuz + wSq * uvz) / det;
+    setWork(ax + ox, ay + oy, az + oz, Math.sqrt(ox * ox + oy * oy + oz * oz));
+    return;
+  }
+
+  // The points are on a plane so no sphere goes through all of them. The smallest
+  // sphere containing them goes through 2 or 3 of them.
+  const points = [a, b, c, d];
+  let bestX = 0;
+  let bestY = 0;
+  let bestZ = 0;
+  let bestR = Infinity;
+  const keepIfBest = () => {
+    if (work[3] < bestR && points.every(i => isInWork(p, i))) {
+      bestX = work[0];
+      bestY = work[1];
+      bestZ = work[2];
+      bestR = work[3];
+    }
+  };
+  for (let i = 0; i < 4; ++i) {
+    for (let j = i + 1; j < 4; ++j) {
+      sphereFrom2(p, points[i], points[j]);
+      keepIfBest();
+      for (let k = j + 1; k < 4; ++k) {
+        if (circumsphere3(p, points[i], points[j], points[k])) {
+          keepIfBest();
+        }
+      }
+    }
+  }
+  setWork(bestX, bestY, bestZ, bestR);
+}
+
+// Welzl's algorithm written as nested loops (move-to-front is not needed
+// because the points are visited in a shuffled order).
+function welzl(p: ArrayLike<number>, ndx: number[]) {
+  const n = ndx.length;
+  sphereFrom1(p, ndx[0]);
+  for (let i = 1; i < n; ++i) {
+    if (isInWork(p, ndx[i])) {
+      continue;
+    }
+    sphereFrom1(p, ndx[i]);
+    for (let j = 0; j < i; ++j) {
+      if (isInWork(p, ndx[j])) {
+        continue;
+      }
+      sphereFrom2(p, ndx[i], ndx[j]);
+      for (let k = 0; k < j; ++k) {
+        if (isInWork(p, ndx[k])) {
+          continue;
+        }
+        sphereFrom3(p, ndx[i], ndx[j], ndx[k]);
+        for (let l = 0; l < k; ++l) {
+          if (isInWork(p, ndx[l])) {
+            continue;
+          }
+          sphereFrom4(p, ndx[i], ndx[j], ndx[k], ndx[l]);
+        }
+      }
+    }
+  }
+}
+
+function ritter(p: ArrayLike<number>, ndx: number[]) {
+  // find a point far from the first point, then a point far from that one
+  let x = ndx[0];
+  let maxDistSq = -1;
+  for (const i of ndx) {
+    const dSq = distanceSq(p, ndx[0], i);
+    if (dSq > maxDistSq) {
+      maxDistSq = dSq;
+      x = i;
+    }
+  }
+  let y = x;
+  maxDistSq = -1;
+  for (const i of ndx) {
+    const dSq = distanceSq(p, x, i);
+    if (dSq > maxDistSq) {
+      maxDistSq = dSq;
+      y = i;
+    }
+  }
+  sphereFrom2(p, x, y);
+
+  // grow the sphere to include any points outside it
+  for (const i of ndx) {
+    const dx = p[i    ] - work[0];
+    const dy = p[i + 1] - work[1];
+    const dz = p[i + 2] - work[2];
+    const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (d > work[3]) {
+      const r = (work[3] + d) * 0.5;
+      const t = (r - work[3]) / d;
+      setWork(work[0] + dx * t, work[1] + dy * t, work[2] + dz * t, r);
+    }
+  }
+}
+
+/**
+ * Generates a typed API for Sphere
+ * */
+function getAPIImpl<SphereType extends SphereArg = Float32Array>(Ctor: SphereCtor<SphereType>) {
+  const mat4 = getMat4API<SphereType>(Ctor);
+  const vec3 = getVec3API<SphereType>(Ctor);
+
+/**
+ * Bounding sphere functions.
+ *
+ * A sphere is stored as 4 values, the center followed by the radius.
+ *
+ *     const s = sphere.create(0, 1, 0, 2);
+ *
+ * An empty sphere has a negative radius so that expanding it by a point
+ * gives a sphere containing only that point.
+ */
+
+/**
+ * Creates a sphere; may be called with the center and radius to set initial values.
+ * @param x - Initial x value of the center.
+ * @param y - Initial y value of the center.
+ * @param z - Initial z value of the center.
+ * @param radius - Initial radius.
+ * @returns the created sphere
+ */
+function create(x?: number, y?: number, z?: number, radius?: number) {
+  const newDst = new Ctor(4);
+  if (x !== undefined) {
+    newDst[0] = x;
+    if (y !== undefined) {
+      newDst[1] = y;
+      if (z !== undefined) {
+        newDst[2] = z;
+        if (radius !== undefined) {
+          newDst[3] = radius;
+        }
+      }
+    }
+  }
+  return newDst;
+}
+
+/**
+ * Sets the values of a sphere
+ * Also see {@link sphere.create} and {@link sphere.copy}
+ *
+ * @param x - x value of the center.
+ * @param y - y value of the center.
+ * @param z - z value of the center.
+ * @param radius - radius.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns A sphere with its elements set.
+ */
+function set<T extends SphereArg = SphereType>(x: number, y: number, z: number, radius: number, dst?: T) {
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  newDst[0] = x;
+  newDst[1] = y;
+  newDst[2] = z;
+  newDst[3] = radius;
+
+  return newDst;
+}
+
+/**
+ * Creates a sphere from its center and radius.
+ * @param center - The center.
+ * @param radius - The radius.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns The sphere.
+ */
+function fromCenterRadius<T extends SphereArg = SphereType>(center: Vec3Arg, radius: number, dst?: T) {
+  return set(center[0], center[1], center[2], radius, dst);
+}
+
+/**
+ * Sets a sphere to empty. Its center is 0, 0, 0 and its radius is -1.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns An empty sphere.
+ */
+function empty<T extends SphereArg = SphereType>(dst?: T) {
+  return set(0, 0, 0, -1, dst);
+}
+
+/**
+ * Check if a sphere is empty, meaning its radius is negative.
+ * @param s - The sphere.
+ * @returns true if the sphere is empty
+ */
+function isEmpty(s: SphereArg): boolean {
+  return s[3] < 0;
+}
+
+const pointOffsets: number[] = [];
+
+/**
+ * Computes a bounding sphere of a list of positions.
+ *
+ * The positions can be interleaved with other data, for example
+ *
+ * ```
+ * // x, y, z, u, v
+ * const vertices = new Float32Array([...]);
+ * const s = sphere.fromPoints(vertices, 5);
+ * ```
+ *
+ * By default this uses Ritter's method which is fast but gives a sphere that is
+ * usually a few percent larger than needed. Pass `'welzl'` to get the smallest
+ * sphere that contains the points. It is slower but still linear on average.
+ *
+ * If there are no positions the result is empty.
+ *
+ * @param positions - array of positions.
+ * @param stride - number of values from one position to the next.
+ * @param offset - index of the first position.
+ * @param method - `'ritter'` or `'welzl'`.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns The sphere containing all the positions.
+ */
+function fromPoints<T extends SphereArg = SphereType>(
+    positions: ArrayLike<number>, stride = 3, offset = 0, method: SphereMethod = 'ritter', dst?: T) {
+  utils.checkStride(stride);
+
+  const newDst = (dst ?? new Ctor(4)) as T;
+
+  const ndx = pointOffsets;
+  ndx.length = 0;
+  for (let i = offset; i + 2 < positions.length; i += stride) {
+    ndx.push(i);
+  }
+  if (ndx.length === 0) {
+    return empty(newDst);
+  }
+
+  if (method === 'welzl') {
+    // A shuffled order makes the expected time linear. Use a fixed
+    // seed so the same points always give the same sphere.
+    let seed = 1;
+    for (let i = ndx.length - 1; i > 0; --i) {
+      seed = (seed * 16807) % 2147483647;
+      const j = seed % (i + 1);
+      const t = ndx[i];
+      ndx[i] = ndx[j];
+      ndx[j] = t;
+    }
+    welzl(positions, ndx);
+  } else {
+    ritter(positions, ndx);
+  }
+  ndx.length = 0;
+
+  return set(work[0], work[1], work[2], work[3], newDst);
+}
+
+/**
+ * Copies a sphere. (same as {@link sphere.clone})
+ * Also see {@link sphere.create} and {@link sphere.set}
+ * @param s - The sphere.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns A sphere that is a copy of s
+ */
+function copy<T extends SphereArg = SphereType>(s: SphereArg, dst?: T) {
+  return set(s[0], s[1], s[2], s[3], dst);
+}
+
+/**
+ * Clones a sphere. (same as {@link sphere.copy})
+ * Also see {@link sphere.create} and {@link sphere.set}
+ * @param s - The sphere.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns A sphere that is a copy of s
+ */
+const clone = copy;
+
+/**
+ * Check if 2 spheres are approximately equal
+ * @param a - Operand sphere.
+ * @param b - Operand sphere.
+ * @returns true if spheres are approximately equal
+ */
+function equalsApproximately(a: SphereArg, b: SphereArg): boolean {
+  return Math.abs(a[0] - b[0]) < utils.EPSILON &&
+         Math.abs(a[1] - b[1]) < utils.EPSILON &&
+         Math.abs(a[2] - b[2]) < utils.EPSILON &&
+         Math.abs(a[3] - b[3]) < utils.EPSILON;
+}
+
+/**
+ * Check if 2 spheres are exactly equal
+ * @param a - Operand sphere.
+ * @param b - Operand sphere.
+ * @returns true if spheres are exactly equal
+ */
+function equals(a: SphereArg, b: SphereArg): boolean {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3];
+}
+
+/**
+ * Gets the center of a sphere.
+ * @param s - The sphere.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The center of s.
+ */
+function getCenter<T extends Vec3Arg = SphereType>(s: SphereArg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  newDst[0] = s[0];
+  newDst[1] = s[1];
+  newDst[2] = s[2];
+
+  return newDst;
+}
+
+/**
+ * Expands a sphere so it contains a point. The sphere grows toward the
+ * point so the result is the smallest sphere containing both.
+ * @param s - The sphere.
+ * @param p - The point.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns The expanded sphere.
+ */
+function expandByPoint<T extends SphereArg = SphereType>(s: SphereArg, p: Vec3Arg, dst?: T) {
+  if (isEmpty(s)) {
+    return set(p[0], p[1], p[2], 0, dst);
+  }
+
+  const dx = p[0] - s[0];
+  const dy = p[1] - s[1];
+  const dz = p[2] - s[2];
+  const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (d <= s[3]) {
+    return copy(s, dst);
+  }
+
+  const r = (s[3] + d) * 0.5;
+  const t = (r - s[3]) / d;
+  return set(s[0] + dx * t, s[1] + dy * t, s[2] + dz * t, r, dst);
+}
+
+/**
+ * Computes the smallest sphere containing 2 spheres.
+ * @param a - Operand sphere.
+ * @param b - Operand sphere.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns The sphere containing both a and b.
+ */
+function union<T extends SphereArg = SphereType>(a: SphereArg, b: SphereArg, dst?: T) {
+  if (isEmpty(b)) {
+    return copy(a, dst);
+  }
+  if (isEmpty(a)) {
+    return copy(b, dst);
+  }
+
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const dz = b[2] - a[2];
+  const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+  // one contains the other
+  if (d + b[3] <= a[3]) {
+    return copy(a, dst);
+  }
+  if (d + a[3] <= b[3]) {
+    return copy(b, dst);
+  }
+
+  const r = (a[3] + d + b[3]) * 0.5;
+  const t = (r - a[3]) / d;
+  return set(a[0] + dx * t, a[1] + dy * t, a[2] + dz * t, r, dst);
+}
+
+/**
+ * Check if a point is inside a sphere. Points on the surface are considered inside.
+ * @param s - The sphere.
+ * @param p - The point.
+ * @returns true if p is inside s
+ */
+function containsPoint(s: SphereArg, p: Vec3Arg): boolean {
+  const dx = p[0] - s[0];
+  const dy = p[1] - s[1];
+  const dz = p[2] - s[2];
+  return s[3] >= 0 && dx * dx + dy * dy + dz * dz <= s[3] * s[3];
+}
+
+/**
+ * Check if 2 spheres overlap. Spheres that only touch are considered overlapping.
+ * @param a - Operand sphere.
+ * @param b - Operand sphere.
+ * @returns true if a and b overlap
+ */
+function intersectsSphere(a: SphereArg, b: SphereArg): boolean {
+  if (isEmpty(a) || isEmpty(b)) {
+    return false;
+  }
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const dz = b[2] - a[2];
+  const r = a[3] + b[3];
+  return dx * dx + dy * dy + dz * dz <= r * r;
+}
+
+const sphereCenter = vec3.create();
+const sphereScale = vec3.create();
+
+/**
+ * Transforms a sphere by a 4x4 matrix. The radius is scaled by the largest
+ * scale of the matrix (see {@link mat4.getScaling}) so the result contains
+ * the transformed sphere even if the matrix scales each axis differently.
+ * The matrix is assumed to be affine.
+ *
+ * An empty sphere stays empty.
+ *
+ * @param s - The sphere.
+ * @param m - The matrix.
+ * @param dst - sphere to hold result. If not passed in a new one is created.
+ * @returns The transformed sphere.
+ */
+function transformMat4<T extends SphereArg = SphereType>(s: SphereArg, m: Mat4Arg, dst?: T) {
+  if (isEmpty(s)) {
+    return copy(s, dst);
+  }
+
+  vec3.transformMat4(getCenter(s, sphereCenter), m, sphereCenter);
+  mat4.getScaling(m, sphereScale);
+  const scale = Math.max(sphereScale[0], sphereScale[1], sphereScale[2]);
+
+  return set(sphereCenter[0], sphereCenter[1], sphereCenter[2], s[3] * scale, dst);
+}
+
+return {
+  clone,
+  containsPoint,
+  copy,
+  create,
+  empty,
+  equals,
+  equalsApproximately,
+  expandByPoint,
+  fromCenterRadius,
+  fromPoints,
+  getCenter,
+  intersectsSphere,
+  isEmpty,
+  set,
+  transformMat4,
+  union,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends SphereArg = Float32Array>(Ctor: SphereCtor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2022 Gregg Tavares
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.  IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ */
+
+import { Vec3Arg, Vec3Type } from './vec3';
+import { getAPI as getVec3API } from './vec3-impl';
+import { BaseArgType } from './types';
+
+export { Vec3Arg, Vec3Type };
+
+type Vec3Ctor<T extends Vec3Arg = Float32Array>  = new (n: number) => T;
+
+/**
+ * Generates a typed API for triangle functions
+ * */
+function getAPIImpl<VecType extends Vec3Arg = Float32Array>(Ctor: Vec3Ctor<VecType>) {
+  const vec3 = getVec3API<VecType>(Ctor);
+
+/**
+ * Triangle functions.
+ *
+ * A triangle is given as its 3 vertices, each a vec3.
+ *
+ *     const n = triangle.normal(a, b, c);
+ *     const area = triangle.area(a, b, c);
+ *
+ * See {@link vec3.barycentric} and {@link vec3.fromBarycentric} for
+ * working with points on a triangle.
+ */
+
+const edge0 = vec3.create();
+const edge1 = vec3.create();
+
+/**
+ * Computes the unit length normal of a triangle. The normal points toward
+ * the side from which the vertices a, b, c appear counter clockwise.
+ *
+ * If the triangle is degenerate the result is `[0, 0, 0]`.
+ *
+ * @param a - first vertex of the triangle.
+ * @param b - second vertex of the triangle.
+ * @param c - third vertex of the triangle.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The normal of the triangle.
+ */
+function normal<T extends Vec3Arg = VecType>(a: Vec3Arg, b: Vec3Arg, c: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? vec3.create()) as T;
+
+  vec3.subtract(b, a, edge0);
+  vec3.subtract(c, a, edge1);
+  vec3.cross(edge0, edge1, newDst);
+
+  return vec3.normalize(newDst, newDst);
+}
+
+/**
+ * Computes the area of a triangle.
+ * @param a - first vertex of the triangle.
+ * @param b - second vertex of the triangle.
+ * @param c - third vertex of the triangle.
+ * @returns The area of the triangle.
+ */
+function area(a: Vec3Arg, b: Vec3Arg, c: Vec3Arg): number {
+  vec3.subtract(b, a, edge0);
+  vec3.subtract(c, a, edge1);
+  return vec3.length(vec3.cross(edge0, edge1, edge0)) * 0.5;
+}
+
+return {
+  area,
+  normal,
+};
+
+}
+
+type API<T extends BaseArgType = Float32Array> = ReturnType<typeof getAPIImpl<T>>;
+
+const cache = new Map();
+
+export function getAPI<T extends Vec3Arg = Float32Array>(Ctor: Vec3Ctor<T>) {
+  let api = cache.get(Ctor);
+  if (!api) {
+    api = getAPIImpl<T>(Ctor);
+    cache.set(Ctor, api);
+  }
+  return api as API<T>;
+}
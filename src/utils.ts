@@ -78,6 +78,19 @@ export function inverseLerp(a: number, b: number, v: number): number {
      : (v - a) / d;
 }
 
+/**
+ * Throws if a stride is not greater than 0. Functions that step through
+ * an array of values by a stride check it first so a bad stride throws
+ * instead of looping forever.
+ * @param stride - number of values from one element to the next.
+ * @param name - name of the stride to use in the error.
+ */
+export function checkStride(stride: number, name = 'stride') {
+  if (!(stride > 0)) {
+    throw new Error(`${name} must be greater than 0, got ${stride}`);
+  }
+}
+
 /**
  * Compute the euclidean modulo
  *
@@ -95,4 +108,63 @@ export function inverseLerp(a: number, b: number, v: number): number {
  */
 export function euclideanModulo(n: number, m: number) {
   return ((n % m) + m) % m;
-}
\ No newline at end of file
+}
+
+/**
+ * Computes an element of the Halton low discrepancy sequence for the given base.
+ * The values are evenly spread between 0 and 1 which makes them useful for
+ * sampling patterns, for example the sub-pixel jitter for temporal anti-aliasing.
+ *
+ * ```
+ * // first values for base 2
+ * halton(1, 2) // 0.5
+ * halton(2, 2) // 0.25
+ * halton(3, 2) // 0.75
+ * halton(4, 2) // 0.125
+ * ```
+ *
+ * Note: index 0 is always 0 so sequences usually start at 1.
+ *
+ * @param index - index of the element in the sequence.
+ * @param base - base of the sequence, usually a small prime like 2 or 3.
+ * @returns the value of the sequence at index, between 0 and 1
+ */
+export function halton(index: number, base: number): number {
+  let f = 1;
+  let result = 0;
+  let i = index;
+  while (i > 0) {
+    f /= base;
+    result += f * (i % base);
+    i = Math.floor(i / base);
+  }
+  return result;
+}
+
+/**
+ * Computes the split distances for cascaded shadow maps using the "practical"
+ * split scheme, a blend between logarithmic and uniform splits.
+ *
+ * ```
+ * const splits = cascadeSplits(0.1, 100, 4);
+ * // splits[0] = 0.1, splits[4] = 100
+ * // cascade i covers splits[i] to splits[i + 1]
+ * ```
+ *
+ * @param zNear - The distance to the camera's near plane.
+ * @param zFar - The distance the shadows should end at.
+ * @param cascadeCount - The number of cascades.
+ * @param lambda - 0 = uniform splits, 1 = logarithmic splits.
+ * @returns cascadeCount + 1 distances from zNear to zFar
+ */
+export function cascadeSplits(zNear: number, zFar: number, cascadeCount: number, lambda = 0.5): number[] {
+  const splits = [zNear];
+  for (let i = 1; i < cascadeCount; ++i) {
+    const p = i / cascadeCount;
+    const log = zNear * Math.pow(zFar / zNear, p);
+    const uniform = zNear + (zFar - zNear) * p;
+    splits.push(lerp(uniform, log, lambda));
+  }
+  splits.push(zFar);
+  return splits;
+}
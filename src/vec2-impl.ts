@@ -20,7 +20,9 @@
  * DEALINGS IN THE SOFTWARE.
  */
 import * as utils from './utils.js';
+import { Mat2Arg } from './mat2';
 import { Mat3Arg } from './mat3';
+import { Mat3x2Arg } from './mat3x2';
 import { Mat4Arg } from './mat4';
 import { Vec2Arg, Vec2Type } from './vec2';
 import { Vec3Arg } from './vec3';
@@ -621,6 +623,32 @@ function random<T extends Vec2Arg = VecType>(scale = 1, dst?: T) {
   return newDst;
 }
 
+/**
+ * Computes a sub-pixel jitter offset for temporal anti-aliasing using the
+ * Halton(2, 3) sequence. The offsets are between -0.5 and 0.5 pixels and repeat
+ * every `sequenceLength` frames. Pass the result to {@link mat4.jitter}.
+ *
+ * ```
+ * const offset = vec2.haltonJitter(frameCount);
+ * mat4.jitter(projection, offset[0], offset[1], width, height, jitteredProjection);
+ * ```
+ *
+ * @param frameIndex - the frame number.
+ * @param sequenceLength - the number of offsets before the sequence repeats.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The jitter offset in pixels.
+ */
+function haltonJitter<T extends Vec2Arg = VecType>(frameIndex: number, sequenceLength = 8, dst?: T) {
+  const newDst = (dst ?? new Ctor(2)) as T;
+
+  // skip index 0 as it is 0 for every base
+  const ndx = utils.euclideanModulo(frameIndex, sequenceLength) + 1;
+  newDst[0] = utils.halton(ndx, 2) - 0.5;
+  newDst[1] = utils.halton(ndx, 3) - 0.5;
+
+  return newDst;
+}
+
 /**
  * Zero's a vector
  * @param dst - vector to hold result. If not passed in a new one is created.
@@ -655,6 +683,26 @@ function transformMat4<T extends Vec2Arg = VecType>(v: Vec2Arg, m: Mat4Arg, dst?
   return newDst;
 }
 
+/**
+ * Transform Vec2 by 2x2 matrix
+ *
+ * @param v - the vector
+ * @param m - The matrix.
+ * @param dst - optional Vec2 to store result. If not passed a new one is created.
+ * @returns the transformed vector
+ */
+function transformMat2<T extends Vec2Arg = VecType>(v: Vec2Arg, m: Mat2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(2)) as T;
+
+  const x = v[0];
+  const y = v[1];
+
+  newDst[0] = m[0] * x + m[2] * y;
+  newDst[1] = m[1] * x + m[3] * y;
+
+  return newDst;
+}
+
 /**
  * Transform Vec2 by 3x3 matrix
  *
@@ -675,6 +723,28 @@ function transformMat3<T extends Vec2Arg = VecType>(v: Vec2Arg, m: Mat3Arg, dst?
   return newDst;
 }
 
+/**
+ * Transform Vec2 by a 3 column by 2 row matrix (an affine transform
+ * with the last row of a 3x3 matrix dropped). The vector is treated
+ * as a point so the 3rd column is added as a translation.
+ *
+ * @param v - the vector
+ * @param m - The matrix.
+ * @param dst - optional Vec2 to store result. If not passed a new one is created.
+ * @returns the transformed vector
+ */
+function transformMat3x2<T extends Vec2Arg = VecType>(v: Vec2Arg, m: Mat3x2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(2)) as T;
+
+  const x = v[0];
+  const y = v[1];
+
+  newDst[0] = m[0] * x + m[2] * y + m[4];
+  newDst[1] = m[1] * x + m[3] * y + m[5];
+
+  return newDst;
+}
+
 /**
  * Rotate a 2D vector
  *
@@ -741,6 +811,73 @@ function midpoint<T extends Vec2Arg = VecType>(a: Vec2Arg, b: Vec2Arg, dst?: T)
   return lerp(a, b, 0.5, newDst);
 }
 
+/**
+ * Computes the barycentric coordinates of a point relative to a triangle.
+ *
+ * The result is `[u, v, w]` such that `p = a * u + b * v + c * w` and
+ * `u + v + w = 1`. p is inside the triangle if all 3 coordinates are
+ * between 0 and 1.
+ *
+ * If the triangle is degenerate the result is `[1, 0, 0]`.
+ *
+ * @param p - The point.
+ * @param a - first vertex of the triangle.
+ * @param b - second vertex of the triangle.
+ * @param c - third vertex of the triangle.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The barycentric coordinates `[u, v, w]` of p.
+ */
+function barycentric<T extends Vec3Arg = VecType>(p: Vec2Arg, a: Vec2Arg, b: Vec2Arg, c: Vec2Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(3)) as T;
+
+  const v0x = b[0] - a[0];
+  const v0y = b[1] - a[1];
+  const v1x = c[0] - a[0];
+  const v1y = c[1] - a[1];
+  const v2x = p[0] - a[0];
+  const v2y = p[1] - a[1];
+
+  const denom = v0x * v1y - v1x * v0y;
+  if (denom === 0) {
+    newDst[0] = 1;
+    newDst[1] = 0;
+    newDst[2] = 0;
+    return newDst;
+  }
+
+  const v = (v2x * v1y - v1x * v2y) / denom;
+  const w = (v0x * v2y - v2x * v0y) / denom;
+  newDst[0] = 1 - v - w;
+  newDst[1] = v;
+  newDst[2] = w;
+
+  return newDst;
+}
+
+/**
+ * Computes a point from barycentric coordinates relative to a triangle.
+ * This is `a * uvw[0] + b * uvw[1] + c * uvw[2]` and can be used to
+ * interpolate any per vertex vec2 like a texture coordinate.
+ *
+ * @param a - first vertex of the triangle.
+ * @param b - second vertex of the triangle.
+ * @param c - third vertex of the triangle.
+ * @param uvw - The barycentric coordinates. See {@link vec2.barycentric}.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The interpolated point.
+ */
+function fromBarycentric<T extends Vec2Arg = VecType>(a: Vec2Arg, b: Vec2Arg, c: Vec2Arg, uvw: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(2)) as T;
+
+  const u = uvw[0];
+  const v = uvw[1];
+  const w = uvw[2];
+  newDst[0] = a[0] * u + b[0] * v + c[0] * w;
+  newDst[1] = a[1] * u + b[1] * v + c[1] * w;
+
+  return newDst;
+}
+
 return {
   create,
   fromValues,
@@ -784,13 +921,18 @@ return {
   divide,
   div,
   random,
+  haltonJitter,
   zero,
   transformMat4,
+  transformMat2,
   transformMat3,
+  transformMat3x2,
   rotate,
   setLength,
   truncate,
   midpoint,
+  barycentric,
+  fromBarycentric,
 };
 }
 
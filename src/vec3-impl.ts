@@ -23,6 +23,8 @@ import * as utils from './utils.js';
 import { Vec3Arg, Vec3Type } from './vec3';
 import { Mat3Arg } from './mat3';
 import { Mat4Arg } from './mat4';
+import { Mat4x3Arg } from './mat4x3';
+import { Vec4Arg } from './vec4';
 import { QuatArg } from './quat';
 import { BaseArgType } from './types';
 
@@ -688,6 +690,29 @@ function transformMat4<T extends Vec3Arg = VecType>(v: Vec3Arg, m: Mat4Arg, dst?
   return newDst;
 }
 
+/**
+ * Transform vec3 by a 4 column by 3 row matrix (an affine transform
+ * with the last row of a 4x4 matrix dropped). The vector is treated
+ * as a point so the 4th column is added as a translation.
+ * @param v - the vector
+ * @param m - The matrix.
+ * @param dst - optional vec3 to store result. If not passed a new one is created.
+ * @returns the transformed vector
+ */
+function transformMat4x3<T extends Vec3Arg = VecType>(v: Vec3Arg, m: Mat4x3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(3)) as T;
+
+  const x = v[0];
+  const y = v[1];
+  const z = v[2];
+
+  newDst[0] = m[0] * x + m[4] * y + m[ 8] * z + m[12];
+  newDst[1] = m[1] * x + m[5] * y + m[ 9] * z + m[13];
+  newDst[2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+
+  return newDst;
+}
+
 /**
  * Transform vec3 by upper 3x3 matrix inside 4x4 matrix.
  * @param v - The direction.
@@ -761,6 +786,72 @@ function transformQuat<T extends Vec3Arg = VecType>(v: Vec3Arg, q: QuatArg, dst?
   return newDst;
 }
 
+/**
+ * Projects a point from world space to screen space.
+ *
+ * The point is transformed by the view-projection matrix, divided by w, and then
+ * mapped to the viewport. Like WebGPU's framebuffer coordinates, screen x goes right
+ * and screen y goes down with 0, 0 at the top left of the viewport. The z value
+ * of the result is the depth, 0 to 1 for points between the near and far planes.
+ *
+ * Points behind the camera are also divided by w which flips them
+ * so check the depth or the point's w if that matters.
+ *
+ * @param v - the point in world space.
+ * @param viewProjection - the view-projection matrix.
+ * @param viewport - the viewport as `[x, y, width, height]`.
+ * @param dst - optional vec3 to store result. If not passed a new one is created.
+ * @returns the point in screen space
+ */
+function project<T extends Vec3Arg = VecType>(v: Vec3Arg, viewProjection: Mat4Arg, viewport: Vec4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(3)) as T;
+
+  const m = viewProjection;
+  const x = v[0];
+  const y = v[1];
+  const z = v[2];
+  const w = (m[3] * x + m[7] * y + m[11] * z + m[15]) || 1;
+
+  const ndcX = (m[0] * x + m[4] * y + m[ 8] * z + m[12]) / w;
+  const ndcY = (m[1] * x + m[5] * y + m[ 9] * z + m[13]) / w;
+  const ndcZ = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+
+  newDst[0] = viewport[0] + (ndcX + 1) * 0.5 * viewport[2];
+  newDst[1] = viewport[1] + (1 - ndcY) * 0.5 * viewport[3];
+  newDst[2] = ndcZ;
+
+  return newDst;
+}
+
+/**
+ * Unprojects a point from screen space to world space. This is the inverse of {@link vec3.project}.
+ *
+ * Screen x goes right and screen y goes down with 0, 0 at the top left of the viewport.
+ * The z value is the depth, 0 for the near plane and 1 for the far plane (or the reverse
+ * for a reverse-z projection).
+ *
+ * @param v - the point in screen space.
+ * @param inverseViewProjection - the inverse of the view-projection matrix.
+ * @param viewport - the viewport as `[x, y, width, height]`.
+ * @param dst - optional vec3 to store result. If not passed a new one is created.
+ * @returns the point in world space
+ */
+function unproject<T extends Vec3Arg = VecType>(v: Vec3Arg, inverseViewProjection: Mat4Arg, viewport: Vec4Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(3)) as T;
+
+  const m = inverseViewProjection;
+  const x = (v[0] - viewport[0]) / viewport[2] * 2 - 1;
+  const y = 1 - (v[1] - viewport[1]) / viewport[3] * 2;
+  const z = v[2];
+  const w = (m[3] * x + m[7] * y + m[11] * z + m[15]) || 1;
+
+  newDst[0] = (m[0] * x + m[4] * y + m[ 8] * z + m[12]) / w;
+  newDst[1] = (m[1] * x + m[5] * y + m[ 9] * z + m[13]) / w;
+  newDst[2] = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+
+  return newDst;
+}
+
 /**
  * Returns the translation component of a 4-by-4 matrix as a vector with 3
  * entries.
@@ -949,6 +1040,84 @@ function midpoint<T extends Vec3Arg = VecType>(a: Vec3Arg, b: Vec3Arg, dst?: T)
   return lerp(a, b, 0.5, newDst);
 }
 
+/**
+ * Computes the barycentric coordinates of a point relative to a triangle.
+ *
+ * The result is `[u, v, w]` such that `p = a * u + b * v + c * w` and
+ * `u + v + w = 1`. If p is not in the plane of the triangle the coordinates
+ * are for p projected onto that plane. p is inside the triangle if all
+ * 3 coordinates are between 0 and 1.
+ *
+ * If the triangle is degenerate the result is `[1, 0, 0]`.
+ *
+ * @param p - The point.
+ * @param a - first vertex of the triangle.
+ * @param b - second vertex of the triangle.
+ * @param c - third vertex of the triangle.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The barycentric coordinates `[u, v, w]` of p.
+ */
+function barycentric<T extends Vec3Arg = VecType>(p: Vec3Arg, a: Vec3Arg, b: Vec3Arg, c: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(3)) as T;
+
+  const v0x = b[0] - a[0];
+  const v0y = b[1] - a[1];
+  const v0z = b[2] - a[2];
+  const v1x = c[0] - a[0];
+  const v1y = c[1] - a[1];
+  const v1z = c[2] - a[2];
+  const v2x = p[0] - a[0];
+  const v2y = p[1] - a[1];
+  const v2z = p[2] - a[2];
+
+  const d00 = v0x * v0x + v0y * v0y + v0z * v0z;
+  const d01 = v0x * v1x + v0y * v1y + v0z * v1z;
+  const d11 = v1x * v1x + v1y * v1y + v1z * v1z;
+  const d20 = v2x * v0x + v2y * v0y + v2z * v0z;
+  const d21 = v2x * v1x + v2y * v1y + v2z * v1z;
+
+  const denom = d00 * d11 - d01 * d01;
+  if (denom === 0) {
+    newDst[0] = 1;
+    newDst[1] = 0;
+    newDst[2] = 0;
+    return newDst;
+  }
+
+  const v = (d11 * d20 - d01 * d21) / denom;
+  const w = (d00 * d21 - d01 * d20) / denom;
+  newDst[0] = 1 - v - w;
+  newDst[1] = v;
+  newDst[2] = w;
+
+  return newDst;
+}
+
+/**
+ * Computes a point from barycentric coordinates relative to a triangle.
+ * This is `a * uvw[0] + b * uvw[1] + c * uvw[2]` and can be used to
+ * interpolate any per vertex vec3 like a position or a normal.
+ *
+ * @param a - first vertex of the triangle.
+ * @param b - second vertex of the triangle.
+ * @param c - third vertex of the triangle.
+ * @param uvw - The barycentric coordinates. See {@link vec3.barycentric}.
+ * @param dst - vector to hold result. If not passed in a new one is created.
+ * @returns The interpolated point.
+ */
+function fromBarycentric<T extends Vec3Arg = VecType>(a: Vec3Arg, b: Vec3Arg, c: Vec3Arg, uvw: Vec3Arg, dst?: T) {
+  const newDst = (dst ?? new Ctor(3)) as T;
+
+  const u = uvw[0];
+  const v = uvw[1];
+  const w = uvw[2];
+  newDst[0] = a[0] * u + b[0] * v + c[0] * w;
+  newDst[1] = a[1] * u + b[1] * v + c[1] * w;
+  newDst[2] = a[2] * u + b[2] * v + c[2] * w;
+
+  return newDst;
+}
+
 return {
   create,
   fromValues,
@@ -994,9 +1163,12 @@ return {
   random,
   zero,
   transformMat4,
+  transformMat4x3,
   transformMat4Upper3x3,
   transformMat3,
   transformQuat,
+  project,
+  unproject,
   getTranslation,
   getAxis,
   getScaling,
@@ -1006,6 +1178,8 @@ return {
   setLength,
   truncate,
   midpoint,
+  barycentric,
+  fromBarycentric,
 };
 
 }
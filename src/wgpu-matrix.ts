@@ -3,31 +3,77 @@
  * @namespace wgpu-matrix
  */
 import {MutableNumberArray, BaseArgType, ZeroArray} from './types';
+import {AABBArg, AABBType, getAPI as getAABBAPI} from './aabb-impl';
+import {FrustumArg, FrustumType, getAPI as getFrustumAPI, Containment} from './frustum-impl';
+import {Mat2Arg, Mat2Type, getAPI as getMat2API} from './mat2-impl';
+import {Mat2x3Arg, Mat2x3Type, getAPI as getMat2x3API} from './mat2x3-impl';
+import {Mat2x4Arg, Mat2x4Type, getAPI as getMat2x4API} from './mat2x4-impl';
 import {Mat3Arg, Mat3Type, getAPI as getMat3API} from './mat3-impl';
-import {Mat4Arg, Mat4Type, getAPI as getMat4API} from './mat4-impl';
+import {Mat3x2Arg, Mat3x2Type, getAPI as getMat3x2API} from './mat3x2-impl';
+import {Mat3x4Arg, Mat3x4Type, getAPI as getMat3x4API} from './mat3x4-impl';
+import {Mat4Arg, Mat4Type, getAPI as getMat4API, DepthRange} from './mat4-impl';
+import {Mat4x2Arg, Mat4x2Type, getAPI as getMat4x2API} from './mat4x2-impl';
+import {Mat4x3Arg, Mat4x3Type, getAPI as getMat4x3API} from './mat4x3-impl';
+import {OBBArg, OBBType, getAPI as getOBBAPI} from './obb-impl';
+import {PlaneArg, PlaneType, getAPI as getPlaneAPI} from './plane-impl';
 import {QuatArg, QuatType, getAPI as getQuatAPI, RotationOrder} from './quat-impl';
+import {RayArg, RayType, getAPI as getRayAPI} from './ray-impl';
+import {SphereArg, SphereType, getAPI as getSphereAPI, SphereMethod} from './sphere-impl';
 import {Vec2Arg, Vec2Type, getAPI as getVec2API} from './vec2-impl';
 import {Vec3Arg, Vec3Type, getAPI as getVec3API} from './vec3-impl';
 import {Vec4Arg, Vec4Type, getAPI as getVec4API} from './vec4-impl';
+import {getAPI as getClosestAPI} from './closest-impl';
+import {getAPI as getMeshAPI, MeshLayout} from './mesh-impl';
+import {getAPI as getTriangleAPI} from './triangle-impl';
 import * as utils from './utils';
 
 export {
+  Containment,
+  DepthRange,
   RotationOrder,
+  SphereMethod,
+  MeshLayout,
   utils,
 
   MutableNumberArray,
   BaseArgType,
 
+  AABBArg,
+  FrustumArg,
+  Mat2Arg,
+  Mat2x3Arg,
+  Mat2x4Arg,
   Mat3Arg,
+  Mat3x2Arg,
+  Mat3x4Arg,
   Mat4Arg,
+  Mat4x2Arg,
+  Mat4x3Arg,
+  OBBArg,
+  PlaneArg,
   QuatArg,
+  RayArg,
+  SphereArg,
   Vec2Arg,
   Vec3Arg,
   Vec4Arg,
 
+  AABBType,
+  FrustumType,
+  Mat2Type,
+  Mat2x3Type,
+  Mat2x4Type,
   Mat3Type,
+  Mat3x2Type,
+  Mat3x4Type,
   Mat4Type,
+  Mat4x2Type,
+  Mat4x3Type,
+  OBBType,
+  PlaneType,
   QuatType,
+  RayType,
+  SphereType,
   Vec2Type,
   Vec3Type,
   Vec4Type,
@@ -35,23 +81,62 @@ export {
 
 export type BaseCtor<T extends BaseArgType>  = new (n: number) => T;
 
+export type AABB = AABBType<Float32Array>;
+export type Frustum = FrustumType<Float32Array>;
+export type Mat2 = Mat2Type<Float32Array>;
+export type Mat2x3 = Mat2x3Type<Float32Array>;
+export type Mat2x4 = Mat2x4Type<Float32Array>;
 export type Mat3 = Mat3Type<Float32Array>;
+export type Mat3x2 = Mat3x2Type<Float32Array>;
+export type Mat3x4 = Mat3x4Type<Float32Array>;
 export type Mat4 = Mat4Type<Float32Array>;
+export type Mat4x2 = Mat4x2Type<Float32Array>;
+export type Mat4x3 = Mat4x3Type<Float32Array>;
+export type OBB = OBBType<Float32Array>;
+export type Plane = PlaneType<Float32Array>;
 export type Quat = QuatType<Float32Array>;
+export type Ray = RayType<Float32Array>;
+export type Sphere = SphereType<Float32Array>;
 export type Vec2 = Vec2Type<Float32Array>;
 export type Vec3 = Vec3Type<Float32Array>;
 export type Vec4 = Vec4Type<Float32Array>;
 
+export type AABBd = AABBType<Float64Array>;
+export type Frustumd = FrustumType<Float64Array>;
+export type Mat2d = Mat2Type<Float64Array>;
+export type Mat2x3d = Mat2x3Type<Float64Array>;
+export type Mat2x4d = Mat2x4Type<Float64Array>;
 export type Mat3d = Mat3Type<Float64Array>;
+export type Mat3x2d = Mat3x2Type<Float64Array>;
+export type Mat3x4d = Mat3x4Type<Float64Array>;
 export type Mat4d = Mat4Type<Float64Array>;
+export type Mat4x2d = Mat4x2Type<Float64Array>;
+export type Mat4x3d = Mat4x3Type<Float64Array>;
+export type OBBd = OBBType<Float64Array>;
+export type Planed = PlaneType<Float64Array>;
 export type Quatd = QuatType<Float64Array>;
+export type Rayd = RayType<Float64Array>;
+export type Sphered = SphereType<Float64Array>;
 export type Vec2d = Vec2Type<Float64Array>;
 export type Vec3d = Vec3Type<Float64Array>;
 export type Vec4d = Vec4Type<Float64Array>;
 
+export type AABBn = AABBType<number[]>;
+export type Frustumn = FrustumType<number[]>;
+export type Mat2n = Mat2Type<number[]>;
+export type Mat2x3n = Mat2x3Type<number[]>;
+export type Mat2x4n = Mat2x4Type<number[]>;
 export type Mat3n = Mat3Type<number[]>;
+export type Mat3x2n = Mat3x2Type<number[]>;
+export type Mat3x4n = Mat3x4Type<number[]>;
 export type Mat4n = Mat4Type<number[]>;
+export type Mat4x2n = Mat4x2Type<number[]>;
+export type Mat4x3n = Mat4x3Type<number[]>;
+export type OBBn = OBBType<number[]>;
+export type Planen = PlaneType<number[]>;
 export type Quatn = QuatType<number[]>;
+export type Rayn = RayType<number[]>;
+export type Spheren = SphereType<number[]>;
 export type Vec2n = Vec2Type<number[]>;
 export type Vec3n = Vec3Type<number[]>;
 export type Vec4n = Vec4Type<number[]>;
@@ -60,27 +145,85 @@ export type Vec4n = Vec4Type<number[]>;
  * Generate wgpu-matrix API for type
  */
 function wgpuMatrixAPI<
+    AABB extends BaseArgType,
+    Frustum extends BaseArgType,
+    Mat2 extends BaseArgType,
+    Mat2x3 extends BaseArgType,
+    Mat2x4 extends BaseArgType,
     Mat3 extends BaseArgType,
+    Mat3x2 extends BaseArgType,
+    Mat3x4 extends BaseArgType,
     Mat4 extends BaseArgType,
+    Mat4x2 extends BaseArgType,
+    Mat4x3 extends BaseArgType,
+    OBB extends BaseArgType,
+    Plane extends BaseArgType,
     Quat extends BaseArgType,
+    Ray extends BaseArgType,
+    Sphere extends BaseArgType,
     Vec2 extends BaseArgType,
     Vec3 extends BaseArgType,
     Vec4 extends BaseArgType,
 >(
+    AABBCtor: BaseCtor<AABB>,
+    FrustumCtor: BaseCtor<Frustum>,
+    Mat2Ctor: BaseCtor<Mat2>,
+    Mat2x3Ctor: BaseCtor<Mat2x3>,
+    Mat2x4Ctor: BaseCtor<Mat2x4>,
     Mat3Ctor: BaseCtor<Mat3>,
+    Mat3x2Ctor: BaseCtor<Mat3x2>,
+    Mat3x4Ctor: BaseCtor<Mat3x4>,
     Mat4Ctor: BaseCtor<Mat4>,
+    Mat4x2Ctor: BaseCtor<Mat4x2>,
+    Mat4x3Ctor: BaseCtor<Mat4x3>,
+    OBBCtor: BaseCtor<OBB>,
+    PlaneCtor: BaseCtor<Plane>,
     QuatCtor: BaseCtor<Quat>,
+    RayCtor: BaseCtor<Ray>,
+    SphereCtor: BaseCtor<Sphere>,
     Vec2Ctor: BaseCtor<Vec2>,
     Vec3Ctor: BaseCtor<Vec3>,
     Vec4Ctor: BaseCtor<Vec4>,
 ) {
   return {
+    /** @namespace aabb */
+    aabb: getAABBAPI<AABB>(AABBCtor),
+    /** @namespace closest */
+    closest: getClosestAPI<Vec3>(Vec3Ctor),
+    /** @namespace frustum */
+    frustum: getFrustumAPI<Frustum>(FrustumCtor),
+    /** @namespace mat2 */
+    mat2: getMat2API<Mat2>(Mat2Ctor),
+    /** @namespace mat2x3 */
+    mat2x3: getMat2x3API<Mat2x3>(Mat2x3Ctor),
+    /** @namespace mat2x4 */
+    mat2x4: getMat2x4API<Mat2x4>(Mat2x4Ctor),
     /** @namespace mat3 */
     mat3: getMat3API<Mat3>(Mat3Ctor),
+    /** @namespace mat3x2 */
+    mat3x2: getMat3x2API<Mat3x2>(Mat3x2Ctor),
+    /** @namespace mat3x4 */
+    mat3x4: getMat3x4API<Mat3x4>(Mat3x4Ctor),
     /** @namespace mat4 */
     mat4: getMat4API<Mat4>(Mat4Ctor),
+    /** @namespace mat4x2 */
+    mat4x2: getMat4x2API<Mat4x2>(Mat4x2Ctor),
+    /** @namespace mat4x3 */
+    mat4x3: getMat4x3API<Mat4x3>(Mat4x3Ctor),
+    /** @namespace mesh */
+    mesh: getMeshAPI<Vec3>(Vec3Ctor),
+    /** @namespace obb */
+    obb: getOBBAPI<OBB>(OBBCtor),
+    /** @namespace plane */
+    plane: getPlaneAPI<Plane>(PlaneCtor),
     /** @namespace quat */
     quat: getQuatAPI<Quat>(QuatCtor),
+    /** @namespace ray */
+    ray: getRayAPI<Ray>(RayCtor),
+    /** @namespace sphere */
+    sphere: getSphereAPI<Sphere>(SphereCtor),
+    /** @namespace triangle */
+    triangle: getTriangleAPI<Vec3>(Vec3Ctor),
     /** @namespace vec2 */
     vec2: getVec2API<Vec2>(Vec2Ctor),
     /** @namespace vec3 */
@@ -91,21 +234,101 @@ function wgpuMatrixAPI<
 }
 
 export const {
+  /**
+   * Axis Aligned Bounding Box functions that default to returning `Float32Array`
+   * @namespace
+   */
+  aabb,
+  /**
+   * Closest point functions that default to returning `Float32Array`
+   * @namespace
+   */
+  closest,
+  /**
+   * Frustum functions that default to returning `Float32Array`
+   * @namespace
+   */
+  frustum,
+  /**
+   * 2x2 Matrix functions that default to returning `Float32Array`
+   * @namespace
+   */
+  mat2,
+  /**
+   * 2x3 Matrix functions that default to returning `Float32Array`
+   * @namespace
+   */
+  mat2x3,
+  /**
+   * 2x4 Matrix functions that default to returning `Float32Array`
+   * @namespace
+   */
+  mat2x4,
   /**
    * 3x3 Matrix functions that default to returning `Float32Array`
    * @namespace
    */
   mat3,
+  /**
+   * 3x2 Matrix functions that default to returning `Float32Array`
+   * @namespace
+   */
+  mat3x2,
+  /**
+   * 3x4 Matrix functions that default to returning `Float32Array`
+   * @namespace
+   */
+  mat3x4,
   /**
    * 4x4 Matrix functions that default to returning `Float32Array`
    * @namespace
    */
   mat4,
+  /**
+   * 4x2 Matrix functions that default to returning `Float32Array`
+   * @namespace
+   */
+  mat4x2,
+  /**
+   * 4x3 Matrix functions that default to returning `Float32Array`
+   * @namespace
+   */
+  mat4x3,
+  /**
+   * Mesh functions that default to returning `Float32Array`
+   * @namespace
+   */
+  mesh,
+  /**
+   * Oriented Bounding Box functions that default to returning `Float32Array`
+   * @namespace
+   */
+  obb,
+  /**
+   * Plane functions that default to returning `Float32Array`
+   * @namespace
+   */
+  plane,
   /**
    * Quaternion functions that default to returning `Float32Array`
    * @namespace
    */
   quat,
+  /**
+   * Ray functions that default to returning `Float32Array`
+   * @namespace
+   */
+  ray,
+  /**
+   * Sphere functions that default to returning `Float32Array`
+   * @namespace
+   */
+  sphere,
+  /**
+   * Triangle functions that default to returning `Float32Array`
+   * @namespace
+   */
+  triangle,
   /**
    * Vec2 functions that default to returning `Float32Array`
    * @namespace
@@ -122,25 +345,108 @@ export const {
    */
   vec4,
 } = wgpuMatrixAPI<
-  Mat3, Mat4, Quat, Vec2, Vec3, Vec4>(
-    Float32Array, Float32Array, Float32Array, Float32Array, Float32Array, Float32Array);
+  AABB, Frustum, Mat2, Mat2x3, Mat2x4, Mat3, Mat3x2, Mat3x4, Mat4, Mat4x2, Mat4x3, OBB, Plane, Quat,
+  Ray, Sphere, Vec2, Vec3, Vec4>(
+    Float32Array, Float32Array, Float32Array, Float32Array, Float32Array, Float32Array, Float32Array,
+    Float32Array, Float32Array, Float32Array, Float32Array, Float32Array, Float32Array, Float32Array,
+    Float32Array, Float32Array, Float32Array, Float32Array, Float32Array);
 
 export const {
+  /**
+   * Axis Aligned Bounding Box functions that default to returning `Float64Array`
+   * @namespace
+   */
+  aabb: aabbd,
+  /**
+   * Closest point functions that default to returning `Float64Array`
+   * @namespace
+   */
+  closest: closestd,
+  /**
+   * Frustum functions that default to returning `Float64Array`
+   * @namespace
+   */
+  frustum: frustumd,
+  /**
+   * 2x2 Matrix functions that default to returning `Float64Array`
+   * @namespace
+   */
+  mat2: mat2d,
+  /**
+   * 2x3 Matrix functions that default to returning `Float64Array`
+   * @namespace
+   */
+  mat2x3: mat2x3d,
+  /**
+   * 2x4 Matrix functions that default to returning `Float64Array`
+   * @namespace
+   */
+  mat2x4: mat2x4d,
   /**
    * 3x3 Matrix functions that default to returning `Float64Array`
    * @namespace
    */
   mat3: mat3d,
+  /**
+   * 3x2 Matrix functions that default to returning `Float64Array`
+   * @namespace
+   */
+  mat3x2: mat3x2d,
+  /**
+   * 3x4 Matrix functions that default to returning `Float64Array`
+   * @namespace
+   */
+  mat3x4: mat3x4d,
   /**
    * 4x4 Matrix functions that default to returning `Float64Array`
    * @namespace
    */
   mat4: mat4d,
+  /**
+   * 4x2 Matrix functions that default to returning `Float64Array`
+   * @namespace
+   */
+  mat4x2: mat4x2d,
+  /**
+   * 4x3 Matrix functions that default to returning `Float64Array`
+   * @namespace
+   */
+  mat4x3: mat4x3d,
+  /**
+   * Mesh functions that default to returning `Float64Array`
+   * @namespace
+   */
+  mesh: meshd,
+  /**
+   * Oriented Bounding Box functions that default to returning `Float64Array`
+   * @namespace
+   */
+  obb: obbd,
+  /**
+   * Plane functions that default to returning `Float64Array`
+   * @namespace
+   */
+  plane: planed,
   /**
    * Quaternion functions that default to returning `Float64Array`
    * @namespace
    */
   quat: quatd,
+  /**
+   * Ray functions that default to returning `Float64Array`
+   * @namespace
+   */
+  ray: rayd,
+  /**
+   * Sphere functions that default to returning `Float64Array`
+   * @namespace
+   */
+  sphere: sphered,
+  /**
+   * Triangle functions that default to returning `Float64Array`
+   * @namespace
+   */
+  triangle: triangled,
   /**
    * Vec2 functions that default to returning `Float64Array`
    * @namespace
@@ -157,25 +463,108 @@ export const {
    */
   vec4: vec4d,
 } = wgpuMatrixAPI<
-  Mat3d, Mat4d, Quatd, Vec2d, Vec3d, Vec4d>(
-    Float64Array, Float64Array, Float64Array, Float64Array, Float64Array, Float64Array);
+  AABBd, Frustumd, Mat2d, Mat2x3d, Mat2x4d, Mat3d, Mat3x2d, Mat3x4d, Mat4d, Mat4x2d, Mat4x3d, OBBd,
+  Planed, Quatd, Rayd, Sphered, Vec2d, Vec3d, Vec4d>(
+    Float64Array, Float64Array, Float64Array, Float64Array, Float64Array, Float64Array, Float64Array,
+    Float64Array, Float64Array, Float64Array, Float64Array, Float64Array, Float64Array, Float64Array,
+    Float64Array, Float64Array, Float64Array, Float64Array, Float64Array);
 
 export const {
+  /**
+   * Axis Aligned Bounding Box functions that default to returning `number[]`
+   * @namespace
+   */
+  aabb: aabbn,
+  /**
+   * Closest point functions that default to returning `number[]`
+   * @namespace
+   */
+  closest: closestn,
+  /**
+   * Frustum functions that default to returning `number[]`
+   * @namespace
+   */
+  frustum: frustumn,
+  /**
+   * 2x2 Matrix functions that default to returning `number[]`
+   * @namespace
+   */
+  mat2: mat2n,
+  /**
+   * 2x3 Matrix functions that default to returning `number[]`
+   * @namespace
+   */
+  mat2x3: mat2x3n,
+  /**
+   * 2x4 Matrix functions that default to returning `number[]`
+   * @namespace
+   */
+  mat2x4: mat2x4n,
   /**
    * 3x3 Matrix functions that default to returning `number[]`
    * @namespace
    */
   mat3: mat3n,
+  /**
+   * 3x2 Matrix functions that default to returning `number[]`
+   * @namespace
+   */
+  mat3x2: mat3x2n,
+  /**
+   * 3x4 Matrix functions that default to returning `number[]`
+   * @namespace
+   */
+  mat3x4: mat3x4n,
   /**
    * 4x4 Matrix functions that default to returning `number[]`
    * @namespace
    */
   mat4: mat4n,
+  /**
+   * 4x2 Matrix functions that default to returning `number[]`
+   * @namespace
+   */
+  mat4x2: mat4x2n,
+  /**
+   * 4x3 Matrix functions that default to returning `number[]`
+   * @namespace
+   */
+  mat4x3: mat4x3n,
+  /**
+   * Mesh functions that default to returning `number[]`
+   * @namespace
+   */
+  mesh: meshn,
+  /**
+   * Oriented Bounding Box functions that default to returning `number[]`
+   * @namespace
+   */
+  obb: obbn,
+  /**
+   * Plane functions that default to returning `number[]`
+   * @namespace
+   */
+  plane: planen,
   /**
    * Quaternion functions that default to returning `number[]`
    * @namespace
    */
   quat: quatn,
+  /**
+   * Ray functions that default to returning `number[]`
+   * @namespace
+   */
+  ray: rayn,
+  /**
+   * Sphere functions that default to returning `number[]`
+   * @namespace
+   */
+  sphere: spheren,
+  /**
+   * Triangle functions that default to returning `number[]`
+   * @namespace
+   */
+  triangle: trianglen,
   /**
    * Vec2 functions that default to returning `number[]`
    * @namespace
@@ -192,5 +581,7 @@ export const {
    */
   vec4: vec4n,
 } = wgpuMatrixAPI<
-  Mat3n, Mat4n, Quatn, Vec2n, Vec3n, Vec4n>(
-    ZeroArray, Array, Array, Array, Array, Array);
+  AABBn, Frustumn, Mat2n, Mat2x3n, Mat2x4n, Mat3n, Mat3x2n, Mat3x4n, Mat4n, Mat4x2n, Mat4x3n, OBBn,
+  Planen, Quatn, Rayn, Spheren, Vec2n, Vec3n, Vec4n>(
+    Array, Array, Array, ZeroArray, Array, ZeroArray, Array, Array, Array, Array, ZeroArray, Array,
+    Array, Array, Array, Array, Array, Array, Array);
@@ -1,7 +1,23 @@
 /* global mocha */
+import './tests/aabb-test.js';
+import './tests/closest-test.js';
+import './tests/frustum-test.js';
+import './tests/mat2-test.js';
+import './tests/mat2x3-test.js';
+import './tests/mat2x4-test.js';
 import './tests/mat3-test.js';
+import './tests/mat3x2-test.js';
+import './tests/mat3x4-test.js';
 import './tests/mat4-test.js';
+import './tests/mat4x2-test.js';
+import './tests/mat4x3-test.js';
+import './tests/mesh-test.js';
+import './tests/obb-test.js';
+import './tests/plane-test.js';
 import './tests/quat-test.js';
+import './tests/ray-test.js';
+import './tests/sphere-test.js';
+import './tests/triangle-test.js';
 import './tests/vec2-test.js';
 import './tests/vec3-test.js';
 import './tests/vec4-test.js';
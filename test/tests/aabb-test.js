@@ -0,0 +1,224 @@
+import {aabb, aabbd, aabbn, mat4, utils} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertEqualApproximately,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertThrowsWith,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(aabb, Type) {
+  describe('using ' + Type, () => {
+    const box = [1, 2, 3, 4, 6, 8];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testAABBWithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected);
+      const d = new Type(6).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected);
+    }
+
+    function testVec3WithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected);
+      const d = new Type(3).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected);
+    }
+
+    it('should create', () => {
+      for (let i = 0; i <= 6; ++i) {
+        const expected = aabb.set(...new Array(6).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0));
+        const args = new Array(Type === Array ? 6 : i).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        assertEqual(aabb.create(...args), expected);
+      }
+    });
+
+    it('should set', () => {
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.set(1, 2, 3, 4, 5, 6, newDst);
+      }, [1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should make from min max', () => {
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.fromMinMax([1, 2, 3], [4, 5, 6], newDst);
+      }, [1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should make empty', () => {
+      testAABBWithAndWithoutDest((newDst) => {
+        const result = aabb.empty(newDst);
+        assertTruthy(aabb.isEmpty(result));
+        return result;
+      }, [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity]);
+      assertFalsy(aabb.isEmpty(box));
+      assertFalsy(aabb.isEmpty([1, 1, 1, 1, 1, 1]));
+      assertTruthy(aabb.isEmpty([0, 0, 1, 1, 1, 0]));
+    });
+
+    it('should make from points', () => {
+      const positions = new Float32Array([
+        1, 5, -2,
+        -3, 2, 4,
+        0, 7, 1,
+      ]);
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.fromPoints(positions, 3, 0, newDst);
+      }, [-3, 2, -2, 1, 7, 4]);
+    });
+
+    it('should make from strided points', () => {
+      // x, y, z, u, v with 2 values of padding at the start
+      const vertices = new Float32Array([
+        99, 99,
+        1, 5, -2, 99, 99,
+        -3, 2, 4, 99, 99,
+        0, 7, 1, 99, 99,
+      ]);
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.fromPoints(vertices, 5, 2, newDst);
+      }, [-3, 2, -2, 1, 7, 4]);
+    });
+
+    it('should make empty from no points', () => {
+      assertTruthy(aabb.isEmpty(aabb.fromPoints([])));
+    });
+
+    it('should copy', () => {
+      testAABBWithAndWithoutDest((newDst) => {
+        const result = aabb.copy(box, newDst);
+        assertStrictNotEqual(result, box);
+        return result;
+      }, box);
+    });
+
+    it('should clone', () => {
+      testAABBWithAndWithoutDest((newDst) => {
+        const result = aabb.clone(box, newDst);
+        assertStrictNotEqual(result, box);
+        return result;
+      }, box);
+    });
+
+    it('should equals and equals approximately', () => {
+      assertTruthy(aabb.equals(aabb.clone(box), aabb.clone(box)));
+      for (let i = 0; i < 6; ++i) {
+        const almost = aabb.clone(box);
+        almost[i] += utils.EPSILON * 0.5;
+        const notEqual = aabb.clone(box);
+        notEqual[i] += 1.0001;
+        assertFalsy(aabb.equals(box, almost));
+        assertTruthy(aabb.equalsApproximately(box, almost));
+        assertFalsy(aabb.equalsApproximately(box, notEqual));
+      }
+    });
+
+    it('should expand by point', () => {
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.expandByPoint(box, [0, 3, 10], newDst);
+      }, [0, 2, 3, 4, 6, 10]);
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.expandByPoint(aabb.empty(), [1, 2, 3], newDst);
+      }, [1, 2, 3, 1, 2, 3]);
+    });
+
+    it('should union', () => {
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.union(box, [-1, 3, 4, 2, 9, 5], newDst);
+      }, [-1, 2, 3, 4, 9, 8]);
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.union(aabb.empty(), box, newDst);
+      }, box);
+    });
+
+    it('should intersect', () => {
+      assertTruthy(aabb.intersects(box, [3, 5, 7, 10, 10, 10]));
+      assertTruthy(aabb.intersects(box, [4, 6, 8, 10, 10, 10]));
+      assertTruthy(aabb.intersects(box, [0, 0, 0, 10, 10, 10]));
+      assertFalsy(aabb.intersects(box, [5, 2, 3, 6, 6, 8]));
+      assertFalsy(aabb.intersects(box, [1, 2, -3, 4, 6, 2]));
+      assertFalsy(aabb.intersects(box, aabb.empty()));
+    });
+
+    it('should contain point', () => {
+      assertTruthy(aabb.containsPoint(box, [2, 3, 4]));
+      assertTruthy(aabb.containsPoint(box, [1, 2, 3]));
+      assertTruthy(aabb.containsPoint(box, [4, 6, 8]));
+      assertFalsy(aabb.containsPoint(box, [0, 3, 4]));
+      assertFalsy(aabb.containsPoint(box, [2, 7, 4]));
+      assertFalsy(aabb.containsPoint(box, [2, 3, 9]));
+    });
+
+    it('should compute center', () => {
+      testVec3WithAndWithoutDest((newDst) => {
+        return aabb.center(box, newDst);
+      }, [2.5, 4, 5.5]);
+    });
+
+    it('should compute extents', () => {
+      testVec3WithAndWithoutDest((newDst) => {
+        return aabb.extents(box, newDst);
+      }, [1.5, 2, 2.5]);
+    });
+
+    it('should transform by a mat4', () => {
+      const m = mat4.multiply(mat4.translation([10, 20, 30]), mat4.rotationZ(Math.PI / 2));
+      // rotating around z by 90 degrees maps x to y and y to -x
+      testAABBWithAndWithoutDest((newDst) => {
+        return aabb.transformMat4(box, m, newDst);
+      }, [4, 21, 33, 8, 24, 38]);
+    });
+
+    it('should transform to a tight box', () => {
+      const m = mat4.rotationY(Math.PI / 4);
+      const result = aabb.transformMat4([-1, -1, -1, 1, 1, 1], m);
+      const s = Math.SQRT2;
+      assertEqualApproximately(result, [-s, -1, -s, s, 1, s], 1e-6);
+
+      // compare against transforming all 8 corners
+      const m2 = mat4.multiply(mat4.translation([1, -2, 3]), mat4.fromEuler(0.3, 0.7, -1.1, 'xyz'));
+      const corners = [];
+      for (let i = 0; i < 8; ++i) {
+        const p = [
+          (i & 1) ? box[3] : box[0],
+          (i & 2) ? box[4] : box[1],
+          (i & 4) ? box[5] : box[2],
+        ];
+        const x = m2[0] * p[0] + m2[4] * p[1] + m2[ 8] * p[2] + m2[12];
+        const y = m2[1] * p[0] + m2[5] * p[1] + m2[ 9] * p[2] + m2[13];
+        const z = m2[2] * p[0] + m2[6] * p[1] + m2[10] * p[2] + m2[14];
+        corners.push(x, y, z);
+      }
+      assertEqualApproximately(aabb.transformMat4(box, m2), aabb.fromPoints(corners), 1e-5);
+    });
+
+    it('should keep an empty box empty when transformed', () => {
+      assertTruthy(aabb.isEmpty(aabb.transformMat4(aabb.empty(), mat4.translation([1, 2, 3]))));
+    });
+
+    it('should throw for a bad stride in fromPoints', () => {
+      assertThrowsWith(() => aabb.fromPoints([1, 2, 3], 0), [/stride/]);
+    });
+
+  });
+}
+
+describe('aabb', () => {
+  check(aabbn, Array);
+  check(aabb, Float32Array);
+  check(aabbd, Float64Array);
+});
@@ -0,0 +1,189 @@
+import {closest, closestd, closestn, plane} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqualApproximately,
+  assertStrictEqual,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(closest, Type) {
+  describe('using ' + Type, () => {
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testV3WithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected);
+      const d = new Type(3).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected);
+    }
+
+    function distanceSq(a, b) {
+      return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+    }
+
+    it('should compute closest point on segment', () => {
+      const a = [1, 1, 1];
+      const b = [5, 1, 1];
+      testV3WithAndWithoutDest((dst) => {
+        return closest.pointOnSegment([3, 4, -2], a, b, dst);
+      }, [3, 1, 1]);
+      testV3WithAndWithoutDest((dst) => {
+        return closest.pointOnSegment([-3, 4, -2], a, b, dst);
+      }, [1, 1, 1]);
+      testV3WithAndWithoutDest((dst) => {
+        return closest.pointOnSegment([9, 4, -2], a, b, dst);
+      }, [5, 1, 1]);
+      testV3WithAndWithoutDest((dst) => {
+        return closest.pointOnSegment([9, 4, -2], a, a, dst);
+      }, [1, 1, 1]);
+    });
+
+    it('should compute closest point on triangle', () => {
+      const a = [0, 0, 0];
+      const b = [4, 0, 0];
+      const c = [0, 4, 0];
+      const tests = [
+        // face
+        { point: [1, 1, 5], expected: [1, 1, 0] },
+        { point: [1, 1, -5], expected: [1, 1, 0] },
+        // vertices
+        { point: [-1, -1, 2], expected: [0, 0, 0] },
+        { point: [6, -1, 2], expected: [4, 0, 0] },
+        { point: [-1, 6, 2], expected: [0, 4, 0] },
+        // edges
+        { point: [2, -3, 2], expected: [2, 0, 0] },
+        { point: [-3, 2, 2], expected: [0, 2, 0] },
+        { point: [3, 3, 2], expected: [2, 2, 0] },
+      ];
+      for (const {point, expected} of tests) {
+        testV3WithAndWithoutDest((dst) => {
+          return closest.pointOnTriangle(point, a, b, c, dst);
+        }, expected);
+      }
+    });
+
+    it('should compute closest point on triangle no closer than samples', () => {
+      const a = [1, -2, 0.5];
+      const b = [3, 1, -1];
+      const c = [-2, 2, 2];
+      for (let i = 0; i < 20; ++i) {
+        const point = [Math.sin(i) * 5, Math.cos(i * 1.7) * 5, Math.sin(i * 2.3) * 5];
+        const p = closest.pointOnTriangle(point, a, b, c);
+        const dSq = distanceSq(point, p);
+        for (let u = 0; u <= 1; u += 0.125) {
+          for (let v = 0; u + v <= 1; v += 0.125) {
+            const q = [0, 1, 2].map(j => a[j] * (1 - u - v) + b[j] * u + c[j] * v);
+            assertTruthy(dSq <= distanceSq(point, q) + 1e-5);
+          }
+        }
+      }
+    });
+
+    it('should compute closest points between segments', () => {
+      const c1 = new Type(3);
+      const c2 = new Type(3);
+      const st = new Type(2);
+
+      function segmentSegment(p1, q1, p2, q2) {
+        return closest.segmentSegment(p1, q1, p2, q2, c1, c2, st);
+      }
+
+      // crossing segments on different levels
+      assertEqualApproximately(segmentSegment([-1, 0, 0], [3, 0, 0], [0, -1, 2], [0, 1, 2]), 4);
+      assertEqualApproximately(c1, [0, 0, 0]);
+      assertEqualApproximately(c2, [0, 0, 2]);
+      assertEqualApproximately(st, [0.25, 0.5]);
+
+      // closest points at the ends
+      assertEqualApproximately(segmentSegment([0, 0, 0], [1, 0, 0], [3, 1, 0], [3, 5, 0]), 5);
+      assertEqualApproximately(c1, [1, 0, 0]);
+      assertEqualApproximately(c2, [3, 1, 0]);
+      assertEqualApproximately(st, [1, 0]);
+
+      // parallel
+      assertEqualApproximately(segmentSegment([0, 0, 0], [2, 0, 0], [1, 1, 0], [5, 1, 0]), 1);
+      assertEqualApproximately(c1[1], 0);
+      assertEqualApproximately(c2[1], 1);
+      assertEqualApproximately(c1[0], c2[0]);
+
+      // degenerate segments
+      assertEqualApproximately(segmentSegment([1, 1, 1], [1, 1, 1], [0, 0, 0], [4, 0, 0]), 2);
+      assertEqualApproximately(c1, [1, 1, 1]);
+      assertEqualApproximately(c2, [1, 0, 0]);
+      assertEqualApproximately(st[1], 0.25);
+
+      assertEqualApproximately(segmentSegment([0, 0, 0], [4, 0, 0], [3, 1, 1], [3, 1, 1]), 2);
+      assertEqualApproximately(c1, [3, 0, 0]);
+      assertEqualApproximately(c2, [3, 1, 1]);
+      assertEqualApproximately(st[0], 0.75);
+
+      assertEqualApproximately(segmentSegment([0, 0, 0], [0, 0, 0], [0, 3, 4], [0, 3, 4]), 25);
+    });
+
+    it('should compute closest points between short segments', () => {
+      const c1 = new Type(3);
+      const c2 = new Type(3);
+      const st = [0, 0];
+      const distSq = closest.segmentSegment(
+          [-0.0001, 0, 0], [0.0003, 0, 0], [0, -0.0001, 0.0002], [0, 0.0001, 0.0002], c1, c2, st);
+      assertEqualApproximately(distSq / 0.0002 ** 2, 1);
+      assertEqualApproximately(st, [0.25, 0.5]);
+    });
+
+    it('should compute distance between segments without results', () => {
+      assertEqualApproximately(closest.segmentSegment([-1, 0, 0], [3, 0, 0], [0, -1, 2], [0, 1, 2]), 4);
+    });
+
+    it('should compute closest point on short segment', () => {
+      const p = closest.pointOnSegment([0.00005, 1, 0], [0, 0, 0], [0.0001, 0, 0]);
+      assertEqualApproximately(p[0] / 0.0001, 0.5);
+    });
+
+    it('should compute closest point on aabb', () => {
+      const min = [-1, -2, -3];
+      const max = [1, 2, 3];
+      testV3WithAndWithoutDest((dst) => {
+        return closest.pointOnAABB([5, 0.5, -7], min, max, dst);
+      }, [1, 0.5, -3]);
+      testV3WithAndWithoutDest((dst) => {
+        return closest.pointOnAABB([0.5, 0.5, 0.5], min, max, dst);
+      }, [0.5, 0.5, 0.5]);
+    });
+
+    it('should compute distance to aabb', () => {
+      const min = [-1, -2, -3];
+      const max = [1, 2, 3];
+      assertEqualApproximately(closest.distanceSqToAABB([4, 6, 0], min, max), 25);
+      assertEqualApproximately(closest.distanceToAABB([4, 6, 0], min, max), 5);
+      assertEqualApproximately(closest.distanceToAABB([0, 0, -5], min, max), 2);
+      assertStrictEqual(closest.distanceToAABB([0, 1, 2], min, max), 0);
+    });
+
+    it('should compute closest point on plane', () => {
+      const p = plane.fromPointNormal([0, 2, 0], [0, 1, 0]);
+      testV3WithAndWithoutDest((dst) => {
+        return closest.pointOnPlane([3, 7, -1], p, dst);
+      }, [3, 2, -1]);
+    });
+
+    it('should compute distance to plane', () => {
+      const p = plane.fromPointNormal([0, 2, 0], [0, 1, 0]);
+      assertEqualApproximately(closest.distanceToPlane([3, 7, -1], p), 5);
+      assertEqualApproximately(closest.distanceToPlane([3, -1, -1], p), -3);
+    });
+
+  });
+}
+
+describe('closest', () => {
+  check(closestn, Array);
+  check(closest, Float32Array);
+  check(closestd, Float64Array);
+});
@@ -0,0 +1,158 @@
+import {frustum, frustumd, frustumn, mat4, obb, quat} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertEqualApproximately,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(frustum, Type) {
+  describe('using ' + Type, () => {
+    // ortho box from -1 to 1 in x and y, z from -1 (near) to -10 (far)
+    const ortho = mat4.ortho(-1, 1, -1, 1, 1, 10);
+    const orthoPlanes = [
+       1,  0,  0,  1,
+      -1,  0,  0,  1,
+       0,  1,  0,  1,
+       0, -1,  0,  1,
+       0,  0, -1, -1,
+       0,  0,  1, 10,
+    ];
+
+    it('should create', () => {
+      const f = frustum.create();
+      assertStrictEqual(f.length, 24);
+      assertEqual([...f], new Array(24).fill(0));
+    });
+
+    it('should extract planes from an ortho matrix', () => {
+      const f = frustum.fromMat4(ortho);
+      assertEqualApproximately(f, orthoPlanes, 1e-6);
+      const dst = new Type(24).fill(0);
+      const result = frustum.fromMat4(ortho, false, dst);
+      assertStrictEqual(result, dst);
+      assertEqualApproximately(result, orthoPlanes, 1e-6);
+    });
+
+    it('should extract planes from a perspective matrix', () => {
+      const f = frustum.fromMat4(mat4.perspective(Math.PI / 2, 1, 1, 10));
+      const s = Math.SQRT1_2;
+      assertEqualApproximately(f, [
+         s,  0, -s,  0,
+        -s,  0, -s,  0,
+         0,  s, -s,  0,
+         0, -s, -s,  0,
+         0,  0, -1, -1,
+         0,  0,  1, 10,
+      ], 1e-5);
+    });
+
+    it('should extract planes from a reverse-z perspective matrix', () => {
+      const expected = frustum.fromMat4(mat4.perspective(Math.PI / 2, 1, 1, 10));
+      const f = frustum.fromMat4(mat4.perspectiveReverseZ(Math.PI / 2, 1, 1, 10), true);
+      assertEqualApproximately(f, expected, 1e-5);
+    });
+
+    it('should make planes at infinity always inside', () => {
+      const f = frustum.fromMat4(mat4.perspectiveReverseZ(Math.PI / 2, 1, 1), true);
+      assertEqualApproximately(frustum.getPlane(f, 4), [0, 0, -1, -1], 1e-6);
+      assertEqualApproximately(frustum.getPlane(f, 5), [0, 0, 0, 1]);
+      assertTruthy(frustum.containsPoint(f, [0, 0, -1e10]));
+
+      const f2 = frustum.fromMat4(mat4.perspective(Math.PI / 2, 1, 1, Infinity));
+      assertEqualApproximately(frustum.getPlane(f2, 5), [0, 0, 0, 1]);
+    });
+
+    it('should extract world space planes from a view-projection matrix', () => {
+      const view = mat4.translation([0, 0, -5]);
+      const f = frustum.fromMat4(mat4.multiply(ortho, view));
+      // near plane at z = 4 in world space
+      assertEqualApproximately(frustum.getPlane(f, 4), [0, 0, -1, 4], 1e-6);
+      assertTruthy(frustum.containsPoint(f, [0, 0, 0]));
+      assertFalsy(frustum.containsPoint(f, [0, 0, 4.5]));
+    });
+
+    it('should get a plane', () => {
+      const f = frustum.fromMat4(ortho);
+      for (let i = 0; i < 6; ++i) {
+        const expected = orthoPlanes.slice(i * 4, i * 4 + 4);
+        assertEqualApproximately(frustum.getPlane(f, i), expected, 1e-6);
+        const dst = new Type(4).fill(0);
+        assertStrictEqual(frustum.getPlane(f, i, dst), dst);
+        assertEqualApproximately(dst, expected, 1e-6);
+      }
+    });
+
+    it('should copy', () => {
+      const f = frustum.fromMat4(ortho);
+      const result = frustum.copy(f);
+      assertStrictNotEqual(result, f);
+      assertEqualApproximately(result, f);
+      const dst = new Type(24).fill(0);
+      assertStrictEqual(frustum.clone(f, dst), dst);
+      assertEqualApproximately(dst, f);
+    });
+
+    it('should contain point', () => {
+      const f = frustum.fromMat4(ortho);
+      assertTruthy(frustum.containsPoint(f, [0, 0, -5]));
+      assertTruthy(frustum.containsPoint(f, [1, 1, -1]));
+      assertFalsy(frustum.containsPoint(f, [0, 0, 0]));
+      assertFalsy(frustum.containsPoint(f, [0, 0, -11]));
+      assertFalsy(frustum.containsPoint(f, [1.5, 0, -5]));
+      assertFalsy(frustum.containsPoint(f, [0, -1.5, -5]));
+    });
+
+    it('should classify sphere', () => {
+      const f = frustum.fromMat4(ortho);
+      assertStrictEqual(frustum.classifySphere(f, [0, 0, -5], 0.5), 'inside');
+      assertStrictEqual(frustum.classifySphere(f, [0, 0, -5], 2), 'intersecting');
+      assertStrictEqual(frustum.classifySphere(f, [0, 0, -0.5], 1), 'intersecting');
+      assertStrictEqual(frustum.classifySphere(f, [3, 0, -5], 1), 'outside');
+      assertStrictEqual(frustum.classifySphere(f, [0, 0, -12], 1), 'outside');
+    });
+
+    it('should classify AABB', () => {
+      const f = frustum.fromMat4(ortho);
+      assertStrictEqual(frustum.classifyAABB(f, [-0.5, -0.5, -6, 0.5, 0.5, -4]), 'inside');
+      assertStrictEqual(frustum.classifyAABB(f, [0.5, -0.5, -6, 1.5, 0.5, -4]), 'intersecting');
+      assertStrictEqual(frustum.classifyAABB(f, [-2, -2, -20, 2, 2, 0]), 'intersecting');
+      assertStrictEqual(frustum.classifyAABB(f, [1.5, -0.5, -6, 2.5, 0.5, -4]), 'outside');
+      assertStrictEqual(frustum.classifyAABB(f, [-0.5, -0.5, 0, 0.5, 0.5, 1]), 'outside');
+    });
+
+    it('should classify OBB', () => {
+      const f = frustum.fromMat4(ortho);
+      const rotation = quat.fromAxisAngle([0, 0, 1], Math.PI / 4);
+      const box = (center) => obb.fromCenterExtents(center, [0.5, 0.5, 0.5], rotation);
+      assertStrictEqual(frustum.classifyOBB(f, box([0, 0, -5])), 'inside');
+      assertStrictEqual(frustum.classifyOBB(f, box([0.5, 0, -5])), 'intersecting');
+      // the corner of the rotated box reaches inside
+      assertStrictEqual(frustum.classifyOBB(f, box([1.6, 0, -5])), 'intersecting');
+      assertStrictEqual(frustum.classifyOBB(f, box([1.8, 0, -5])), 'outside');
+      assertStrictEqual(frustum.classifyOBB(f, box([0, 0, -11])), 'outside');
+
+      // same as classifyAABB with no rotation
+      const aabbs = [
+        [-0.5, -0.5, -6, 0.5, 0.5, -4],
+        [0.5, -0.5, -6, 1.5, 0.5, -4],
+        [-2, -2, -20, 2, 2, 0],
+        [1.5, -0.5, -6, 2.5, 0.5, -4],
+      ];
+      for (const b of aabbs) {
+        assertStrictEqual(frustum.classifyOBB(f, obb.fromAABB(b)), frustum.classifyAABB(f, b));
+      }
+    });
+
+  });
+}
+
+describe('frustum', () => {
+  check(frustumn, Array);
+  check(frustum, Float32Array);
+  check(frustumd, Float64Array);
+});
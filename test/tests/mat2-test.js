@@ -0,0 +1,393 @@
+import {mat2, mat2d, mat2n, mat3, mat4, utils} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function assertMat2EqualApproximately(a, b) {
+  if (!mat2.equalsApproximately(a, b)) {
+    throw new Error(`${a} !== ${b}`);
+  }
+}
+
+function check(mat2, Type) {
+  describe('using ' + Type, () => {
+    const m = [
+      1, 2,
+      3, 4,
+    ];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testM2WithoutDest(func, expected, ...args) {
+      const d = func(...args);
+      assertMat2EqualApproximately(d, expected);
+    }
+
+    function testM2WithDest(func, expected, ...args) {
+      expected = createCopyOfType(expected);
+      const d = new Type(4).fill(0);
+      const c = func(...args, d);
+      assertStrictEqual(c, d);
+      assertMat2EqualApproximately(c, expected);
+    }
+
+    function testMat2WithAndWithoutDest(func, expected, ...args) {
+      expected = createCopyOfType(expected);
+      testM2WithoutDest(func, expected, ...args);
+      testM2WithDest(func, expected, ...args);
+    }
+
+    function testV2WithoutDest(func, expected) {
+      const d = func();
+      assertEqual(d, expected);
+    }
+
+    function testV2WithDest(func, expected) {
+      const d = new Type(2).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqual(c, expected);
+    }
+
+    function testV2WithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      testV2WithoutDest(func, expected);
+      testV2WithDest(func, expected);
+    }
+
+    it('should create', () => {
+      for (let i = 0; i <= 4; ++i) {
+        const expected = mat2.clone(new Array(4).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0));
+        const args = new Array(Array.isArray(mat2.identity()) ? 4 : i).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        const m = mat2.create(...args);
+        assertEqual(m, expected);
+      }
+    });
+
+    it('should negate', () => {
+      const expected = [
+        -1, -2,
+        -3, -4,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.negate(m, newDst);
+      }, expected);
+    });
+
+    it('should add', () => {
+      const expected = [
+        2, 4,
+        6, 8,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.add(m, m, newDst);
+      }, expected);
+    });
+
+    it('should multiplyScalar', () => {
+      const expected = [
+        2, 4,
+        6, 8,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.multiplyScalar(m, 2, newDst);
+      }, expected);
+    });
+
+    it('should copy', () => {
+      const expected = m;
+      testMat2WithAndWithoutDest((newDst) => {
+        const result = mat2.copy(m, newDst);
+        assertStrictNotEqual(result, m);
+        return result;
+      }, expected);
+    });
+
+    it('should equals approximately', () => {
+      const genAlmostEqualMat = i => new Array(4).fill(0).map((_, ndx) => ndx + (ndx === i ? 0 : utils.EPSILON * 0.5));
+      const genNotAlmostEqualMat = i => new Array(4).fill(0).map((_, ndx) => ndx + (ndx === i ? 0 : 1.0001));
+
+      for (let i = 0; i < 4; ++i) {
+        assertTruthy(mat2.equalsApproximately(
+          mat2.clone(genAlmostEqualMat(-1)),
+          mat2.clone(genAlmostEqualMat(i))),
+          `${i}`);
+        assertFalsy(mat2.equalsApproximately(
+          mat2.clone(genNotAlmostEqualMat(-1)),
+          mat2.clone(genNotAlmostEqualMat(i))),
+          `${i}`);
+      }
+    });
+
+    it('should equals', () => {
+      const genNotEqualMat = i => new Array(4).fill(0).map((_, ndx) => ndx + (ndx === i ? 0 : 1.0001));
+      for (let i = 0; i < 4; ++i) {
+        assertTruthy(mat2.equals(
+          mat2.clone(genNotEqualMat(i)),
+          mat2.clone(genNotEqualMat(i))),
+          `${i}`);
+        assertFalsy(mat2.equals(
+          mat2.clone(genNotEqualMat(-1)),
+          mat2.clone(genNotEqualMat(i))),
+          `${i}`);
+      }
+    });
+
+    it('should clone', () => {
+      const expected = m;
+      testMat2WithAndWithoutDest((newDst) => {
+        const result = mat2.clone(m, newDst);
+        assertStrictNotEqual(result, m);
+        return result;
+      }, expected);
+    });
+
+    it('should set', () => {
+      const expected = [2, 3, 22, 33];
+      testMat2WithAndWithoutDest((v0, v1, v2, v3, newDst) => {
+        return mat2.set(v0, v1, v2, v3, newDst);
+      }, expected, 2, 3, 22, 33);
+    });
+
+    it('should make identity', () => {
+      const expected = [
+        1, 0,
+        0, 1,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.identity(newDst);
+      }, expected);
+    });
+
+    it('should transpose', () => {
+      const expected = [
+        1, 3,
+        2, 4,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.transpose(m, newDst);
+      }, expected);
+    });
+
+    it('should transpose in place', () => {
+      const d = mat2.clone(m);
+      const c = mat2.transpose(d, d);
+      assertStrictEqual(c, d);
+      assertEqual(c, createCopyOfType([1, 3, 2, 4]));
+    });
+
+    function testMultiply(fn) {
+      const m2 = [
+        5, 6,
+        7, 8,
+      ];
+      const expected = [
+        m2[0 * 2 + 0] * m[0 * 2 + 0] + m2[0 * 2 + 1] * m[1 * 2 + 0],
+        m2[0 * 2 + 0] * m[0 * 2 + 1] + m2[0 * 2 + 1] * m[1 * 2 + 1],
+        m2[1 * 2 + 0] * m[0 * 2 + 0] + m2[1 * 2 + 1] * m[1 * 2 + 0],
+        m2[1 * 2 + 0] * m[0 * 2 + 1] + m2[1 * 2 + 1] * m[1 * 2 + 1],
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return fn(m, m2, newDst);
+      }, expected);
+    }
+
+    it('should multiply', () => {
+     testMultiply(mat2.multiply);
+    });
+
+    it('should mul', () => {
+     testMultiply(mat2.mul);
+    });
+
+    function testInverse(fn) {
+      const tests = [
+        {
+          m: [
+            4, 7,
+            2, 6,
+          ],
+          expected: [
+             0.6, -0.7,
+            -0.2,  0.4,
+          ],
+        },
+        {
+          m: [
+            2, 0,
+            0, 4,
+          ],
+          expected: [
+            0.5, 0,
+            0, 0.25,
+          ],
+        },
+      ];
+      for (const {m, expected} of tests) {
+        testMat2WithAndWithoutDest((newDst) => {
+          return fn(m, newDst);
+        }, expected);
+      }
+    }
+
+    it('should inverse', () => {
+     testInverse(mat2.inverse);
+    });
+
+    it('should invert', () => {
+     testInverse(mat2.invert);
+    });
+
+    it('should compute determinant', () => {
+      assertEqual(mat2.determinant(mat2.clone(m)), 1 * 4 - 2 * 3);
+      assertEqual(mat2.determinant(mat2.clone([2, 0, 0, 3])), 6);
+    });
+
+    it('should make a mat2 from a mat3', () => {
+      const expected = [
+        1, 2,
+        5, 6,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        const m3 = mat3.create(1, 2, 3, 5, 6, 7, 9, 10, 11);
+        return mat2.fromMat3(m3, newDst);
+      }, expected);
+    });
+
+    it('should make a mat2 from a mat4', () => {
+      const expected = [
+        1, 2,
+        5, 6,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        const m4 = mat4.create(
+          1, 2, 3, 4,
+          5, 6, 7, 8,
+          9, 10, 11, 12,
+          13, 14, 15, 16);
+        return mat2.fromMat4(m4, newDst);
+      }, expected);
+    });
+
+    it('should get axis', () => {
+      [
+        [1, 2],
+        [3, 4],
+      ].forEach((expected, ndx) => {
+        testV2WithAndWithoutDest((newDst) => {
+          return mat2.getAxis(m, ndx, newDst);
+        }, expected);
+      });
+    });
+
+    it('should set axis', () => {
+      [
+        [
+          11, 22,
+           3,  4,
+        ],
+        [
+           1,  2,
+          11, 22,
+        ],
+      ].forEach((expected, ndx) => {
+        testMat2WithAndWithoutDest((newDst) => {
+          return mat2.setAxis(m, [11, 22], ndx, newDst);
+        }, expected);
+      });
+    });
+
+    it('should get scaling', () => {
+      const m = [
+        2, 8,
+        5, 6,
+      ];
+      const expected = [
+        Math.sqrt(2 * 2 + 8 * 8),
+        Math.sqrt(5 * 5 + 6 * 6),
+      ];
+      testV2WithAndWithoutDest((newDst) => {
+        return mat2.getScaling(m, newDst);
+      }, expected);
+    });
+
+    it('should make rotation matrix', () => {
+      const angle = 1.23;
+      const c = Math.cos(angle);
+      const s = Math.sin(angle);
+      const expected = [
+         c, s,
+        -s, c,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.rotation(angle, newDst);
+      }, expected);
+    });
+
+    it('should rotate', () => {
+      const angle = 1.23;
+      // switch to Array type to keep precision high for expected
+      const expected = mat2n.multiply(m, mat2.rotation(angle));
+
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.rotate(m, angle, newDst);
+      }, expected);
+    });
+
+    it('should make scaling matrix', () => {
+      const expected = [
+        2, 0,
+        0, 3,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.scaling([2, 3], newDst);
+      }, expected);
+    });
+
+    it('should scale', () => {
+      const expected = [
+        2, 4,
+        9, 12,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.scale(m, [2, 3], newDst);
+      }, expected);
+    });
+
+    it('should make uniform scaling matrix', () => {
+      const expected = [
+        2, 0,
+        0, 2,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.uniformScaling(2, newDst);
+      }, expected);
+    });
+
+    it('should uniformly scale', () => {
+      const expected = [
+        2, 4,
+        6, 8,
+      ];
+      testMat2WithAndWithoutDest((newDst) => {
+        return mat2.uniformScale(m, 2, newDst);
+      }, expected);
+    });
+
+  });
+}
+
+describe('mat2', () => {
+  check(mat2n, Array);
+  check(mat2, Float32Array);
+  check(mat2d, Float64Array);
+});
+
@@ -0,0 +1,253 @@
+import {mat2, mat2x3, mat2x3d, mat2x3n, mat3, mat3x2, mat4, utils} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function assertMat2x3EqualApproximately(a, b) {
+  if (!mat2x3.equalsApproximately(a, b)) {
+    throw new Error(`${a} !== ${b}`);
+  }
+}
+
+// reference math that works on any column major matrix
+// where each column is padded to `stride` elements.
+function get(m, stride, col, row) {
+  return m[col * stride + row];
+}
+
+function refMultiply(a, aStride, b, bStride, aCols, aRows, bCols, dstStride) {
+  const dst = new Array(bCols * dstStride).fill(0);
+  for (let c = 0; c < bCols; ++c) {
+    for (let r = 0; r < aRows; ++r) {
+      let sum = 0;
+      for (let k = 0; k < aCols; ++k) {
+        sum += get(a, aStride, k, r) * get(b, bStride, c, k);
+      }
+      dst[c * dstStride + r] = sum;
+    }
+  }
+  return dst;
+}
+
+function check(mat2x3, Type) {
+  describe('using ' + Type, () => {
+    const m = [
+      1, 2, 3, 0,
+      4, 5, 6, 0,
+    ];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testM2x3WithoutDest(func, expected, ...args) {
+      const d = func(...args);
+      assertMat2x3EqualApproximately(d, expected);
+    }
+
+    function testM2x3WithDest(func, expected, ...args) {
+      expected = createCopyOfType(expected);
+      const d = new Type(8).fill(0);
+      const c = func(...args, d);
+      assertStrictEqual(c, d);
+      assertMat2x3EqualApproximately(c, expected);
+    }
+
+    function testMat2x3WithAndWithoutDest(func, expected, ...args) {
+      expected = createCopyOfType(expected);
+      testM2x3WithoutDest(func, expected, ...args);
+      testM2x3WithDest(func, expected, ...args);
+    }
+
+    function testVWithAndWithoutDest(func, expected, size) {
+      const d0 = func();
+      assertEqual(d0, createCopyOfType(expected));
+      const d = new Type(size).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqual(c, createCopyOfType(expected));
+    }
+
+    it('should create', () => {
+      for (let i = 0; i <= 6; ++i) {
+        const values = new Array(6).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        const expected = mat2x3.set(...values);
+        const args = new Array(Array.isArray(mat2x3.identity()) ? 6 : i).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        const m = mat2x3.create(...args);
+        assertEqual(m, expected);
+      }
+    });
+
+    it('should set', () => {
+      const expected = m;
+      testMat2x3WithAndWithoutDest((...args) => {
+        return mat2x3.set(...args);
+      }, expected, 1, 2, 3, 4, 5, 6);
+    });
+
+    it('should negate', () => {
+      const expected = m.map(v => -v);
+      testMat2x3WithAndWithoutDest((newDst) => {
+        return mat2x3.negate(m, newDst);
+      }, expected);
+    });
+
+    it('should add', () => {
+      const expected = m.map(v => v * 2);
+      testMat2x3WithAndWithoutDest((newDst) => {
+        return mat2x3.add(m, m, newDst);
+      }, expected);
+    });
+
+    it('should multiplyScalar', () => {
+      const expected = m.map(v => v * 3);
+      testMat2x3WithAndWithoutDest((newDst) => {
+        return mat2x3.multiplyScalar(m, 3, newDst);
+      }, expected);
+    });
+
+    it('should copy', () => {
+      const expected = m;
+      testMat2x3WithAndWithoutDest((newDst) => {
+        const result = mat2x3.copy(m, newDst);
+        assertStrictNotEqual(result, m);
+        return result;
+      }, expected);
+    });
+
+    it('should clone', () => {
+      const expected = m;
+      testMat2x3WithAndWithoutDest((newDst) => {
+        const result = mat2x3.clone(m, newDst);
+        assertStrictNotEqual(result, m);
+        return result;
+      }, expected);
+    });
+
+    it('should equals and equals approximately', () => {
+      for (let c = 0; c < 2; ++c) {
+        for (let r = 0; r < 3; ++r) {
+          const ndx = c * 4 + r;
+          const almost = mat2x3.clone(m);
+          almost[ndx] += utils.EPSILON * 0.5;
+          const notEqual = mat2x3.clone(m);
+          notEqual[ndx] += 1.0001;
+          assertTruthy(mat2x3.equals(mat2x3.clone(m), mat2x3.clone(m)));
+          assertFalsy(mat2x3.equals(m, almost), `${ndx}`);
+          assertTruthy(mat2x3.equalsApproximately(m, almost), `${ndx}`);
+          assertFalsy(mat2x3.equalsApproximately(m, notEqual), `${ndx}`);
+        }
+      }
+    });
+
+    it('should make identity', () => {
+      const expected = new Array(8).fill(0).map((_, ndx) => ndx % 4 === (ndx / 4 | 0) ? 1 : 0);
+      testMat2x3WithAndWithoutDest((newDst) => {
+        return mat2x3.identity(newDst);
+      }, expected);
+    });
+
+    it('should transpose', () => {
+      const expected = [
+        1, 4,
+        2, 5,
+        3, 6,
+      ];
+      const d = mat2x3.transpose(m);
+      assertTruthy(mat3x2.equals(d, expected));
+      const dst = new Type(6).fill(0);
+      assertStrictEqual(mat2x3.transpose(m, dst), dst);
+      assertTruthy(mat3x2.equals(dst, expected));
+      assertTruthy(mat2x3.equals(mat3x2.transpose(d), m));
+    });
+
+    function testMultiply(fn) {
+      const b = mat2.multiplyScalar(mat2.identity(), 2);
+      b[1] = 3;
+      b[2] = 5;
+      const expected = refMultiply(m, 4, b, 2, 2, 3, 2, 4);
+      testMat2x3WithAndWithoutDest((newDst) => {
+        return fn(m, b, newDst);
+      }, expected);
+    }
+
+    it('should multiply', () => {
+      testMultiply(mat2x3.multiply);
+    });
+
+    it('should mul', () => {
+      testMultiply(mat2x3.mul);
+    });
+
+    it('should premultiply', () => {
+      const a = mat3.multiplyScalar(mat3.identity(), 2);
+      a[1] = 7;
+      a[4] = 11;
+      const expected = refMultiply(a, 4, m, 4, 3, 3, 2, 4);
+      testMat2x3WithAndWithoutDest((newDst) => {
+        return mat2x3.premultiply(a, m, newDst);
+      }, expected);
+    });
+
+    it('should multiply by a vector', () => {
+      const v = [2, 3];
+      const expected = refMultiply(m, 4, v, 2, 2, 3, 1, 3);
+      testVWithAndWithoutDest((newDst) => {
+        return mat2x3.multiplyVector(m, v, newDst);
+      }, expected, 3);
+    });
+
+    it('should get axis', () => {
+      for (let axis = 0; axis < 2; ++axis) {
+        const expected = m.slice(axis * 4, axis * 4 + 3);
+        testVWithAndWithoutDest((newDst) => {
+          return mat2x3.getAxis(m, axis, newDst);
+        }, expected, 3);
+      }
+    });
+
+    it('should set axis', () => {
+      const v = [11, 22, 33];
+      for (let axis = 0; axis < 2; ++axis) {
+        const expected = m.slice();
+        expected.splice(axis * 4, 3, ...v);
+        testMat2x3WithAndWithoutDest((newDst) => {
+          return mat2x3.setAxis(m, v, axis, newDst);
+        }, expected);
+      }
+    });
+
+    it('should make a mat2x3 from a mat3', () => {
+      const m3 = mat3.create(1, 2, 3, 4, 5, 6, 7, 8, 9);
+      const expected = new Array(8).fill(0).map((_, ndx) => ndx % 4 < 3 ? m3[(ndx / 4 | 0) * 4 + ndx % 4] : 0);
+      testMat2x3WithAndWithoutDest((newDst) => {
+        return mat2x3.fromMat3(m3, newDst);
+      }, expected);
+    });
+
+    it('should make a mat2x3 from a mat4', () => {
+      const m4 = mat4.create(
+          1, 2, 3, 4,
+          5, 6, 7, 8,
+          9, 10, 11, 12,
+          13, 14, 15, 16);
+      const expected = new Array(8).fill(0).map((_, ndx) => ndx % 4 < 3 ? m4[(ndx / 4 | 0) * 4 + ndx % 4] : 0);
+      testMat2x3WithAndWithoutDest((newDst) => {
+        return mat2x3.fromMat4(m4, newDst);
+      }, expected);
+    });
+
+  });
+}
+
+describe('mat2x3', () => {
+  check(mat2x3n, Array);
+  check(mat2x3, Float32Array);
+  check(mat2x3d, Float64Array);
+});
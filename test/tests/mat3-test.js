@@ -2,6 +2,7 @@ import {mat3, mat3d, mat3n, mat4, quat, utils} from '../../dist/3.x/wgpu-matrix.
 
 import {
   assertEqual,
+  assertEqualApproximately,
   assertFalsy,
   assertStrictEqual,
   assertStrictNotEqual,
@@ -662,6 +663,141 @@ function check(mat3, Type) {
       }
     });
 
+    it('should compute euler angles', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      for (const order of orders) {
+        const expected = [0.4, -0.3, 1.2];
+        const q = quat.fromEuler(...expected, order);
+        const m = mat3.fromQuat(q);
+        assertEqualApproximately(mat3.toEuler(m, order), expected, 1e-5);
+
+        // scale should be ignored
+        const scaled = mat3.multiply(m, mat3.scaling3D([2, 3, 4]));
+        const dst = new Type(3).fill(0);
+        const result = mat3.toEuler(scaled, order, dst);
+        assertStrictEqual(result, dst);
+        assertEqualApproximately(result, expected, 1e-5);
+
+        // mirrored matrices give the angles of their rotation
+        for (const scale of [[-2, 3, 4], [2, -3, 4], [2, 3, -4], [-2, -3, -4]]) {
+          const mirrored = mat3.multiply(m, mat3.scaling3D(scale));
+          const angles = mat3.toEuler(mirrored, order);
+          const rotation = mat3.fromEuler(...angles, order);
+          // the same as mat4.decompose, only the x scale is negative
+          const expectedScale = [Math.abs(scale[0]) * Math.sign(scale[0] * scale[1] * scale[2]), Math.abs(scale[1]), Math.abs(scale[2])];
+          assertEqualApproximately(mat3.multiply(rotation, mat3.scaling3D(expectedScale)), mirrored, 1e-5);
+        }
+      }
+    });
+
+    it('should make a mat3 from euler angles', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      const angles = [
+        [0, 0, 0],
+        [Math.PI / 2, 0, 0],
+        [0, Math.PI / 2, 0],
+        [0, 0, Math.PI / 2],
+        [0.1, 0.2, 0.3],
+        [-1.3, 2.2, 0.7],
+      ];
+      for (const order of orders) {
+        for (const [x, y, z] of angles) {
+          const expected = mat3.fromQuat(quat.fromEuler(x, y, z, order));
+          const m = mat3.fromEuler(x, y, z, order);
+          assertEqualApproximately(m, expected, 1e-6);
+          const dst = new Type(12).fill(0);
+          const result = mat3.fromEuler(x, y, z, order, dst);
+          assertStrictEqual(result, dst);
+          assertEqualApproximately(result, expected, 1e-6);
+        }
+      }
+    });
+
+    it('should rotate by euler angles', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      for (const order of orders) {
+        const expected = mat3.multiply(m, mat3.fromEuler(0.4, -0.3, 1.2, order));
+        const result = mat3.rotateEuler(m, 0.4, -0.3, 1.2, order);
+        assertEqualApproximately(result, expected, 1e-5);
+        const dst = mat3.clone(m);
+        assertStrictEqual(mat3.rotateEuler(dst, 0.4, -0.3, 1.2, order, dst), dst);
+        assertEqualApproximately(dst, expected, 1e-5);
+      }
+    });
+
+    it('should round trip euler angles', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      for (const order of orders) {
+        const expected = [-0.8, 0.6, 1.4];
+        const m = mat3.fromEuler(...expected, order);
+        assertEqualApproximately(mat3.toEuler(m, order), expected, 1e-5);
+      }
+    });
+
+    it('should compute eigen decomposition of a diagonal matrix', () => {
+      const {values, vectors} = mat3.eigenSymmetric([
+        2, 0, 0, 0,
+        0, 5, 0, 0,
+        0, 0, -1, 0,
+      ]);
+      assertEqualApproximately(values, [5, 2, -1]);
+      assertEqualApproximately(vectors, [
+        0, 1, 0, 0,
+        1, 0, 0, 0,
+        0, 0, -1, 0,
+      ]);
+    });
+
+    it('should compute eigen decomposition of a symmetric matrix', () => {
+      const r = mat3.fromQuat(quat.fromEuler(0.3, -1.1, 0.7, 'xyz'));
+      const d = [
+        7, 0, 0, 0,
+        0, 3, 0, 0,
+        0, 0, 0.5, 0,
+      ];
+      const m = mat3.multiply(mat3.multiply(r, d), mat3.transpose(r));
+
+      const values = createCopyOfType([0, 0, 0]);
+      const vectors = mat3.create();
+      const result = mat3.eigenSymmetric(m, values, vectors);
+      assertStrictEqual(result.values, values);
+      assertStrictEqual(result.vectors, vectors);
+      assertEqualApproximately(values, [7, 3, 0.5], 1e-5);
+      assertEqualApproximately(mat3.determinant(vectors), 1, 1e-5);
+
+      // each column is a unit eigenvector
+      for (let i = 0; i < 3; ++i) {
+        const v = [vectors[i * 4], vectors[i * 4 + 1], vectors[i * 4 + 2]];
+        assertEqualApproximately(Math.hypot(...v), 1, 1e-5);
+        for (let j = 0; j < 3; ++j) {
+          const mv = m[j] * v[0] + m[4 + j] * v[1] + m[8 + j] * v[2];
+          assertEqualApproximately(mv, values[i] * v[j], 1e-5);
+        }
+      }
+
+      // reconstructs the matrix
+      const reconstructed = mat3.multiply(
+          mat3.multiply(vectors, [
+            values[0], 0, 0, 0,
+            0, values[1], 0, 0,
+            0, 0, values[2], 0,
+          ]),
+          mat3.transpose(vectors));
+      assertEqualApproximately(reconstructed, m, 1e-5);
+    });
+
+    it('should compute eigen decomposition with repeated eigenvalues', () => {
+      const {values, vectors} = mat3.eigenSymmetric([
+        2, 1, 0, 0,
+        1, 2, 0, 0,
+        0, 0, 3, 0,
+      ]);
+      assertEqualApproximately(values, [3, 3, 1], 1e-6);
+      assertEqualApproximately(mat3.determinant(vectors), 1, 1e-6);
+      // the eigenvector for 1 is along [1, -1, 0]
+      const s = Math.SQRT1_2;
+      assertEqualApproximately(Math.abs(vectors[8] * s - vectors[9] * s), 1, 1e-6);
+    });
   });
 }
 
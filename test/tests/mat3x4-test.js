@@ -0,0 +1,247 @@
+import {mat3, mat3x4, mat3x4d, mat3x4n, mat4, mat4x3, utils} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function assertMat3x4EqualApproximately(a, b) {
+  if (!mat3x4.equalsApproximately(a, b)) {
+    throw new Error(`${a} !== ${b}`);
+  }
+}
+
+// reference math that works on any column major matrix
+// where each column is padded to `stride` elements.
+function get(m, stride, col, row) {
+  return m[col * stride + row];
+}
+
+function refMultiply(a, aStride, b, bStride, aCols, aRows, bCols, dstStride) {
+  const dst = new Array(bCols * dstStride).fill(0);
+  for (let c = 0; c < bCols; ++c) {
+    for (let r = 0; r < aRows; ++r) {
+      let sum = 0;
+      for (let k = 0; k < aCols; ++k) {
+        sum += get(a, aStride, k, r) * get(b, bStride, c, k);
+      }
+      dst[c * dstStride + r] = sum;
+    }
+  }
+  return dst;
+}
+
+function check(mat3x4, Type) {
+  describe('using ' + Type, () => {
+    const m = [
+      1, 2, 3, 4,
+      5, 6, 7, 8,
+      9, 10, 11, 12,
+    ];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testM3x4WithoutDest(func, expected, ...args) {
+      const d = func(...args);
+      assertMat3x4EqualApproximately(d, expected);
+    }
+
+    function testM3x4WithDest(func, expected, ...args) {
+      expected = createCopyOfType(expected);
+      const d = new Type(12).fill(0);
+      const c = func(...args, d);
+      assertStrictEqual(c, d);
+      assertMat3x4EqualApproximately(c, expected);
+    }
+
+    function testMat3x4WithAndWithoutDest(func, expected, ...args) {
+      expected = createCopyOfType(expected);
+      testM3x4WithoutDest(func, expected, ...args);
+      testM3x4WithDest(func, expected, ...args);
+    }
+
+    function testVWithAndWithoutDest(func, expected, size) {
+      const d0 = func();
+      assertEqual(d0, createCopyOfType(expected));
+      const d = new Type(size).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqual(c, createCopyOfType(expected));
+    }
+
+    it('should create', () => {
+      for (let i = 0; i <= 12; ++i) {
+        const values = new Array(12).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        const expected = mat3x4.set(...values);
+        const args = new Array(Array.isArray(mat3x4.identity()) ? 12 : i).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        const m = mat3x4.create(...args);
+        assertEqual(m, expected);
+      }
+    });
+
+    it('should set', () => {
+      const expected = m;
+      testMat3x4WithAndWithoutDest((...args) => {
+        return mat3x4.set(...args);
+      }, expected, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12);
+    });
+
+    it('should negate', () => {
+      const expected = m.map(v => -v);
+      testMat3x4WithAndWithoutDest((newDst) => {
+        return mat3x4.negate(m, newDst);
+      }, expected);
+    });
+
+    it('should add', () => {
+      const expected = m.map(v => v * 2);
+      testMat3x4WithAndWithoutDest((newDst) => {
+        return mat3x4.add(m, m, newDst);
+      }, expected);
+    });
+
+    it('should multiplyScalar', () => {
+      const expected = m.map(v => v * 3);
+      testMat3x4WithAndWithoutDest((newDst) => {
+        return mat3x4.multiplyScalar(m, 3, newDst);
+      }, expected);
+    });
+
+    it('should copy', () => {
+      const expected = m;
+      testMat3x4WithAndWithoutDest((newDst) => {
+        const result = mat3x4.copy(m, newDst);
+        assertStrictNotEqual(result, m);
+        return result;
+      }, expected);
+    });
+
+    it('should clone', () => {
+      const expected = m;
+      testMat3x4WithAndWithoutDest((newDst) => {
+        const result = mat3x4.clone(m, newDst);
+        assertStrictNotEqual(result, m);
+        return result;
+      }, expected);
+    });
+
+    it('should equals and equals approximately', () => {
+      for (let c = 0; c < 3; ++c) {
+        for (let r = 0; r < 4; ++r) {
+          const ndx = c * 4 + r;
+          const almost = mat3x4.clone(m);
+          almost[ndx] += utils.EPSILON * 0.5;
+          const notEqual = mat3x4.clone(m);
+          notEqual[ndx] += 1.0001;
+          assertTruthy(mat3x4.equals(mat3x4.clone(m), mat3x4.clone(m)));
+          assertFalsy(mat3x4.equals(m, almost), `${ndx}`);
+          assertTruthy(mat3x4.equalsApproximately(m, almost), `${ndx}`);
+          assertFalsy(mat3x4.equalsApproximately(m, notEqual), `${ndx}`);
+        }
+      }
+    });
+
+    it('should make identity', () => {
+      const expected = new Array(12).fill(0).map((_, ndx) => ndx % 4 === (ndx / 4 | 0) ? 1 : 0);
+      testMat3x4WithAndWithoutDest((newDst) => {
+        return mat3x4.identity(newDst);
+      }, expected);
+    });
+
+    it('should transpose', () => {
+      const expected = [
+        1, 5, 9, 0,
+        2, 6, 10, 0,
+        3, 7, 11, 0,
+        4, 8, 12, 0,
+      ];
+      const d = mat3x4.transpose(m);
+      assertTruthy(mat4x3.equals(d, expected));
+      const dst = new Type(16).fill(0);
+      assertStrictEqual(mat3x4.transpose(m, dst), dst);
+      assertTruthy(mat4x3.equals(dst, expected));
+      assertTruthy(mat3x4.equals(mat4x3.transpose(d), m));
+    });
+
+    function testMultiply(fn) {
+      const b = mat3.multiplyScalar(mat3.identity(), 2);
+      b[1] = 3;
+      b[4] = 5;
+      const expected = refMultiply(m, 4, b, 4, 3, 4, 3, 4);
+      testMat3x4WithAndWithoutDest((newDst) => {
+        return fn(m, b, newDst);
+      }, expected);
+    }
+
+    it('should multiply', () => {
+      testMultiply(mat3x4.multiply);
+    });
+
+    it('should mul', () => {
+      testMultiply(mat3x4.mul);
+    });
+
+    it('should premultiply', () => {
+      const a = mat4.multiplyScalar(mat4.identity(), 2);
+      a[1] = 7;
+      a[4] = 11;
+      const expected = refMultiply(a, 4, m, 4, 4, 4, 3, 4);
+      testMat3x4WithAndWithoutDest((newDst) => {
+        return mat3x4.premultiply(a, m, newDst);
+      }, expected);
+    });
+
+    it('should multiply by a vector', () => {
+      const v = [2, 3, 4];
+      const expected = refMultiply(m, 4, v, 3, 3, 4, 1, 4);
+      testVWithAndWithoutDest((newDst) => {
+        return mat3x4.multiplyVector(m, v, newDst);
+      }, expected, 4);
+    });
+
+    it('should get axis', () => {
+      for (let axis = 0; axis < 3; ++axis) {
+        const expected = m.slice(axis * 4, axis * 4 + 4);
+        testVWithAndWithoutDest((newDst) => {
+          return mat3x4.getAxis(m, axis, newDst);
+        }, expected, 4);
+      }
+    });
+
+    it('should set axis', () => {
+      const v = [11, 22, 33, 44];
+      for (let axis = 0; axis < 3; ++axis) {
+        const expected = m.slice();
+        expected.splice(axis * 4, 4, ...v);
+        testMat3x4WithAndWithoutDest((newDst) => {
+          return mat3x4.setAxis(m, v, axis, newDst);
+        }, expected);
+      }
+    });
+
+    it('should make a mat3x4 from a mat4', () => {
+      const m4 = mat4.create(
+          1, 2, 3, 4,
+          5, 6, 7, 8,
+          9, 10, 11, 12,
+          13, 14, 15, 16);
+      const expected = new Array(12).fill(0).map((_, ndx) => ndx % 4 < 4 ? m4[(ndx / 4 | 0) * 4 + ndx % 4] : 0);
+      testMat3x4WithAndWithoutDest((newDst) => {
+        return mat3x4.fromMat4(m4, newDst);
+      }, expected);
+    });
+
+  });
+}
+
+describe('mat3x4', () => {
+  check(mat3x4n, Array);
+  check(mat3x4, Float32Array);
+  check(mat3x4d, Float64Array);
+});
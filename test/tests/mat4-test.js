@@ -627,6 +627,60 @@ function check(mat4, Type) {
       shouldBeCloseArray(vec3.transformMat4([right, top, -far], m), [1, 1, 1], 0.000001);
     });
 
+    it('should compute orthoReverseZ', () => {
+      const left = 2;
+      const right = 4;
+      const top = 10;
+      const bottom = 30;
+      const near = 15;
+      const far = 25;
+      const expected = [
+        2 / (right - left),
+        0,
+        0,
+        0,
+
+        0,
+        2 / (top - bottom),
+        0,
+        0,
+
+        0,
+        0,
+        1 / (far - near),
+        0,
+
+        (right + left) / (left - right),
+        (top + bottom) / (bottom - top),
+        far / (far - near),
+        1,
+      ];
+      testMat4WithAndWithoutDest((newDst) => {
+        return mat4.orthoReverseZ(left, right, bottom, top, near, far, newDst);
+      }, expected);
+    });
+
+    it('should compute correct orthoReverseZ', () => {
+      const left = -2;
+      const right = 4;
+      const top = 10;
+      const bottom = 30;
+      const near = 15;
+      const far = 25;
+      const m = mat4.orthoReverseZ(left, right, bottom, top, near, far);
+      shouldBeCloseArray(vec3.transformMat4([left, bottom, -near], m), [-1, -1, 1], 0.000001);
+      shouldBeCloseArray(vec3.transformMat4([right, top, -far], m), [1, 1, 0], 0.000001);
+      shouldBeCloseArray(vec3.transformMat4([left, top, -20], m), [-1, 1, 0.5], 0.000001);
+
+      // same x and y as ortho with the depth flipped
+      const o = mat4.ortho(left, right, bottom, top, near, far);
+      for (const z of [-near, -18, -far]) {
+        const a = vec3.transformMat4([1, 15, z], o);
+        const b = vec3.transformMat4([1, 15, z], m);
+        shouldBeCloseArray(b, [a[0], a[1], 1 - a[2]], 0.000001);
+      }
+    });
+
     it('should compute frustum', () => {
       const left = 2;
       const right = 4;
@@ -678,6 +732,56 @@ function check(mat4, Type) {
       assertEqualApproximately(p[2], 1);
     });
 
+    it('should compute frustum with far at infinity', () => {
+      const left = 2;
+      const right = 4;
+      const top = 10;
+      const bottom = 30;
+      const near = 15;
+
+      const dx = (right - left);
+      const dy = (top - bottom);
+
+      const expected = [
+        2 * near / dx,
+        0,
+        0,
+        0,
+        0,
+        2 * near / dy,
+        0,
+        0,
+        (left + right) / dx,
+        (top + bottom) / dy,
+        -1,
+        -1,
+        0,
+        0,
+        -near,
+        0,
+      ];
+      testMat4WithAndWithoutDest((newDst) => {
+        return mat4.frustum(left, right, bottom, top, near, Infinity, newDst);
+      }, expected);
+    });
+
+    it('should compute correct frustum with far at infinity', () => {
+      const m = mat4.frustum(-2, 4, 10, 30, 15, Infinity);
+      assertEqualApproximately(vec3.transformMat4([1, 20, -15], m)[2], 0);
+      assertEqualApproximately(vec3.transformMat4([1, 20, -1e20], m)[2], 1);
+      const p = vec3.transformMat4([1, 20, -30], m)[2];
+      assertTruthy(p > 0 && p < 1);
+    });
+
+    it('should compute frustumReverseZ with far at infinity', () => {
+      const m = mat4.frustumReverseZ(-2, 4, 10, 30, 15);
+      shouldBeCloseArray(m, mat4.frustumReverseZ(-2, 4, 10, 30, 15, Infinity));
+      assertEqual(m[10], 0);
+      assertEqual(m[14], 15);
+      assertEqualApproximately(vec3.transformMat4([1, 20, -15], m)[2], 1);
+      assertEqualApproximately(vec3.transformMat4([1, 20, -1e20], m)[2], 0);
+    });
+
     it('should compute frustumReverseZ', () => {
       const left = 2;
       const right = 4;
@@ -740,6 +844,94 @@ function check(mat4, Type) {
       shouldBeCloseArray(m1, m2);
     });
 
+    it('should compute same frustum as perspective with far at infinity', () => {
+      const lr = 4;
+      const tb = 2;
+      const near = 10;
+      const fov = Math.atan(tb / near) * 2;
+      const aspect = lr / tb;
+      shouldBeCloseArray(
+          mat4.frustum(-lr, lr, -tb, tb, near, Infinity),
+          mat4.perspective(fov, aspect, near, Infinity));
+      shouldBeCloseArray(
+          mat4.frustumReverseZ(-lr, lr, -tb, tb, near),
+          mat4.perspectiveReverseZ(fov, aspect, near));
+    });
+
+    it('should compute perspectiveGL', () => {
+      const fov = 2;
+      const aspect = 4;
+      const zNear = 10;
+      const zFar = 30;
+      const f = Math.tan(Math.PI * 0.5 - 0.5 * fov);
+      const expected = [
+        f / aspect, 0, 0, 0,
+        0, f, 0, 0,
+        0, 0, (zFar + zNear) / (zNear - zFar), -1,
+        0, 0, 2 * zFar * zNear / (zNear - zFar), 0,
+      ];
+      testMat4WithAndWithoutDest((newDst) => {
+        return mat4.perspectiveGL(fov, aspect, zNear, zFar, newDst);
+      }, expected);
+
+      const m = mat4.perspectiveGL(fov, aspect, zNear, Infinity);
+      assertEqualApproximately(vec3.transformMat4([0, 0, -zNear], m)[2], -1);
+      assertEqualApproximately(vec3.transformMat4([0, 0, -1e20], m)[2], 1);
+    });
+
+    it('should compute orthoGL', () => {
+      const m = mat4.orthoGL(-2, 4, 10, 30, 15, 25);
+      shouldBeCloseArray(vec3.transformMat4([-2, 10, -15], m), [-1, -1, -1], 0.000001);
+      shouldBeCloseArray(vec3.transformMat4([4, 30, -25], m), [1, 1, 1], 0.000001);
+      shouldBeCloseArray(vec3.transformMat4([1, 20, -20], m), [0, 0, 0], 0.000001);
+      const dst = new Type(16);
+      assertStrictEqual(mat4.orthoGL(-2, 4, 10, 30, 15, 25, dst), dst);
+      shouldBeCloseArray(dst, m);
+    });
+
+    it('should compute frustumGL', () => {
+      const m = mat4.frustumGL(-2, 4, 10, 30, 15, 25);
+      shouldBeCloseArray(vec3.transformMat4([-2, 10, -15], m), [-1, -1, -1], 0.000001);
+      assertEqualApproximately(vec3.transformMat4([1, 20, -25], m)[2], 1);
+      const dst = new Type(16);
+      assertStrictEqual(mat4.frustumGL(-2, 4, 10, 30, 15, 25, dst), dst);
+      shouldBeCloseArray(dst, m);
+
+      const fov = Math.atan(2 / 10) * 2;
+      shouldBeCloseArray(mat4.frustumGL(-4, 4, -2, 2, 10, 20), mat4.perspectiveGL(fov, 2, 10, 20));
+    });
+
+    it('should convert depth range', () => {
+      const projections = [
+        mat4.perspective(Math.PI / 3, 1.5, 0.5, 100),
+        mat4.perspective(Math.PI / 3, 1.5, 0.5, Infinity),
+        mat4.ortho(-2, 4, 10, 30, 15, 25),
+        mat4.frustum(-2, 4, 10, 30, 15, 25),
+      ];
+      for (const projection of projections) {
+        const gl = mat4.convertDepthRange(projection, 'zeroToOne', 'negativeOneToOne');
+        for (const z of [-0.5, -15, -20, -25, -100]) {
+          const a = vec3.transformMat4([1, 2, z], projection);
+          const b = vec3.transformMat4([1, 2, z], gl);
+          shouldBeCloseArray(b, [a[0], a[1], a[2] * 2 - 1], 1e-5);
+        }
+        shouldBeCloseArray(mat4.convertDepthRange(gl, 'negativeOneToOne', 'zeroToOne'), projection, 1e-6);
+        shouldBeCloseArray(mat4.convertDepthRange(projection, 'zeroToOne', 'zeroToOne'), projection);
+      }
+
+      shouldBeCloseArray(
+          mat4.convertDepthRange(mat4.perspective(1, 2, 3, 4), 'zeroToOne', 'negativeOneToOne'),
+          mat4.perspectiveGL(1, 2, 3, 4));
+
+      const projection = mat4.perspective(1, 2, 3, 4);
+      const dst = new Type(16);
+      assertStrictEqual(mat4.convertDepthRange(projection, 'zeroToOne', 'negativeOneToOne', dst), dst);
+      shouldBeCloseArray(dst, mat4.perspectiveGL(1, 2, 3, 4));
+      const inPlace = mat4.clone(projection);
+      assertStrictEqual(mat4.convertDepthRange(inPlace, 'zeroToOne', 'negativeOneToOne', inPlace), inPlace);
+      shouldBeCloseArray(inPlace, dst);
+    });
+
     it('should make lookAt matrix', () => {
       const eye = [1, 2, 3];
       const target = [11, 22, 33];
@@ -1112,6 +1304,641 @@ function check(mat4, Type) {
       }
     });
 
+    it('should compose', () => {
+      const t = [1, 2, 3];
+      const q = quat.fromEuler(0.1, 0.2, 0.3, 'xyz');
+      const s = [4, 5, 6];
+      const expected = mat4.multiply(
+          mat4.multiply(mat4.translation(t), mat4.fromQuat(q)),
+          mat4.scaling(s));
+      testMat4WithAndWithoutDest((newDst) => {
+        return mat4.compose(t, q, s, newDst);
+      }, expected);
+    });
+
+    it('should decompose', () => {
+      const tests = [
+        { t: [1, 2, 3], q: quat.fromEuler(0.1, 0.2, 0.3, 'xyz'), s: [4, 5, 6] },
+        { t: [-1, 0, 5], q: quat.fromEuler(Math.PI, 0, 0, 'xyz'), s: [1, 1, 1] },
+        { t: [0, 0, 0], q: quat.fromEuler(0, Math.PI / 2, 0.4, 'zyx'), s: [0.5, 2, 3] },
+      ];
+      for (const {t, q, s} of tests) {
+        const m = mat4.compose(t, q, s);
+        const {translation, rotation, scale} = mat4.decompose(m);
+        shouldBeCloseArray(translation, t, 1e-5);
+        shouldBeCloseArray(scale, s, 1e-5);
+        assertEqualApproximately(Math.abs(quat.dot(rotation, q)), 1, 1e-5);
+
+        const newT = new Type(3).fill(0);
+        const newR = new Type(4).fill(0);
+        const newS = new Type(3).fill(0);
+        const result = mat4.decompose(m, newT, newR, newS);
+        assertStrictEqual(result.translation, newT);
+        assertStrictEqual(result.rotation, newR);
+        assertStrictEqual(result.scale, newS);
+        shouldBeCloseArray(mat4.compose(newT, newR, newS), m, 1e-5);
+      }
+    });
+
+    it('should decompose a mirrored matrix', () => {
+      const q = quat.fromEuler(0.3, -0.2, 0.1, 'xyz');
+      const m = mat4.compose([1, 2, 3], q, [-2, 3, 4]);
+      const {rotation, scale} = mat4.decompose(m);
+      shouldBeCloseArray(scale, [-2, 3, 4], 1e-5);
+      assertEqualApproximately(quat.length(rotation), 1, 1e-5);
+      shouldBeCloseArray(mat4.compose([1, 2, 3], rotation, scale), m, 1e-5);
+
+      const m2 = mat4.scaling([1, 1, -1]);
+      const d2 = mat4.decompose(m2);
+      assertTruthy(d2.scale[0] < 0);
+      shouldBeCloseArray(mat4.compose(d2.translation, d2.rotation, d2.scale), m2, 1e-5);
+    });
+
+    it('should decompose a matrix with non-normalized rotation columns', () => {
+      const m = mat4.compose([0, 0, 0], quat.fromEuler(0.5, 0.2, 0.1, 'xyz'), [1, 1, 1]);
+      m[0] *= 1.0001;
+      m[5] *= 0.9999;
+      const {rotation} = mat4.decompose(m);
+      assertEqualApproximately(quat.length(rotation), 1, 1e-5);
+    });
+
+    it('should decompose a matrix with zero scale', () => {
+      const q = quat.fromEuler(0.1, 0.2, 0.3, 'xyz');
+      const m = mat4.compose([1, 2, 3], q, [2, 0, 4]);
+      const {rotation, scale} = mat4.decompose(m);
+      shouldBeCloseArray(scale, [2, 0, 4], 1e-5);
+      assertEqualApproximately(Math.abs(quat.dot(rotation, q)), 1, 1e-5);
+
+      const d = mat4.decompose(mat4.scaling([0, 0, 0]));
+      shouldBeCloseArray(d.rotation, [0, 0, 0, 1], 1e-5);
+    });
+
+    it('should compute euler angles', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      for (const order of orders) {
+        const expected = [0.4, -0.3, 1.2];
+        const q = quat.fromEuler(...expected, order);
+        const m = mat4.fromQuat(q);
+        testVec3WithAndWithoutDest((newDst) => {
+          return mat4.toEuler(m, order, newDst);
+        }, expected);
+
+        // scale should be ignored
+        const scaled = mat4.multiply(m, mat4.scaling([2, 3, 4]));
+        testVec3WithAndWithoutDest((newDst) => {
+          return mat4.toEuler(scaled, order, newDst);
+        }, expected);
+
+        // a negative scale on x keeps the rotation
+        const mirrored = mat4.multiply(m, mat4.scaling([-2, 3, 4]));
+        testVec3WithAndWithoutDest((newDst) => {
+          return mat4.toEuler(mirrored, order, newDst);
+        }, expected);
+
+        // mirrored matrices give the angles of their rotation
+        for (const scale of [[2, -3, 4], [2, 3, -4], [-2, -3, -4]]) {
+          const mirrored = mat4.multiply(m, mat4.scaling(scale));
+          const angles = mat4.toEuler(mirrored, order);
+          const rotation = mat4.fromEuler(...angles, order);
+          // the same as mat4.decompose, only the x scale is negative
+          const expectedScale = [Math.abs(scale[0]) * Math.sign(scale[0] * scale[1] * scale[2]), Math.abs(scale[1]), Math.abs(scale[2])];
+          shouldBeCloseArray(mat4.multiply(rotation, mat4.scaling(expectedScale)), mirrored, 1e-5);
+        }
+      }
+    });
+
+    it('should make a mat4 from euler angles', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      const angles = [
+        [0, 0, 0],
+        [Math.PI / 2, 0, 0],
+        [0, Math.PI / 2, 0],
+        [0, 0, Math.PI / 2],
+        [0.1, 0.2, 0.3],
+        [-1.3, 2.2, 0.7],
+      ];
+      for (const order of orders) {
+        for (const [x, y, z] of angles) {
+          const expected = mat4.fromQuat(quat.fromEuler(x, y, z, order));
+          const m = mat4.fromEuler(x, y, z, order);
+          assertEqualApproximately(m, expected, 1e-6);
+          const dst = new Type(16).fill(0);
+          const result = mat4.fromEuler(x, y, z, order, dst);
+          assertStrictEqual(result, dst);
+          assertEqualApproximately(result, expected, 1e-6);
+        }
+      }
+    });
+
+    it('should rotate by euler angles', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      for (const order of orders) {
+        const expected = mat4.multiply(m, mat4.fromEuler(0.4, -0.3, 1.2, order));
+        const result = mat4.rotateEuler(m, 0.4, -0.3, 1.2, order);
+        assertEqualApproximately(result, expected, 1e-5);
+        const dst = mat4.clone(m);
+        assertStrictEqual(mat4.rotateEuler(dst, 0.4, -0.3, 1.2, order, dst), dst);
+        assertEqualApproximately(dst, expected, 1e-5);
+      }
+    });
+
+    it('should round trip euler angles', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      for (const order of orders) {
+        const expected = [-0.8, 0.6, 1.4];
+        const m = mat4.fromEuler(...expected, order);
+        assertEqualApproximately(mat4.toEuler(m, order), expected, 1e-5);
+      }
+    });
+
+    it('should compute a screen ray', () => {
+      const viewport = [0, 0, 200, 100];
+      const eye = [1, 2, 3];
+      const viewProjection = mat4.multiply(
+          mat4.perspective(Math.PI / 2, 2, 1, 10),
+          mat4.lookAt(eye, [1, 2, -7], [0, 1, 0]));
+      const inverseViewProjection = mat4.inverse(viewProjection);
+
+      // center of the screen points straight down -z from the near plane
+      const r = mat4.screenRay(inverseViewProjection, [100, 50], viewport);
+      assertEqualApproximately(r, [1, 2, 2, 0, 0, -1], 1e-5);
+
+      const dst = new Type(6).fill(0);
+      assertStrictEqual(mat4.screenRay(inverseViewProjection, [100, 50], viewport, false, dst), dst);
+      assertEqualApproximately(dst, r, 1e-5);
+
+      // top right corner goes through the corner of the near plane
+      const r2 = mat4.screenRay(inverseViewProjection, [200, 0], viewport);
+      const s = 1 / Math.sqrt(6);
+      assertEqualApproximately(r2, [3, 3, 2, 2 * s, s, -s], 1e-5);
+    });
+
+    it('should compute a screen ray with an infinite reverse-z projection', () => {
+      const viewport = [0, 0, 200, 100];
+      const projection = mat4.perspectiveReverseZ(Math.PI / 2, 2, 1);
+      const r = mat4.screenRay(mat4.inverse(projection), [200, 0], viewport, true);
+      const s = 1 / Math.sqrt(6);
+      assertEqualApproximately(r, [2, 1, -1, 2 * s, s, -s], 1e-5);
+    });
+
+    it('should make a reflection matrix', () => {
+      // the plane y = 2 facing +y
+      const plane = [0, 1, 0, -2];
+      const expected = [
+        1,  0, 0, 0,
+        0, -1, 0, 0,
+        0,  0, 1, 0,
+        0,  4, 0, 1,
+      ];
+      testMat4WithAndWithoutDest((newDst) => {
+        return mat4.reflection(plane, newDst);
+      }, expected);
+    });
+
+    it('should reflect points across a plane', () => {
+      const s = Math.SQRT1_2;
+      // the plane x + y = 1
+      const plane = [s, s, 0, -s];
+      const m = mat4.reflection(plane);
+      const tests = [
+        { p: [0, 0, 0], expected: [1, 1, 0], },
+        { p: [1, 0, 5], expected: [1, 0, 5], },
+        { p: [2, 2, -1], expected: [-1, -1, -1], },
+      ];
+      for (const {p, expected} of tests) {
+        shouldBeCloseArray(vec3.transformMat4(p, m), expected, 1e-6);
+      }
+      // reflecting twice gives back the original
+      shouldBeCloseArray(mat4.multiply(m, m), mat4.identity(), 1e-6);
+    });
+
+    it('should make a shadow projection matrix for a point light', () => {
+      // the plane y = 0 facing +y
+      const plane = [0, 1, 0, 0];
+      const light = [0, 10, 0, 1];
+      const m = mat4.shadowProjection(plane, light);
+      const dst = new Type(16).fill(0);
+      assertStrictEqual(mat4.shadowProjection(plane, light, dst), dst);
+      shouldBeCloseArray(dst, m);
+
+      // a point half way between the light and the plane casts
+      // a shadow twice as far from the light's axis
+      shouldBeCloseArray(vec3.transformMat4([1, 5, 2], m), [2, 0, 4], 1e-6);
+      shouldBeCloseArray(vec3.transformMat4([3, 0, -1], m), [3, 0, -1], 1e-6);
+    });
+
+    it('should make a shadow projection matrix for a directional light', () => {
+      // the plane y = 1 facing +y
+      const plane = [0, 1, 0, -1];
+      // light coming from up and to the right
+      const light = [1, 1, 0, 0];
+      const m = mat4.shadowProjection(plane, light);
+      shouldBeCloseArray(vec3.transformMat4([0, 3, 0], m), [-2, 1, 0], 1e-6);
+      shouldBeCloseArray(vec3.transformMat4([4, 2, 7], m), [3, 1, 7], 1e-6);
+    });
+
+    it('should make an oblique projection with a clip plane parallel to the near plane', () => {
+      // the plane z = -3 facing away from the camera
+      const clipPlane = [0, 0, -1, -3];
+      const tests = [
+        {
+          projection: mat4.perspective(Math.PI / 3, 1.5, 1, 100),
+          expected: mat4.perspective(Math.PI / 3, 1.5, 3, 100),
+          reverseZ: false,
+        },
+        {
+          projection: mat4.perspectiveReverseZ(Math.PI / 3, 1.5, 1, 100),
+          expected: mat4.perspectiveReverseZ(Math.PI / 3, 1.5, 3, 100),
+          reverseZ: true,
+        },
+        {
+          projection: mat4.perspectiveReverseZ(Math.PI / 3, 1.5, 1),
+          expected: mat4.perspectiveReverseZ(Math.PI / 3, 1.5, 3),
+          reverseZ: true,
+        },
+      ];
+      for (const {projection, expected, reverseZ} of tests) {
+        shouldBeCloseArray(mat4.obliqueClip(projection, clipPlane, reverseZ), expected, 1e-5);
+        const dst = new Type(16).fill(0);
+        assertStrictEqual(mat4.obliqueClip(projection, clipPlane, reverseZ, dst), dst);
+        shouldBeCloseArray(dst, expected, 1e-5);
+      }
+    });
+
+    it('should make an oblique projection', () => {
+      const s = Math.SQRT1_2;
+      // a plane tilted 45 degrees through 0, 0, -5
+      const clipPlane = [0, s, -s, -5 * s];
+      const clipZ = (m, p) => {
+        const z = m[2] * p[0] + m[6] * p[1] + m[10] * p[2] + m[14];
+        const w = m[3] * p[0] + m[7] * p[1] + m[11] * p[2] + m[15];
+        return z / w;
+      };
+      const projection = mat4.perspective(Math.PI / 2, 1, 1, 100);
+      const m = mat4.obliqueClip(projection, clipPlane);
+      // points on the clip plane are on the near plane
+      assertEqualApproximately(clipZ(m, [0, 0, -5]), 0, 1e-5);
+      assertEqualApproximately(clipZ(m, [3, -2, -7]), 0, 1e-5);
+      // points behind the clip plane are clipped, points in front are not
+      assertTruthy(clipZ(m, [0, 0, -4]) < 0);
+      assertTruthy(clipZ(m, [0, 0, -6]) > 0);
+      // x, y, and w are unchanged
+      for (const ndx of [0, 1, 3, 4, 5, 7, 8, 9, 11, 12, 13, 15]) {
+        assertEqual(m[ndx], projection[ndx]);
+      }
+
+      const reverseProjection = mat4.perspectiveReverseZ(Math.PI / 2, 1, 1);
+      const rm = mat4.obliqueClip(reverseProjection, clipPlane, true);
+      assertEqualApproximately(clipZ(rm, [0, 0, -5]), 1, 1e-5);
+      assertEqualApproximately(clipZ(rm, [3, -2, -7]), 1, 1e-5);
+      assertTruthy(clipZ(rm, [0, 0, -4]) > 1);
+      assertTruthy(clipZ(rm, [0, 0, -6]) < 1);
+
+      // works in place
+      const inPlace = mat4.clone(projection);
+      assertStrictEqual(mat4.obliqueClip(inPlace, clipPlane, false, inPlace), inPlace);
+      shouldBeCloseArray(inPlace, m);
+    });
+
+    it('should compute cube face views', () => {
+      // Which face and texture coordinate WebGPU samples for a direction.
+      const sampleCube = (d) => {
+        const [x, y, z] = d;
+        const ax = Math.abs(x);
+        const ay = Math.abs(y);
+        const az = Math.abs(z);
+        if (ax >= ay && ax >= az) {
+          return x > 0 ? [0, -z / ax, -y / ax] : [1, z / ax, -y / ax];
+        } else if (ay >= az) {
+          return y > 0 ? [2, x / ay, z / ay] : [3, x / ay, -z / ay];
+        }
+        return z > 0 ? [4, x / az, -y / az] : [5, -x / az, -y / az];
+      };
+
+      const position = [1, 2, 3];
+      const projection = mat4.cubeFacePerspective(0.1, 100);
+      shouldBeCloseArray(projection, mat4.perspective(Math.PI / 2, 1, 0.1, 100));
+
+      const views = mat4.cubeFaceViews(position);
+      assertEqual(views.length, 6);
+      const directions = [
+        [1, 0.2, -0.3],
+        [-1, 0.5, 0.7],
+        [0.3, 1, -0.6],
+        [-0.4, -1, 0.1],
+        [0.25, -0.5, 1],
+        [0.6, 0.3, -1],
+      ];
+      for (let face = 0; face < 6; ++face) {
+        const view = mat4.cubeFaceView(face, position);
+        shouldBeCloseArray(views[face], view);
+        assertEqualApproximately(mat4.determinant(view), -1, 1e-5);
+
+        const d = directions[face];
+        const [sampledFace, s, t] = sampleCube(d);
+        assertEqual(sampledFace, face);
+
+        // render the point and check it lands on the texel that is sampled
+        const p = vec3.add(position, vec3.mulScalar(d, 10));
+        const clip = vec3.transformMat4(p, mat4.multiply(projection, view));
+        assertEqualApproximately(clip[0], s, 1e-5);
+        assertEqualApproximately(clip[1], -t, 1e-5);
+        assertTruthy(clip[2] > 0 && clip[2] < 1);
+      }
+
+      const dst = new Type(16);
+      assertStrictEqual(mat4.cubeFaceView(2, position, dst), dst);
+      shouldBeCloseArray(dst, views[2]);
+
+      const dsts = [0, 1, 2, 3, 4, 5].map(() => new Type(16));
+      const result = mat4.cubeFaceViews(position, dsts);
+      assertStrictEqual(result, dsts);
+      for (let face = 0; face < 6; ++face) {
+        shouldBeCloseArray(dsts[face], views[face]);
+      }
+    });
+
+    it('should compute frustum corners', () => {
+      const expected = [
+        -1, -1, -1,
+         1, -1, -1,
+        -1,  1, -1,
+         1,  1, -1,
+        -10, -10, -10,
+         10, -10, -10,
+        -10,  10, -10,
+         10,  10, -10,
+      ];
+      const tests = [
+        { projection: mat4.perspective(Math.PI / 2, 1, 1, 10), reverseZ: false },
+        { projection: mat4.perspectiveReverseZ(Math.PI / 2, 1, 1, 10), reverseZ: true },
+      ];
+      for (const {projection, reverseZ} of tests) {
+        const inverse = mat4.inverse(projection);
+        shouldBeCloseArray(mat4.frustumCorners(inverse, reverseZ), expected, 1e-4);
+        const dst = new Type(24);
+        assertStrictEqual(mat4.frustumCorners(inverse, reverseZ, dst), dst);
+        shouldBeCloseArray(dst, expected, 1e-4);
+      }
+
+      const inverse = mat4.inverse(mat4.ortho(-2, 2, -1, 1, 0, 10));
+      shouldBeCloseArray(mat4.frustumCorners(inverse), [
+        -2, -1,   0,
+         2, -1,   0,
+        -2,  1,   0,
+         2,  1,   0,
+        -2, -1, -10,
+         2, -1, -10,
+        -2,  1, -10,
+         2,  1, -10,
+      ], 1e-5);
+    });
+
+    it('should compute frustum corners for a depth range', () => {
+      const inverse = mat4.inverse(mat4.ortho(-2, 2, -1, 1, 0, 10));
+      const expected = [
+        -2, -1, -2.5,
+         2, -1, -2.5,
+        -2,  1, -2.5,
+         2,  1, -2.5,
+        -2, -1, -5,
+         2, -1, -5,
+        -2,  1, -5,
+         2,  1, -5,
+      ];
+      shouldBeCloseArray(mat4.frustumCornersRange(inverse, 0.25, 0.5), expected, 1e-5);
+      const dst = new Type(24);
+      assertStrictEqual(mat4.frustumCornersRange(inverse, 0.25, 0.5, dst), dst);
+      shouldBeCloseArray(dst, expected, 1e-5);
+
+      // matches frustumCorners for the full range
+      const perspectiveInverse = mat4.inverse(mat4.perspective(Math.PI / 3, 1.5, 0.5, 50));
+      shouldBeCloseArray(
+          mat4.frustumCornersRange(perspectiveInverse, 0, 1),
+          mat4.frustumCorners(perspectiveInverse), 1e-5);
+    });
+
+    it('should compute frustum corners with far at infinity', () => {
+      const tests = [
+        { projection: mat4.perspective(Math.PI / 2, 2, 1, Infinity), reverseZ: false },
+        { projection: mat4.perspectiveReverseZ(Math.PI / 2, 2, 1), reverseZ: true },
+      ];
+      for (const {projection, reverseZ} of tests) {
+        const corners = mat4.frustumCorners(mat4.inverse(projection), reverseZ);
+        shouldBeCloseArray(corners.slice(0, 12), [
+          -2, -1, -1,
+           2, -1, -1,
+          -2,  1, -1,
+           2,  1, -1,
+        ], 1e-5);
+        assertEqual([...corners.slice(12)], [
+          -Infinity, -Infinity, -Infinity,
+           Infinity, -Infinity, -Infinity,
+          -Infinity,  Infinity, -Infinity,
+           Infinity,  Infinity, -Infinity,
+        ]);
+      }
+
+      // directions that are 0 stay 0
+      const corners = mat4.frustumCorners(mat4.inverse(mat4.frustum(0, 2, 0, 2, 1, Infinity)));
+      assertEqual([...corners.slice(12, 15)], [0, 0, -Infinity]);
+    });
+
+    it('should compute cluster bounds', () => {
+      const expected = [
+        // near slice, top row
+        -10,   0, -10, 0,   0,  10, -1, 0,
+          0,   0, -10, 0,  10,  10, -1, 0,
+        // near slice, bottom row
+        -10, -10, -10, 0,   0,   0, -1, 0,
+          0, -10, -10, 0,  10,   0, -1, 0,
+        // far slice, top row
+        -100,    0, -100, 0,   0, 100, -10, 0,
+           0,    0, -100, 0, 100, 100, -10, 0,
+        // far slice, bottom row
+        -100, -100, -100, 0,   0,   0, -10, 0,
+           0, -100, -100, 0, 100,   0, -10, 0,
+      ];
+      const projections = [
+        mat4.perspective(Math.PI / 2, 1, 1, 100),
+        mat4.perspective(Math.PI / 2, 1, 0.5, Infinity),
+        mat4.perspectiveReverseZ(Math.PI / 2, 1, 1, 100),
+        mat4.perspectiveReverseZ(Math.PI / 2, 1, 0.1),
+      ];
+      for (const projection of projections) {
+        shouldBeCloseArray(mat4.clusterBounds(projection, 2, 2, 2, 1, 100), expected, 1e-3);
+      }
+
+      const dst = new Type(64);
+      assertStrictEqual(mat4.clusterBounds(projections[0], 2, 2, 2, 1, 100, dst), dst);
+      shouldBeCloseArray(dst, expected, 1e-3);
+
+      // the clusters cover the frustum
+      const projection = mat4.perspective(Math.PI / 3, 16 / 9, 0.1, 1000);
+      const gridX = 4;
+      const gridY = 3;
+      const gridZ = 5;
+      const clusters = mat4.clusterBounds(projection, gridX, gridY, gridZ, 0.1, 1000);
+      assertEqual(clusters.length, gridX * gridY * gridZ * 8);
+      const point = [3, -2, -50];
+      const clip = vec3.transformMat4(point, projection);
+      const x = Math.floor((clip[0] + 1) / 2 * gridX);
+      const y = Math.floor((1 - clip[1]) / 2 * gridY);
+      const z = Math.floor(Math.log(50 / 0.1) / Math.log(1000 / 0.1) * gridZ);
+      const offset = (x + y * gridX + z * gridX * gridY) * 8;
+      for (let i = 0; i < 3; ++i) {
+        assertTruthy(point[i] >= clusters[offset + i] && point[i] <= clusters[offset + 4 + i]);
+      }
+    });
+
+    it('should compute cluster bounds with a WGSL storage buffer stride', () => {
+      // struct Cluster { min: vec3f, max: vec3f } is 32 bytes, max starts at byte 16
+      const clusterByteStride = 32;
+      const maxByteOffset = 16;
+      const gridX = 3;
+      const gridY = 2;
+      const gridZ = 4;
+      const clusters = mat4.clusterBounds(mat4.perspective(Math.PI / 3, 1.5, 0.1, 100), gridX, gridY, gridZ, 0.1, 100);
+      const floatStride = clusterByteStride / 4;
+      const maxOffset = maxByteOffset / 4;
+      assertEqual(clusters.length * 4, gridX * gridY * gridZ * clusterByteStride);
+      for (let i = 0; i < gridX * gridY * gridZ; ++i) {
+        const offset = i * floatStride;
+        for (let j = 0; j < 3; ++j) {
+          assertTruthy(clusters[offset + j] < clusters[offset + maxOffset + j]);
+        }
+        assertEqual(clusters[offset + 3], 0);
+        assertEqual(clusters[offset + 7], 0);
+      }
+      // consecutive slices of the same tile touch
+      const sliceStride = gridX * gridY * floatStride;
+      assertEqualApproximately(clusters[sliceStride + maxOffset + 2], clusters[2], 1e-4);
+    });
+
+    it('should compute cascade corners', () => {
+      const expected = [
+        -10, -10, -10,
+         10, -10, -10,
+        -10,  10, -10,
+         10,  10, -10,
+        -20, -20, -20,
+         20, -20, -20,
+        -20,  20, -20,
+         20,  20, -20,
+      ];
+      const tests = [
+        { projection: mat4.perspective(Math.PI / 2, 1, 1, 100), reverseZ: false },
+        { projection: mat4.perspectiveReverseZ(Math.PI / 2, 1, 1, 100), reverseZ: true },
+      ];
+      for (const {projection, reverseZ} of tests) {
+        const inverse = mat4.inverse(projection);
+        shouldBeCloseArray(mat4.cascadeCorners(inverse, 1, 100, 10, 20, reverseZ), expected, 1e-3);
+      }
+
+      // in world space
+      const view = mat4.lookAt([5, 0, 0], [5, 0, -1], [0, 1, 0]);
+      const inverse = mat4.inverse(mat4.multiply(mat4.perspective(Math.PI / 2, 1, 1, 100), view));
+      const dst = new Type(24);
+      assertStrictEqual(mat4.cascadeCorners(inverse, 1, 100, 10, 20, false, dst), dst);
+      shouldBeCloseArray(dst, expected.map((v, i) => i % 3 === 0 ? v + 5 : v), 1e-3);
+    });
+
+    it('should compute a cascade light matrix', () => {
+      const shadowMapSize = 1024;
+      const lightDirection = [1, -2, 0.5];
+      const projection = mat4.perspective(Math.PI / 3, 1.5, 0.5, 100);
+      const view = mat4.lookAt([3, 4, 5], [10, 0, -20], [0, 1, 0]);
+      const inverse = mat4.inverse(mat4.multiply(projection, view));
+      const corners = mat4.cascadeCorners(inverse, 0.5, 100, 5, 25);
+      const m = mat4.cascadeLightMatrix(corners, lightDirection, shadowMapSize);
+
+      // all the corners are inside the light's clip space
+      for (let i = 0; i < 24; i += 3) {
+        const p = vec3.transformMat4(corners.slice(i, i + 3), m);
+        assertTruthy(p[0] >= -1 && p[0] <= 1);
+        assertTruthy(p[1] >= -1 && p[1] <= 1);
+        assertTruthy(p[2] >= 0 && p[2] <= 1);
+      }
+
+      // the light looks down the light direction
+      const forward = vec3.normalize(vec3.transformMat4Upper3x3(lightDirection, m));
+      assertEqualApproximately(forward[0], 0, 1e-5);
+      assertEqualApproximately(forward[1], 0, 1e-5);
+
+      // the position is snapped to whole texels
+      const texels = (m) => [m[12], m[13]].map(v => v * shadowMapSize / 2);
+      for (const v of texels(m)) {
+        assertEqualApproximately(v, Math.round(v), 1e-2);
+      }
+      // moving the camera a little moves the matrix by whole texels or not at all
+      const moved = mat4.cascadeLightMatrix(
+          corners.map((v, i) => i % 3 === 0 ? v + 0.001 : v), lightDirection, shadowMapSize);
+      shouldBeCloseArray(moved.slice(0, 12), m.slice(0, 12), 1e-6);
+
+      // zPadding extends toward the light
+      const padded = mat4.cascadeLightMatrix(corners, lightDirection, shadowMapSize, 10);
+      const p = vec3.transformMat4(corners.slice(0, 3), m);
+      const pp = vec3.transformMat4(corners.slice(0, 3), padded);
+      assertTruthy(pp[2] > p[2]);
+
+      const dst = new Type(16);
+      assertStrictEqual(mat4.cascadeLightMatrix(corners, lightDirection, shadowMapSize, 0, dst), dst);
+      shouldBeCloseArray(dst, m);
+    });
+
+    it('should compute a tight cascade light matrix for a small cascade', () => {
+      const lightDirection = [1, -2, -1];
+      const shadowMapSize = 1024;
+      const halfExtent = (m) => 1 / Math.hypot(m[0], m[4], m[8]);
+      for (const size of [0.01, 1, 1000]) {
+        const corners = [];
+        for (let i = 0; i < 8; ++i) {
+          corners.push(i & 1 ? size : 0, i & 2 ? size : 0, i & 4 ? size : 0);
+        }
+        const radius = size * Math.sqrt(3) / 2;
+        const m = mat4.cascadeLightMatrix(corners, lightDirection, shadowMapSize);
+        const extent = halfExtent(m);
+        assertTruthy(extent >= radius);
+        assertTruthy(extent < radius * 1.05);
+      }
+    });
+
+    it('should jitter a perspective projection', () => {
+      const width = 200;
+      const height = 100;
+      const projection = mat4.perspective(Math.PI / 3, 2, 1, 100);
+      const m = mat4.jitter(projection, 0.5, -0.25, width, height);
+      const expected = mat4.clone(projection);
+      expected[8] = -0.5 * 2 / width;
+      expected[9] = 0.25 * 2 / height;
+      shouldBeCloseArray(m, expected);
+
+      // a projected point moves by the jitter in pixels
+      const viewport = [0, 0, width, height];
+      const p = [1, 2, -10];
+      const a = vec3.project(p, projection, viewport);
+      const b = vec3.project(p, m, viewport);
+      assertEqualApproximately(b[0] - a[0], 0.5, 1e-4);
+      assertEqualApproximately(b[1] - a[1], 0.25, 1e-4);
+      assertEqualApproximately(b[2], a[2], 1e-6);
+
+      const dst = new Type(16);
+      assertStrictEqual(mat4.jitter(projection, 0.5, -0.25, width, height, dst), dst);
+      shouldBeCloseArray(dst, expected);
+
+      const inPlace = mat4.clone(projection);
+      assertStrictEqual(mat4.jitter(inPlace, 0.5, -0.25, width, height, inPlace), inPlace);
+      shouldBeCloseArray(inPlace, expected);
+    });
+
+    it('should jitter an orthographic projection', () => {
+      const projection = mat4.ortho(-2, 2, -1, 1, 0, 10);
+      const m = mat4.jitter(projection, 1, 2, 400, 200);
+      const expected = mat4.clone(projection);
+      expected[12] += 2 / 400;
+      expected[13] += 4 / 200;
+      shouldBeCloseArray(m, expected);
+    });
   });
 }
 
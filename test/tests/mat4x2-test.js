@@ -0,0 +1,246 @@
+import {mat2, mat2x4, mat4, mat4x2, mat4x2d, mat4x2n, utils} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function assertMat4x2EqualApproximately(a, b) {
+  if (!mat4x2.equalsApproximately(a, b)) {
+    throw new Error(`${a} !== ${b}`);
+  }
+}
+
+// reference math that works on any column major matrix
+// where each column is padded to `stride` elements.
+function get(m, stride, col, row) {
+  return m[col * stride + row];
+}
+
+function refMultiply(a, aStride, b, bStride, aCols, aRows, bCols, dstStride) {
+  const dst = new Array(bCols * dstStride).fill(0);
+  for (let c = 0; c < bCols; ++c) {
+    for (let r = 0; r < aRows; ++r) {
+      let sum = 0;
+      for (let k = 0; k < aCols; ++k) {
+        sum += get(a, aStride, k, r) * get(b, bStride, c, k);
+      }
+      dst[c * dstStride + r] = sum;
+    }
+  }
+  return dst;
+}
+
+function check(mat4x2, Type) {
+  describe('using ' + Type, () => {
+    const m = [
+      1, 2,
+      3, 4,
+      5, 6,
+      7, 8,
+    ];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testM4x2WithoutDest(func, expected, ...args) {
+      const d = func(...args);
+      assertMat4x2EqualApproximately(d, expected);
+    }
+
+    function testM4x2WithDest(func, expected, ...args) {
+      expected = createCopyOfType(expected);
+      const d = new Type(8).fill(0);
+      const c = func(...args, d);
+      assertStrictEqual(c, d);
+      assertMat4x2EqualApproximately(c, expected);
+    }
+
+    function testMat4x2WithAndWithoutDest(func, expected, ...args) {
+      expected = createCopyOfType(expected);
+      testM4x2WithoutDest(func, expected, ...args);
+      testM4x2WithDest(func, expected, ...args);
+    }
+
+    function testVWithAndWithoutDest(func, expected, size) {
+      const d0 = func();
+      assertEqual(d0, createCopyOfType(expected));
+      const d = new Type(size).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqual(c, createCopyOfType(expected));
+    }
+
+    it('should create', () => {
+      for (let i = 0; i <= 8; ++i) {
+        const values = new Array(8).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        const expected = mat4x2.set(...values);
+        const args = new Array(Array.isArray(mat4x2.identity()) ? 8 : i).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        const m = mat4x2.create(...args);
+        assertEqual(m, expected);
+      }
+    });
+
+    it('should set', () => {
+      const expected = m;
+      testMat4x2WithAndWithoutDest((...args) => {
+        return mat4x2.set(...args);
+      }, expected, 1, 2, 3, 4, 5, 6, 7, 8);
+    });
+
+    it('should negate', () => {
+      const expected = m.map(v => -v);
+      testMat4x2WithAndWithoutDest((newDst) => {
+        return mat4x2.negate(m, newDst);
+      }, expected);
+    });
+
+    it('should add', () => {
+      const expected = m.map(v => v * 2);
+      testMat4x2WithAndWithoutDest((newDst) => {
+        return mat4x2.add(m, m, newDst);
+      }, expected);
+    });
+
+    it('should multiplyScalar', () => {
+      const expected = m.map(v => v * 3);
+      testMat4x2WithAndWithoutDest((newDst) => {
+        return mat4x2.multiplyScalar(m, 3, newDst);
+      }, expected);
+    });
+
+    it('should copy', () => {
+      const expected = m;
+      testMat4x2WithAndWithoutDest((newDst) => {
+        const result = mat4x2.copy(m, newDst);
+        assertStrictNotEqual(result, m);
+        return result;
+      }, expected);
+    });
+
+    it('should clone', () => {
+      const expected = m;
+      testMat4x2WithAndWithoutDest((newDst) => {
+        const result = mat4x2.clone(m, newDst);
+        assertStrictNotEqual(result, m);
+        return result;
+      }, expected);
+    });
+
+    it('should equals and equals approximately', () => {
+      for (let c = 0; c < 4; ++c) {
+        for (let r = 0; r < 2; ++r) {
+          const ndx = c * 2 + r;
+          const almost = mat4x2.clone(m);
+          almost[ndx] += utils.EPSILON * 0.5;
+          const notEqual = mat4x2.clone(m);
+          notEqual[ndx] += 1.0001;
+          assertTruthy(mat4x2.equals(mat4x2.clone(m), mat4x2.clone(m)));
+          assertFalsy(mat4x2.equals(m, almost), `${ndx}`);
+          assertTruthy(mat4x2.equalsApproximately(m, almost), `${ndx}`);
+          assertFalsy(mat4x2.equalsApproximately(m, notEqual), `${ndx}`);
+        }
+      }
+    });
+
+    it('should make identity', () => {
+      const expected = new Array(8).fill(0).map((_, ndx) => ndx % 2 === (ndx / 2 | 0) ? 1 : 0);
+      testMat4x2WithAndWithoutDest((newDst) => {
+        return mat4x2.identity(newDst);
+      }, expected);
+    });
+
+    it('should transpose', () => {
+      const expected = [
+        1, 3, 5, 7,
+        2, 4, 6, 8,
+      ];
+      const d = mat4x2.transpose(m);
+      assertTruthy(mat2x4.equals(d, expected));
+      const dst = new Type(8).fill(0);
+      assertStrictEqual(mat4x2.transpose(m, dst), dst);
+      assertTruthy(mat2x4.equals(dst, expected));
+      assertTruthy(mat4x2.equals(mat2x4.transpose(d), m));
+    });
+
+    function testMultiply(fn) {
+      const b = mat4.multiplyScalar(mat4.identity(), 2);
+      b[1] = 3;
+      b[4] = 5;
+      const expected = refMultiply(m, 2, b, 4, 4, 2, 4, 2);
+      testMat4x2WithAndWithoutDest((newDst) => {
+        return fn(m, b, newDst);
+      }, expected);
+    }
+
+    it('should multiply', () => {
+      testMultiply(mat4x2.multiply);
+    });
+
+    it('should mul', () => {
+      testMultiply(mat4x2.mul);
+    });
+
+    it('should premultiply', () => {
+      const a = mat2.multiplyScalar(mat2.identity(), 2);
+      a[1] = 7;
+      a[2] = 11;
+      const expected = refMultiply(a, 2, m, 2, 2, 2, 4, 2);
+      testMat4x2WithAndWithoutDest((newDst) => {
+        return mat4x2.premultiply(a, m, newDst);
+      }, expected);
+    });
+
+    it('should multiply by a vector', () => {
+      const v = [2, 3, 4, 5];
+      const expected = refMultiply(m, 2, v, 4, 4, 2, 1, 2);
+      testVWithAndWithoutDest((newDst) => {
+        return mat4x2.multiplyVector(m, v, newDst);
+      }, expected, 2);
+    });
+
+    it('should get axis', () => {
+      for (let axis = 0; axis < 4; ++axis) {
+        const expected = m.slice(axis * 2, axis * 2 + 2);
+        testVWithAndWithoutDest((newDst) => {
+          return mat4x2.getAxis(m, axis, newDst);
+        }, expected, 2);
+      }
+    });
+
+    it('should set axis', () => {
+      const v = [11, 22];
+      for (let axis = 0; axis < 4; ++axis) {
+        const expected = m.slice();
+        expected.splice(axis * 2, 2, ...v);
+        testMat4x2WithAndWithoutDest((newDst) => {
+          return mat4x2.setAxis(m, v, axis, newDst);
+        }, expected);
+      }
+    });
+
+    it('should make a mat4x2 from a mat4', () => {
+      const m4 = mat4.create(
+          1, 2, 3, 4,
+          5, 6, 7, 8,
+          9, 10, 11, 12,
+          13, 14, 15, 16);
+      const expected = new Array(8).fill(0).map((_, ndx) => ndx % 2 < 2 ? m4[(ndx / 2 | 0) * 4 + ndx % 2] : 0);
+      testMat4x2WithAndWithoutDest((newDst) => {
+        return mat4x2.fromMat4(m4, newDst);
+      }, expected);
+    });
+
+  });
+}
+
+describe('mat4x2', () => {
+  check(mat4x2n, Array);
+  check(mat4x2, Float32Array);
+  check(mat4x2d, Float64Array);
+});
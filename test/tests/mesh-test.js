@@ -0,0 +1,235 @@
+import {mesh, meshd, meshn} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertEqualApproximately,
+  assertStrictEqual,
+  assertThrowsWith,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(mesh, Type) {
+  describe('using ' + Type, () => {
+
+    // a 2x2 quad in the xy plane facing +z
+    const quadPositions = new Float32Array([
+      0, 0, 0,
+      2, 0, 0,
+      0, 2, 0,
+      2, 2, 0,
+    ]);
+    const quadUVs = new Float32Array([
+      0, 0,
+      1, 0,
+      0, 1,
+      1, 1,
+    ]);
+    const quadIndices = new Uint16Array([0, 1, 2, 2, 1, 3]);
+    const quadNormals = new Float32Array([
+      0, 0, 1,
+      0, 0, 1,
+      0, 0, 1,
+      0, 0, 1,
+    ]);
+
+    function getAttribute(data, count, stride, offset, size) {
+      const values = [];
+      for (let i = 0; i < count; ++i) {
+        for (let j = 0; j < size; ++j) {
+          values.push(data[i * stride + offset + j]);
+        }
+      }
+      return values;
+    }
+
+    it('should compute normals', () => {
+      const normals = mesh.computeNormals(quadPositions, quadIndices);
+      assertTruthy(normals instanceof Type);
+      assertEqualApproximately(normals, quadNormals);
+
+      const dst = new Type(12);
+      assertStrictEqual(mesh.computeNormals(quadPositions, new Uint32Array(quadIndices), undefined, dst), dst);
+      assertEqualApproximately(dst, quadNormals);
+    });
+
+    it('should compute normals weighted by area', () => {
+      const positions = [
+        0, 0, 0,
+        2, 0, 0,
+        0, 2, 0,
+        0, 0, 1,
+        0, 1, 0,
+      ];
+      const indices = [0, 1, 2, 0, 3, 4];
+      const normals = mesh.computeNormals(positions, indices);
+      const l = Math.hypot(1, 4);
+      assertEqualApproximately(normals, [
+        -1 / l, 0, 4 / l,
+        0, 0, 1,
+        0, 0, 1,
+        -1, 0, 0,
+        -1, 0, 0,
+      ]);
+    });
+
+    it('should compute normals of non-indexed triangles', () => {
+      const positions = [
+        0, 0, 0,
+        0, 0, 1,
+        1, 0, 0,
+      ];
+      assertEqualApproximately(mesh.computeNormals(positions), [0, 1, 0, 0, 1, 0, 0, 1, 0]);
+      assertEqualApproximately(mesh.computeNormals(positions, null), [0, 1, 0, 0, 1, 0, 0, 1, 0]);
+    });
+
+    it('should compute normals into an interleaved buffer', () => {
+      // position, normal, uv
+      const stride = 8;
+      const vertices = new Float32Array(4 * stride).fill(7);
+      for (let i = 0; i < 4; ++i) {
+        vertices.set(quadPositions.subarray(i * 3, i * 3 + 3), i * stride);
+        vertices.set(quadUVs.subarray(i * 2, i * 2 + 2), i * stride + 6);
+      }
+      const layout = {
+        positionStride: stride,
+        normalOffset: 3,
+        normalStride: stride,
+      };
+      assertStrictEqual(mesh.computeNormals(vertices, quadIndices, layout, vertices), vertices);
+      assertEqual(getAttribute(vertices, 4, stride, 0, 3), [...quadPositions]);
+      assertEqualApproximately(getAttribute(vertices, 4, stride, 3, 3), quadNormals);
+      assertEqual(getAttribute(vertices, 4, stride, 6, 2), [...quadUVs]);
+    });
+
+    it('should compute tangents', () => {
+      const tangents = mesh.computeTangents(quadPositions, quadNormals, quadUVs, quadIndices);
+      assertTruthy(tangents instanceof Type);
+      assertEqualApproximately(tangents, [
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+      ]);
+
+      const dst = new Type(16);
+      assertStrictEqual(mesh.computeTangents(quadPositions, quadNormals, quadUVs, quadIndices, undefined, dst), dst);
+      assertEqualApproximately(dst, tangents);
+    });
+
+    it('should compute tangent handedness', () => {
+      // u goes toward -x, v toward +y. The bitangent (+y) is -cross(normal, tangent)
+      const mirroredUVs = [0, 0, -1, 0, 0, 1, -1, 1];
+      assertEqualApproximately(mesh.computeTangents(quadPositions, quadNormals, mirroredUVs, quadIndices), [
+        -1, 0, 0, -1,
+        -1, 0, 0, -1,
+        -1, 0, 0, -1,
+        -1, 0, 0, -1,
+      ]);
+
+      // u goes toward +y, v toward -x. The bitangent (-x) is cross(normal, tangent)
+      const rotatedUVs = [0, 0, 0, -1, 1, 0, 1, -1];
+      assertEqualApproximately(mesh.computeTangents(quadPositions, quadNormals, rotatedUVs, quadIndices), [
+        0, 1, 0, 1,
+        0, 1, 0, 1,
+        0, 1, 0, 1,
+        0, 1, 0, 1,
+      ]);
+    });
+
+    it('should compute tangent handedness from the normals', () => {
+      // clockwise triangles with normals facing +z
+      const clockwiseIndices = new Uint16Array([0, 2, 1, 2, 3, 1]);
+      assertEqualApproximately(mesh.computeTangents(quadPositions, quadNormals, quadUVs, clockwiseIndices), [
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+      ]);
+
+      // the same triangles with normals facing -z. The bitangent (+y) is -cross(normal, tangent)
+      const normals = mesh.computeNormals(quadPositions, clockwiseIndices);
+      assertEqualApproximately(normals, [0, 0, -1, 0, 0, -1, 0, 0, -1, 0, 0, -1]);
+      assertEqualApproximately(mesh.computeTangents(quadPositions, normals, quadUVs, clockwiseIndices), [
+        1, 0, 0, -1,
+        1, 0, 0, -1,
+        1, 0, 0, -1,
+        1, 0, 0, -1,
+      ]);
+    });
+
+    it('should compute tangents perpendicular to the normals', () => {
+      const s = Math.SQRT1_2;
+      const normals = [
+        -s, 0, s,
+        s, 0, s,
+        -s, 0, s,
+        s, 0, s,
+      ];
+      const tangents = mesh.computeTangents(quadPositions, normals, quadUVs, quadIndices);
+      assertEqualApproximately(tangents, [
+        s, 0, s, 1,
+        s, 0, -s, 1,
+        s, 0, s, 1,
+        s, 0, -s, 1,
+      ]);
+    });
+
+    it('should compute tangents for vertices without uv area', () => {
+      const uvs = [0, 0, 0, 0, 0, 0, 0, 0];
+      const tangents = mesh.computeTangents(quadPositions, quadNormals, uvs, quadIndices);
+      for (let i = 0; i < 4; ++i) {
+        const t = getAttribute(tangents, 1, 4, i * 4, 4);
+        assertEqualApproximately(Math.hypot(t[0], t[1], t[2]), 1);
+        assertEqualApproximately(t[2], 0);
+        assertEqual(t[3], 1);
+      }
+    });
+
+    it('should compute tangents into an interleaved buffer', () => {
+      // position, normal, uv, tangent
+      const stride = 12;
+      const vertices = new Float32Array(4 * stride);
+      for (let i = 0; i < 4; ++i) {
+        vertices.set(quadPositions.subarray(i * 3, i * 3 + 3), i * stride);
+        vertices.set(quadUVs.subarray(i * 2, i * 2 + 2), i * stride + 6);
+      }
+      const layout = {
+        positionStride: stride,
+        normalOffset: 3,
+        normalStride: stride,
+        uvOffset: 6,
+        uvStride: stride,
+        tangentOffset: 8,
+        tangentStride: stride,
+      };
+      mesh.computeNormals(vertices, quadIndices, layout, vertices);
+      assertStrictEqual(mesh.computeTangents(vertices, vertices, vertices, quadIndices, layout, vertices), vertices);
+      assertEqual(getAttribute(vertices, 4, stride, 0, 3), [...quadPositions]);
+      assertEqualApproximately(getAttribute(vertices, 4, stride, 3, 3), quadNormals);
+      assertEqual(getAttribute(vertices, 4, stride, 6, 2), [...quadUVs]);
+      assertEqualApproximately(getAttribute(vertices, 4, stride, 8, 4), [
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+        1, 0, 0, 1,
+      ]);
+    });
+
+    it('should throw for a bad layout', () => {
+      const positions = [0, 0, 0, 1, 0, 0, 0, 1, 0];
+      assertThrowsWith(() => mesh.computeNormals(positions, null, {positionStride: 0}, new Type(9)), [/positionStride must be greater than 0/]);
+      assertThrowsWith(() => mesh.computeNormals(positions, null, {normalStride: -3}), [/normalStride/]);
+      assertThrowsWith(() => mesh.computeNormals(positions, null, {normalOffset: -1}), [/normalOffset/]);
+      assertThrowsWith(() => mesh.computeTangents(positions, positions, positions, null, {uvStride: NaN}), [/uvStride/]);
+      assertThrowsWith(() => mesh.computeTangents(positions, positions, positions, null, {tangentOffset: NaN}), [/tangentOffset/]);
+    });
+
+  });
+}
+
+describe('mesh', () => {
+  check(meshn, Array);
+  check(mesh, Float32Array);
+  check(meshd, Float64Array);
+});
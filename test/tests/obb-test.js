@@ -0,0 +1,253 @@
+import {obb, obbd, obbn, mat3, mat4, quat, vec3} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertEqualApproximately,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertThrowsWith,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(obb, Type) {
+  describe('using ' + Type, () => {
+    const rotation = quat.fromEuler(0.3, -0.8, 1.1, 'xyz');
+    const box = [1, 2, 3, 0.5, 1, 2, ...rotation];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testOBBWithAndWithoutDest(func, expected, epsilon) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected, epsilon);
+      const d = new Type(10).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected, epsilon);
+    }
+
+    // the point at local coordinate p of box
+    function toWorld(box, p) {
+      const m = obb.getRotationMatrix(box);
+      return vec3.add(box.slice(0, 3), vec3.transformMat3(p, m));
+    }
+
+    it('should create', () => {
+      const b = obb.create();
+      assertEqual(b, [0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+    });
+
+    it('should make from center and extents', () => {
+      testOBBWithAndWithoutDest((dst) => {
+        return obb.fromCenterExtents([1, 2, 3], [0.5, 1, 2], rotation, dst);
+      }, box);
+    });
+
+    it('should make from AABB', () => {
+      testOBBWithAndWithoutDest((dst) => {
+        return obb.fromAABB([1, 2, 3, 4, 6, 8], dst);
+      }, [2.5, 4, 5.5, 1.5, 2, 2.5, 0, 0, 0, 1]);
+    });
+
+    it('should make from AABB and mat4', () => {
+      const m = mat4.multiply(
+          mat4.translation([1, -2, 3]),
+          mat4.multiply(mat4.fromQuat(rotation), mat4.scaling([2, 3, 0.5])));
+      testOBBWithAndWithoutDest((dst) => {
+        return obb.fromAABBAndMat4([-1, 0, 2, 1, 2, 6], m, dst);
+      }, [
+        ...vec3.transformMat4([0, 1, 4], m),
+        2, 3, 1,
+        ...rotation,
+      ], 1e-5);
+
+      // a mirrored matrix still gives a box that covers the same space
+      const mirrored = mat4.multiply(m, mat4.scaling([-1, 1, 1]));
+      const b = obb.fromAABBAndMat4([-1, 0, 2, 1, 2, 6], mirrored);
+      assertEqualApproximately(obb.getExtents(b), [2, 3, 1], 1e-5);
+      for (let i = 0; i < 8; ++i) {
+        const corner = [
+          (i & 1) ? 1 : -1,
+          (i & 2) ? 2 : 0,
+          (i & 4) ? 6 : 2,
+        ];
+        const p = vec3.transformMat4(corner, mirrored);
+        assertEqualApproximately(vec3.distance(obb.closestPoint(b, p), p), 0, 1e-4);
+      }
+    });
+
+    it('should make from points', () => {
+      // points in a box rotated by rotation
+      const extents = [4, 2, 0.5];
+      const points = [];
+      for (let i = 0; i < 8; ++i) {
+        const local = [
+          (i & 1) ? extents[0] : -extents[0],
+          (i & 2) ? extents[1] : -extents[1],
+          (i & 4) ? extents[2] : -extents[2],
+        ];
+        points.push(...toWorld(box, local));
+      }
+
+      const b = obb.fromPoints(points);
+      assertEqualApproximately(obb.getCenter(b), [1, 2, 3], 1e-4);
+      assertEqualApproximately(obb.getExtents(b), extents, 1e-4);
+      // the axes match up to sign
+      for (let i = 0; i < 3; ++i) {
+        const expected = obb.getAxis(box, i);
+        assertEqualApproximately(Math.abs(vec3.dot(obb.getAxis(b, i), expected)), 1, 1e-4);
+      }
+      assertEqualApproximately(quat.len(obb.getRotation(b)), 1, 1e-5);
+
+      const dst = new Type(10);
+      assertStrictEqual(obb.fromPoints(points, 3, 0, dst), dst);
+      assertEqualApproximately(dst, b);
+    });
+
+    it('should make a box that contains all the points', () => {
+      const points = [];
+      for (let i = 0; i < 50; ++i) {
+        const t = i / 50;
+        points.push(...toWorld(box, [Math.sin(t * 17) * 3, Math.cos(t * 11) * t, t * t - 0.2]));
+      }
+      const b = obb.fromPoints(points);
+      const extents = obb.getExtents(b);
+      const axes = [0, 1, 2].map(i => obb.getAxis(b, i));
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+      for (let i = 0; i < points.length; i += 3) {
+        const d = vec3.subtract(points.slice(i, i + 3), obb.getCenter(b));
+        for (let j = 0; j < 3; ++j) {
+          const v = vec3.dot(d, axes[j]);
+          min[j] = Math.min(min[j], v);
+          max[j] = Math.max(max[j], v);
+        }
+      }
+      // every point is inside and the box touches the points on every side
+      for (let j = 0; j < 3; ++j) {
+        assertEqualApproximately(min[j], -extents[j], 1e-4);
+        assertEqualApproximately(max[j], extents[j], 1e-4);
+      }
+    });
+
+    it('should make from interleaved points', () => {
+      const points = [
+        // x, y, z, u, v
+        -1, -1, -1, 0, 0,
+         3, -1, -1, 0, 0,
+        -1,  1, -1, 0, 0,
+         3,  1, -1, 0, 0,
+        -1, -1,  0, 0, 0,
+         3, -1,  0, 0, 0,
+        -1,  1,  0, 0, 0,
+         3,  1,  0, 0, 0,
+      ];
+      const b = obb.fromPoints([99, ...points], 5, 1);
+      assertEqualApproximately(obb.getCenter(b), [1, 0, -0.5], 1e-5);
+      assertEqualApproximately(obb.getExtents(b), [2, 1, 0.5], 1e-5);
+    });
+
+    it('should make from no points', () => {
+      assertEqual(obb.fromPoints([]), [0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+    });
+
+    it('should copy', () => {
+      const b = obb.copy(box);
+      assertStrictNotEqual(b, box);
+      assertEqual(b, createCopyOfType(box));
+      testOBBWithAndWithoutDest((dst) => {
+        return obb.copy(box, dst);
+      }, box);
+    });
+
+    it('should clone', () => {
+      const b = obb.clone(box);
+      assertStrictNotEqual(b, box);
+      assertEqual(b, createCopyOfType(box));
+    });
+
+    it('should compare equals', () => {
+      const b = obb.copy(box);
+      assertTruthy(obb.equals(b, box));
+      b[0] += 0.0000005;
+      assertFalsy(obb.equals(b, box));
+      assertTruthy(obb.equalsApproximately(b, box));
+      b[3] += 0.1;
+      assertFalsy(obb.equalsApproximately(b, box));
+    });
+
+    it('should get center, extents, and rotation', () => {
+      assertEqual(obb.getCenter(box), [1, 2, 3]);
+      assertEqual(obb.getExtents(box), [0.5, 1, 2]);
+      assertEqualApproximately(obb.getRotation(box), rotation);
+      assertEqualApproximately(obb.getRotationMatrix(box), mat3.fromQuat(rotation));
+      const m = mat3.fromQuat(rotation);
+      for (let i = 0; i < 3; ++i) {
+        assertEqualApproximately(obb.getAxis(box, i), m.slice(i * 4, i * 4 + 3));
+        const dst = vec3.create();
+        assertStrictEqual(obb.getAxis(box, i, dst), dst);
+      }
+    });
+
+    it('should contain point', () => {
+      assertTruthy(obb.containsPoint(box, [1, 2, 3]));
+      assertTruthy(obb.containsPoint(box, toWorld(box, [0.4, -0.9, 1.9])));
+      assertTruthy(obb.containsPoint(box, toWorld(box, [-0.49, 0.99, -1.99])));
+      assertFalsy(obb.containsPoint(box, toWorld(box, [0.6, 0, 0])));
+      assertFalsy(obb.containsPoint(box, toWorld(box, [0, -1.1, 0])));
+      assertFalsy(obb.containsPoint(box, toWorld(box, [0, 0, 2.1])));
+    });
+
+    it('should compute closest point', () => {
+      const inside = toWorld(box, [0.2, 0.3, -1]);
+      assertEqualApproximately(obb.closestPoint(box, inside), inside, 1e-5);
+      assertEqualApproximately(
+          obb.closestPoint(box, toWorld(box, [3, 0.5, -1])),
+          toWorld(box, [0.5, 0.5, -1]), 1e-5);
+      assertEqualApproximately(
+          obb.closestPoint(box, toWorld(box, [-3, 5, 7])),
+          toWorld(box, [-0.5, 1, 2]), 1e-5);
+      const dst = vec3.create();
+      assertStrictEqual(obb.closestPoint(box, inside, dst), dst);
+    });
+
+    it('should intersect', () => {
+      const b = obb.fromCenterExtents([0, 0, 0], [1, 1, 1], [0, 0, 0, 1]);
+      const r45 = quat.fromAxisAngle([0, 0, 1], Math.PI / 4);
+      // overlapping
+      assertTruthy(obb.intersects(b, b));
+      assertTruthy(obb.intersects(b, obb.fromCenterExtents([1.5, 0, 0], [1, 1, 1], r45)));
+      // touching
+      assertTruthy(obb.intersects(b, obb.fromCenterExtents([2, 0, 0], [1, 1, 1], [0, 0, 0, 1])));
+      // the corner of a rotated box reaches
+      assertTruthy(obb.intersects(b, obb.fromCenterExtents([2.3, 0, 0], [1, 1, 1], r45)));
+      // separated on a face axis
+      assertFalsy(obb.intersects(b, obb.fromCenterExtents([2.5, 0, 0], [1, 1, 1], r45)));
+      assertFalsy(obb.intersects(b, obb.fromCenterExtents([0, 0, 3], [1, 1, 1], rotation)));
+      // separated only by the axis between the top edge of a and the bottom edge of c
+      const a = obb.fromCenterExtents([0, 0, 0], [1, 1, 1], quat.fromAxisAngle([1, 0, 0], Math.PI / 4));
+      const rz45 = quat.fromAxisAngle([0, 0, 1], Math.PI / 4);
+      const c = obb.fromCenterExtents([0, 2 * Math.SQRT2 + 0.01, 0], [1, 1, 1], rz45);
+      assertFalsy(obb.intersects(a, c));
+      assertFalsy(obb.intersects(c, a));
+      const d = obb.fromCenterExtents([0, 2 * Math.SQRT2 - 0.01, 0], [1, 1, 1], rz45);
+      assertTruthy(obb.intersects(a, d));
+      assertTruthy(obb.intersects(d, a));
+    });
+
+    it('should throw for a bad stride in fromPoints', () => {
+      assertThrowsWith(() => obb.fromPoints([1, 2, 3], 0), [/stride/]);
+    });
+
+  });
+}
+
+describe('obb', () => {
+  check(obbn, Array);
+  check(obb, Float32Array);
+  check(obbd, Float64Array);
+});
@@ -0,0 +1,182 @@
+import {frustum, mat4, plane, planed, planen, utils} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertEqualApproximately,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(plane, Type) {
+  describe('using ' + Type, () => {
+    // the plane y = 2 facing +y
+    const p = [0, 1, 0, -2];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testPlaneWithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected, 1e-6);
+      const d = new Type(4).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected, 1e-6);
+    }
+
+    function testVec3WithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected, 1e-6);
+      const d = new Type(3).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected, 1e-6);
+    }
+
+    it('should create', () => {
+      for (let i = 0; i <= 4; ++i) {
+        const expected = plane.set(...new Array(4).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0));
+        const args = new Array(Type === Array ? 4 : i).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        assertEqual(plane.create(...args), expected);
+      }
+    });
+
+    it('should set', () => {
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.set(1, 2, 3, 4, newDst);
+      }, [1, 2, 3, 4]);
+    });
+
+    it('should make from point and normal', () => {
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.fromPointNormal([5, 2, 7], [0, 3, 0], newDst);
+      }, p);
+      const s = Math.SQRT1_2;
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.fromPointNormal([1, 0, 0], [1, 1, 0], newDst);
+      }, [s, s, 0, -s]);
+    });
+
+    it('should make from points', () => {
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.fromPoints([0, 2, 0], [0, 2, 1], [1, 2, 0], newDst);
+      }, p);
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.fromPoints([0, 2, 0], [1, 2, 0], [0, 2, 1], newDst);
+      }, [0, -1, 0, 2]);
+    });
+
+    it('should copy', () => {
+      testPlaneWithAndWithoutDest((newDst) => {
+        const result = plane.copy(p, newDst);
+        assertStrictNotEqual(result, p);
+        return result;
+      }, p);
+    });
+
+    it('should clone', () => {
+      testPlaneWithAndWithoutDest((newDst) => {
+        const result = plane.clone(p, newDst);
+        assertStrictNotEqual(result, p);
+        return result;
+      }, p);
+    });
+
+    it('should equals and equals approximately', () => {
+      assertTruthy(plane.equals(plane.clone(p), plane.clone(p)));
+      for (let i = 0; i < 4; ++i) {
+        const almost = plane.clone(p);
+        almost[i] += utils.EPSILON * 0.5;
+        const notEqual = plane.clone(p);
+        notEqual[i] += 1.0001;
+        assertFalsy(plane.equals(p, almost));
+        assertTruthy(plane.equalsApproximately(p, almost));
+        assertFalsy(plane.equalsApproximately(p, notEqual));
+      }
+    });
+
+    it('should get normal', () => {
+      testVec3WithAndWithoutDest((newDst) => {
+        return plane.getNormal([1, 2, 3, 4], newDst);
+      }, [1, 2, 3]);
+    });
+
+    it('should normalize', () => {
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.normalize([0, 3, 4, 10], newDst);
+      }, [0, 0.6, 0.8, 2]);
+    });
+
+    it('should negate', () => {
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.negate(p, newDst);
+      }, [0, -1, 0, 2]);
+    });
+
+    it('should compute signed distance', () => {
+      assertEqualApproximately(plane.signedDistance(p, [3, 5, 4]), 3);
+      assertEqualApproximately(plane.signedDistance(p, [3, -1, 4]), -3);
+      assertEqualApproximately(plane.signedDistance(p, [3, 2, 4]), 0);
+    });
+
+    it('should project point', () => {
+      testVec3WithAndWithoutDest((newDst) => {
+        return plane.projectPoint(p, [3, 5, 4], newDst);
+      }, [3, 2, 4]);
+      testVec3WithAndWithoutDest((newDst) => {
+        return plane.projectPoint(p, [3, -1, 4], newDst);
+      }, [3, 2, 4]);
+    });
+
+    it('should intersect line', () => {
+      testVec3WithAndWithoutDest((newDst) => {
+        return plane.intersectLine(p, [1, 0, 1], [1, 4, 5], newDst);
+      }, [1, 2, 3]);
+      // does not reach the plane
+      assertStrictEqual(plane.intersectLine(p, [1, 0, 1], [1, 1, 5]), null);
+      // parallel
+      assertStrictEqual(plane.intersectLine(p, [1, 0, 1], [5, 0, 1]), null);
+    });
+
+    it('should transform by a mat4', () => {
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.transformMat4(p, mat4.translation([1, 3, 5]), newDst);
+      }, [0, 1, 0, -5]);
+      // rotate y = 2 around z by 90 degrees to get x = -2 facing -x
+      testPlaneWithAndWithoutDest((newDst) => {
+        return plane.transformMat4(p, mat4.rotationZ(Math.PI / 2), newDst);
+      }, [-1, 0, 0, -2]);
+      // non-uniform scale keeps the plane normalized and points on it stay on it
+      const m = mat4.multiply(mat4.scaling([2, 3, 4]), mat4.rotationX(0.5));
+      const p2 = plane.fromPointNormal([1, 2, 3], [1, 1, 1]);
+      const t = plane.transformMat4(p2, m);
+      const pointOnPlane = [1, 2, 3];
+      const transformed = [
+        m[0] * pointOnPlane[0] + m[4] * pointOnPlane[1] + m[ 8] * pointOnPlane[2] + m[12],
+        m[1] * pointOnPlane[0] + m[5] * pointOnPlane[1] + m[ 9] * pointOnPlane[2] + m[13],
+        m[2] * pointOnPlane[0] + m[6] * pointOnPlane[1] + m[10] * pointOnPlane[2] + m[14],
+      ];
+      assertEqualApproximately(plane.signedDistance(t, transformed), 0, 1e-5);
+      assertEqualApproximately(Math.hypot(t[0], t[1], t[2]), 1, 1e-6);
+    });
+
+    it('should work with frustum planes', () => {
+      const f = frustum.fromMat4(mat4.ortho(-1, 1, -1, 1, 1, 10));
+      const near = frustum.getPlane(f, 4);
+      assertEqualApproximately(plane.signedDistance(near, [0, 0, -3]), 2, 1e-6);
+    });
+
+  });
+}
+
+describe('plane', () => {
+  check(planen, Array);
+  check(plane, Float32Array);
+  check(planed, Float64Array);
+});
@@ -413,6 +413,53 @@ function check(quat, Type) {
       }
     });
 
+    it('should toEuler', () => {
+      const orders = ['xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'];
+      const angles = [
+        [0, 0, 0],
+        [0.1, 0.2, 0.3],
+        [-0.5, 1.2, -1.4],
+        [1.5, -1.1, -0.7],
+      ];
+      for (const order of orders) {
+        for (const [x, y, z] of angles) {
+          const q = quat.fromEuler(x, y, z, order);
+          const expected = [x, y, z];
+          const v = quat.toEuler(q, order);
+          assertEqualApproximately(v, expected, 1e-5);
+          const dst = vec3.create();
+          const result = quat.toEuler(q, order, dst);
+          assertStrictEqual(result, dst);
+          assertEqualApproximately(result, expected, 1e-5);
+        }
+
+        // angles outside the principal range give back the same rotation
+        const q = quat.fromEuler(2.9, -2.1, 3.0, order);
+        const v = quat.toEuler(q, order);
+        const q2 = quat.fromEuler(v[0], v[1], v[2], order);
+        assertEqualApproximately(Math.abs(quat.dot(q, q2)), 1, 1e-5);
+      }
+    });
+
+    it('should toEuler in gimbal lock', () => {
+      const tests = [
+        { order: 'xyz', angles: [0.3, Math.PI / 2, 0.2], },
+        { order: 'xzy', angles: [0.3, 0.2, -Math.PI / 2], },
+        { order: 'yxz', angles: [Math.PI / 2, 0.3, 0.2], },
+        { order: 'yzx', angles: [0.3, 0.2, -Math.PI / 2], },
+        { order: 'zxy', angles: [-Math.PI / 2, 0.3, 0.2], },
+        { order: 'zyx', angles: [0.3, Math.PI / 2, 0.2], },
+      ];
+      for (const {order, angles} of tests) {
+        const q = quat.fromEuler(...angles, order);
+        const v = quat.toEuler(q, order);
+        const lastAxis = 'xyz'.indexOf(order[2]);
+        assertEqual(v[lastAxis], 0);
+        const q2 = quat.fromEuler(v[0], v[1], v[2], order);
+        assertEqualApproximately(Math.abs(quat.dot(q, q2)), 1, 1e-5);
+      }
+    });
+
     it('should rotationTo', () => {
       const tests = [
         { args: [quat.fromEuler(Math.PI / 2, 0, 0, 'xyz'), quat.fromEuler(0, Math.PI, 0, 'xyz')], expected: [0, 0, 0.5773502588272095, 0.8164966106414795], },
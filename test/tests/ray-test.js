@@ -0,0 +1,204 @@
+import {mat4, ray, rayd, rayn, utils} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertEqualApproximately,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(ray, Type) {
+  describe('using ' + Type, () => {
+    const r = [1, 2, 3, 0, 0, -1];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testRayWithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected);
+      const d = new Type(6).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected);
+    }
+
+    function testVec3WithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected);
+      const d = new Type(3).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected);
+    }
+
+    it('should create', () => {
+      for (let i = 0; i <= 6; ++i) {
+        const expected = ray.set(...new Array(6).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0));
+        const args = new Array(Type === Array ? 6 : i).fill(0).map((_, ndx) => ndx < i ? ndx + 1 : 0);
+        assertEqual(ray.create(...args), expected);
+      }
+    });
+
+    it('should set', () => {
+      testRayWithAndWithoutDest((newDst) => {
+        return ray.set(1, 2, 3, 4, 5, 6, newDst);
+      }, [1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should make from origin and direction', () => {
+      testRayWithAndWithoutDest((newDst) => {
+        return ray.fromOriginDirection([1, 2, 3], [4, 5, 6], newDst);
+      }, [1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should make from points', () => {
+      testRayWithAndWithoutDest((newDst) => {
+        return ray.fromPoints([1, 2, 3], [1, 2, 13], newDst);
+      }, [1, 2, 3, 0, 0, 1]);
+    });
+
+    it('should copy', () => {
+      testRayWithAndWithoutDest((newDst) => {
+        const result = ray.copy(r, newDst);
+        assertStrictNotEqual(result, r);
+        return result;
+      }, r);
+    });
+
+    it('should clone', () => {
+      testRayWithAndWithoutDest((newDst) => {
+        const result = ray.clone(r, newDst);
+        assertStrictNotEqual(result, r);
+        return result;
+      }, r);
+    });
+
+    it('should equals and equals approximately', () => {
+      assertTruthy(ray.equals(ray.clone(r), ray.clone(r)));
+      for (let i = 0; i < 6; ++i) {
+        const almost = ray.clone(r);
+        almost[i] += utils.EPSILON * 0.5;
+        const notEqual = ray.clone(r);
+        notEqual[i] += 1.0001;
+        assertFalsy(ray.equals(r, almost));
+        assertTruthy(ray.equalsApproximately(r, almost));
+        assertFalsy(ray.equalsApproximately(r, notEqual));
+      }
+    });
+
+    it('should get origin and direction', () => {
+      testVec3WithAndWithoutDest((newDst) => {
+        return ray.getOrigin(r, newDst);
+      }, [1, 2, 3]);
+      testVec3WithAndWithoutDest((newDst) => {
+        return ray.getDirection(r, newDst);
+      }, [0, 0, -1]);
+    });
+
+    it('should normalize', () => {
+      testRayWithAndWithoutDest((newDst) => {
+        return ray.normalize([1, 2, 3, 0, 3, 4], newDst);
+      }, [1, 2, 3, 0, 0.6, 0.8]);
+    });
+
+    it('should compute a point at t', () => {
+      testVec3WithAndWithoutDest((newDst) => {
+        return ray.at(r, 5, newDst);
+      }, [1, 2, -2]);
+    });
+
+    it('should transform by a mat4', () => {
+      const m = mat4.multiply(mat4.translation([10, 20, 30]), mat4.scaling([2, 2, 2]));
+      testRayWithAndWithoutDest((newDst) => {
+        return ray.transformMat4(r, m, newDst);
+      }, [12, 24, 36, 0, 0, -2]);
+    });
+
+    it('should intersect a plane', () => {
+      // plane z = -4 facing +z
+      const plane = [0, 0, 1, 4];
+      assertEqualApproximately(ray.intersectPlane(r, plane), 7);
+      // facing the other way
+      assertEqualApproximately(ray.intersectPlane(r, [0, 0, -1, -4]), 7);
+      // behind the ray
+      assertStrictEqual(ray.intersectPlane(r, [0, 0, 1, -10]), null);
+      // parallel
+      assertStrictEqual(ray.intersectPlane(r, [1, 0, 0, 0]), null);
+      // short direction returns t in units of the direction
+      assertEqualApproximately(ray.intersectPlane([1, 2, 3, 0, 0, -0.0001], plane) / 70000, 1);
+    });
+
+    it('should intersect a sphere', () => {
+      assertEqualApproximately(ray.intersectSphere(r, [1, 2, -7], 2), 8);
+      // inside the sphere
+      assertEqualApproximately(ray.intersectSphere(r, [1, 2, 3], 2), 2);
+      // behind the ray
+      assertStrictEqual(ray.intersectSphere(r, [1, 2, 13], 2), null);
+      // miss
+      assertStrictEqual(ray.intersectSphere(r, [5, 2, -7], 2), null);
+      // non-normalized direction returns t in units of the direction
+      assertEqualApproximately(ray.intersectSphere([1, 2, 3, 0, 0, -2], [1, 2, -7], 2), 4);
+    });
+
+    it('should intersect an AABB', () => {
+      assertEqualApproximately(ray.intersectAABB(r, [0, 0, -10], [2, 4, -5]), 8);
+      // inside the box
+      assertEqualApproximately(ray.intersectAABB(r, [0, 0, 0], [2, 4, 4]), 3);
+      // behind the ray
+      assertStrictEqual(ray.intersectAABB(r, [0, 0, 5], [2, 4, 6]), null);
+      // miss
+      assertStrictEqual(ray.intersectAABB(r, [3, 0, -10], [5, 4, -5]), null);
+      // diagonal
+      const t = ray.intersectAABB([-2, -2, -2, 1, 1, 1], [-1, -1, -1], [1, 1, 1]);
+      assertEqualApproximately(t, 1);
+      // small box and nearly parallel to a slab
+      const tSmall = ray.intersectAABB([0.0005, 0.0005, 1, 0.0000001, 0, -1], [0, 0, 0], [0.001, 0.001, 0.001]);
+      assertEqualApproximately(tSmall, 0.999);
+    });
+
+    it('should intersect a triangle', () => {
+      const a = [0, 0, -5];
+      const b = [4, 0, -5];
+      const c = [0, 4, -5];
+      testVec3WithAndWithoutDest((newDst) => {
+        return ray.intersectTriangle(r, a, b, c, newDst);
+      }, [8, 0.25, 0.5]);
+      // back face
+      assertEqualApproximately(ray.intersectTriangle(r, a, c, b), [8, 0.5, 0.25]);
+      // miss
+      assertStrictEqual(ray.intersectTriangle([3, 3, 3, 0, 0, -1], a, b, c), null);
+      // behind the ray
+      assertStrictEqual(ray.intersectTriangle([1, 2, -10, 0, 0, -1], a, b, c), null);
+      // parallel
+      assertStrictEqual(ray.intersectTriangle([1, 2, -5, 1, 0, 0], a, b, c), null);
+    });
+
+    it('should intersect a small triangle', () => {
+      // half millimetre sized triangle
+      const a = [0, 0, -5];
+      const b = [0.0005, 0, -5];
+      const c = [0, 0.0005, -5];
+      const hit = ray.intersectTriangle([0.000125, 0.00025, 0, 0, 0, -1], a, b, c);
+      assertEqualApproximately(hit, [5, 0.25, 0.5], 1e-4);
+    });
+
+    it('should make rays from close points', () => {
+      assertEqualApproximately(ray.fromPoints([0, 0, 0], [0, 0, 0.000002]), [0, 0, 0, 0, 0, 1]);
+      assertEqualApproximately(ray.normalize([0, 0, 0, 0.000002, 0, 0]), [0, 0, 0, 1, 0, 0]);
+    });
+
+  });
+}
+
+describe('ray', () => {
+  check(rayn, Array);
+  check(ray, Float32Array);
+  check(rayd, Float64Array);
+});
@@ -0,0 +1,240 @@
+import {sphere, sphered, spheren, mat4} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqual,
+  assertEqualApproximately,
+  assertFalsy,
+  assertStrictEqual,
+  assertStrictNotEqual,
+  assertThrowsWith,
+  assertTruthy,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(sphere, Type) {
+  describe('using ' + Type, () => {
+    const s = [1, 2, 3, 4];
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testSphereWithAndWithoutDest(func, expected, epsilon) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected, epsilon);
+      const d = new Type(4).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected, epsilon);
+    }
+
+    function assertContainsAll(s, points) {
+      for (let i = 0; i < points.length; i += 3) {
+        const dx = points[i] - s[0];
+        const dy = points[i + 1] - s[1];
+        const dz = points[i + 2] - s[2];
+        assertTruthy(Math.hypot(dx, dy, dz) <= s[3] + 1e-5);
+      }
+    }
+
+    // some points in a lumpy cloud
+    const cloud = [];
+    for (let i = 0; i < 200; ++i) {
+      const t = i * 0.37;
+      const r = 1 + Math.sin(i * 1.3) * 0.5;
+      cloud.push(
+          Math.cos(t) * Math.sin(i * 0.11) * r * 3 + 1,
+          Math.sin(t) * Math.sin(i * 0.11) * r - 2,
+          Math.cos(i * 0.11) * r * 0.5 + 5);
+    }
+
+    it('should create', () => {
+      const v = sphere.create();
+      assertStrictEqual(v.length, 4);
+      assertEqual(sphere.create(1, 2, 3, 4), s);
+    });
+
+    it('should set', () => {
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.set(1, 2, 3, 4, dst);
+      }, s);
+    });
+
+    it('should make from center and radius', () => {
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.fromCenterRadius([1, 2, 3], 4, dst);
+      }, s);
+    });
+
+    it('should make empty', () => {
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.empty(dst);
+      }, [0, 0, 0, -1]);
+      assertTruthy(sphere.isEmpty(sphere.empty()));
+      assertFalsy(sphere.isEmpty(s));
+      assertFalsy(sphere.isEmpty([0, 0, 0, 0]));
+    });
+
+    it('should copy', () => {
+      const v = sphere.copy(s);
+      assertStrictNotEqual(v, s);
+      assertEqual(v, s);
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.copy(s, dst);
+      }, s);
+    });
+
+    it('should clone', () => {
+      const v = sphere.clone(s);
+      assertStrictNotEqual(v, s);
+      assertEqual(v, s);
+    });
+
+    it('should compare equals', () => {
+      assertTruthy(sphere.equals(s, [1, 2, 3, 4]));
+      assertFalsy(sphere.equals(s, [1, 2, 3, 4.0000001]));
+      assertTruthy(sphere.equalsApproximately(s, [1, 2, 3, 4.0000001]));
+      assertFalsy(sphere.equalsApproximately(s, [1, 2, 3, 4.1]));
+    });
+
+    it('should get center', () => {
+      assertEqual(sphere.getCenter(s), [1, 2, 3]);
+    });
+
+    it('should make from points using ritter', () => {
+      const v = sphere.fromPoints(cloud);
+      assertContainsAll(v, cloud);
+      assertEqualApproximately(sphere.fromPoints(cloud, 3, 0, 'ritter'), v);
+      const dst = new Type(4);
+      assertStrictEqual(sphere.fromPoints(cloud, 3, 0, 'ritter', dst), dst);
+      assertEqualApproximately(dst, v);
+    });
+
+    it('should make from points using welzl', () => {
+      const v = sphere.fromPoints(cloud, 3, 0, 'welzl');
+      assertContainsAll(v, cloud);
+      assertTruthy(v[3] <= sphere.fromPoints(cloud)[3] + 1e-6);
+
+      // the smallest sphere has at least 2 points on its surface
+      let onSurface = 0;
+      for (let i = 0; i < cloud.length; i += 3) {
+        const d = Math.hypot(cloud[i] - v[0], cloud[i + 1] - v[1], cloud[i + 2] - v[2]);
+        if (Math.abs(d - v[3]) < 1e-4) {
+          ++onSurface;
+        }
+      }
+      assertTruthy(onSurface >= 2);
+
+      const dst = new Type(4);
+      assertStrictEqual(sphere.fromPoints(cloud, 3, 0, 'welzl', dst), dst);
+      assertEqualApproximately(dst, v);
+    });
+
+    it('should make exact spheres using welzl', () => {
+      // cube corners plus the center
+      const cube = [0, 0, 0];
+      for (let i = 0; i < 8; ++i) {
+        cube.push(i & 1 ? 1 : -1, i & 2 ? 1 : -1, i & 4 ? 1 : -1);
+      }
+      assertEqualApproximately(sphere.fromPoints(cube, 3, 0, 'welzl'), [0, 0, 0, Math.sqrt(3)], 1e-5);
+
+      // points on a plane
+      const square = [-1, -1, 2, 1, -1, 2, -1, 1, 2, 1, 1, 2, 0.5, 0.5, 2];
+      assertEqualApproximately(sphere.fromPoints(square, 3, 0, 'welzl'), [0, 0, 2, Math.SQRT2], 1e-5);
+
+      // points on a line
+      const line = [0, 0, 0, 1, 2, 3, 4, 8, 12, 2, 4, 6];
+      assertEqualApproximately(sphere.fromPoints(line, 3, 0, 'welzl'), [2, 4, 6, Math.hypot(2, 4, 6)], 1e-5);
+
+      // an obtuse triangle's sphere is on its longest side
+      const triangle = [-2, 0, 0, 2, 0, 0, 0, 0.5, 0];
+      assertEqualApproximately(sphere.fromPoints(triangle, 3, 0, 'welzl'), [0, 0, 0, 2], 1e-5);
+
+      // a single point
+      assertEqualApproximately(sphere.fromPoints([1, 2, 3], 3, 0, 'welzl'), [1, 2, 3, 0]);
+    });
+
+    it('should make from interleaved points', () => {
+      const points = [
+        // x, y, z, u, v
+        -1, 0, 0, 9, 9,
+         3, 0, 0, 9, 9,
+         1, 1, 0, 9, 9,
+      ];
+      for (const method of ['ritter', 'welzl']) {
+        assertEqualApproximately(sphere.fromPoints([99, ...points], 5, 1, method), [1, 0, 0, 2], 1e-5);
+      }
+    });
+
+    it('should make empty from no points', () => {
+      assertTruthy(sphere.isEmpty(sphere.fromPoints([])));
+      assertTruthy(sphere.isEmpty(sphere.fromPoints([], 3, 0, 'welzl')));
+    });
+
+    it('should expand by point', () => {
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.expandByPoint([0, 0, 0, 1], [3, 0, 0], dst);
+      }, [1, 0, 0, 2]);
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.expandByPoint([0, 0, 0, 1], [0.5, 0, 0], dst);
+      }, [0, 0, 0, 1]);
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.expandByPoint(sphere.empty(), [1, 2, 3], dst);
+      }, [1, 2, 3, 0]);
+    });
+
+    it('should union', () => {
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.union([0, 0, 0, 1], [4, 0, 0, 1], dst);
+      }, [2, 0, 0, 3]);
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.union([0, 0, 0, 5], [1, 0, 0, 1], dst);
+      }, [0, 0, 0, 5]);
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.union([1, 0, 0, 1], [0, 0, 0, 5], dst);
+      }, [0, 0, 0, 5]);
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.union(sphere.empty(), s, dst);
+      }, s);
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.union(s, sphere.empty(), dst);
+      }, s);
+    });
+
+    it('should contain point', () => {
+      assertTruthy(sphere.containsPoint(s, [1, 2, 3]));
+      assertTruthy(sphere.containsPoint(s, [5, 2, 3]));
+      assertFalsy(sphere.containsPoint(s, [5.1, 2, 3]));
+      assertFalsy(sphere.containsPoint(sphere.empty(), [0, 0, 0]));
+    });
+
+    it('should intersect sphere', () => {
+      assertTruthy(sphere.intersectsSphere(s, [1, 2, 3, 1]));
+      assertTruthy(sphere.intersectsSphere(s, [1, 2, 9, 2]));
+      assertFalsy(sphere.intersectsSphere(s, [1, 2, 9.1, 2]));
+      assertFalsy(sphere.intersectsSphere(s, sphere.empty()));
+    });
+
+    it('should transform by mat4', () => {
+      const m = mat4.multiply(
+          mat4.translation([1, -2, 3]),
+          mat4.multiply(mat4.rotationY(0.7), mat4.scaling([2, 3, -0.5])));
+      testSphereWithAndWithoutDest((dst) => {
+        return sphere.transformMat4(s, m, dst);
+      }, [...mat4.getTranslation(mat4.multiply(m, mat4.translation([1, 2, 3]))), 12], 1e-5);
+      assertTruthy(sphere.isEmpty(sphere.transformMat4(sphere.empty(), m)));
+    });
+
+    it('should throw for a bad stride in fromPoints', () => {
+      assertThrowsWith(() => sphere.fromPoints([1, 2, 3], 0), [/stride/]);
+    });
+
+  });
+}
+
+describe('sphere', () => {
+  check(spheren, Array);
+  check(sphere, Float32Array);
+  check(sphered, Float64Array);
+});
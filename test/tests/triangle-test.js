@@ -0,0 +1,58 @@
+import {triangle, triangled, trianglen} from '../../dist/3.x/wgpu-matrix.module.js';
+
+import {
+  assertEqualApproximately,
+  assertStrictEqual,
+} from '../assert.js';
+import {describe, it} from '../mocha-support.js';
+
+function check(triangle, Type) {
+  describe('using ' + Type, () => {
+
+    function createCopyOfType(v) {
+      return Type === Array ? new Type(...v) : new Type(v);
+    }
+
+    function testV3WithAndWithoutDest(func, expected) {
+      expected = createCopyOfType(expected);
+      const d0 = func();
+      assertEqualApproximately(d0, expected);
+      const d = new Type(3).fill(0);
+      const c = func(d);
+      assertStrictEqual(c, d);
+      assertEqualApproximately(c, expected);
+    }
+
+    it('should compute normal', () => {
+      testV3WithAndWithoutDest((dst) => {
+        return triangle.normal([1, 1, 1], [4, 1, 1], [1, 5, 1], dst);
+      }, [0, 0, 1]);
+      testV3WithAndWithoutDest((dst) => {
+        return triangle.normal([1, 1, 1], [1, 5, 1], [4, 1, 1], dst);
+      }, [0, 0, -1]);
+      testV3WithAndWithoutDest((dst) => {
+        return triangle.normal([1, 0, 0], [0, 1, 0], [0, 0, 1], dst);
+      }, [1 / Math.sqrt(3), 1 / Math.sqrt(3), 1 / Math.sqrt(3)]);
+    });
+
+    it('should compute normal of degenerate triangle', () => {
+      testV3WithAndWithoutDest((dst) => {
+        return triangle.normal([0, 0, 0], [1, 1, 1], [2, 2, 2], dst);
+      }, [0, 0, 0]);
+    });
+
+    it('should compute area', () => {
+      assertEqualApproximately(triangle.area([1, 1, 1], [4, 1, 1], [1, 5, 1]), 6);
+      assertEqualApproximately(triangle.area([1, 1, 1], [1, 5, 1], [4, 1, 1]), 6);
+      assertEqualApproximately(triangle.area([1, 0, 0], [0, 1, 0], [0, 0, 1]), Math.sqrt(3) / 2);
+      assertEqualApproximately(triangle.area([0, 0, 0], [1, 1, 1], [2, 2, 2]), 0);
+    });
+
+  });
+}
+
+describe('triangle', () => {
+  check(trianglen, Array);
+  check(triangle, Float32Array);
+  check(triangled, Float64Array);
+});
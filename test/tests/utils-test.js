@@ -2,6 +2,8 @@ import {utils} from '../../dist/3.x/wgpu-matrix.module.js';
 
 import {
   assertEqual,
+  assertEqualApproximately,
+  assertThrowsWith,
 } from '../assert.js';
 import {describe, it} from '../mocha-support.js';
 
@@ -46,4 +48,39 @@ describe('utils', () => {
     assertEqual(utils.inverseLerp( 10,  20,  25),  1.5);
     assertEqual(utils.inverseLerp( 10,  20,   5),  -.5);
   });
+
+  it('checks strides', () => {
+    utils.checkStride(1);
+    utils.checkStride(3);
+    for (const stride of [0, -3, NaN]) {
+      assertThrowsWith(() => utils.checkStride(stride), [/stride must be greater than 0/]);
+    }
+    assertThrowsWith(() => utils.checkStride(0, 'uvStride'), [/uvStride/]);
+  });
+
+  it('computes halton', () => {
+    assertEqual(utils.halton(0, 2), 0);
+    assertEqual(utils.halton(1, 2), 0.5);
+    assertEqual(utils.halton(2, 2), 0.25);
+    assertEqual(utils.halton(3, 2), 0.75);
+    assertEqual(utils.halton(4, 2), 0.125);
+    assertEqualApproximately(utils.halton(1, 3), 1 / 3);
+    assertEqualApproximately(utils.halton(2, 3), 2 / 3);
+    assertEqualApproximately(utils.halton(3, 3), 1 / 9);
+    assertEqualApproximately(utils.halton(4, 3), 4 / 9);
+  });
+
+  it('computes cascadeSplits', () => {
+    assertEqualApproximately(utils.cascadeSplits(1, 101, 4, 0), [1, 26, 51, 76, 101]);
+    assertEqualApproximately(utils.cascadeSplits(1, 1000, 3, 1), [1, 10, 100, 1000]);
+    const splits = utils.cascadeSplits(0.1, 100, 4);
+    assertEqual(splits.length, 5);
+    assertEqual(splits[0], 0.1);
+    assertEqual(splits[4], 100);
+    for (let i = 1; i < splits.length - 1; ++i) {
+      const uniform = 0.1 + (100 - 0.1) * i / 4;
+      const log = 0.1 * Math.pow(1000, i / 4);
+      assertEqualApproximately(splits[i], (uniform + log) / 2);
+    }
+  });
 });
\ No newline at end of file
@@ -401,7 +401,6 @@ function check(vec2, Type) {
       }
     });
 
-    /*
     it('should transform by 2x2', () => {
       const expected = [14, 21];
       testV2WithAndWithoutDest((a, newDst) => {
@@ -412,7 +411,6 @@ function check(vec2, Type) {
         return vec2.transformMat2(a, m, newDst);
       }, expected, [2, 3]);
     });
-    */
 
     it('should transform by 3x3', () => {
       const expected = [16, 17];
@@ -426,6 +424,18 @@ function check(vec2, Type) {
       }, expected, [2, 3]);
     });
 
+    it('should transform by 3x2', () => {
+      const expected = [14, 23];
+      testV2WithAndWithoutDest((a, newDst) => {
+        const m = [
+          4, 0,
+          0, 5,
+          6, 8,
+        ];
+        return vec2.transformMat3x2(a, m, newDst);
+      }, expected, [2, 3]);
+    });
+
     it('should transform by 4x4', () => {
       const expected = [6, 11];
       testV2WithAndWithoutDest((a, newDst) => {
@@ -439,6 +449,28 @@ function check(vec2, Type) {
       }, expected, [2, 3]);
     });
 
+    it('should compute halton jitter', () => {
+      const expected = [
+        [0.5 - 0.5, 1 / 3 - 0.5],
+        [0.25 - 0.5, 2 / 3 - 0.5],
+        [0.75 - 0.5, 1 / 9 - 0.5],
+      ];
+      for (let i = 0; i < expected.length; ++i) {
+        assertEqualApproximately(vec2.haltonJitter(i), expected[i]);
+        // repeats after sequenceLength
+        assertEqualApproximately(vec2.haltonJitter(i + 8), expected[i]);
+        assertEqualApproximately(vec2.haltonJitter(i + 3, 3), expected[i]);
+      }
+      for (let i = 0; i < 16; ++i) {
+        const v = vec2.haltonJitter(i, 16);
+        assertTruthy(v[0] >= -0.5 && v[0] < 0.5);
+        assertTruthy(v[1] >= -0.5 && v[1] < 0.5);
+      }
+      const dst = vec2.create();
+      assertStrictEqual(vec2.haltonJitter(1, 8, dst), dst);
+      assertEqualApproximately(dst, expected[1]);
+    });
+
     it('should zero', () => {
       const v = vec2.zero();
       assertEqual(v, [0, 0]);
@@ -525,6 +557,46 @@ function check(vec2, Type) {
       });
     });
 
+    it('should compute barycentric coordinates', () => {
+      const a = [1, 0];
+      const b = [5, 0];
+      const c = [1, 4];
+      const tests = [
+        { p: [1, 0], expected: [1, 0, 0] },
+        { p: [5, 0], expected: [0, 1, 0] },
+        { p: [1, 4], expected: [0, 0, 1] },
+        { p: [2, 1], expected: [0.5, 0.25, 0.25] },
+        { p: [5, 4], expected: [-1, 1, 1] },
+      ];
+      for (const {p, expected} of tests) {
+        assertEqualApproximately(vec2.barycentric(p, a, b, c), expected);
+        const dst = new Type(3);
+        assertStrictEqual(vec2.barycentric(p, a, b, c, dst), dst);
+        assertEqualApproximately(dst, expected);
+      }
+
+      // clockwise triangle
+      assertEqualApproximately(vec2.barycentric([2, 1], a, c, b), [0.5, 0.25, 0.25]);
+
+      // degenerate triangle
+      assertEqualApproximately(vec2.barycentric([2, 1], [0, 0], [1, 1], [2, 2]), [1, 0, 0]);
+    });
+
+    it('should compute barycentric coordinates of a texel sized triangle', () => {
+      const texel = 1 / 1024;
+      const a = [0.5, 0.5];
+      const b = [0.5 + texel, 0.5];
+      const c = [0.5, 0.5 + texel];
+      const p = [0.5 + texel * 0.25, 0.5 + texel * 0.25];
+      assertEqualApproximately(vec2.barycentric(p, a, b, c), [0.5, 0.25, 0.25], 1e-3);
+    });
+
+    it('should compute from barycentric coordinates', () => {
+      testV2WithAndWithoutDest((a, b, c, uvw, newDst) => {
+        return vec2.fromBarycentric(a, b, c, uvw, newDst);
+      }, [2, 1], [1, 0], [5, 0], [1, 4], [0.5, 0.25, 0.25]);
+    });
+
 
   });
 }
@@ -1,4 +1,4 @@
-import {quat, vec3, vec3d, vec3n, utils} from '../../dist/3.x/wgpu-matrix.module.js';
+import {mat4, quat, vec3, vec3d, vec3n, utils} from '../../dist/3.x/wgpu-matrix.module.js';
 
 import {
   assertEqual,
@@ -407,6 +407,19 @@ function check(vec3, Type) {
       }, expected, [1, 2, 3]);
     });
 
+    it('should transform by 4x3', () => {
+      const expected = [5, 9, 15];
+      testV3WithAndWithoutDest((v, newDst) => {
+        const m = [
+          1, 0, 0, 0,
+          0, 2, 0, 0,
+          0, 0, 3, 0,
+          4, 5, 6, 0,
+        ];
+        return vec3.transformMat4x3(v, m, newDst);
+      }, expected, [1, 2, 3]);
+    });
+
     it('should transform by 4x4Upper3x3', () => {
       const expected = [2, 6, 12];
       const m = [
@@ -420,6 +433,44 @@ function check(vec3, Type) {
       }, expected, [2, 3, 4], m);
     });
 
+    it('should project', () => {
+      const viewProjection = mat4.ortho(-1, 1, -1, 1, 1, 10);
+      const viewport = [10, 20, 200, 100];
+      const tests = [
+        { v: [0, 0, -1], expected: [110, 70, 0], },
+        { v: [1, 1, -10], expected: [210, 20, 1], },
+        { v: [-1, -1, -5.5], expected: [10, 120, 0.5], },
+      ];
+      for (const {v, expected} of tests) {
+        testV3WithAndWithoutDest((v, newDst) => {
+          return vec3.project(v, viewProjection, viewport, newDst);
+        }, expected, v);
+      }
+    });
+
+    it('should project with perspective', () => {
+      const viewProjection = mat4.perspective(Math.PI / 2, 2, 1, 10);
+      const viewport = [0, 0, 200, 100];
+      // at z = -2 the frustum is 8 units wide and 4 units tall
+      testV3WithAndWithoutDest((v, newDst) => {
+        return vec3.project(v, viewProjection, viewport, newDst);
+      }, [150, 25, 5 / 9], [2, 1, -2]);
+    });
+
+    it('should unproject', () => {
+      const viewProjection = mat4.multiply(
+          mat4.perspective(Math.PI / 3, 1.5, 0.5, 100),
+          mat4.lookAt([1, 2, 3], [0, 0, 0], [0, 1, 0]));
+      const inverseViewProjection = mat4.inverse(viewProjection);
+      const viewport = [10, 20, 300, 200];
+      const v = [0.25, -0.5, 0.75];
+      const screen = vec3.project(v, viewProjection, viewport);
+      assertEqualApproximately(vec3.unproject(screen, inverseViewProjection, viewport), v, 1e-5);
+      const dst = vec3.create();
+      assertStrictEqual(vec3.unproject(screen, inverseViewProjection, viewport, dst), dst);
+      assertEqualApproximately(dst, v, 1e-5);
+    });
+
     it('should transform by quat', () => {
       const tests = [
         {
@@ -557,6 +608,52 @@ function check(vec3, Type) {
       });
     });
 
+    it('should compute barycentric coordinates', () => {
+      const a = [1, 0, 2];
+      const b = [5, 0, 2];
+      const c = [1, 4, 2];
+      const tests = [
+        { p: [1, 0, 2], expected: [1, 0, 0] },
+        { p: [5, 0, 2], expected: [0, 1, 0] },
+        { p: [1, 4, 2], expected: [0, 0, 1] },
+        { p: [2, 1, 2], expected: [0.5, 0.25, 0.25] },
+        // off the plane projects onto the plane
+        { p: [2, 1, 9], expected: [0.5, 0.25, 0.25] },
+        // outside the triangle
+        { p: [5, 4, 2], expected: [-1, 1, 1] },
+      ];
+      for (const {p, expected} of tests) {
+        testV3WithAndWithoutDest((p, a, b, c, newDst) => {
+          return vec3.barycentric(p, a, b, c, newDst);
+        }, expected, p, a, b, c);
+      }
+    });
+
+    it('should compute barycentric coordinates of a small triangle', () => {
+      testV3WithAndWithoutDest((p, a, b, c, newDst) => {
+        return vec3.barycentric(p, a, b, c, newDst);
+      }, [0.5, 0.25, 0.25], [0.0001, 0.0001, 0], [0, 0, 0], [0.0004, 0, 0], [0, 0.0004, 0]);
+    });
+
+    it('should compute barycentric coordinates of degenerate triangle', () => {
+      testV3WithAndWithoutDest((p, a, b, c, newDst) => {
+        return vec3.barycentric(p, a, b, c, newDst);
+      }, [1, 0, 0], [1, 2, 3], [0, 0, 0], [1, 1, 1], [2, 2, 2]);
+    });
+
+    it('should compute from barycentric coordinates', () => {
+      const a = [1, 0, 2];
+      const b = [5, 0, 2];
+      const c = [1, 4, 2];
+      testV3WithAndWithoutDest((a, b, c, uvw, newDst) => {
+        return vec3.fromBarycentric(a, b, c, uvw, newDst);
+      }, [2, 1, 2], a, b, c, [0.5, 0.25, 0.25]);
+
+      // round trip
+      const p = [3, 1.5, 2];
+      assertEqualApproximately(vec3.fromBarycentric(a, b, c, vec3.barycentric(p, a, b, c)), p);
+    });
+
   });
 }
 